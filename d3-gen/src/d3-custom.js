@@ -8,7 +8,8 @@ export {
   group,
   min,
   max,
-  extent
+  extent,
+  bisector
 } from 'd3-array';
 
 export {
@@ -40,3 +41,23 @@ export {
 export {
   hsl
 } from 'd3-color';
+
+export {
+  zoom,
+  zoomIdentity
+} from 'd3-zoom';
+
+export {
+  brushX
+} from 'd3-brush';
+
+export {
+  area,
+  line,
+  curveStepAfter
+} from 'd3-shape';
+
+export {
+  hierarchy,
+  treemap
+} from 'd3-hierarchy';
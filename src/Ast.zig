@@ -100,6 +100,7 @@ pub const Node = union(enum) {
     query: KeyValue,
     note: KeyValue,
     document: KeyValue,
+    custom: ExtraIndex,
     /// Sub-nodes
     amount: struct {
         number: OptionalTokenIndex,
@@ -166,6 +167,13 @@ pub const Node = union(enum) {
         tolerance: OptionalTokenIndex,
     };
 
+    /// Values are strings, accounts, dates, currencies, booleans or numbers.
+    /// A negative number keeps its sign in the preceding `minus` token.
+    pub const Custom = struct {
+        name: TokenIndex,
+        values: Range,
+    };
+
     pub const LotSpec = struct {
         lcurl: TokenIndex,
         rcurl: TokenIndex,
@@ -332,6 +332,31 @@ fn parseEntry(self: *Self) !?Node.Index {
             const filename = try self.expectToken(.string);
             break :blk try self.addNode(.{ .document = .{ .key = account, .value = filename } });
         },
+        .keyword_custom => blk: {
+            _ = self.advanceToken();
+            const name = try self.expectToken(.string);
+
+            const tscratch_top = self.token_scratch.items.len;
+            defer self.token_scratch.shrinkRetainingCapacity(tscratch_top);
+
+            while (true) {
+                if (self.tryToken(.minus) != null) {
+                    const number = try self.expectToken(.number);
+                    try self.token_scratch.append(self.scratch_alloc, number);
+                    continue;
+                }
+                switch (self.currentToken().tag) {
+                    .string, .account, .date, .currency, .true, .false, .number => {
+                        try self.token_scratch.append(self.scratch_alloc, self.advanceToken());
+                    },
+                    else => break,
+                }
+            }
+
+            const values = try self.makeTokenRange(self.token_scratch.items[tscratch_top..]);
+            const extra = try self.addExtra(Node.Custom{ .name = name, .values = values });
+            break :blk try self.addNode(.{ .custom = extra });
+        },
         else => return self.fail(.expected_entry),
     };
 
@@ -809,6 +834,18 @@ test "event" {
     );
 }
 
+test "custom" {
+    try testRoundtrip(
+        \\2024-01-01 custom "budget" Expenses:Food "monthly" 400.00 EUR
+        \\  a: "Yes"
+        \\
+        \\2024-01-01 custom "fava-option" "invert-income-liabilities" TRUE
+        \\
+        \\2024-02-01 custom "adjust" Assets:Cash 2024-01-31 -12.50 USD
+        \\
+    );
+}
+
 test "query" {
     try testRoundtrip(
         \\1985-08-17 query "france-balances" "SELECT ..."
@@ -356,6 +356,23 @@ fn renderEntry(self: *Self, entry: Node.Entry) !void {
             try self.newline();
             try self.renderMeta(entry.meta, 1);
         },
+        .custom => |extra| {
+            const custom = self.ast.getExtra(extra, Node.Custom);
+            try self.renderToken(prevToken(custom.name));
+            try self.space();
+            try self.renderToken(custom.name);
+            for (self.ast.tokenList(custom.values)) |value| {
+                try self.space();
+                if (self.ast.tokens.items[@intFromEnum(value)].tag == .number) {
+                    try self.renderNumberWithSign(value);
+                } else {
+                    try self.renderToken(value);
+                }
+            }
+            try self.renderTagsLinks(entry.tagslinks);
+            try self.newline();
+            try self.renderMeta(entry.meta, 1);
+        },
         else => {},
     }
 }
@@ -209,6 +209,7 @@ fn convertEntry(self: *Self, extra: Ast.ExtraIndex) !void {
             _ = try self.internAccount(kv.key);
             break :blk .{ .document = .{ .account = kv.key, .filename = kv.value } };
         },
+        .custom => |custom_extra| try self.convertCustom(custom_extra),
         else => return,
     };
 
@@ -402,6 +403,18 @@ fn convertBalance(self: *Self, bal_extra: Ast.ExtraIndex) !Data.Entry.Payload {
     } };
 }
 
+fn convertCustom(self: *Self, custom_extra: Ast.ExtraIndex) !Data.Entry.Payload {
+    const custom = self.ast().getExtra(custom_extra, Node.Custom);
+    for (self.ast().tokenList(custom.values)) |value| {
+        switch (self.tok(value).tag) {
+            .account => _ = try self.internAccount(value),
+            .currency => _ = try self.internCurrency(value),
+            else => {},
+        }
+    }
+    return .{ .custom = .{ .name = custom.name, .values = custom.values } };
+}
+
 fn convertPriceDecl(self: *Self, pd: anytype) !Data.Entry.Payload {
     const cur_idx = try self.internCurrency(pd.currency);
     const amount = try self.convertAmount(pd.amount);
@@ -1 +1 @@
-var d3=function(t){"use strict";var n="http://www.w3.org/1999/xhtml";const e={svg:"http://www.w3.org/2000/svg",xhtml:n,xlink:"http://www.w3.org/1999/xlink",xml:"http://www.w3.org/XML/1998/namespace",xmlns:"http://www.w3.org/2000/xmlns/"};function r(t){var n=t+="",r=n.indexOf(":");return r>=0&&"xmlns"!==(n=t.slice(0,r))&&(t=t.slice(r+1)),e.hasOwnProperty(n)?{space:e[n],local:t}:t}function i(t){return function(){var e=this.ownerDocument,r=this.namespaceURI;return r===n&&e.documentElement.namespaceURI===n?e.createElement(t):e.createElementNS(r,t)}}function o(t){return function(){return this.ownerDocument.createElementNS(t.space,t.local)}}function u(t){var n=r(t);return(n.local?o:i)(n)}function a(){}function c(t){return null==t?a:function(){return this.querySelector(t)}}function s(t){return null==t?[]:Array.isArray(t)?t:Array.from(t)}function l(){return[]}function f(t){return function(n){return n.matches(t)}}var h=Array.prototype.find;function g(){return this.firstElementChild}var d=Array.prototype.filter;function p(){return Array.from(this.children)}function m(t){return new Array(t.length)}function y(t,n){this.ownerDocument=t.ownerDocument,this.namespaceURI=t.namespaceURI,this._next=null,this._parent=t,this.__data__=n}function v(t,n,e,r,i,o){for(var u,a=0,c=n.length,s=o.length;a<s;++a)(u=n[a])?(u.__data__=o[a],r[a]=u):e[a]=new y(t,o[a]);for(;a<c;++a)(u=n[a])&&(i[a]=u)}function w(t,n,e,r,i,o,u){var a,c,s,l=new Map,f=n.length,h=o.length,g=new Array(f);for(a=0;a<f;++a)(c=n[a])&&(g[a]=s=u.call(c,c.__data__,a,n)+"",l.has(s)?i[a]=c:l.set(s,c));for(a=0;a<h;++a)s=u.call(t,o[a],a,o)+"",(c=l.get(s))?(r[a]=c,c.__data__=o[a],l.delete(s)):e[a]=new y(t,o[a]);for(a=0;a<f;++a)(c=n[a])&&l.get(g[a])===c&&(i[a]=c)}function M(t){return t.__data__}function b(t){return"object"==typeof t&&"length"in t?t:Array.from(t)}function x(t,n){return t<n?-1:t>n?1:t>=n?0:NaN}function _(t){return function(){this.removeAttribute(t)}}function T(t){return function(){this.removeAttributeNS(t.space,t.local)}}function C(t,n){return function(){this.setAttribute(t,n)}}function A(t,n){return function(){this.setAttributeNS(t.space,t.local,n)}}function U(t,n){return function(){var e=n.apply(this,arguments);null==e?this.removeAttribute(t):this.setAttribute(t,e)}}function k(t,n){return function(){var e=n.apply(this,arguments);null==e?this.removeAttributeNS(t.space,t.local):this.setAttributeNS(t.space,t.local,e)}}function N(t){return t.ownerDocument&&t.ownerDocument.defaultView||t.document&&t||t.defaultView}function D(t){return function(){this.style.removeProperty(t)}}function S(t,n,e){return function(){this.style.setProperty(t,n,e)}}function F(t,n,e){return function(){var r=n.apply(this,arguments);null==r?this.style.removeProperty(t):this.style.setProperty(t,r,e)}}function $(t){return function(){delete this[t]}}function H(t,n){return function(){this[t]=n}}function Y(t,n){return function(){var e=n.apply(this,arguments);null==e?delete this[t]:this[t]=e}}function E(t){return t.trim().split(/^|\s+/)}function L(t){return t.classList||new q(t)}function q(t){this._node=t,this._names=E(t.getAttribute("class")||"")}function O(t,n){for(var e=L(t),r=-1,i=n.length;++r<i;)e.add(n[r])}function j(t,n){for(var e=L(t),r=-1,i=n.length;++r<i;)e.remove(n[r])}function P(t){return function(){O(this,t)}}function V(t){return function(){j(this,t)}}function R(t,n){return function(){(n.apply(this,arguments)?O:j)(this,t)}}function z(){this.textContent=""}function B(t){return function(){this.textContent=t}}function I(t){return function(){var n=t.apply(this,arguments);this.textContent=null==n?"":n}}function Z(){this.innerHTML=""}function X(t){return function(){this.innerHTML=t}}function W(t){return function(){var n=t.apply(this,arguments);this.innerHTML=null==n?"":n}}function G(){this.nextSibling&&this.parentNode.appendChild(this)}function J(){this.previousSibling&&this.parentNode.insertBefore(this,this.parentNode.firstChild)}function Q(){return null}function K(){var t=this.parentNode;t&&t.removeChild(this)}function tt(){var t=this.cloneNode(!1),n=this.parentNode;return n?n.insertBefore(t,this.nextSibling):t}function nt(){var t=this.cloneNode(!0),n=this.parentNode;return n?n.insertBefore(t,this.nextSibling):t}function et(t){return function(){var n=this.__on;if(n){for(var e,r=0,i=-1,o=n.length;r<o;++r)e=n[r],t.type&&e.type!==t.type||e.name!==t.name?n[++i]=e:this.removeEventListener(e.type,e.listener,e.options);++i?n.length=i:delete this.__on}}}function rt(t,n,e){return function(){var r,i=this.__on,o=function(t){return function(n){t.call(this,n,this.__data__)}}(n);if(i)for(var u=0,a=i.length;u<a;++u)if((r=i[u]).type===t.type&&r.name===t.name)return this.removeEventListener(r.type,r.listener,r.options),this.addEventListener(r.type,r.listener=o,r.options=e),void(r.value=n);this.addEventListener(t.type,o,e),r={type:t.type,name:t.name,value:n,listener:o,options:e},i?i.push(r):this.__on=[r]}}function it(t,n,e){var r=N(t),i=r.CustomEvent;"function"==typeof i?i=new i(n,e):(i=r.document.createEvent("Event"),e?(i.initEvent(n,e.bubbles,e.cancelable),i.detail=e.detail):i.initEvent(n,!1,!1)),t.dispatchEvent(i)}function ot(t,n){return function(){return it(this,t,n)}}function ut(t,n){return function(){return it(this,t,n.apply(this,arguments))}}y.prototype={constructor:y,appendChild:function(t){return this._parent.insertBefore(t,this._next)},insertBefore:function(t,n){return this._parent.insertBefore(t,n)},querySelector:function(t){return this._parent.querySelector(t)},querySelectorAll:function(t){return this._parent.querySelectorAll(t)}},q.prototype={add:function(t){this._names.indexOf(t)<0&&(this._names.push(t),this._node.setAttribute("class",this._names.join(" ")))},remove:function(t){var n=this._names.indexOf(t);n>=0&&(this._names.splice(n,1),this._node.setAttribute("class",this._names.join(" ")))},contains:function(t){return this._names.indexOf(t)>=0}};var at=[null];function ct(t,n){this._groups=t,this._parents=n}function st(t,n){return null==t||null==n?NaN:t<n?-1:t>n?1:t>=n?0:NaN}function lt(t,n){return null==t||null==n?NaN:n<t?-1:n>t?1:n>=t?0:NaN}function ft(t){let n,e,r;function i(t,r,i=0,o=t.length){if(i<o){if(0!==n(r,r))return o;do{const n=i+o>>>1;e(t[n],r)<0?i=n+1:o=n}while(i<o)}return i}return 2!==t.length?(n=st,e=(n,e)=>st(t(n),e),r=(n,e)=>t(n)-e):(n=t===st||t===lt?t:ht,e=t,r=t),{left:i,center:function(t,n,e=0,o=t.length){const u=i(t,n,e,o-1);return u>e&&r(t[u-1],n)>-r(t[u],n)?u-1:u},right:function(t,r,i=0,o=t.length){if(i<o){if(0!==n(r,r))return o;do{const n=i+o>>>1;e(t[n],r)<=0?i=n+1:o=n}while(i<o)}return i}}}function ht(){return 0}ct.prototype={constructor:ct,select:function(t){"function"!=typeof t&&(t=c(t));for(var n=this._groups,e=n.length,r=new Array(e),i=0;i<e;++i)for(var o,u,a=n[i],s=a.length,l=r[i]=new Array(s),f=0;f<s;++f)(o=a[f])&&(u=t.call(o,o.__data__,f,a))&&("__data__"in o&&(u.__data__=o.__data__),l[f]=u);return new ct(r,this._parents)},selectAll:function(t){var n;t="function"==typeof t?function(t){return function(){return s(t.apply(this,arguments))}}(t):null==(n=t)?l:function(){return this.querySelectorAll(n)};for(var e=this._groups,r=e.length,i=[],o=[],u=0;u<r;++u)for(var a,c=e[u],f=c.length,h=0;h<f;++h)(a=c[h])&&(i.push(t.call(a,a.__data__,h,c)),o.push(a));return new ct(i,o)},selectChild:function(t){return this.select(null==t?g:function(t){return function(){return h.call(this.children,t)}}("function"==typeof t?t:f(t)))},selectChildren:function(t){return this.selectAll(null==t?p:function(t){return function(){return d.call(this.children,t)}}("function"==typeof t?t:f(t)))},filter:function(t){var n;"function"!=typeof t&&(n=t,t=function(){return this.matches(n)});for(var e=this._groups,r=e.length,i=new Array(r),o=0;o<r;++o)for(var u,a=e[o],c=a.length,s=i[o]=[],l=0;l<c;++l)(u=a[l])&&t.call(u,u.__data__,l,a)&&s.push(u);return new ct(i,this._parents)},data:function(t,n){if(!arguments.length)return Array.from(this,M);var e,r=n?w:v,i=this._parents,o=this._groups;"function"!=typeof t&&(e=t,t=function(){return e});for(var u=o.length,a=new Array(u),c=new Array(u),s=new Array(u),l=0;l<u;++l){var f=i[l],h=o[l],g=h.length,d=b(t.call(f,f&&f.__data__,l,i)),p=d.length,m=c[l]=new Array(p),y=a[l]=new Array(p);r(f,h,m,y,s[l]=new Array(g),d,n);for(var x,_,T=0,C=0;T<p;++T)if(x=m[T]){for(T>=C&&(C=T+1);!(_=y[C])&&++C<p;);x._next=_||null}}return(a=new ct(a,i))._enter=c,a._exit=s,a},enter:function(){return new ct(this._enter||this._groups.map(m),this._parents)},exit:function(){return new ct(this._exit||this._groups.map(m),this._parents)},join:function(t,n,e){var r=this.enter(),i=this,o=this.exit();return"function"==typeof t?(r=t(r))&&(r=r.selection()):r=r.append(t+""),null!=n&&(i=n(i))&&(i=i.selection()),null==e?o.remove():e(o),r&&i?r.merge(i).order():i},merge:function(t){for(var n=t.selection?t.selection():t,e=this._groups,r=n._groups,i=e.length,o=r.length,u=Math.min(i,o),a=new Array(i),c=0;c<u;++c)for(var s,l=e[c],f=r[c],h=l.length,g=a[c]=new Array(h),d=0;d<h;++d)(s=l[d]||f[d])&&(g[d]=s);for(;c<i;++c)a[c]=e[c];return new ct(a,this._parents)},selection:function(){return this},order:function(){for(var t=this._groups,n=-1,e=t.length;++n<e;)for(var r,i=t[n],o=i.length-1,u=i[o];--o>=0;)(r=i[o])&&(u&&4^r.compareDocumentPosition(u)&&u.parentNode.insertBefore(r,u),u=r);return this},sort:function(t){function n(n,e){return n&&e?t(n.__data__,e.__data__):!n-!e}t||(t=x);for(var e=this._groups,r=e.length,i=new Array(r),o=0;o<r;++o){for(var u,a=e[o],c=a.length,s=i[o]=new Array(c),l=0;l<c;++l)(u=a[l])&&(s[l]=u);s.sort(n)}return new ct(i,this._parents).order()},call:function(){var t=arguments[0];return arguments[0]=this,t.apply(null,arguments),this},nodes:function(){return Array.from(this)},node:function(){for(var t=this._groups,n=0,e=t.length;n<e;++n)for(var r=t[n],i=0,o=r.length;i<o;++i){var u=r[i];if(u)return u}return null},size:function(){let t=0;for(const n of this)++t;return t},empty:function(){return!this.node()},each:function(t){for(var n=this._groups,e=0,r=n.length;e<r;++e)for(var i,o=n[e],u=0,a=o.length;u<a;++u)(i=o[u])&&t.call(i,i.__data__,u,o);return this},attr:function(t,n){var e=r(t);if(arguments.length<2){var i=this.node();return e.local?i.getAttributeNS(e.space,e.local):i.getAttribute(e)}return this.each((null==n?e.local?T:_:"function"==typeof n?e.local?k:U:e.local?A:C)(e,n))},style:function(t,n,e){return arguments.length>1?this.each((null==n?D:"function"==typeof n?F:S)(t,n,null==e?"":e)):function(t,n){return t.style.getPropertyValue(n)||N(t).getComputedStyle(t,null).getPropertyValue(n)}(this.node(),t)},property:function(t,n){return arguments.length>1?this.each((null==n?$:"function"==typeof n?Y:H)(t,n)):this.node()[t]},classed:function(t,n){var e=E(t+"");if(arguments.length<2){for(var r=L(this.node()),i=-1,o=e.length;++i<o;)if(!r.contains(e[i]))return!1;return!0}return this.each(("function"==typeof n?R:n?P:V)(e,n))},text:function(t){return arguments.length?this.each(null==t?z:("function"==typeof t?I:B)(t)):this.node().textContent},html:function(t){return arguments.length?this.each(null==t?Z:("function"==typeof t?W:X)(t)):this.node().innerHTML},raise:function(){return this.each(G)},lower:function(){return this.each(J)},append:function(t){var n="function"==typeof t?t:u(t);return this.select(function(){return this.appendChild(n.apply(this,arguments))})},insert:function(t,n){var e="function"==typeof t?t:u(t),r=null==n?Q:"function"==typeof n?n:c(n);return this.select(function(){return this.insertBefore(e.apply(this,arguments),r.apply(this,arguments)||null)})},remove:function(){return this.each(K)},clone:function(t){return this.select(t?nt:tt)},datum:function(t){return arguments.length?this.property("__data__",t):this.node().__data__},on:function(t,n,e){var r,i,o=function(t){return t.trim().split(/^|\s+/).map(function(t){var n="",e=t.indexOf(".");return e>=0&&(n=t.slice(e+1),t=t.slice(0,e)),{type:t,name:n}})}(t+""),u=o.length;if(!(arguments.length<2)){for(a=n?rt:et,r=0;r<u;++r)this.each(a(o[r],n,e));return this}var a=this.node().__on;if(a)for(var c,s=0,l=a.length;s<l;++s)for(r=0,c=a[s];r<u;++r)if((i=o[r]).type===c.type&&i.name===c.name)return c.value},dispatch:function(t,n){return this.each(("function"==typeof n?ut:ot)(t,n))},[Symbol.iterator]:function*(){for(var t=this._groups,n=0,e=t.length;n<e;++n)for(var r,i=t[n],o=0,u=i.length;o<u;++o)(r=i[o])&&(yield r)}};const gt=ft(st).right;ft(function(t){return null===t?NaN:+t}).center;class dt extends Map{constructor(t,n=mt){if(super(),Object.defineProperties(this,{_intern:{value:new Map},_key:{value:n}}),null!=t)for(const[e,r]of t)this.set(e,r)}get(t){return super.get(pt(this,t))}has(t){return super.has(pt(this,t))}set(t,n){return super.set(function({_intern:t,_key:n},e){const r=n(e);return t.has(r)?t.get(r):(t.set(r,e),e)}(this,t),n)}delete(t){return super.delete(function({_intern:t,_key:n},e){const r=n(e);return t.has(r)&&(e=t.get(r),t.delete(r)),e}(this,t))}}function pt({_intern:t,_key:n},e){const r=n(e);return t.has(r)?t.get(r):e}function mt(t){return null!==t&&"object"==typeof t?t.valueOf():t}function yt(t){return t}const vt=Math.sqrt(50),wt=Math.sqrt(10),Mt=Math.sqrt(2);function bt(t,n,e){const r=(n-t)/Math.max(0,e),i=Math.floor(Math.log10(r)),o=r/Math.pow(10,i),u=o>=vt?10:o>=wt?5:o>=Mt?2:1;let a,c,s;return i<0?(s=Math.pow(10,-i)/u,a=Math.round(t*s),c=Math.round(n*s),a/s<t&&++a,c/s>n&&--c,s=-s):(s=Math.pow(10,i)*u,a=Math.round(t/s),c=Math.round(n/s),a*s<t&&++a,c*s>n&&--c),c<a&&.5<=e&&e<2?bt(t,n,2*e):[a,c,s]}function xt(t,n,e){return bt(t=+t,n=+n,e=+e)[2]}function _t(t,n,e){e=+e;const r=(n=+n)<(t=+t),i=r?xt(n,t,e):xt(t,n,e);return(r?-1:1)*(i<0?1/-i:i)}function Tt(t,n){switch(arguments.length){case 0:break;case 1:this.range(t);break;default:this.range(n).domain(t)}return this}const Ct=Symbol("implicit");function At(){var t=new dt,n=[],e=[],r=Ct;function i(i){let o=t.get(i);if(void 0===o){if(r!==Ct)return r;t.set(i,o=n.push(i)-1)}return e[o%e.length]}return i.domain=function(e){if(!arguments.length)return n.slice();n=[],t=new dt;for(const r of e)t.has(r)||t.set(r,n.push(r)-1);return i},i.range=function(t){return arguments.length?(e=Array.from(t),i):e.slice()},i.unknown=function(t){return arguments.length?(r=t,i):r},i.copy=function(){return At(n,e).unknown(r)},Tt.apply(i,arguments),i}function Ut(t,n,e){t.prototype=n.prototype=e,e.constructor=t}function kt(t,n){var e=Object.create(t.prototype);for(var r in n)e[r]=n[r];return e}function Nt(){}var Dt=.7,St=1/Dt,Ft="\\s*([+-]?\\d+)\\s*",$t="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)\\s*",Ht="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)%\\s*",Yt=/^#([0-9a-f]{3,8})$/,Et=new RegExp(`^rgb\\(${Ft},${Ft},${Ft}\\)$`),Lt=new RegExp(`^rgb\\(${Ht},${Ht},${Ht}\\)$`),qt=new RegExp(`^rgba\\(${Ft},${Ft},${Ft},${$t}\\)$`),Ot=new RegExp(`^rgba\\(${Ht},${Ht},${Ht},${$t}\\)$`),jt=new RegExp(`^hsl\\(${$t},${Ht},${Ht}\\)$`),Pt=new RegExp(`^hsla\\(${$t},${Ht},${Ht},${$t}\\)$`),Vt={aliceblue:15792383,antiquewhite:16444375,aqua:65535,aquamarine:8388564,azure:15794175,beige:16119260,bisque:16770244,black:0,blanchedalmond:16772045,blue:255,blueviolet:9055202,brown:10824234,burlywood:14596231,cadetblue:6266528,chartreuse:8388352,chocolate:13789470,coral:16744272,cornflowerblue:6591981,cornsilk:16775388,crimson:14423100,cyan:65535,darkblue:139,darkcyan:35723,darkgoldenrod:12092939,darkgray:11119017,darkgreen:25600,darkgrey:11119017,darkkhaki:12433259,darkmagenta:9109643,darkolivegreen:5597999,darkorange:16747520,darkorchid:10040012,darkred:9109504,darksalmon:15308410,darkseagreen:9419919,darkslateblue:4734347,darkslategray:3100495,darkslategrey:3100495,darkturquoise:52945,darkviolet:9699539,deeppink:16716947,deepskyblue:49151,dimgray:6908265,dimgrey:6908265,dodgerblue:2003199,firebrick:11674146,floralwhite:16775920,forestgreen:2263842,fuchsia:16711935,gainsboro:14474460,ghostwhite:16316671,gold:16766720,goldenrod:14329120,gray:8421504,green:32768,greenyellow:11403055,grey:8421504,honeydew:15794160,hotpink:16738740,indianred:13458524,indigo:4915330,ivory:16777200,khaki:15787660,lavender:15132410,lavenderblush:16773365,lawngreen:8190976,lemonchiffon:16775885,lightblue:11393254,lightcoral:15761536,lightcyan:14745599,lightgoldenrodyellow:16448210,lightgray:13882323,lightgreen:9498256,lightgrey:13882323,lightpink:16758465,lightsalmon:16752762,lightseagreen:2142890,lightskyblue:8900346,lightslategray:7833753,lightslategrey:7833753,lightsteelblue:11584734,lightyellow:16777184,lime:65280,limegreen:3329330,linen:16445670,magenta:16711935,maroon:8388608,mediumaquamarine:6737322,mediumblue:205,mediumorchid:12211667,mediumpurple:9662683,mediumseagreen:3978097,mediumslateblue:8087790,mediumspringgreen:64154,mediumturquoise:4772300,mediumvioletred:13047173,midnightblue:1644912,mintcream:16121850,mistyrose:16770273,moccasin:16770229,navajowhite:16768685,navy:128,oldlace:16643558,olive:8421376,olivedrab:7048739,orange:16753920,orangered:16729344,orchid:14315734,palegoldenrod:15657130,palegreen:10025880,paleturquoise:11529966,palevioletred:14381203,papayawhip:16773077,peachpuff:16767673,peru:13468991,pink:16761035,plum:14524637,powderblue:11591910,purple:8388736,rebeccapurple:6697881,red:16711680,rosybrown:12357519,royalblue:4286945,saddlebrown:9127187,salmon:16416882,sandybrown:16032864,seagreen:3050327,seashell:16774638,sienna:10506797,silver:12632256,skyblue:8900331,slateblue:6970061,slategray:7372944,slategrey:7372944,snow:16775930,springgreen:65407,steelblue:4620980,tan:13808780,teal:32896,thistle:14204888,tomato:16737095,turquoise:4251856,violet:15631086,wheat:16113331,white:16777215,whitesmoke:16119285,yellow:16776960,yellowgreen:10145074};function Rt(){return this.rgb().formatHex()}function zt(){return this.rgb().formatRgb()}function Bt(t){var n,e;return t=(t+"").trim().toLowerCase(),(n=Yt.exec(t))?(e=n[1].length,n=parseInt(n[1],16),6===e?It(n):3===e?new Wt(n>>8&15|n>>4&240,n>>4&15|240&n,(15&n)<<4|15&n,1):8===e?Zt(n>>24&255,n>>16&255,n>>8&255,(255&n)/255):4===e?Zt(n>>12&15|n>>8&240,n>>8&15|n>>4&240,n>>4&15|240&n,((15&n)<<4|15&n)/255):null):(n=Et.exec(t))?new Wt(n[1],n[2],n[3],1):(n=Lt.exec(t))?new Wt(255*n[1]/100,255*n[2]/100,255*n[3]/100,1):(n=qt.exec(t))?Zt(n[1],n[2],n[3],n[4]):(n=Ot.exec(t))?Zt(255*n[1]/100,255*n[2]/100,255*n[3]/100,n[4]):(n=jt.exec(t))?nn(n[1],n[2]/100,n[3]/100,1):(n=Pt.exec(t))?nn(n[1],n[2]/100,n[3]/100,n[4]):Vt.hasOwnProperty(t)?It(Vt[t]):"transparent"===t?new Wt(NaN,NaN,NaN,0):null}function It(t){return new Wt(t>>16&255,t>>8&255,255&t,1)}function Zt(t,n,e,r){return r<=0&&(t=n=e=NaN),new Wt(t,n,e,r)}function Xt(t,n,e,r){return 1===arguments.length?((i=t)instanceof Nt||(i=Bt(i)),i?new Wt((i=i.rgb()).r,i.g,i.b,i.opacity):new Wt):new Wt(t,n,e,null==r?1:r);var i}function Wt(t,n,e,r){this.r=+t,this.g=+n,this.b=+e,this.opacity=+r}function Gt(){return`#${tn(this.r)}${tn(this.g)}${tn(this.b)}`}function Jt(){const t=Qt(this.opacity);return`${1===t?"rgb(":"rgba("}${Kt(this.r)}, ${Kt(this.g)}, ${Kt(this.b)}${1===t?")":`, ${t})`}`}function Qt(t){return isNaN(t)?1:Math.max(0,Math.min(1,t))}function Kt(t){return Math.max(0,Math.min(255,Math.round(t)||0))}function tn(t){return((t=Kt(t))<16?"0":"")+t.toString(16)}function nn(t,n,e,r){return r<=0?t=n=e=NaN:e<=0||e>=1?t=n=NaN:n<=0&&(t=NaN),new on(t,n,e,r)}function en(t){if(t instanceof on)return new on(t.h,t.s,t.l,t.opacity);if(t instanceof Nt||(t=Bt(t)),!t)return new on;if(t instanceof on)return t;var n=(t=t.rgb()).r/255,e=t.g/255,r=t.b/255,i=Math.min(n,e,r),o=Math.max(n,e,r),u=NaN,a=o-i,c=(o+i)/2;return a?(u=n===o?(e-r)/a+6*(e<r):e===o?(r-n)/a+2:(n-e)/a+4,a/=c<.5?o+i:2-o-i,u*=60):a=c>0&&c<1?0:u,new on(u,a,c,t.opacity)}function rn(t,n,e,r){return 1===arguments.length?en(t):new on(t,n,e,null==r?1:r)}function on(t,n,e,r){this.h=+t,this.s=+n,this.l=+e,this.opacity=+r}function un(t){return(t=(t||0)%360)<0?t+360:t}function an(t){return Math.max(0,Math.min(1,t||0))}function cn(t,n,e){return 255*(t<60?n+(e-n)*t/60:t<180?e:t<240?n+(e-n)*(240-t)/60:n)}Ut(Nt,Bt,{copy(t){return Object.assign(new this.constructor,this,t)},displayable(){return this.rgb().displayable()},hex:Rt,formatHex:Rt,formatHex8:function(){return this.rgb().formatHex8()},formatHsl:function(){return en(this).formatHsl()},formatRgb:zt,toString:zt}),Ut(Wt,Xt,kt(Nt,{brighter(t){return t=null==t?St:Math.pow(St,t),new Wt(this.r*t,this.g*t,this.b*t,this.opacity)},darker(t){return t=null==t?Dt:Math.pow(Dt,t),new Wt(this.r*t,this.g*t,this.b*t,this.opacity)},rgb(){return this},clamp(){return new Wt(Kt(this.r),Kt(this.g),Kt(this.b),Qt(this.opacity))},displayable(){return-.5<=this.r&&this.r<255.5&&-.5<=this.g&&this.g<255.5&&-.5<=this.b&&this.b<255.5&&0<=this.opacity&&this.opacity<=1},hex:Gt,formatHex:Gt,formatHex8:function(){return`#${tn(this.r)}${tn(this.g)}${tn(this.b)}${tn(255*(isNaN(this.opacity)?1:this.opacity))}`},formatRgb:Jt,toString:Jt})),Ut(on,rn,kt(Nt,{brighter(t){return t=null==t?St:Math.pow(St,t),new on(this.h,this.s,this.l*t,this.opacity)},darker(t){return t=null==t?Dt:Math.pow(Dt,t),new on(this.h,this.s,this.l*t,this.opacity)},rgb(){var t=this.h%360+360*(this.h<0),n=isNaN(t)||isNaN(this.s)?0:this.s,e=this.l,r=e+(e<.5?e:1-e)*n,i=2*e-r;return new Wt(cn(t>=240?t-240:t+120,i,r),cn(t,i,r),cn(t<120?t+240:t-120,i,r),this.opacity)},clamp(){return new on(un(this.h),an(this.s),an(this.l),Qt(this.opacity))},displayable(){return(0<=this.s&&this.s<=1||isNaN(this.s))&&0<=this.l&&this.l<=1&&0<=this.opacity&&this.opacity<=1},formatHsl(){const t=Qt(this.opacity);return`${1===t?"hsl(":"hsla("}${un(this.h)}, ${100*an(this.s)}%, ${100*an(this.l)}%${1===t?")":`, ${t})`}`}}));const sn=t=>()=>t;function ln(t,n){var e=n-t;return e?function(t,n){return function(e){return t+e*n}}(t,e):sn(isNaN(t)?n:t)}const fn=function t(n){var e=function(t){return 1===(t=+t)?ln:function(n,e){return e-n?function(t,n,e){return t=Math.pow(t,e),n=Math.pow(n,e)-t,e=1/e,function(r){return Math.pow(t+r*n,e)}}(n,e,t):sn(isNaN(n)?e:n)}}(n);function r(t,n){var r=e((t=Xt(t)).r,(n=Xt(n)).r),i=e(t.g,n.g),o=e(t.b,n.b),u=ln(t.opacity,n.opacity);return function(n){return t.r=r(n),t.g=i(n),t.b=o(n),t.opacity=u(n),t+""}}return r.gamma=t,r}(1);function hn(t,n){n||(n=[]);var e,r=t?Math.min(n.length,t.length):0,i=n.slice();return function(o){for(e=0;e<r;++e)i[e]=t[e]*(1-o)+n[e]*o;return i}}function gn(t,n){var e,r=n?n.length:0,i=t?Math.min(r,t.length):0,o=new Array(i),u=new Array(r);for(e=0;e<i;++e)o[e]=Mn(t[e],n[e]);for(;e<r;++e)u[e]=n[e];return function(t){for(e=0;e<i;++e)u[e]=o[e](t);return u}}function dn(t,n){var e=new Date;return t=+t,n=+n,function(r){return e.setTime(t*(1-r)+n*r),e}}function pn(t,n){return t=+t,n=+n,function(e){return t*(1-e)+n*e}}function mn(t,n){var e,r={},i={};for(e in null!==t&&"object"==typeof t||(t={}),null!==n&&"object"==typeof n||(n={}),n)e in t?r[e]=Mn(t[e],n[e]):i[e]=n[e];return function(t){for(e in r)i[e]=r[e](t);return i}}var yn=/[-+]?(?:\d+\.?\d*|\.?\d+)(?:[eE][-+]?\d+)?/g,vn=new RegExp(yn.source,"g");function wn(t,n){var e,r,i,o=yn.lastIndex=vn.lastIndex=0,u=-1,a=[],c=[];for(t+="",n+="";(e=yn.exec(t))&&(r=vn.exec(n));)(i=r.index)>o&&(i=n.slice(o,i),a[u]?a[u]+=i:a[++u]=i),(e=e[0])===(r=r[0])?a[u]?a[u]+=r:a[++u]=r:(a[++u]=null,c.push({i:u,x:pn(e,r)})),o=vn.lastIndex;return o<n.length&&(i=n.slice(o),a[u]?a[u]+=i:a[++u]=i),a.length<2?c[0]?function(t){return function(n){return t(n)+""}}(c[0].x):function(t){return function(){return t}}(n):(n=c.length,function(t){for(var e,r=0;r<n;++r)a[(e=c[r]).i]=e.x(t);return a.join("")})}function Mn(t,n){var e,r,i=typeof n;return null==n||"boolean"===i?sn(n):("number"===i?pn:"string"===i?(e=Bt(n))?(n=e,fn):wn:n instanceof Bt?fn:n instanceof Date?dn:(r=n,!ArrayBuffer.isView(r)||r instanceof DataView?Array.isArray(n)?gn:"function"!=typeof n.valueOf&&"function"!=typeof n.toString||isNaN(n)?mn:pn:hn))(t,n)}function bn(t,n){return t=+t,n=+n,function(e){return Math.round(t*(1-e)+n*e)}}function xn(t){return+t}var _n=[0,1];function Tn(t){return t}function Cn(t,n){return(n-=t=+t)?function(e){return(e-t)/n}:(e=isNaN(n)?NaN:.5,function(){return e});var e}function An(t,n,e){var r=t[0],i=t[1],o=n[0],u=n[1];return i<r?(r=Cn(i,r),o=e(u,o)):(r=Cn(r,i),o=e(o,u)),function(t){return o(r(t))}}function Un(t,n,e){var r=Math.min(t.length,n.length)-1,i=new Array(r),o=new Array(r),u=-1;for(t[r]<t[0]&&(t=t.slice().reverse(),n=n.slice().reverse());++u<r;)i[u]=Cn(t[u],t[u+1]),o[u]=e(n[u],n[u+1]);return function(n){var e=gt(t,n,1,r)-1;return o[e](i[e](n))}}function kn(t,n){return n.domain(t.domain()).range(t.range()).interpolate(t.interpolate()).clamp(t.clamp()).unknown(t.unknown())}function Nn(){return function(){var t,n,e,r,i,o,u=_n,a=_n,c=Mn,s=Tn;function l(){var t,n,e,c=Math.min(u.length,a.length);return s!==Tn&&(t=u[0],n=u[c-1],t>n&&(e=t,t=n,n=e),s=function(e){return Math.max(t,Math.min(n,e))}),r=c>2?Un:An,i=o=null,f}function f(n){return null==n||isNaN(n=+n)?e:(i||(i=r(u.map(t),a,c)))(t(s(n)))}return f.invert=function(e){return s(n((o||(o=r(a,u.map(t),pn)))(e)))},f.domain=function(t){return arguments.length?(u=Array.from(t,xn),l()):u.slice()},f.range=function(t){return arguments.length?(a=Array.from(t),l()):a.slice()},f.rangeRound=function(t){return a=Array.from(t),c=bn,l()},f.clamp=function(t){return arguments.length?(s=!!t||Tn,l()):s!==Tn},f.interpolate=function(t){return arguments.length?(c=t,l()):c},f.unknown=function(t){return arguments.length?(e=t,f):e},function(e,r){return t=e,n=r,l()}}()(Tn,Tn)}function Dn(t,n){if((e=(t=n?t.toExponential(n-1):t.toExponential()).indexOf("e"))<0)return null;var e,r=t.slice(0,e);return[r.length>1?r[0]+r.slice(2):r,+t.slice(e+1)]}function Sn(t){return(t=Dn(Math.abs(t)))?t[1]:NaN}var Fn,$n=/^(?:(.)?([<>=^]))?([+\-( ])?([$#])?(0)?(\d+)?(,)?(\.\d+)?(~)?([a-z%])?$/i;function Hn(t){if(!(n=$n.exec(t)))throw new Error("invalid format: "+t);var n;return new Yn({fill:n[1],align:n[2],sign:n[3],symbol:n[4],zero:n[5],width:n[6],comma:n[7],precision:n[8]&&n[8].slice(1),trim:n[9],type:n[10]})}function Yn(t){this.fill=void 0===t.fill?" ":t.fill+"",this.align=void 0===t.align?">":t.align+"",this.sign=void 0===t.sign?"-":t.sign+"",this.symbol=void 0===t.symbol?"":t.symbol+"",this.zero=!!t.zero,this.width=void 0===t.width?void 0:+t.width,this.comma=!!t.comma,this.precision=void 0===t.precision?void 0:+t.precision,this.trim=!!t.trim,this.type=void 0===t.type?"":t.type+""}function En(t,n){var e=Dn(t,n);if(!e)return t+"";var r=e[0],i=e[1];return i<0?"0."+new Array(-i).join("0")+r:r.length>i+1?r.slice(0,i+1)+"."+r.slice(i+1):r+new Array(i-r.length+2).join("0")}Hn.prototype=Yn.prototype,Yn.prototype.toString=function(){return this.fill+this.align+this.sign+this.symbol+(this.zero?"0":"")+(void 0===this.width?"":Math.max(1,0|this.width))+(this.comma?",":"")+(void 0===this.precision?"":"."+Math.max(0,0|this.precision))+(this.trim?"~":"")+this.type};const Ln={"%":(t,n)=>(100*t).toFixed(n),b:t=>Math.round(t).toString(2),c:t=>t+"",d:function(t){return Math.abs(t=Math.round(t))>=1e21?t.toLocaleString("en").replace(/,/g,""):t.toString(10)},e:(t,n)=>t.toExponential(n),f:(t,n)=>t.toFixed(n),g:(t,n)=>t.toPrecision(n),o:t=>Math.round(t).toString(8),p:(t,n)=>En(100*t,n),r:En,s:function(t,n){var e=Dn(t,n);if(!e)return t+"";var r=e[0],i=e[1],o=i-(Fn=3*Math.max(-8,Math.min(8,Math.floor(i/3))))+1,u=r.length;return o===u?r:o>u?r+new Array(o-u+1).join("0"):o>0?r.slice(0,o)+"."+r.slice(o):"0."+new Array(1-o).join("0")+Dn(t,Math.max(0,n+o-1))[0]},X:t=>Math.round(t).toString(16).toUpperCase(),x:t=>Math.round(t).toString(16)};function qn(t){return t}var On,jn,Pn=Array.prototype.map,Vn=["y","z","a","f","p","n","µ","m","","k","M","G","T","P","E","Z","Y"];function Rn(n){var e=n.domain;return n.ticks=function(t){var n=e();return function(t,n,e){if(!((e=+e)>0))return[];if((t=+t)===(n=+n))return[t];const r=n<t,[i,o,u]=r?bt(n,t,e):bt(t,n,e);if(!(o>=i))return[];const a=o-i+1,c=new Array(a);if(r)if(u<0)for(let s=0;s<a;++s)c[s]=(o-s)/-u;else for(let s=0;s<a;++s)c[s]=(o-s)*u;else if(u<0)for(let s=0;s<a;++s)c[s]=(i+s)/-u;else for(let s=0;s<a;++s)c[s]=(i+s)*u;return c}(n[0],n[n.length-1],null==t?10:t)},n.tickFormat=function(n,r){var i=e();return function(n,e,r,i){var o,u=_t(n,e,r);switch((i=Hn(null==i?",f":i)).type){case"s":var a=Math.max(Math.abs(n),Math.abs(e));return null!=i.precision||isNaN(o=function(t,n){return Math.max(0,3*Math.max(-8,Math.min(8,Math.floor(Sn(n)/3)))-Sn(Math.abs(t)))}(u,a))||(i.precision=o),jn(i,a);case"":case"e":case"g":case"p":case"r":null!=i.precision||isNaN(o=function(t,n){return t=Math.abs(t),n=Math.abs(n)-t,Math.max(0,Sn(n)-Sn(t))+1}(u,Math.max(Math.abs(n),Math.abs(e))))||(i.precision=o-("e"===i.type));break;case"f":case"%":null!=i.precision||isNaN(o=function(t){return Math.max(0,-Sn(Math.abs(t)))}(u))||(i.precision=o-2*("%"===i.type))}return t.format(i)}(i[0],i[i.length-1],null==n?10:n,r)},n.nice=function(t){null==t&&(t=10);var r,i,o=e(),u=0,a=o.length-1,c=o[u],s=o[a],l=10;for(s<c&&(i=c,c=s,s=i,i=u,u=a,a=i);l-- >0;){if((i=xt(c,s,t))===r)return o[u]=c,o[a]=s,e(o);if(i>0)c=Math.floor(c/i)*i,s=Math.ceil(s/i)*i;else{if(!(i<0))break;c=Math.ceil(c*i)/i,s=Math.floor(s*i)/i}r=i}return n},n}t.format=void 0,On=function(t){var n,e,r=void 0===t.grouping||void 0===t.thousands?qn:(n=Pn.call(t.grouping,Number),e=t.thousands+"",function(t,r){for(var i=t.length,o=[],u=0,a=n[0],c=0;i>0&&a>0&&(c+a+1>r&&(a=Math.max(1,r-c)),o.push(t.substring(i-=a,i+a)),!((c+=a+1)>r));)a=n[u=(u+1)%n.length];return o.reverse().join(e)}),i=void 0===t.currency?"":t.currency[0]+"",o=void 0===t.currency?"":t.currency[1]+"",u=void 0===t.decimal?".":t.decimal+"",a=void 0===t.numerals?qn:function(t){return function(n){return n.replace(/[0-9]/g,function(n){return t[+n]})}}(Pn.call(t.numerals,String)),c=void 0===t.percent?"%":t.percent+"",s=void 0===t.minus?"−":t.minus+"",l=void 0===t.nan?"NaN":t.nan+"";function f(t){var n=(t=Hn(t)).fill,e=t.align,f=t.sign,h=t.symbol,g=t.zero,d=t.width,p=t.comma,m=t.precision,y=t.trim,v=t.type;"n"===v?(p=!0,v="g"):Ln[v]||(void 0===m&&(m=12),y=!0,v="g"),(g||"0"===n&&"="===e)&&(g=!0,n="0",e="=");var w="$"===h?i:"#"===h&&/[boxX]/.test(v)?"0"+v.toLowerCase():"",M="$"===h?o:/[%p]/.test(v)?c:"",b=Ln[v],x=/[defgprs%]/.test(v);function _(t){var i,o,c,h=w,_=M;if("c"===v)_=b(t)+_,t="";else{var T=(t=+t)<0||1/t<0;if(t=isNaN(t)?l:b(Math.abs(t),m),y&&(t=function(t){t:for(var n,e=t.length,r=1,i=-1;r<e;++r)switch(t[r]){case".":i=n=r;break;case"0":0===i&&(i=r),n=r;break;default:if(!+t[r])break t;i>0&&(i=0)}return i>0?t.slice(0,i)+t.slice(n+1):t}(t)),T&&0===+t&&"+"!==f&&(T=!1),h=(T?"("===f?f:s:"-"===f||"("===f?"":f)+h,_=("s"===v?Vn[8+Fn/3]:"")+_+(T&&"("===f?")":""),x)for(i=-1,o=t.length;++i<o;)if(48>(c=t.charCodeAt(i))||c>57){_=(46===c?u+t.slice(i+1):t.slice(i))+_,t=t.slice(0,i);break}}p&&!g&&(t=r(t,1/0));var C=h.length+t.length+_.length,A=C<d?new Array(d-C+1).join(n):"";switch(p&&g&&(t=r(A+t,A.length?d-_.length:1/0),A=""),e){case"<":t=h+t+_+A;break;case"=":t=h+A+t+_;break;case"^":t=A.slice(0,C=A.length>>1)+h+t+_+A.slice(C);break;default:t=A+h+t+_}return a(t)}return m=void 0===m?6:/[gprs]/.test(v)?Math.max(1,Math.min(21,m)):Math.max(0,Math.min(20,m)),_.toString=function(){return t+""},_}return{format:f,formatPrefix:function(t,n){var e=f(((t=Hn(t)).type="f",t)),r=3*Math.max(-8,Math.min(8,Math.floor(Sn(n)/3))),i=Math.pow(10,-r),o=Vn[8+r/3];return function(t){return e(i*t)+o}}}}({thousands:",",grouping:[3],currency:["$",""]}),t.format=On.format,jn=On.formatPrefix;const zn=new Date,Bn=new Date;function In(t,n,e,r){function i(n){return t(n=0===arguments.length?new Date:new Date(+n)),n}return i.floor=n=>(t(n=new Date(+n)),n),i.ceil=e=>(t(e=new Date(e-1)),n(e,1),t(e),e),i.round=t=>{const n=i(t),e=i.ceil(t);return t-n<e-t?n:e},i.offset=(t,e)=>(n(t=new Date(+t),null==e?1:Math.floor(e)),t),i.range=(e,r,o)=>{const u=[];if(e=i.ceil(e),o=null==o?1:Math.floor(o),!(e<r&&o>0))return u;let a;do{u.push(a=new Date(+e)),n(e,o),t(e)}while(a<e&&e<r);return u},i.filter=e=>In(n=>{if(n>=n)for(;t(n),!e(n);)n.setTime(n-1)},(t,r)=>{if(t>=t)if(r<0)for(;++r<=0;)for(;n(t,-1),!e(t););else for(;--r>=0;)for(;n(t,1),!e(t););}),e&&(i.count=(n,r)=>(zn.setTime(+n),Bn.setTime(+r),t(zn),t(Bn),Math.floor(e(zn,Bn))),i.every=t=>(t=Math.floor(t),isFinite(t)&&t>0?t>1?i.filter(r?n=>r(n)%t===0:n=>i.count(0,n)%t===0):i:null)),i}const Zn=In(()=>{},(t,n)=>{t.setTime(+t+n)},(t,n)=>n-t);Zn.every=t=>(t=Math.floor(t),isFinite(t)&&t>0?t>1?In(n=>{n.setTime(Math.floor(n/t)*t)},(n,e)=>{n.setTime(+n+e*t)},(n,e)=>(e-n)/t):Zn:null),Zn.range;const Xn=1e3,Wn=6e4,Gn=36e5,Jn=864e5,Qn=6048e5,Kn=31536e6,te=In(t=>{t.setTime(t-t.getMilliseconds())},(t,n)=>{t.setTime(+t+n*Xn)},(t,n)=>(n-t)/Xn,t=>t.getUTCSeconds());te.range,In(t=>{t.setTime(t-t.getMilliseconds()-t.getSeconds()*Xn)},(t,n)=>{t.setTime(+t+n*Wn)},(t,n)=>(n-t)/Wn,t=>t.getMinutes()).range;const ne=In(t=>{t.setUTCSeconds(0,0)},(t,n)=>{t.setTime(+t+n*Wn)},(t,n)=>(n-t)/Wn,t=>t.getUTCMinutes());ne.range,In(t=>{t.setTime(t-t.getMilliseconds()-t.getSeconds()*Xn-t.getMinutes()*Wn)},(t,n)=>{t.setTime(+t+n*Gn)},(t,n)=>(n-t)/Gn,t=>t.getHours()).range;const ee=In(t=>{t.setUTCMinutes(0,0,0)},(t,n)=>{t.setTime(+t+n*Gn)},(t,n)=>(n-t)/Gn,t=>t.getUTCHours());ee.range;const re=In(t=>t.setHours(0,0,0,0),(t,n)=>t.setDate(t.getDate()+n),(t,n)=>(n-t-(n.getTimezoneOffset()-t.getTimezoneOffset())*Wn)/Jn,t=>t.getDate()-1);re.range;const ie=In(t=>{t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCDate(t.getUTCDate()+n)},(t,n)=>(n-t)/Jn,t=>t.getUTCDate()-1);ie.range;const oe=In(t=>{t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCDate(t.getUTCDate()+n)},(t,n)=>(n-t)/Jn,t=>Math.floor(t/Jn));function ue(t){return In(n=>{n.setDate(n.getDate()-(n.getDay()+7-t)%7),n.setHours(0,0,0,0)},(t,n)=>{t.setDate(t.getDate()+7*n)},(t,n)=>(n-t-(n.getTimezoneOffset()-t.getTimezoneOffset())*Wn)/Qn)}oe.range;const ae=ue(0),ce=ue(1),se=ue(2),le=ue(3),fe=ue(4),he=ue(5),ge=ue(6);function de(t){return In(n=>{n.setUTCDate(n.getUTCDate()-(n.getUTCDay()+7-t)%7),n.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCDate(t.getUTCDate()+7*n)},(t,n)=>(n-t)/Qn)}ae.range,ce.range,se.range,le.range,fe.range,he.range,ge.range;const pe=de(0),me=de(1),ye=de(2),ve=de(3),we=de(4),Me=de(5),be=de(6);pe.range,me.range,ye.range,ve.range,we.range,Me.range,be.range,In(t=>{t.setDate(1),t.setHours(0,0,0,0)},(t,n)=>{t.setMonth(t.getMonth()+n)},(t,n)=>n.getMonth()-t.getMonth()+12*(n.getFullYear()-t.getFullYear()),t=>t.getMonth()).range;const xe=In(t=>{t.setUTCDate(1),t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCMonth(t.getUTCMonth()+n)},(t,n)=>n.getUTCMonth()-t.getUTCMonth()+12*(n.getUTCFullYear()-t.getUTCFullYear()),t=>t.getUTCMonth());xe.range;const _e=In(t=>{t.setMonth(0,1),t.setHours(0,0,0,0)},(t,n)=>{t.setFullYear(t.getFullYear()+n)},(t,n)=>n.getFullYear()-t.getFullYear(),t=>t.getFullYear());_e.every=t=>isFinite(t=Math.floor(t))&&t>0?In(n=>{n.setFullYear(Math.floor(n.getFullYear()/t)*t),n.setMonth(0,1),n.setHours(0,0,0,0)},(n,e)=>{n.setFullYear(n.getFullYear()+e*t)}):null,_e.range;const Te=In(t=>{t.setUTCMonth(0,1),t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCFullYear(t.getUTCFullYear()+n)},(t,n)=>n.getUTCFullYear()-t.getUTCFullYear(),t=>t.getUTCFullYear());Te.every=t=>isFinite(t=Math.floor(t))&&t>0?In(n=>{n.setUTCFullYear(Math.floor(n.getUTCFullYear()/t)*t),n.setUTCMonth(0,1),n.setUTCHours(0,0,0,0)},(n,e)=>{n.setUTCFullYear(n.getUTCFullYear()+e*t)}):null,Te.range;const[Ce,Ae]=function(t,n,e,r,i,o){const u=[[te,1,Xn],[te,5,5e3],[te,15,15e3],[te,30,3e4],[o,1,Wn],[o,5,3e5],[o,15,9e5],[o,30,18e5],[i,1,Gn],[i,3,108e5],[i,6,216e5],[i,12,432e5],[r,1,Jn],[r,2,1728e5],[e,1,Qn],[n,1,2592e6],[n,3,7776e6],[t,1,Kn]];function a(n,e,r){const i=Math.abs(e-n)/r,o=ft(([,,t])=>t).right(u,i);if(o===u.length)return t.every(_t(n/Kn,e/Kn,r));if(0===o)return Zn.every(Math.max(_t(n,e,r),1));const[a,c]=u[i/u[o-1][2]<u[o][2]/i?o-1:o];return a.every(c)}return[function(t,n,e){const r=n<t;r&&([t,n]=[n,t]);const i=e&&"function"==typeof e.range?e:a(t,n,e),o=i?i.range(t,+n+1):[];return r?o.reverse():o},a]}(Te,xe,pe,oe,ee,ne);function Ue(t){if(0<=t.y&&t.y<100){var n=new Date(-1,t.m,t.d,t.H,t.M,t.S,t.L);return n.setFullYear(t.y),n}return new Date(t.y,t.m,t.d,t.H,t.M,t.S,t.L)}function ke(t){if(0<=t.y&&t.y<100){var n=new Date(Date.UTC(-1,t.m,t.d,t.H,t.M,t.S,t.L));return n.setUTCFullYear(t.y),n}return new Date(Date.UTC(t.y,t.m,t.d,t.H,t.M,t.S,t.L))}function Ne(t,n,e){return{y:t,m:n,d:e,H:0,M:0,S:0,L:0}}var De,Se,Fe={"-":"",_:" ",0:"0"},$e=/^\s*\d+/,He=/^%/,Ye=/[\\^$*+?|[\]().{}]/g;function Ee(t,n,e){var r=t<0?"-":"",i=(r?-t:t)+"",o=i.length;return r+(o<e?new Array(e-o+1).join(n)+i:i)}function Le(t){return t.replace(Ye,"\\$&")}function qe(t){return new RegExp("^(?:"+t.map(Le).join("|")+")","i")}function Oe(t){return new Map(t.map((t,n)=>[t.toLowerCase(),n]))}function je(t,n,e){var r=$e.exec(n.slice(e,e+1));return r?(t.w=+r[0],e+r[0].length):-1}function Pe(t,n,e){var r=$e.exec(n.slice(e,e+1));return r?(t.u=+r[0],e+r[0].length):-1}function Ve(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.U=+r[0],e+r[0].length):-1}function Re(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.V=+r[0],e+r[0].length):-1}function ze(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.W=+r[0],e+r[0].length):-1}function Be(t,n,e){var r=$e.exec(n.slice(e,e+4));return r?(t.y=+r[0],e+r[0].length):-1}function Ie(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.y=+r[0]+(+r[0]>68?1900:2e3),e+r[0].length):-1}function Ze(t,n,e){var r=/^(Z)|([+-]\d\d)(?::?(\d\d))?/.exec(n.slice(e,e+6));return r?(t.Z=r[1]?0:-(r[2]+(r[3]||"00")),e+r[0].length):-1}function Xe(t,n,e){var r=$e.exec(n.slice(e,e+1));return r?(t.q=3*r[0]-3,e+r[0].length):-1}function We(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.m=r[0]-1,e+r[0].length):-1}function Ge(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.d=+r[0],e+r[0].length):-1}function Je(t,n,e){var r=$e.exec(n.slice(e,e+3));return r?(t.m=0,t.d=+r[0],e+r[0].length):-1}function Qe(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.H=+r[0],e+r[0].length):-1}function Ke(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.M=+r[0],e+r[0].length):-1}function tr(t,n,e){var r=$e.exec(n.slice(e,e+2));return r?(t.S=+r[0],e+r[0].length):-1}function nr(t,n,e){var r=$e.exec(n.slice(e,e+3));return r?(t.L=+r[0],e+r[0].length):-1}function er(t,n,e){var r=$e.exec(n.slice(e,e+6));return r?(t.L=Math.floor(r[0]/1e3),e+r[0].length):-1}function rr(t,n,e){var r=He.exec(n.slice(e,e+1));return r?e+r[0].length:-1}function ir(t,n,e){var r=$e.exec(n.slice(e));return r?(t.Q=+r[0],e+r[0].length):-1}function or(t,n,e){var r=$e.exec(n.slice(e));return r?(t.s=+r[0],e+r[0].length):-1}function ur(t,n){return Ee(t.getDate(),n,2)}function ar(t,n){return Ee(t.getHours(),n,2)}function cr(t,n){return Ee(t.getHours()%12||12,n,2)}function sr(t,n){return Ee(1+re.count(_e(t),t),n,3)}function lr(t,n){return Ee(t.getMilliseconds(),n,3)}function fr(t,n){return lr(t,n)+"000"}function hr(t,n){return Ee(t.getMonth()+1,n,2)}function gr(t,n){return Ee(t.getMinutes(),n,2)}function dr(t,n){return Ee(t.getSeconds(),n,2)}function pr(t){var n=t.getDay();return 0===n?7:n}function mr(t,n){return Ee(ae.count(_e(t)-1,t),n,2)}function yr(t){var n=t.getDay();return n>=4||0===n?fe(t):fe.ceil(t)}function vr(t,n){return t=yr(t),Ee(fe.count(_e(t),t)+(4===_e(t).getDay()),n,2)}function wr(t){return t.getDay()}function Mr(t,n){return Ee(ce.count(_e(t)-1,t),n,2)}function br(t,n){return Ee(t.getFullYear()%100,n,2)}function xr(t,n){return Ee((t=yr(t)).getFullYear()%100,n,2)}function _r(t,n){return Ee(t.getFullYear()%1e4,n,4)}function Tr(t,n){var e=t.getDay();return Ee((t=e>=4||0===e?fe(t):fe.ceil(t)).getFullYear()%1e4,n,4)}function Cr(t){var n=t.getTimezoneOffset();return(n>0?"-":(n*=-1,"+"))+Ee(n/60|0,"0",2)+Ee(n%60,"0",2)}function Ar(t,n){return Ee(t.getUTCDate(),n,2)}function Ur(t,n){return Ee(t.getUTCHours(),n,2)}function kr(t,n){return Ee(t.getUTCHours()%12||12,n,2)}function Nr(t,n){return Ee(1+ie.count(Te(t),t),n,3)}function Dr(t,n){return Ee(t.getUTCMilliseconds(),n,3)}function Sr(t,n){return Dr(t,n)+"000"}function Fr(t,n){return Ee(t.getUTCMonth()+1,n,2)}function $r(t,n){return Ee(t.getUTCMinutes(),n,2)}function Hr(t,n){return Ee(t.getUTCSeconds(),n,2)}function Yr(t){var n=t.getUTCDay();return 0===n?7:n}function Er(t,n){return Ee(pe.count(Te(t)-1,t),n,2)}function Lr(t){var n=t.getUTCDay();return n>=4||0===n?we(t):we.ceil(t)}function qr(t,n){return t=Lr(t),Ee(we.count(Te(t),t)+(4===Te(t).getUTCDay()),n,2)}function Or(t){return t.getUTCDay()}function jr(t,n){return Ee(me.count(Te(t)-1,t),n,2)}function Pr(t,n){return Ee(t.getUTCFullYear()%100,n,2)}function Vr(t,n){return Ee((t=Lr(t)).getUTCFullYear()%100,n,2)}function Rr(t,n){return Ee(t.getUTCFullYear()%1e4,n,4)}function zr(t,n){var e=t.getUTCDay();return Ee((t=e>=4||0===e?we(t):we.ceil(t)).getUTCFullYear()%1e4,n,4)}function Br(){return"+0000"}function Ir(){return"%"}function Zr(t){return+t}function Xr(t){return Math.floor(+t/1e3)}function Wr(t){return new Date(t)}function Gr(t){return t instanceof Date?+t:+new Date(+t)}function Jr(t,n,e,r,i,o,u,a,c,s){var l=Nn(),f=l.invert,h=l.domain,g=s(".%L"),d=s(":%S"),p=s("%I:%M"),m=s("%I %p"),y=s("%a %d"),v=s("%b %d"),w=s("%B"),M=s("%Y");function b(t){return(c(t)<t?g:a(t)<t?d:u(t)<t?p:o(t)<t?m:r(t)<t?i(t)<t?y:v:e(t)<t?w:M)(t)}return l.invert=function(t){return new Date(f(t))},l.domain=function(t){return arguments.length?h(Array.from(t,Gr)):h().map(Wr)},l.ticks=function(n){var e=h();return t(e[0],e[e.length-1],null==n?10:n)},l.tickFormat=function(t,n){return null==n?b:s(n)},l.nice=function(t){var e=h();return t&&"function"==typeof t.range||(t=n(e[0],e[e.length-1],null==t?10:t)),t?h(function(t,n){var e,r=0,i=(t=t.slice()).length-1,o=t[r],u=t[i];return u<o&&(e=r,r=i,i=e,e=o,o=u,u=e),t[r]=n.floor(o),t[i]=n.ceil(u),t}(e,t)):l},l.copy=function(){return kn(l,Jr(t,n,e,r,i,o,u,a,c,s))},l}function Qr(t){for(var n=t.length/6|0,e=new Array(n),r=0;r<n;)e[r]="#"+t.slice(6*r,6*++r);return e}t.timeFormat=void 0,De=function(t){var n=t.dateTime,e=t.date,r=t.time,i=t.periods,o=t.days,u=t.shortDays,a=t.months,c=t.shortMonths,s=qe(i),l=Oe(i),f=qe(o),h=Oe(o),g=qe(u),d=Oe(u),p=qe(a),m=Oe(a),y=qe(c),v=Oe(c),w={a:function(t){return u[t.getDay()]},A:function(t){return o[t.getDay()]},b:function(t){return c[t.getMonth()]},B:function(t){return a[t.getMonth()]},c:null,d:ur,e:ur,f:fr,g:xr,G:Tr,H:ar,I:cr,j:sr,L:lr,m:hr,M:gr,p:function(t){return i[+(t.getHours()>=12)]},q:function(t){return 1+~~(t.getMonth()/3)},Q:Zr,s:Xr,S:dr,u:pr,U:mr,V:vr,w:wr,W:Mr,x:null,X:null,y:br,Y:_r,Z:Cr,"%":Ir},M={a:function(t){return u[t.getUTCDay()]},A:function(t){return o[t.getUTCDay()]},b:function(t){return c[t.getUTCMonth()]},B:function(t){return a[t.getUTCMonth()]},c:null,d:Ar,e:Ar,f:Sr,g:Vr,G:zr,H:Ur,I:kr,j:Nr,L:Dr,m:Fr,M:$r,p:function(t){return i[+(t.getUTCHours()>=12)]},q:function(t){return 1+~~(t.getUTCMonth()/3)},Q:Zr,s:Xr,S:Hr,u:Yr,U:Er,V:qr,w:Or,W:jr,x:null,X:null,y:Pr,Y:Rr,Z:Br,"%":Ir},b={a:function(t,n,e){var r=g.exec(n.slice(e));return r?(t.w=d.get(r[0].toLowerCase()),e+r[0].length):-1},A:function(t,n,e){var r=f.exec(n.slice(e));return r?(t.w=h.get(r[0].toLowerCase()),e+r[0].length):-1},b:function(t,n,e){var r=y.exec(n.slice(e));return r?(t.m=v.get(r[0].toLowerCase()),e+r[0].length):-1},B:function(t,n,e){var r=p.exec(n.slice(e));return r?(t.m=m.get(r[0].toLowerCase()),e+r[0].length):-1},c:function(t,e,r){return T(t,n,e,r)},d:Ge,e:Ge,f:er,g:Ie,G:Be,H:Qe,I:Qe,j:Je,L:nr,m:We,M:Ke,p:function(t,n,e){var r=s.exec(n.slice(e));return r?(t.p=l.get(r[0].toLowerCase()),e+r[0].length):-1},q:Xe,Q:ir,s:or,S:tr,u:Pe,U:Ve,V:Re,w:je,W:ze,x:function(t,n,r){return T(t,e,n,r)},X:function(t,n,e){return T(t,r,n,e)},y:Ie,Y:Be,Z:Ze,"%":rr};function x(t,n){return function(e){var r,i,o,u=[],a=-1,c=0,s=t.length;for(e instanceof Date||(e=new Date(+e));++a<s;)37===t.charCodeAt(a)&&(u.push(t.slice(c,a)),null!=(i=Fe[r=t.charAt(++a)])?r=t.charAt(++a):i="e"===r?" ":"0",(o=n[r])&&(r=o(e,i)),u.push(r),c=a+1);return u.push(t.slice(c,a)),u.join("")}}function _(t,n){return function(e){var r,i,o=Ne(1900,void 0,1);if(T(o,t,e+="",0)!=e.length)return null;if("Q"in o)return new Date(o.Q);if("s"in o)return new Date(1e3*o.s+("L"in o?o.L:0));if(n&&!("Z"in o)&&(o.Z=0),"p"in o&&(o.H=o.H%12+12*o.p),void 0===o.m&&(o.m="q"in o?o.q:0),"V"in o){if(o.V<1||o.V>53)return null;"w"in o||(o.w=1),"Z"in o?(i=(r=ke(Ne(o.y,0,1))).getUTCDay(),r=i>4||0===i?me.ceil(r):me(r),r=ie.offset(r,7*(o.V-1)),o.y=r.getUTCFullYear(),o.m=r.getUTCMonth(),o.d=r.getUTCDate()+(o.w+6)%7):(i=(r=Ue(Ne(o.y,0,1))).getDay(),r=i>4||0===i?ce.ceil(r):ce(r),r=re.offset(r,7*(o.V-1)),o.y=r.getFullYear(),o.m=r.getMonth(),o.d=r.getDate()+(o.w+6)%7)}else("W"in o||"U"in o)&&("w"in o||(o.w="u"in o?o.u%7:"W"in o?1:0),i="Z"in o?ke(Ne(o.y,0,1)).getUTCDay():Ue(Ne(o.y,0,1)).getDay(),o.m=0,o.d="W"in o?(o.w+6)%7+7*o.W-(i+5)%7:o.w+7*o.U-(i+6)%7);return"Z"in o?(o.H+=o.Z/100|0,o.M+=o.Z%100,ke(o)):Ue(o)}}function T(t,n,e,r){for(var i,o,u=0,a=n.length,c=e.length;u<a;){if(r>=c)return-1;if(37===(i=n.charCodeAt(u++))){if(i=n.charAt(u++),!(o=b[i in Fe?n.charAt(u++):i])||(r=o(t,e,r))<0)return-1}else if(i!=e.charCodeAt(r++))return-1}return r}return w.x=x(e,w),w.X=x(r,w),w.c=x(n,w),M.x=x(e,M),M.X=x(r,M),M.c=x(n,M),{format:function(t){var n=x(t+="",w);return n.toString=function(){return t},n},parse:function(t){var n=_(t+="",!1);return n.toString=function(){return t},n},utcFormat:function(t){var n=x(t+="",M);return n.toString=function(){return t},n},utcParse:function(t){var n=_(t+="",!0);return n.toString=function(){return t},n}}}({dateTime:"%x, %X",date:"%-m/%-d/%Y",time:"%-I:%M:%S %p",periods:["AM","PM"],days:["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],shortDays:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"],months:["January","February","March","April","May","June","July","August","September","October","November","December"],shortMonths:["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"]}),t.timeFormat=De.format,De.parse,Se=De.utcFormat,De.utcParse;const Kr=Qr("4269d0efb118ff725c6cc5b03ca951ff8ab7a463f297bbf59c6b4e9498a0"),ti=Qr("a6cee31f78b4b2df8a33a02cfb9a99e31a1cfdbf6fff7f00cab2d66a3d9affff99b15928"),ni=Qr("66c2a5fc8d628da0cbe78ac3a6d854ffd92fe5c494b3b3b3");function ei(t){return t}var ri=1e-6;function ii(t){return"translate("+t+",0)"}function oi(t){return"translate(0,"+t+")"}function ui(t){return n=>+t(n)}function ai(t,n){return n=Math.max(0,t.bandwidth()-2*n)/2,t.round()&&(n=Math.round(n)),e=>+t(e)+n}function ci(){return!this.__axis}function si(t,n){var e=[],r=null,i=null,o=6,u=6,a=3,c="undefined"!=typeof window&&window.devicePixelRatio>1?0:.5,s=1===t||4===t?-1:1,l=4===t||2===t?"x":"y",f=1===t||3===t?ii:oi;function h(h){var g=null==r?n.ticks?n.ticks.apply(n,e):n.domain():r,d=null==i?n.tickFormat?n.tickFormat.apply(n,e):ei:i,p=Math.max(o,0)+a,m=n.range(),y=+m[0]+c,v=+m[m.length-1]+c,w=(n.bandwidth?ai:ui)(n.copy(),c),M=h.selection?h.selection():h,b=M.selectAll(".domain").data([null]),x=M.selectAll(".tick").data(g,n).order(),_=x.exit(),T=x.enter().append("g").attr("class","tick"),C=x.select("line"),A=x.select("text");b=b.merge(b.enter().insert("path",".tick").attr("class","domain").attr("stroke","currentColor")),x=x.merge(T),C=C.merge(T.append("line").attr("stroke","currentColor").attr(l+"2",s*o)),A=A.merge(T.append("text").attr("fill","currentColor").attr(l,s*p).attr("dy",1===t?"0em":3===t?"0.71em":"0.32em")),h!==M&&(b=b.transition(h),x=x.transition(h),C=C.transition(h),A=A.transition(h),_=_.transition(h).attr("opacity",ri).attr("transform",function(t){return isFinite(t=w(t))?f(t+c):this.getAttribute("transform")}),T.attr("opacity",ri).attr("transform",function(t){var n=this.parentNode.__axis;return f((n&&isFinite(n=n(t))?n:w(t))+c)})),_.remove(),b.attr("d",4===t||2===t?u?"M"+s*u+","+y+"H"+c+"V"+v+"H"+s*u:"M"+c+","+y+"V"+v:u?"M"+y+","+s*u+"V"+c+"H"+v+"V"+s*u:"M"+y+","+c+"H"+v),x.attr("opacity",1).attr("transform",function(t){return f(w(t)+c)}),C.attr(l+"2",s*o),A.attr(l,s*p).text(d),M.filter(ci).attr("fill","none").attr("font-size",10).attr("font-family","sans-serif").attr("text-anchor",2===t?"start":4===t?"end":"middle"),M.each(function(){this.__axis=w})}return h.scale=function(t){return arguments.length?(n=t,h):n},h.ticks=function(){return e=Array.from(arguments),h},h.tickArguments=function(t){return arguments.length?(e=null==t?[]:Array.from(t),h):e.slice()},h.tickValues=function(t){return arguments.length?(r=null==t?null:Array.from(t),h):r&&r.slice()},h.tickFormat=function(t){return arguments.length?(i=t,h):i},h.tickSize=function(t){return arguments.length?(o=u=+t,h):o},h.tickSizeInner=function(t){return arguments.length?(o=+t,h):o},h.tickSizeOuter=function(t){return arguments.length?(u=+t,h):u},h.tickPadding=function(t){return arguments.length?(a=+t,h):a},h.offset=function(t){return arguments.length?(c=+t,h):c},h}return t.axisBottom=function(t){return si(3,t)},t.axisLeft=function(t){return si(4,t)},t.extent=function(t,n){let e,r;if(void 0===n)for(const i of t)null!=i&&(void 0===e?i>=i&&(e=r=i):(e>i&&(e=i),r<i&&(r=i)));else{let i=-1;for(let o of t)null!=(o=n(o,++i,t))&&(void 0===e?o>=o&&(e=r=o):(e>o&&(e=o),r<o&&(r=o)))}return[e,r]},t.group=function(t,...n){return function(t,n,e,r){return function t(i,o){if(o>=r.length)return e(i);const u=new dt,a=r[o++];let c=-1;for(const n of i){const t=a(n,++c,i),e=u.get(t);e?e.push(n):u.set(t,[n])}for(const[n,e]of u)u.set(n,t(e,o));return n(u)}(t,0)}(t,yt,yt,n)},t.hsl=rn,t.max=function(t,n){let e;if(void 0===n)for(const r of t)null!=r&&(e<r||void 0===e&&r>=r)&&(e=r);else{let r=-1;for(let i of t)null!=(i=n(i,++r,t))&&(e<i||void 0===e&&i>=i)&&(e=i)}return e},t.min=function(t,n){let e;if(void 0===n)for(const r of t)null!=r&&(e>r||void 0===e&&r>=r)&&(e=r);else{let r=-1;for(let i of t)null!=(i=n(i,++r,t))&&(e>i||void 0===e&&i>=i)&&(e=i)}return e},t.pointer=function(t,n){if(t=function(t){let n;for(;n=t.sourceEvent;)t=n;return t}(t),void 0===n&&(n=t.currentTarget),n){var e=n.ownerSVGElement||n;if(e.createSVGPoint){var r=e.createSVGPoint();return r.x=t.clientX,r.y=t.clientY,[(r=r.matrixTransform(n.getScreenCTM().inverse())).x,r.y]}if(n.getBoundingClientRect){var i=n.getBoundingClientRect();return[t.clientX-i.left-n.clientLeft,t.clientY-i.top-n.clientTop]}}return[t.pageX,t.pageY]},t.scaleBand=function t(){var n,e,r=At().unknown(void 0),i=r.domain,o=r.range,u=0,a=1,c=!1,s=0,l=0,f=.5;function h(){var t=i().length,r=a<u,h=r?a:u,g=r?u:a;n=(g-h)/Math.max(1,t-s+2*l),c&&(n=Math.floor(n)),h+=(g-h-n*(t-s))*f,e=n*(1-s),c&&(h=Math.round(h),e=Math.round(e));var d=function(t,n,e){t=+t,n=+n,e=(i=arguments.length)<2?(n=t,t=0,1):i<3?1:+e;for(var r=-1,i=0|Math.max(0,Math.ceil((n-t)/e)),o=new Array(i);++r<i;)o[r]=t+r*e;return o}(t).map(function(t){return h+n*t});return o(r?d.reverse():d)}return delete r.unknown,r.domain=function(t){return arguments.length?(i(t),h()):i()},r.range=function(t){return arguments.length?([u,a]=t,u=+u,a=+a,h()):[u,a]},r.rangeRound=function(t){return[u,a]=t,u=+u,a=+a,c=!0,h()},r.bandwidth=function(){return e},r.step=function(){return n},r.round=function(t){return arguments.length?(c=!!t,h()):c},r.padding=function(t){return arguments.length?(s=Math.min(1,l=+t),h()):s},r.paddingInner=function(t){return arguments.length?(s=Math.min(1,t),h()):s},r.paddingOuter=function(t){return arguments.length?(l=+t,h()):l},r.align=function(t){return arguments.length?(f=Math.max(0,Math.min(1,t)),h()):f},r.copy=function(){return t(i(),[u,a]).round(c).paddingInner(s).paddingOuter(l).align(f)},Tt.apply(h(),arguments)},t.scaleLinear=function t(){var n=Nn();return n.copy=function(){return kn(n,t())},Tt.apply(n,arguments),Rn(n)},t.scaleOrdinal=At,t.scaleUtc=function(){return Tt.apply(Jr(Ce,Ae,Te,xe,pe,ie,ee,ne,te,Se).domain([Date.UTC(2e3,0,1),Date.UTC(2e3,0,2)]),arguments)},t.schemeObservable10=Kr,t.schemePaired=ti,t.schemeSet2=ni,t.select=function(t){return"string"==typeof t?new ct([[document.querySelector(t)]],[document.documentElement]):new ct([[t]],at)},t.selectAll=function(t){return"string"==typeof t?new ct([document.querySelectorAll(t)],[document.documentElement]):new ct([s(t)],at)},Object.defineProperty(t,Symbol.toStringTag,{value:"Module"}),t}({});
+var d3=function(t){"use strict";var n="http://www.w3.org/1999/xhtml";const e={svg:"http://www.w3.org/2000/svg",xhtml:n,xlink:"http://www.w3.org/1999/xlink",xml:"http://www.w3.org/XML/1998/namespace",xmlns:"http://www.w3.org/2000/xmlns/"};function r(t){var n=t+="",r=n.indexOf(":");return r>=0&&"xmlns"!==(n=t.slice(0,r))&&(t=t.slice(r+1)),e.hasOwnProperty(n)?{space:e[n],local:t}:t}function i(t){return function(){var e=this.ownerDocument,r=this.namespaceURI;return r===n&&e.documentElement.namespaceURI===n?e.createElement(t):e.createElementNS(r,t)}}function o(t){return function(){return this.ownerDocument.createElementNS(t.space,t.local)}}function u(t){var n=r(t);return(n.local?o:i)(n)}function a(){}function s(t){return null==t?a:function(){return this.querySelector(t)}}function c(t){return null==t?[]:Array.isArray(t)?t:Array.from(t)}function l(){return[]}function h(t){return null==t?l:function(){return this.querySelectorAll(t)}}function f(t){return function(){return this.matches(t)}}function p(t){return function(n){return n.matches(t)}}var d=Array.prototype.find;function g(){return this.firstElementChild}var v=Array.prototype.filter;function y(){return Array.from(this.children)}function m(t){return new Array(t.length)}function _(t,n){this.ownerDocument=t.ownerDocument,this.namespaceURI=t.namespaceURI,this._next=null,this._parent=t,this.__data__=n}function w(t,n,e,r,i,o){for(var u,a=0,s=n.length,c=o.length;a<c;++a)(u=n[a])?(u.__data__=o[a],r[a]=u):e[a]=new _(t,o[a]);for(;a<s;++a)(u=n[a])&&(i[a]=u)}function x(t,n,e,r,i,o,u){var a,s,c,l=new Map,h=n.length,f=o.length,p=new Array(h);for(a=0;a<h;++a)(s=n[a])&&(p[a]=c=u.call(s,s.__data__,a,n)+"",l.has(c)?i[a]=s:l.set(c,s));for(a=0;a<f;++a)c=u.call(t,o[a],a,o)+"",(s=l.get(c))?(r[a]=s,s.__data__=o[a],l.delete(c)):e[a]=new _(t,o[a]);for(a=0;a<h;++a)(s=n[a])&&l.get(p[a])===s&&(i[a]=s)}function b(t){return t.__data__}function M(t){return"object"==typeof t&&"length"in t?t:Array.from(t)}function T(t,n){return t<n?-1:t>n?1:t>=n?0:NaN}function k(t){return function(){this.removeAttribute(t)}}function A(t){return function(){this.removeAttributeNS(t.space,t.local)}}function C(t,n){return function(){this.setAttribute(t,n)}}function $(t,n){return function(){this.setAttributeNS(t.space,t.local,n)}}function S(t,n){return function(){var e=n.apply(this,arguments);null==e?this.removeAttribute(t):this.setAttribute(t,e)}}function N(t,n){return function(){var e=n.apply(this,arguments);null==e?this.removeAttributeNS(t.space,t.local):this.setAttributeNS(t.space,t.local,e)}}function D(t){return t.ownerDocument&&t.ownerDocument.defaultView||t.document&&t||t.defaultView}function U(t){return function(){this.style.removeProperty(t)}}function E(t,n,e){return function(){this.style.setProperty(t,n,e)}}function z(t,n,e){return function(){var r=n.apply(this,arguments);null==r?this.style.removeProperty(t):this.style.setProperty(t,r,e)}}function Y(t,n){return t.style.getPropertyValue(n)||D(t).getComputedStyle(t,null).getPropertyValue(n)}function F(t){return function(){delete this[t]}}function H(t,n){return function(){this[t]=n}}function P(t,n){return function(){var e=n.apply(this,arguments);null==e?delete this[t]:this[t]=e}}function L(t){return t.trim().split(/^|\s+/)}function q(t){return t.classList||new O(t)}function O(t){this._node=t,this._names=L(t.getAttribute("class")||"")}function X(t,n){for(var e=q(t),r=-1,i=n.length;++r<i;)e.add(n[r])}function V(t,n){for(var e=q(t),r=-1,i=n.length;++r<i;)e.remove(n[r])}function B(t){return function(){X(this,t)}}function j(t){return function(){V(this,t)}}function I(t,n){return function(){(n.apply(this,arguments)?X:V)(this,t)}}function R(){this.textContent=""}function Z(t){return function(){this.textContent=t}}function W(t){return function(){var n=t.apply(this,arguments);this.textContent=null==n?"":n}}function G(){this.innerHTML=""}function K(t){return function(){this.innerHTML=t}}function Q(t){return function(){var n=t.apply(this,arguments);this.innerHTML=null==n?"":n}}function J(){this.nextSibling&&this.parentNode.appendChild(this)}function tt(){this.previousSibling&&this.parentNode.insertBefore(this,this.parentNode.firstChild)}function nt(){return null}function et(){var t=this.parentNode;t&&t.removeChild(this)}function rt(){var t=this.cloneNode(!1),n=this.parentNode;return n?n.insertBefore(t,this.nextSibling):t}function it(){var t=this.cloneNode(!0),n=this.parentNode;return n?n.insertBefore(t,this.nextSibling):t}function ot(t){return function(){var n=this.__on;if(n){for(var e,r=0,i=-1,o=n.length;r<o;++r)e=n[r],t.type&&e.type!==t.type||e.name!==t.name?n[++i]=e:this.removeEventListener(e.type,e.listener,e.options);++i?n.length=i:delete this.__on}}}function ut(t,n,e){return function(){var r,i=this.__on,o=function(t){return function(n){t.call(this,n,this.__data__)}}(n);if(i)for(var u=0,a=i.length;u<a;++u)if((r=i[u]).type===t.type&&r.name===t.name)return this.removeEventListener(r.type,r.listener,r.options),this.addEventListener(r.type,r.listener=o,r.options=e),void(r.value=n);this.addEventListener(t.type,o,e),r={type:t.type,name:t.name,value:n,listener:o,options:e},i?i.push(r):this.__on=[r]}}function at(t,n,e){var r=D(t),i=r.CustomEvent;"function"==typeof i?i=new i(n,e):(i=r.document.createEvent("Event"),e?(i.initEvent(n,e.bubbles,e.cancelable),i.detail=e.detail):i.initEvent(n,!1,!1)),t.dispatchEvent(i)}function st(t,n){return function(){return at(this,t,n)}}function ct(t,n){return function(){return at(this,t,n.apply(this,arguments))}}_.prototype={constructor:_,appendChild:function(t){return this._parent.insertBefore(t,this._next)},insertBefore:function(t,n){return this._parent.insertBefore(t,n)},querySelector:function(t){return this._parent.querySelector(t)},querySelectorAll:function(t){return this._parent.querySelectorAll(t)}},O.prototype={add:function(t){this._names.indexOf(t)<0&&(this._names.push(t),this._node.setAttribute("class",this._names.join(" ")))},remove:function(t){var n=this._names.indexOf(t);n>=0&&(this._names.splice(n,1),this._node.setAttribute("class",this._names.join(" ")))},contains:function(t){return this._names.indexOf(t)>=0}};var lt=[null];function ht(t,n){this._groups=t,this._parents=n}function ft(){return new ht([[document.documentElement]],lt)}function pt(t){return"string"==typeof t?new ht([[document.querySelector(t)]],[document.documentElement]):new ht([[t]],lt)}function dt(t,n){if(t=function(t){let n;for(;n=t.sourceEvent;)t=n;return t}(t),void 0===n&&(n=t.currentTarget),n){var e=n.ownerSVGElement||n;if(e.createSVGPoint){var r=e.createSVGPoint();return r.x=t.clientX,r.y=t.clientY,[(r=r.matrixTransform(n.getScreenCTM().inverse())).x,r.y]}if(n.getBoundingClientRect){var i=n.getBoundingClientRect();return[t.clientX-i.left-n.clientLeft,t.clientY-i.top-n.clientTop]}}return[t.pageX,t.pageY]}function gt(t,n){return null==t||null==n?NaN:t<n?-1:t>n?1:t>=n?0:NaN}function vt(t,n){return null==t||null==n?NaN:n<t?-1:n>t?1:n>=t?0:NaN}function yt(t){let n,e,r;function i(t,r,i=0,o=t.length){if(i<o){if(0!==n(r,r))return o;do{const n=i+o>>>1;e(t[n],r)<0?i=n+1:o=n}while(i<o)}return i}return 2!==t.length?(n=gt,e=(n,e)=>gt(t(n),e),r=(n,e)=>t(n)-e):(n=t===gt||t===vt?t:mt,e=t,r=t),{left:i,center:function(t,n,e=0,o=t.length){const u=i(t,n,e,o-1);return u>e&&r(t[u-1],n)>-r(t[u],n)?u-1:u},right:function(t,r,i=0,o=t.length){if(i<o){if(0!==n(r,r))return o;do{const n=i+o>>>1;e(t[n],r)<=0?i=n+1:o=n}while(i<o)}return i}}}function mt(){return 0}ht.prototype=ft.prototype={constructor:ht,select:function(t){"function"!=typeof t&&(t=s(t));for(var n=this._groups,e=n.length,r=new Array(e),i=0;i<e;++i)for(var o,u,a=n[i],c=a.length,l=r[i]=new Array(c),h=0;h<c;++h)(o=a[h])&&(u=t.call(o,o.__data__,h,a))&&("__data__"in o&&(u.__data__=o.__data__),l[h]=u);return new ht(r,this._parents)},selectAll:function(t){t="function"==typeof t?function(t){return function(){return c(t.apply(this,arguments))}}(t):h(t);for(var n=this._groups,e=n.length,r=[],i=[],o=0;o<e;++o)for(var u,a=n[o],s=a.length,l=0;l<s;++l)(u=a[l])&&(r.push(t.call(u,u.__data__,l,a)),i.push(u));return new ht(r,i)},selectChild:function(t){return this.select(null==t?g:function(t){return function(){return d.call(this.children,t)}}("function"==typeof t?t:p(t)))},selectChildren:function(t){return this.selectAll(null==t?y:function(t){return function(){return v.call(this.children,t)}}("function"==typeof t?t:p(t)))},filter:function(t){"function"!=typeof t&&(t=f(t));for(var n=this._groups,e=n.length,r=new Array(e),i=0;i<e;++i)for(var o,u=n[i],a=u.length,s=r[i]=[],c=0;c<a;++c)(o=u[c])&&t.call(o,o.__data__,c,u)&&s.push(o);return new ht(r,this._parents)},data:function(t,n){if(!arguments.length)return Array.from(this,b);var e,r=n?x:w,i=this._parents,o=this._groups;"function"!=typeof t&&(e=t,t=function(){return e});for(var u=o.length,a=new Array(u),s=new Array(u),c=new Array(u),l=0;l<u;++l){var h=i[l],f=o[l],p=f.length,d=M(t.call(h,h&&h.__data__,l,i)),g=d.length,v=s[l]=new Array(g),y=a[l]=new Array(g);r(h,f,v,y,c[l]=new Array(p),d,n);for(var m,_,T=0,k=0;T<g;++T)if(m=v[T]){for(T>=k&&(k=T+1);!(_=y[k])&&++k<g;);m._next=_||null}}return(a=new ht(a,i))._enter=s,a._exit=c,a},enter:function(){return new ht(this._enter||this._groups.map(m),this._parents)},exit:function(){return new ht(this._exit||this._groups.map(m),this._parents)},join:function(t,n,e){var r=this.enter(),i=this,o=this.exit();return"function"==typeof t?(r=t(r))&&(r=r.selection()):r=r.append(t+""),null!=n&&(i=n(i))&&(i=i.selection()),null==e?o.remove():e(o),r&&i?r.merge(i).order():i},merge:function(t){for(var n=t.selection?t.selection():t,e=this._groups,r=n._groups,i=e.length,o=r.length,u=Math.min(i,o),a=new Array(i),s=0;s<u;++s)for(var c,l=e[s],h=r[s],f=l.length,p=a[s]=new Array(f),d=0;d<f;++d)(c=l[d]||h[d])&&(p[d]=c);for(;s<i;++s)a[s]=e[s];return new ht(a,this._parents)},selection:function(){return this},order:function(){for(var t=this._groups,n=-1,e=t.length;++n<e;)for(var r,i=t[n],o=i.length-1,u=i[o];--o>=0;)(r=i[o])&&(u&&4^r.compareDocumentPosition(u)&&u.parentNode.insertBefore(r,u),u=r);return this},sort:function(t){function n(n,e){return n&&e?t(n.__data__,e.__data__):!n-!e}t||(t=T);for(var e=this._groups,r=e.length,i=new Array(r),o=0;o<r;++o){for(var u,a=e[o],s=a.length,c=i[o]=new Array(s),l=0;l<s;++l)(u=a[l])&&(c[l]=u);c.sort(n)}return new ht(i,this._parents).order()},call:function(){var t=arguments[0];return arguments[0]=this,t.apply(null,arguments),this},nodes:function(){return Array.from(this)},node:function(){for(var t=this._groups,n=0,e=t.length;n<e;++n)for(var r=t[n],i=0,o=r.length;i<o;++i){var u=r[i];if(u)return u}return null},size:function(){let t=0;for(const n of this)++t;return t},empty:function(){return!this.node()},each:function(t){for(var n=this._groups,e=0,r=n.length;e<r;++e)for(var i,o=n[e],u=0,a=o.length;u<a;++u)(i=o[u])&&t.call(i,i.__data__,u,o);return this},attr:function(t,n){var e=r(t);if(arguments.length<2){var i=this.node();return e.local?i.getAttributeNS(e.space,e.local):i.getAttribute(e)}return this.each((null==n?e.local?A:k:"function"==typeof n?e.local?N:S:e.local?$:C)(e,n))},style:function(t,n,e){return arguments.length>1?this.each((null==n?U:"function"==typeof n?z:E)(t,n,null==e?"":e)):Y(this.node(),t)},property:function(t,n){return arguments.length>1?this.each((null==n?F:"function"==typeof n?P:H)(t,n)):this.node()[t]},classed:function(t,n){var e=L(t+"");if(arguments.length<2){for(var r=q(this.node()),i=-1,o=e.length;++i<o;)if(!r.contains(e[i]))return!1;return!0}return this.each(("function"==typeof n?I:n?B:j)(e,n))},text:function(t){return arguments.length?this.each(null==t?R:("function"==typeof t?W:Z)(t)):this.node().textContent},html:function(t){return arguments.length?this.each(null==t?G:("function"==typeof t?Q:K)(t)):this.node().innerHTML},raise:function(){return this.each(J)},lower:function(){return this.each(tt)},append:function(t){var n="function"==typeof t?t:u(t);return this.select(function(){return this.appendChild(n.apply(this,arguments))})},insert:function(t,n){var e="function"==typeof t?t:u(t),r=null==n?nt:"function"==typeof n?n:s(n);return this.select(function(){return this.insertBefore(e.apply(this,arguments),r.apply(this,arguments)||null)})},remove:function(){return this.each(et)},clone:function(t){return this.select(t?it:rt)},datum:function(t){return arguments.length?this.property("__data__",t):this.node().__data__},on:function(t,n,e){var r,i,o=function(t){return t.trim().split(/^|\s+/).map(function(t){var n="",e=t.indexOf(".");return e>=0&&(n=t.slice(e+1),t=t.slice(0,e)),{type:t,name:n}})}(t+""),u=o.length;if(!(arguments.length<2)){for(a=n?ut:ot,r=0;r<u;++r)this.each(a(o[r],n,e));return this}var a=this.node().__on;if(a)for(var s,c=0,l=a.length;c<l;++c)for(r=0,s=a[c];r<u;++r)if((i=o[r]).type===s.type&&i.name===s.name)return s.value},dispatch:function(t,n){return this.each(("function"==typeof n?ct:st)(t,n))},[Symbol.iterator]:function*(){for(var t=this._groups,n=0,e=t.length;n<e;++n)for(var r,i=t[n],o=0,u=i.length;o<u;++o)(r=i[o])&&(yield r)}};const _t=yt(gt),wt=_t.right;_t.left,yt(function(t){return null===t?NaN:+t}).center;class xt extends Map{constructor(t,n=Mt){if(super(),Object.defineProperties(this,{_intern:{value:new Map},_key:{value:n}}),null!=t)for(const[e,r]of t)this.set(e,r)}get(t){return super.get(bt(this,t))}has(t){return super.has(bt(this,t))}set(t,n){return super.set(function({_intern:t,_key:n},e){const r=n(e);return t.has(r)?t.get(r):(t.set(r,e),e)}(this,t),n)}delete(t){return super.delete(function({_intern:t,_key:n},e){const r=n(e);return t.has(r)&&(e=t.get(r),t.delete(r)),e}(this,t))}}function bt({_intern:t,_key:n},e){const r=n(e);return t.has(r)?t.get(r):e}function Mt(t){return null!==t&&"object"==typeof t?t.valueOf():t}function Tt(t){return t}const kt=Math.sqrt(50),At=Math.sqrt(10),Ct=Math.sqrt(2);function $t(t,n,e){const r=(n-t)/Math.max(0,e),i=Math.floor(Math.log10(r)),o=r/Math.pow(10,i),u=o>=kt?10:o>=At?5:o>=Ct?2:1;let a,s,c;return i<0?(c=Math.pow(10,-i)/u,a=Math.round(t*c),s=Math.round(n*c),a/c<t&&++a,s/c>n&&--s,c=-c):(c=Math.pow(10,i)*u,a=Math.round(t/c),s=Math.round(n/c),a*c<t&&++a,s*c>n&&--s),s<a&&.5<=e&&e<2?$t(t,n,2*e):[a,s,c]}function St(t,n,e){return $t(t=+t,n=+n,e=+e)[2]}function Nt(t,n,e){e=+e;const r=(n=+n)<(t=+t),i=r?St(n,t,e):St(t,n,e);return(r?-1:1)*(i<0?1/-i:i)}function Dt(t,n){switch(arguments.length){case 0:break;case 1:this.range(t);break;default:this.range(n).domain(t)}return this}const Ut=Symbol("implicit");function Et(){var t=new xt,n=[],e=[],r=Ut;function i(i){let o=t.get(i);if(void 0===o){if(r!==Ut)return r;t.set(i,o=n.push(i)-1)}return e[o%e.length]}return i.domain=function(e){if(!arguments.length)return n.slice();n=[],t=new xt;for(const r of e)t.has(r)||t.set(r,n.push(r)-1);return i},i.range=function(t){return arguments.length?(e=Array.from(t),i):e.slice()},i.unknown=function(t){return arguments.length?(r=t,i):r},i.copy=function(){return Et(n,e).unknown(r)},Dt.apply(i,arguments),i}function zt(t,n,e){t.prototype=n.prototype=e,e.constructor=t}function Yt(t,n){var e=Object.create(t.prototype);for(var r in n)e[r]=n[r];return e}function Ft(){}var Ht=.7,Pt=1/Ht,Lt="\\s*([+-]?\\d+)\\s*",qt="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)\\s*",Ot="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)%\\s*",Xt=/^#([0-9a-f]{3,8})$/,Vt=new RegExp(`^rgb\\(${Lt},${Lt},${Lt}\\)$`),Bt=new RegExp(`^rgb\\(${Ot},${Ot},${Ot}\\)$`),jt=new RegExp(`^rgba\\(${Lt},${Lt},${Lt},${qt}\\)$`),It=new RegExp(`^rgba\\(${Ot},${Ot},${Ot},${qt}\\)$`),Rt=new RegExp(`^hsl\\(${qt},${Ot},${Ot}\\)$`),Zt=new RegExp(`^hsla\\(${qt},${Ot},${Ot},${qt}\\)$`),Wt={aliceblue:15792383,antiquewhite:16444375,aqua:65535,aquamarine:8388564,azure:15794175,beige:16119260,bisque:16770244,black:0,blanchedalmond:16772045,blue:255,blueviolet:9055202,brown:10824234,burlywood:14596231,cadetblue:6266528,chartreuse:8388352,chocolate:13789470,coral:16744272,cornflowerblue:6591981,cornsilk:16775388,crimson:14423100,cyan:65535,darkblue:139,darkcyan:35723,darkgoldenrod:12092939,darkgray:11119017,darkgreen:25600,darkgrey:11119017,darkkhaki:12433259,darkmagenta:9109643,darkolivegreen:5597999,darkorange:16747520,darkorchid:10040012,darkred:9109504,darksalmon:15308410,darkseagreen:9419919,darkslateblue:4734347,darkslategray:3100495,darkslategrey:3100495,darkturquoise:52945,darkviolet:9699539,deeppink:16716947,deepskyblue:49151,dimgray:6908265,dimgrey:6908265,dodgerblue:2003199,firebrick:11674146,floralwhite:16775920,forestgreen:2263842,fuchsia:16711935,gainsboro:14474460,ghostwhite:16316671,gold:16766720,goldenrod:14329120,gray:8421504,green:32768,greenyellow:11403055,grey:8421504,honeydew:15794160,hotpink:16738740,indianred:13458524,indigo:4915330,ivory:16777200,khaki:15787660,lavender:15132410,lavenderblush:16773365,lawngreen:8190976,lemonchiffon:16775885,lightblue:11393254,lightcoral:15761536,lightcyan:14745599,lightgoldenrodyellow:16448210,lightgray:13882323,lightgreen:9498256,lightgrey:13882323,lightpink:16758465,lightsalmon:16752762,lightseagreen:2142890,lightskyblue:8900346,lightslategray:7833753,lightslategrey:7833753,lightsteelblue:11584734,lightyellow:16777184,lime:65280,limegreen:3329330,linen:16445670,magenta:16711935,maroon:8388608,mediumaquamarine:6737322,mediumblue:205,mediumorchid:12211667,mediumpurple:9662683,mediumseagreen:3978097,mediumslateblue:8087790,mediumspringgreen:64154,mediumturquoise:4772300,mediumvioletred:13047173,midnightblue:1644912,mintcream:16121850,mistyrose:16770273,moccasin:16770229,navajowhite:16768685,navy:128,oldlace:16643558,olive:8421376,olivedrab:7048739,orange:16753920,orangered:16729344,orchid:14315734,palegoldenrod:15657130,palegreen:10025880,paleturquoise:11529966,palevioletred:14381203,papayawhip:16773077,peachpuff:16767673,peru:13468991,pink:16761035,plum:14524637,powderblue:11591910,purple:8388736,rebeccapurple:6697881,red:16711680,rosybrown:12357519,royalblue:4286945,saddlebrown:9127187,salmon:16416882,sandybrown:16032864,seagreen:3050327,seashell:16774638,sienna:10506797,silver:12632256,skyblue:8900331,slateblue:6970061,slategray:7372944,slategrey:7372944,snow:16775930,springgreen:65407,steelblue:4620980,tan:13808780,teal:32896,thistle:14204888,tomato:16737095,turquoise:4251856,violet:15631086,wheat:16113331,white:16777215,whitesmoke:16119285,yellow:16776960,yellowgreen:10145074};function Gt(){return this.rgb().formatHex()}function Kt(){return this.rgb().formatRgb()}function Qt(t){var n,e;return t=(t+"").trim().toLowerCase(),(n=Xt.exec(t))?(e=n[1].length,n=parseInt(n[1],16),6===e?Jt(n):3===e?new en(n>>8&15|n>>4&240,n>>4&15|240&n,(15&n)<<4|15&n,1):8===e?tn(n>>24&255,n>>16&255,n>>8&255,(255&n)/255):4===e?tn(n>>12&15|n>>8&240,n>>8&15|n>>4&240,n>>4&15|240&n,((15&n)<<4|15&n)/255):null):(n=Vt.exec(t))?new en(n[1],n[2],n[3],1):(n=Bt.exec(t))?new en(255*n[1]/100,255*n[2]/100,255*n[3]/100,1):(n=jt.exec(t))?tn(n[1],n[2],n[3],n[4]):(n=It.exec(t))?tn(255*n[1]/100,255*n[2]/100,255*n[3]/100,n[4]):(n=Rt.exec(t))?cn(n[1],n[2]/100,n[3]/100,1):(n=Zt.exec(t))?cn(n[1],n[2]/100,n[3]/100,n[4]):Wt.hasOwnProperty(t)?Jt(Wt[t]):"transparent"===t?new en(NaN,NaN,NaN,0):null}function Jt(t){return new en(t>>16&255,t>>8&255,255&t,1)}function tn(t,n,e,r){return r<=0&&(t=n=e=NaN),new en(t,n,e,r)}function nn(t,n,e,r){return 1===arguments.length?((i=t)instanceof Ft||(i=Qt(i)),i?new en((i=i.rgb()).r,i.g,i.b,i.opacity):new en):new en(t,n,e,null==r?1:r);var i}function en(t,n,e,r){this.r=+t,this.g=+n,this.b=+e,this.opacity=+r}function rn(){return`#${sn(this.r)}${sn(this.g)}${sn(this.b)}`}function on(){const t=un(this.opacity);return`${1===t?"rgb(":"rgba("}${an(this.r)}, ${an(this.g)}, ${an(this.b)}${1===t?")":`, ${t})`}`}function un(t){return isNaN(t)?1:Math.max(0,Math.min(1,t))}function an(t){return Math.max(0,Math.min(255,Math.round(t)||0))}function sn(t){return((t=an(t))<16?"0":"")+t.toString(16)}function cn(t,n,e,r){return r<=0?t=n=e=NaN:e<=0||e>=1?t=n=NaN:n<=0&&(t=NaN),new fn(t,n,e,r)}function ln(t){if(t instanceof fn)return new fn(t.h,t.s,t.l,t.opacity);if(t instanceof Ft||(t=Qt(t)),!t)return new fn;if(t instanceof fn)return t;var n=(t=t.rgb()).r/255,e=t.g/255,r=t.b/255,i=Math.min(n,e,r),o=Math.max(n,e,r),u=NaN,a=o-i,s=(o+i)/2;return a?(u=n===o?(e-r)/a+6*(e<r):e===o?(r-n)/a+2:(n-e)/a+4,a/=s<.5?o+i:2-o-i,u*=60):a=s>0&&s<1?0:u,new fn(u,a,s,t.opacity)}function hn(t,n,e,r){return 1===arguments.length?ln(t):new fn(t,n,e,null==r?1:r)}function fn(t,n,e,r){this.h=+t,this.s=+n,this.l=+e,this.opacity=+r}function pn(t){return(t=(t||0)%360)<0?t+360:t}function dn(t){return Math.max(0,Math.min(1,t||0))}function gn(t,n,e){return 255*(t<60?n+(e-n)*t/60:t<180?e:t<240?n+(e-n)*(240-t)/60:n)}zt(Ft,Qt,{copy(t){return Object.assign(new this.constructor,this,t)},displayable(){return this.rgb().displayable()},hex:Gt,formatHex:Gt,formatHex8:function(){return this.rgb().formatHex8()},formatHsl:function(){return ln(this).formatHsl()},formatRgb:Kt,toString:Kt}),zt(en,nn,Yt(Ft,{brighter(t){return t=null==t?Pt:Math.pow(Pt,t),new en(this.r*t,this.g*t,this.b*t,this.opacity)},darker(t){return t=null==t?Ht:Math.pow(Ht,t),new en(this.r*t,this.g*t,this.b*t,this.opacity)},rgb(){return this},clamp(){return new en(an(this.r),an(this.g),an(this.b),un(this.opacity))},displayable(){return-.5<=this.r&&this.r<255.5&&-.5<=this.g&&this.g<255.5&&-.5<=this.b&&this.b<255.5&&0<=this.opacity&&this.opacity<=1},hex:rn,formatHex:rn,formatHex8:function(){return`#${sn(this.r)}${sn(this.g)}${sn(this.b)}${sn(255*(isNaN(this.opacity)?1:this.opacity))}`},formatRgb:on,toString:on})),zt(fn,hn,Yt(Ft,{brighter(t){return t=null==t?Pt:Math.pow(Pt,t),new fn(this.h,this.s,this.l*t,this.opacity)},darker(t){return t=null==t?Ht:Math.pow(Ht,t),new fn(this.h,this.s,this.l*t,this.opacity)},rgb(){var t=this.h%360+360*(this.h<0),n=isNaN(t)||isNaN(this.s)?0:this.s,e=this.l,r=e+(e<.5?e:1-e)*n,i=2*e-r;return new en(gn(t>=240?t-240:t+120,i,r),gn(t,i,r),gn(t<120?t+240:t-120,i,r),this.opacity)},clamp(){return new fn(pn(this.h),dn(this.s),dn(this.l),un(this.opacity))},displayable(){return(0<=this.s&&this.s<=1||isNaN(this.s))&&0<=this.l&&this.l<=1&&0<=this.opacity&&this.opacity<=1},formatHsl(){const t=un(this.opacity);return`${1===t?"hsl(":"hsla("}${pn(this.h)}, ${100*dn(this.s)}%, ${100*dn(this.l)}%${1===t?")":`, ${t})`}`}}));const vn=t=>()=>t;function yn(t,n){var e=n-t;return e?function(t,n){return function(e){return t+e*n}}(t,e):vn(isNaN(t)?n:t)}const mn=function t(n){var e=function(t){return 1===(t=+t)?yn:function(n,e){return e-n?function(t,n,e){return t=Math.pow(t,e),n=Math.pow(n,e)-t,e=1/e,function(r){return Math.pow(t+r*n,e)}}(n,e,t):vn(isNaN(n)?e:n)}}(n);function r(t,n){var r=e((t=nn(t)).r,(n=nn(n)).r),i=e(t.g,n.g),o=e(t.b,n.b),u=yn(t.opacity,n.opacity);return function(n){return t.r=r(n),t.g=i(n),t.b=o(n),t.opacity=u(n),t+""}}return r.gamma=t,r}(1);function _n(t,n){n||(n=[]);var e,r=t?Math.min(n.length,t.length):0,i=n.slice();return function(o){for(e=0;e<r;++e)i[e]=t[e]*(1-o)+n[e]*o;return i}}function wn(t,n){var e,r=n?n.length:0,i=t?Math.min(r,t.length):0,o=new Array(i),u=new Array(r);for(e=0;e<i;++e)o[e]=Cn(t[e],n[e]);for(;e<r;++e)u[e]=n[e];return function(t){for(e=0;e<i;++e)u[e]=o[e](t);return u}}function xn(t,n){var e=new Date;return t=+t,n=+n,function(r){return e.setTime(t*(1-r)+n*r),e}}function bn(t,n){return t=+t,n=+n,function(e){return t*(1-e)+n*e}}function Mn(t,n){var e,r={},i={};for(e in null!==t&&"object"==typeof t||(t={}),null!==n&&"object"==typeof n||(n={}),n)e in t?r[e]=Cn(t[e],n[e]):i[e]=n[e];return function(t){for(e in r)i[e]=r[e](t);return i}}var Tn=/[-+]?(?:\d+\.?\d*|\.?\d+)(?:[eE][-+]?\d+)?/g,kn=new RegExp(Tn.source,"g");function An(t,n){var e,r,i,o=Tn.lastIndex=kn.lastIndex=0,u=-1,a=[],s=[];for(t+="",n+="";(e=Tn.exec(t))&&(r=kn.exec(n));)(i=r.index)>o&&(i=n.slice(o,i),a[u]?a[u]+=i:a[++u]=i),(e=e[0])===(r=r[0])?a[u]?a[u]+=r:a[++u]=r:(a[++u]=null,s.push({i:u,x:bn(e,r)})),o=kn.lastIndex;return o<n.length&&(i=n.slice(o),a[u]?a[u]+=i:a[++u]=i),a.length<2?s[0]?function(t){return function(n){return t(n)+""}}(s[0].x):function(t){return function(){return t}}(n):(n=s.length,function(t){for(var e,r=0;r<n;++r)a[(e=s[r]).i]=e.x(t);return a.join("")})}function Cn(t,n){var e,r,i=typeof n;return null==n||"boolean"===i?vn(n):("number"===i?bn:"string"===i?(e=Qt(n))?(n=e,mn):An:n instanceof Qt?mn:n instanceof Date?xn:(r=n,!ArrayBuffer.isView(r)||r instanceof DataView?Array.isArray(n)?wn:"function"!=typeof n.valueOf&&"function"!=typeof n.toString||isNaN(n)?Mn:bn:_n))(t,n)}function $n(t,n){return t=+t,n=+n,function(e){return Math.round(t*(1-e)+n*e)}}var Sn,Nn=180/Math.PI,Dn={translateX:0,translateY:0,rotate:0,skewX:0,scaleX:1,scaleY:1};function Un(t,n,e,r,i,o){var u,a,s;return(u=Math.sqrt(t*t+n*n))&&(t/=u,n/=u),(s=t*e+n*r)&&(e-=t*s,r-=n*s),(a=Math.sqrt(e*e+r*r))&&(e/=a,r/=a,s/=a),t*r<n*e&&(t=-t,n=-n,s=-s,u=-u),{translateX:i,translateY:o,rotate:Math.atan2(n,t)*Nn,skewX:Math.atan(s)*Nn,scaleX:u,scaleY:a}}function En(t,n,e,r){function i(t){return t.length?t.pop()+" ":""}return function(o,u){var a=[],s=[];return o=t(o),u=t(u),function(t,r,i,o,u,a){if(t!==i||r!==o){var s=u.push("translate(",null,n,null,e);a.push({i:s-4,x:bn(t,i)},{i:s-2,x:bn(r,o)})}else(i||o)&&u.push("translate("+i+n+o+e)}(o.translateX,o.translateY,u.translateX,u.translateY,a,s),function(t,n,e,o){t!==n?(t-n>180?n+=360:n-t>180&&(t+=360),o.push({i:e.push(i(e)+"rotate(",null,r)-2,x:bn(t,n)})):n&&e.push(i(e)+"rotate("+n+r)}(o.rotate,u.rotate,a,s),function(t,n,e,o){t!==n?o.push({i:e.push(i(e)+"skewX(",null,r)-2,x:bn(t,n)}):n&&e.push(i(e)+"skewX("+n+r)}(o.skewX,u.skewX,a,s),function(t,n,e,r,o,u){if(t!==e||n!==r){var a=o.push(i(o)+"scale(",null,",",null,")");u.push({i:a-4,x:bn(t,e)},{i:a-2,x:bn(n,r)})}else 1===e&&1===r||o.push(i(o)+"scale("+e+","+r+")")}(o.scaleX,o.scaleY,u.scaleX,u.scaleY,a,s),o=u=null,function(t){for(var n,e=-1,r=s.length;++e<r;)a[(n=s[e]).i]=n.x(t);return a.join("")}}}var zn=En(function(t){const n=new("function"==typeof DOMMatrix?DOMMatrix:WebKitCSSMatrix)(t+"");return n.isIdentity?Dn:Un(n.a,n.b,n.c,n.d,n.e,n.f)},"px, ","px)","deg)"),Yn=En(function(t){return null==t?Dn:(Sn||(Sn=document.createElementNS("http://www.w3.org/2000/svg","g")),Sn.setAttribute("transform",t),(t=Sn.transform.baseVal.consolidate())?Un((t=t.matrix).a,t.b,t.c,t.d,t.e,t.f):Dn)},", ",")",")");function Fn(t){return((t=Math.exp(t))+1/t)/2}const Hn=function t(n,e,r){function i(t,i){var o,u,a=t[0],s=t[1],c=t[2],l=i[0],h=i[1],f=i[2],p=l-a,d=h-s,g=p*p+d*d;if(g<1e-12)u=Math.log(f/c)/n,o=function(t){return[a+t*p,s+t*d,c*Math.exp(n*t*u)]};else{var v=Math.sqrt(g),y=(f*f-c*c+r*g)/(2*c*e*v),m=(f*f-c*c-r*g)/(2*f*e*v),_=Math.log(Math.sqrt(y*y+1)-y),w=Math.log(Math.sqrt(m*m+1)-m);u=(w-_)/n,o=function(t){var r,i=t*u,o=Fn(_),l=c/(e*v)*(o*(r=n*i+_,((r=Math.exp(2*r))-1)/(r+1))-function(t){return((t=Math.exp(t))-1/t)/2}(_));return[a+l*p,s+l*d,c*o/Fn(n*i+_)]}}return o.duration=1e3*u*n/Math.SQRT2,o}return i.rho=function(n){var e=Math.max(.001,+n),r=e*e;return t(e,r,r*r)},i}(Math.SQRT2,2,4);function Pn(t){return+t}var Ln=[0,1];function qn(t){return t}function On(t,n){return(n-=t=+t)?function(e){return(e-t)/n}:(e=isNaN(n)?NaN:.5,function(){return e});var e}function Xn(t,n,e){var r=t[0],i=t[1],o=n[0],u=n[1];return i<r?(r=On(i,r),o=e(u,o)):(r=On(r,i),o=e(o,u)),function(t){return o(r(t))}}function Vn(t,n,e){var r=Math.min(t.length,n.length)-1,i=new Array(r),o=new Array(r),u=-1;for(t[r]<t[0]&&(t=t.slice().reverse(),n=n.slice().reverse());++u<r;)i[u]=On(t[u],t[u+1]),o[u]=e(n[u],n[u+1]);return function(n){var e=wt(t,n,1,r)-1;return o[e](i[e](n))}}function Bn(t,n){return n.domain(t.domain()).range(t.range()).interpolate(t.interpolate()).clamp(t.clamp()).unknown(t.unknown())}function jn(){return function(){var t,n,e,r,i,o,u=Ln,a=Ln,s=Cn,c=qn;function l(){var t,n,e,s=Math.min(u.length,a.length);return c!==qn&&(t=u[0],n=u[s-1],t>n&&(e=t,t=n,n=e),c=function(e){return Math.max(t,Math.min(n,e))}),r=s>2?Vn:Xn,i=o=null,h}function h(n){return null==n||isNaN(n=+n)?e:(i||(i=r(u.map(t),a,s)))(t(c(n)))}return h.invert=function(e){return c(n((o||(o=r(a,u.map(t),bn)))(e)))},h.domain=function(t){return arguments.length?(u=Array.from(t,Pn),l()):u.slice()},h.range=function(t){return arguments.length?(a=Array.from(t),l()):a.slice()},h.rangeRound=function(t){return a=Array.from(t),s=$n,l()},h.clamp=function(t){return arguments.length?(c=!!t||qn,l()):c!==qn},h.interpolate=function(t){return arguments.length?(s=t,l()):s},h.unknown=function(t){return arguments.length?(e=t,h):e},function(e,r){return t=e,n=r,l()}}()(qn,qn)}function In(t,n){if((e=(t=n?t.toExponential(n-1):t.toExponential()).indexOf("e"))<0)return null;var e,r=t.slice(0,e);return[r.length>1?r[0]+r.slice(2):r,+t.slice(e+1)]}function Rn(t){return(t=In(Math.abs(t)))?t[1]:NaN}var Zn,Wn=/^(?:(.)?([<>=^]))?([+\-( ])?([$#])?(0)?(\d+)?(,)?(\.\d+)?(~)?([a-z%])?$/i;function Gn(t){if(!(n=Wn.exec(t)))throw new Error("invalid format: "+t);var n;return new Kn({fill:n[1],align:n[2],sign:n[3],symbol:n[4],zero:n[5],width:n[6],comma:n[7],precision:n[8]&&n[8].slice(1),trim:n[9],type:n[10]})}function Kn(t){this.fill=void 0===t.fill?" ":t.fill+"",this.align=void 0===t.align?">":t.align+"",this.sign=void 0===t.sign?"-":t.sign+"",this.symbol=void 0===t.symbol?"":t.symbol+"",this.zero=!!t.zero,this.width=void 0===t.width?void 0:+t.width,this.comma=!!t.comma,this.precision=void 0===t.precision?void 0:+t.precision,this.trim=!!t.trim,this.type=void 0===t.type?"":t.type+""}function Qn(t,n){var e=In(t,n);if(!e)return t+"";var r=e[0],i=e[1];return i<0?"0."+new Array(-i).join("0")+r:r.length>i+1?r.slice(0,i+1)+"."+r.slice(i+1):r+new Array(i-r.length+2).join("0")}Gn.prototype=Kn.prototype,Kn.prototype.toString=function(){return this.fill+this.align+this.sign+this.symbol+(this.zero?"0":"")+(void 0===this.width?"":Math.max(1,0|this.width))+(this.comma?",":"")+(void 0===this.precision?"":"."+Math.max(0,0|this.precision))+(this.trim?"~":"")+this.type};const Jn={"%":(t,n)=>(100*t).toFixed(n),b:t=>Math.round(t).toString(2),c:t=>t+"",d:function(t){return Math.abs(t=Math.round(t))>=1e21?t.toLocaleString("en").replace(/,/g,""):t.toString(10)},e:(t,n)=>t.toExponential(n),f:(t,n)=>t.toFixed(n),g:(t,n)=>t.toPrecision(n),o:t=>Math.round(t).toString(8),p:(t,n)=>Qn(100*t,n),r:Qn,s:function(t,n){var e=In(t,n);if(!e)return t+"";var r=e[0],i=e[1],o=i-(Zn=3*Math.max(-8,Math.min(8,Math.floor(i/3))))+1,u=r.length;return o===u?r:o>u?r+new Array(o-u+1).join("0"):o>0?r.slice(0,o)+"."+r.slice(o):"0."+new Array(1-o).join("0")+In(t,Math.max(0,n+o-1))[0]},X:t=>Math.round(t).toString(16).toUpperCase(),x:t=>Math.round(t).toString(16)};function te(t){return t}var ne,ee,re=Array.prototype.map,ie=["y","z","a","f","p","n","µ","m","","k","M","G","T","P","E","Z","Y"];function oe(n){var e=n.domain;return n.ticks=function(t){var n=e();return function(t,n,e){if(!((e=+e)>0))return[];if((t=+t)===(n=+n))return[t];const r=n<t,[i,o,u]=r?$t(n,t,e):$t(t,n,e);if(!(o>=i))return[];const a=o-i+1,s=new Array(a);if(r)if(u<0)for(let c=0;c<a;++c)s[c]=(o-c)/-u;else for(let c=0;c<a;++c)s[c]=(o-c)*u;else if(u<0)for(let c=0;c<a;++c)s[c]=(i+c)/-u;else for(let c=0;c<a;++c)s[c]=(i+c)*u;return s}(n[0],n[n.length-1],null==t?10:t)},n.tickFormat=function(n,r){var i=e();return function(n,e,r,i){var o,u=Nt(n,e,r);switch((i=Gn(null==i?",f":i)).type){case"s":var a=Math.max(Math.abs(n),Math.abs(e));return null!=i.precision||isNaN(o=function(t,n){return Math.max(0,3*Math.max(-8,Math.min(8,Math.floor(Rn(n)/3)))-Rn(Math.abs(t)))}(u,a))||(i.precision=o),ee(i,a);case"":case"e":case"g":case"p":case"r":null!=i.precision||isNaN(o=function(t,n){return t=Math.abs(t),n=Math.abs(n)-t,Math.max(0,Rn(n)-Rn(t))+1}(u,Math.max(Math.abs(n),Math.abs(e))))||(i.precision=o-("e"===i.type));break;case"f":case"%":null!=i.precision||isNaN(o=function(t){return Math.max(0,-Rn(Math.abs(t)))}(u))||(i.precision=o-2*("%"===i.type))}return t.format(i)}(i[0],i[i.length-1],null==n?10:n,r)},n.nice=function(t){null==t&&(t=10);var r,i,o=e(),u=0,a=o.length-1,s=o[u],c=o[a],l=10;for(c<s&&(i=s,s=c,c=i,i=u,u=a,a=i);l-- >0;){if((i=St(s,c,t))===r)return o[u]=s,o[a]=c,e(o);if(i>0)s=Math.floor(s/i)*i,c=Math.ceil(c/i)*i;else{if(!(i<0))break;s=Math.ceil(s*i)/i,c=Math.floor(c*i)/i}r=i}return n},n}t.format=void 0,ne=function(t){var n,e,r=void 0===t.grouping||void 0===t.thousands?te:(n=re.call(t.grouping,Number),e=t.thousands+"",function(t,r){for(var i=t.length,o=[],u=0,a=n[0],s=0;i>0&&a>0&&(s+a+1>r&&(a=Math.max(1,r-s)),o.push(t.substring(i-=a,i+a)),!((s+=a+1)>r));)a=n[u=(u+1)%n.length];return o.reverse().join(e)}),i=void 0===t.currency?"":t.currency[0]+"",o=void 0===t.currency?"":t.currency[1]+"",u=void 0===t.decimal?".":t.decimal+"",a=void 0===t.numerals?te:function(t){return function(n){return n.replace(/[0-9]/g,function(n){return t[+n]})}}(re.call(t.numerals,String)),s=void 0===t.percent?"%":t.percent+"",c=void 0===t.minus?"−":t.minus+"",l=void 0===t.nan?"NaN":t.nan+"";function h(t){var n=(t=Gn(t)).fill,e=t.align,h=t.sign,f=t.symbol,p=t.zero,d=t.width,g=t.comma,v=t.precision,y=t.trim,m=t.type;"n"===m?(g=!0,m="g"):Jn[m]||(void 0===v&&(v=12),y=!0,m="g"),(p||"0"===n&&"="===e)&&(p=!0,n="0",e="=");var _="$"===f?i:"#"===f&&/[boxX]/.test(m)?"0"+m.toLowerCase():"",w="$"===f?o:/[%p]/.test(m)?s:"",x=Jn[m],b=/[defgprs%]/.test(m);function M(t){var i,o,s,f=_,M=w;if("c"===m)M=x(t)+M,t="";else{var T=(t=+t)<0||1/t<0;if(t=isNaN(t)?l:x(Math.abs(t),v),y&&(t=function(t){t:for(var n,e=t.length,r=1,i=-1;r<e;++r)switch(t[r]){case".":i=n=r;break;case"0":0===i&&(i=r),n=r;break;default:if(!+t[r])break t;i>0&&(i=0)}return i>0?t.slice(0,i)+t.slice(n+1):t}(t)),T&&0===+t&&"+"!==h&&(T=!1),f=(T?"("===h?h:c:"-"===h||"("===h?"":h)+f,M=("s"===m?ie[8+Zn/3]:"")+M+(T&&"("===h?")":""),b)for(i=-1,o=t.length;++i<o;)if(48>(s=t.charCodeAt(i))||s>57){M=(46===s?u+t.slice(i+1):t.slice(i))+M,t=t.slice(0,i);break}}g&&!p&&(t=r(t,1/0));var k=f.length+t.length+M.length,A=k<d?new Array(d-k+1).join(n):"";switch(g&&p&&(t=r(A+t,A.length?d-M.length:1/0),A=""),e){case"<":t=f+t+M+A;break;case"=":t=f+A+t+M;break;case"^":t=A.slice(0,k=A.length>>1)+f+t+M+A.slice(k);break;default:t=A+f+t+M}return a(t)}return v=void 0===v?6:/[gprs]/.test(m)?Math.max(1,Math.min(21,v)):Math.max(0,Math.min(20,v)),M.toString=function(){return t+""},M}return{format:h,formatPrefix:function(t,n){var e=h(((t=Gn(t)).type="f",t)),r=3*Math.max(-8,Math.min(8,Math.floor(Rn(n)/3))),i=Math.pow(10,-r),o=ie[8+r/3];return function(t){return e(i*t)+o}}}}({thousands:",",grouping:[3],currency:["$",""]}),t.format=ne.format,ee=ne.formatPrefix;const ue=new Date,ae=new Date;function se(t,n,e,r){function i(n){return t(n=0===arguments.length?new Date:new Date(+n)),n}return i.floor=n=>(t(n=new Date(+n)),n),i.ceil=e=>(t(e=new Date(e-1)),n(e,1),t(e),e),i.round=t=>{const n=i(t),e=i.ceil(t);return t-n<e-t?n:e},i.offset=(t,e)=>(n(t=new Date(+t),null==e?1:Math.floor(e)),t),i.range=(e,r,o)=>{const u=[];if(e=i.ceil(e),o=null==o?1:Math.floor(o),!(e<r&&o>0))return u;let a;do{u.push(a=new Date(+e)),n(e,o),t(e)}while(a<e&&e<r);return u},i.filter=e=>se(n=>{if(n>=n)for(;t(n),!e(n);)n.setTime(n-1)},(t,r)=>{if(t>=t)if(r<0)for(;++r<=0;)for(;n(t,-1),!e(t););else for(;--r>=0;)for(;n(t,1),!e(t););}),e&&(i.count=(n,r)=>(ue.setTime(+n),ae.setTime(+r),t(ue),t(ae),Math.floor(e(ue,ae))),i.every=t=>(t=Math.floor(t),isFinite(t)&&t>0?t>1?i.filter(r?n=>r(n)%t===0:n=>i.count(0,n)%t===0):i:null)),i}const ce=se(()=>{},(t,n)=>{t.setTime(+t+n)},(t,n)=>n-t);ce.every=t=>(t=Math.floor(t),isFinite(t)&&t>0?t>1?se(n=>{n.setTime(Math.floor(n/t)*t)},(n,e)=>{n.setTime(+n+e*t)},(n,e)=>(e-n)/t):ce:null),ce.range;const le=1e3,he=6e4,fe=36e5,pe=864e5,de=6048e5,ge=31536e6,ve=se(t=>{t.setTime(t-t.getMilliseconds())},(t,n)=>{t.setTime(+t+n*le)},(t,n)=>(n-t)/le,t=>t.getUTCSeconds());ve.range,se(t=>{t.setTime(t-t.getMilliseconds()-t.getSeconds()*le)},(t,n)=>{t.setTime(+t+n*he)},(t,n)=>(n-t)/he,t=>t.getMinutes()).range;const ye=se(t=>{t.setUTCSeconds(0,0)},(t,n)=>{t.setTime(+t+n*he)},(t,n)=>(n-t)/he,t=>t.getUTCMinutes());ye.range,se(t=>{t.setTime(t-t.getMilliseconds()-t.getSeconds()*le-t.getMinutes()*he)},(t,n)=>{t.setTime(+t+n*fe)},(t,n)=>(n-t)/fe,t=>t.getHours()).range;const me=se(t=>{t.setUTCMinutes(0,0,0)},(t,n)=>{t.setTime(+t+n*fe)},(t,n)=>(n-t)/fe,t=>t.getUTCHours());me.range;const _e=se(t=>t.setHours(0,0,0,0),(t,n)=>t.setDate(t.getDate()+n),(t,n)=>(n-t-(n.getTimezoneOffset()-t.getTimezoneOffset())*he)/pe,t=>t.getDate()-1);_e.range;const we=se(t=>{t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCDate(t.getUTCDate()+n)},(t,n)=>(n-t)/pe,t=>t.getUTCDate()-1);we.range;const xe=se(t=>{t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCDate(t.getUTCDate()+n)},(t,n)=>(n-t)/pe,t=>Math.floor(t/pe));function be(t){return se(n=>{n.setDate(n.getDate()-(n.getDay()+7-t)%7),n.setHours(0,0,0,0)},(t,n)=>{t.setDate(t.getDate()+7*n)},(t,n)=>(n-t-(n.getTimezoneOffset()-t.getTimezoneOffset())*he)/de)}xe.range;const Me=be(0),Te=be(1),ke=be(2),Ae=be(3),Ce=be(4),$e=be(5),Se=be(6);function Ne(t){return se(n=>{n.setUTCDate(n.getUTCDate()-(n.getUTCDay()+7-t)%7),n.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCDate(t.getUTCDate()+7*n)},(t,n)=>(n-t)/de)}Me.range,Te.range,ke.range,Ae.range,Ce.range,$e.range,Se.range;const De=Ne(0),Ue=Ne(1),Ee=Ne(2),ze=Ne(3),Ye=Ne(4),Fe=Ne(5),He=Ne(6);De.range,Ue.range,Ee.range,ze.range,Ye.range,Fe.range,He.range,se(t=>{t.setDate(1),t.setHours(0,0,0,0)},(t,n)=>{t.setMonth(t.getMonth()+n)},(t,n)=>n.getMonth()-t.getMonth()+12*(n.getFullYear()-t.getFullYear()),t=>t.getMonth()).range;const Pe=se(t=>{t.setUTCDate(1),t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCMonth(t.getUTCMonth()+n)},(t,n)=>n.getUTCMonth()-t.getUTCMonth()+12*(n.getUTCFullYear()-t.getUTCFullYear()),t=>t.getUTCMonth());Pe.range;const Le=se(t=>{t.setMonth(0,1),t.setHours(0,0,0,0)},(t,n)=>{t.setFullYear(t.getFullYear()+n)},(t,n)=>n.getFullYear()-t.getFullYear(),t=>t.getFullYear());Le.every=t=>isFinite(t=Math.floor(t))&&t>0?se(n=>{n.setFullYear(Math.floor(n.getFullYear()/t)*t),n.setMonth(0,1),n.setHours(0,0,0,0)},(n,e)=>{n.setFullYear(n.getFullYear()+e*t)}):null,Le.range;const qe=se(t=>{t.setUTCMonth(0,1),t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCFullYear(t.getUTCFullYear()+n)},(t,n)=>n.getUTCFullYear()-t.getUTCFullYear(),t=>t.getUTCFullYear());qe.every=t=>isFinite(t=Math.floor(t))&&t>0?se(n=>{n.setUTCFullYear(Math.floor(n.getUTCFullYear()/t)*t),n.setUTCMonth(0,1),n.setUTCHours(0,0,0,0)},(n,e)=>{n.setUTCFullYear(n.getUTCFullYear()+e*t)}):null,qe.range;const[Oe,Xe]=function(t,n,e,r,i,o){const u=[[ve,1,le],[ve,5,5e3],[ve,15,15e3],[ve,30,3e4],[o,1,he],[o,5,3e5],[o,15,9e5],[o,30,18e5],[i,1,fe],[i,3,108e5],[i,6,216e5],[i,12,432e5],[r,1,pe],[r,2,1728e5],[e,1,de],[n,1,2592e6],[n,3,7776e6],[t,1,ge]];function a(n,e,r){const i=Math.abs(e-n)/r,o=yt(([,,t])=>t).right(u,i);if(o===u.length)return t.every(Nt(n/ge,e/ge,r));if(0===o)return ce.every(Math.max(Nt(n,e,r),1));const[a,s]=u[i/u[o-1][2]<u[o][2]/i?o-1:o];return a.every(s)}return[function(t,n,e){const r=n<t;r&&([t,n]=[n,t]);const i=e&&"function"==typeof e.range?e:a(t,n,e),o=i?i.range(t,+n+1):[];return r?o.reverse():o},a]}(qe,Pe,De,xe,me,ye);function Ve(t){if(0<=t.y&&t.y<100){var n=new Date(-1,t.m,t.d,t.H,t.M,t.S,t.L);return n.setFullYear(t.y),n}return new Date(t.y,t.m,t.d,t.H,t.M,t.S,t.L)}function Be(t){if(0<=t.y&&t.y<100){var n=new Date(Date.UTC(-1,t.m,t.d,t.H,t.M,t.S,t.L));return n.setUTCFullYear(t.y),n}return new Date(Date.UTC(t.y,t.m,t.d,t.H,t.M,t.S,t.L))}function je(t,n,e){return{y:t,m:n,d:e,H:0,M:0,S:0,L:0}}var Ie,Re,Ze={"-":"",_:" ",0:"0"},We=/^\s*\d+/,Ge=/^%/,Ke=/[\\^$*+?|[\]().{}]/g;function Qe(t,n,e){var r=t<0?"-":"",i=(r?-t:t)+"",o=i.length;return r+(o<e?new Array(e-o+1).join(n)+i:i)}function Je(t){return t.replace(Ke,"\\$&")}function tr(t){return new RegExp("^(?:"+t.map(Je).join("|")+")","i")}function nr(t){return new Map(t.map((t,n)=>[t.toLowerCase(),n]))}function er(t,n,e){var r=We.exec(n.slice(e,e+1));return r?(t.w=+r[0],e+r[0].length):-1}function rr(t,n,e){var r=We.exec(n.slice(e,e+1));return r?(t.u=+r[0],e+r[0].length):-1}function ir(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.U=+r[0],e+r[0].length):-1}function or(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.V=+r[0],e+r[0].length):-1}function ur(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.W=+r[0],e+r[0].length):-1}function ar(t,n,e){var r=We.exec(n.slice(e,e+4));return r?(t.y=+r[0],e+r[0].length):-1}function sr(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.y=+r[0]+(+r[0]>68?1900:2e3),e+r[0].length):-1}function cr(t,n,e){var r=/^(Z)|([+-]\d\d)(?::?(\d\d))?/.exec(n.slice(e,e+6));return r?(t.Z=r[1]?0:-(r[2]+(r[3]||"00")),e+r[0].length):-1}function lr(t,n,e){var r=We.exec(n.slice(e,e+1));return r?(t.q=3*r[0]-3,e+r[0].length):-1}function hr(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.m=r[0]-1,e+r[0].length):-1}function fr(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.d=+r[0],e+r[0].length):-1}function pr(t,n,e){var r=We.exec(n.slice(e,e+3));return r?(t.m=0,t.d=+r[0],e+r[0].length):-1}function dr(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.H=+r[0],e+r[0].length):-1}function gr(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.M=+r[0],e+r[0].length):-1}function vr(t,n,e){var r=We.exec(n.slice(e,e+2));return r?(t.S=+r[0],e+r[0].length):-1}function yr(t,n,e){var r=We.exec(n.slice(e,e+3));return r?(t.L=+r[0],e+r[0].length):-1}function mr(t,n,e){var r=We.exec(n.slice(e,e+6));return r?(t.L=Math.floor(r[0]/1e3),e+r[0].length):-1}function _r(t,n,e){var r=Ge.exec(n.slice(e,e+1));return r?e+r[0].length:-1}function wr(t,n,e){var r=We.exec(n.slice(e));return r?(t.Q=+r[0],e+r[0].length):-1}function xr(t,n,e){var r=We.exec(n.slice(e));return r?(t.s=+r[0],e+r[0].length):-1}function br(t,n){return Qe(t.getDate(),n,2)}function Mr(t,n){return Qe(t.getHours(),n,2)}function Tr(t,n){return Qe(t.getHours()%12||12,n,2)}function kr(t,n){return Qe(1+_e.count(Le(t),t),n,3)}function Ar(t,n){return Qe(t.getMilliseconds(),n,3)}function Cr(t,n){return Ar(t,n)+"000"}function $r(t,n){return Qe(t.getMonth()+1,n,2)}function Sr(t,n){return Qe(t.getMinutes(),n,2)}function Nr(t,n){return Qe(t.getSeconds(),n,2)}function Dr(t){var n=t.getDay();return 0===n?7:n}function Ur(t,n){return Qe(Me.count(Le(t)-1,t),n,2)}function Er(t){var n=t.getDay();return n>=4||0===n?Ce(t):Ce.ceil(t)}function zr(t,n){return t=Er(t),Qe(Ce.count(Le(t),t)+(4===Le(t).getDay()),n,2)}function Yr(t){return t.getDay()}function Fr(t,n){return Qe(Te.count(Le(t)-1,t),n,2)}function Hr(t,n){return Qe(t.getFullYear()%100,n,2)}function Pr(t,n){return Qe((t=Er(t)).getFullYear()%100,n,2)}function Lr(t,n){return Qe(t.getFullYear()%1e4,n,4)}function qr(t,n){var e=t.getDay();return Qe((t=e>=4||0===e?Ce(t):Ce.ceil(t)).getFullYear()%1e4,n,4)}function Or(t){var n=t.getTimezoneOffset();return(n>0?"-":(n*=-1,"+"))+Qe(n/60|0,"0",2)+Qe(n%60,"0",2)}function Xr(t,n){return Qe(t.getUTCDate(),n,2)}function Vr(t,n){return Qe(t.getUTCHours(),n,2)}function Br(t,n){return Qe(t.getUTCHours()%12||12,n,2)}function jr(t,n){return Qe(1+we.count(qe(t),t),n,3)}function Ir(t,n){return Qe(t.getUTCMilliseconds(),n,3)}function Rr(t,n){return Ir(t,n)+"000"}function Zr(t,n){return Qe(t.getUTCMonth()+1,n,2)}function Wr(t,n){return Qe(t.getUTCMinutes(),n,2)}function Gr(t,n){return Qe(t.getUTCSeconds(),n,2)}function Kr(t){var n=t.getUTCDay();return 0===n?7:n}function Qr(t,n){return Qe(De.count(qe(t)-1,t),n,2)}function Jr(t){var n=t.getUTCDay();return n>=4||0===n?Ye(t):Ye.ceil(t)}function ti(t,n){return t=Jr(t),Qe(Ye.count(qe(t),t)+(4===qe(t).getUTCDay()),n,2)}function ni(t){return t.getUTCDay()}function ei(t,n){return Qe(Ue.count(qe(t)-1,t),n,2)}function ri(t,n){return Qe(t.getUTCFullYear()%100,n,2)}function ii(t,n){return Qe((t=Jr(t)).getUTCFullYear()%100,n,2)}function oi(t,n){return Qe(t.getUTCFullYear()%1e4,n,4)}function ui(t,n){var e=t.getUTCDay();return Qe((t=e>=4||0===e?Ye(t):Ye.ceil(t)).getUTCFullYear()%1e4,n,4)}function ai(){return"+0000"}function si(){return"%"}function ci(t){return+t}function li(t){return Math.floor(+t/1e3)}function hi(t){return new Date(t)}function fi(t){return t instanceof Date?+t:+new Date(+t)}function pi(t,n,e,r,i,o,u,a,s,c){var l=jn(),h=l.invert,f=l.domain,p=c(".%L"),d=c(":%S"),g=c("%I:%M"),v=c("%I %p"),y=c("%a %d"),m=c("%b %d"),_=c("%B"),w=c("%Y");function x(t){return(s(t)<t?p:a(t)<t?d:u(t)<t?g:o(t)<t?v:r(t)<t?i(t)<t?y:m:e(t)<t?_:w)(t)}return l.invert=function(t){return new Date(h(t))},l.domain=function(t){return arguments.length?f(Array.from(t,fi)):f().map(hi)},l.ticks=function(n){var e=f();return t(e[0],e[e.length-1],null==n?10:n)},l.tickFormat=function(t,n){return null==n?x:c(n)},l.nice=function(t){var e=f();return t&&"function"==typeof t.range||(t=n(e[0],e[e.length-1],null==t?10:t)),t?f(function(t,n){var e,r=0,i=(t=t.slice()).length-1,o=t[r],u=t[i];return u<o&&(e=r,r=i,i=e,e=o,o=u,u=e),t[r]=n.floor(o),t[i]=n.ceil(u),t}(e,t)):l},l.copy=function(){return Bn(l,pi(t,n,e,r,i,o,u,a,s,c))},l}function di(t){for(var n=t.length/6|0,e=new Array(n),r=0;r<n;)e[r]="#"+t.slice(6*r,6*++r);return e}t.timeFormat=void 0,Ie=function(t){var n=t.dateTime,e=t.date,r=t.time,i=t.periods,o=t.days,u=t.shortDays,a=t.months,s=t.shortMonths,c=tr(i),l=nr(i),h=tr(o),f=nr(o),p=tr(u),d=nr(u),g=tr(a),v=nr(a),y=tr(s),m=nr(s),_={a:function(t){return u[t.getDay()]},A:function(t){return o[t.getDay()]},b:function(t){return s[t.getMonth()]},B:function(t){return a[t.getMonth()]},c:null,d:br,e:br,f:Cr,g:Pr,G:qr,H:Mr,I:Tr,j:kr,L:Ar,m:$r,M:Sr,p:function(t){return i[+(t.getHours()>=12)]},q:function(t){return 1+~~(t.getMonth()/3)},Q:ci,s:li,S:Nr,u:Dr,U:Ur,V:zr,w:Yr,W:Fr,x:null,X:null,y:Hr,Y:Lr,Z:Or,"%":si},w={a:function(t){return u[t.getUTCDay()]},A:function(t){return o[t.getUTCDay()]},b:function(t){return s[t.getUTCMonth()]},B:function(t){return a[t.getUTCMonth()]},c:null,d:Xr,e:Xr,f:Rr,g:ii,G:ui,H:Vr,I:Br,j:jr,L:Ir,m:Zr,M:Wr,p:function(t){return i[+(t.getUTCHours()>=12)]},q:function(t){return 1+~~(t.getUTCMonth()/3)},Q:ci,s:li,S:Gr,u:Kr,U:Qr,V:ti,w:ni,W:ei,x:null,X:null,y:ri,Y:oi,Z:ai,"%":si},x={a:function(t,n,e){var r=p.exec(n.slice(e));return r?(t.w=d.get(r[0].toLowerCase()),e+r[0].length):-1},A:function(t,n,e){var r=h.exec(n.slice(e));return r?(t.w=f.get(r[0].toLowerCase()),e+r[0].length):-1},b:function(t,n,e){var r=y.exec(n.slice(e));return r?(t.m=m.get(r[0].toLowerCase()),e+r[0].length):-1},B:function(t,n,e){var r=g.exec(n.slice(e));return r?(t.m=v.get(r[0].toLowerCase()),e+r[0].length):-1},c:function(t,e,r){return T(t,n,e,r)},d:fr,e:fr,f:mr,g:sr,G:ar,H:dr,I:dr,j:pr,L:yr,m:hr,M:gr,p:function(t,n,e){var r=c.exec(n.slice(e));return r?(t.p=l.get(r[0].toLowerCase()),e+r[0].length):-1},q:lr,Q:wr,s:xr,S:vr,u:rr,U:ir,V:or,w:er,W:ur,x:function(t,n,r){return T(t,e,n,r)},X:function(t,n,e){return T(t,r,n,e)},y:sr,Y:ar,Z:cr,"%":_r};function b(t,n){return function(e){var r,i,o,u=[],a=-1,s=0,c=t.length;for(e instanceof Date||(e=new Date(+e));++a<c;)37===t.charCodeAt(a)&&(u.push(t.slice(s,a)),null!=(i=Ze[r=t.charAt(++a)])?r=t.charAt(++a):i="e"===r?" ":"0",(o=n[r])&&(r=o(e,i)),u.push(r),s=a+1);return u.push(t.slice(s,a)),u.join("")}}function M(t,n){return function(e){var r,i,o=je(1900,void 0,1);if(T(o,t,e+="",0)!=e.length)return null;if("Q"in o)return new Date(o.Q);if("s"in o)return new Date(1e3*o.s+("L"in o?o.L:0));if(n&&!("Z"in o)&&(o.Z=0),"p"in o&&(o.H=o.H%12+12*o.p),void 0===o.m&&(o.m="q"in o?o.q:0),"V"in o){if(o.V<1||o.V>53)return null;"w"in o||(o.w=1),"Z"in o?(i=(r=Be(je(o.y,0,1))).getUTCDay(),r=i>4||0===i?Ue.ceil(r):Ue(r),r=we.offset(r,7*(o.V-1)),o.y=r.getUTCFullYear(),o.m=r.getUTCMonth(),o.d=r.getUTCDate()+(o.w+6)%7):(i=(r=Ve(je(o.y,0,1))).getDay(),r=i>4||0===i?Te.ceil(r):Te(r),r=_e.offset(r,7*(o.V-1)),o.y=r.getFullYear(),o.m=r.getMonth(),o.d=r.getDate()+(o.w+6)%7)}else("W"in o||"U"in o)&&("w"in o||(o.w="u"in o?o.u%7:"W"in o?1:0),i="Z"in o?Be(je(o.y,0,1)).getUTCDay():Ve(je(o.y,0,1)).getDay(),o.m=0,o.d="W"in o?(o.w+6)%7+7*o.W-(i+5)%7:o.w+7*o.U-(i+6)%7);return"Z"in o?(o.H+=o.Z/100|0,o.M+=o.Z%100,Be(o)):Ve(o)}}function T(t,n,e,r){for(var i,o,u=0,a=n.length,s=e.length;u<a;){if(r>=s)return-1;if(37===(i=n.charCodeAt(u++))){if(i=n.charAt(u++),!(o=x[i in Ze?n.charAt(u++):i])||(r=o(t,e,r))<0)return-1}else if(i!=e.charCodeAt(r++))return-1}return r}return _.x=b(e,_),_.X=b(r,_),_.c=b(n,_),w.x=b(e,w),w.X=b(r,w),w.c=b(n,w),{format:function(t){var n=b(t+="",_);return n.toString=function(){return t},n},parse:function(t){var n=M(t+="",!1);return n.toString=function(){return t},n},utcFormat:function(t){var n=b(t+="",w);return n.toString=function(){return t},n},utcParse:function(t){var n=M(t+="",!0);return n.toString=function(){return t},n}}}({dateTime:"%x, %X",date:"%-m/%-d/%Y",time:"%-I:%M:%S %p",periods:["AM","PM"],days:["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],shortDays:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"],months:["January","February","March","April","May","June","July","August","September","October","November","December"],shortMonths:["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"]}),t.timeFormat=Ie.format,Ie.parse,Re=Ie.utcFormat,Ie.utcParse;const gi=di("4269d0efb118ff725c6cc5b03ca951ff8ab7a463f297bbf59c6b4e9498a0"),vi=di("a6cee31f78b4b2df8a33a02cfb9a99e31a1cfdbf6fff7f00cab2d66a3d9affff99b15928"),yi=di("66c2a5fc8d628da0cbe78ac3a6d854ffd92fe5c494b3b3b3");function mi(t){return t}var _i=1e-6;function wi(t){return"translate("+t+",0)"}function xi(t){return"translate(0,"+t+")"}function bi(t){return n=>+t(n)}function Mi(t,n){return n=Math.max(0,t.bandwidth()-2*n)/2,t.round()&&(n=Math.round(n)),e=>+t(e)+n}function Ti(){return!this.__axis}function ki(t,n){var e=[],r=null,i=null,o=6,u=6,a=3,s="undefined"!=typeof window&&window.devicePixelRatio>1?0:.5,c=1===t||4===t?-1:1,l=4===t||2===t?"x":"y",h=1===t||3===t?wi:xi;function f(f){var p=null==r?n.ticks?n.ticks.apply(n,e):n.domain():r,d=null==i?n.tickFormat?n.tickFormat.apply(n,e):mi:i,g=Math.max(o,0)+a,v=n.range(),y=+v[0]+s,m=+v[v.length-1]+s,_=(n.bandwidth?Mi:bi)(n.copy(),s),w=f.selection?f.selection():f,x=w.selectAll(".domain").data([null]),b=w.selectAll(".tick").data(p,n).order(),M=b.exit(),T=b.enter().append("g").attr("class","tick"),k=b.select("line"),A=b.select("text");x=x.merge(x.enter().insert("path",".tick").attr("class","domain").attr("stroke","currentColor")),b=b.merge(T),k=k.merge(T.append("line").attr("stroke","currentColor").attr(l+"2",c*o)),A=A.merge(T.append("text").attr("fill","currentColor").attr(l,c*g).attr("dy",1===t?"0em":3===t?"0.71em":"0.32em")),f!==w&&(x=x.transition(f),b=b.transition(f),k=k.transition(f),A=A.transition(f),M=M.transition(f).attr("opacity",_i).attr("transform",function(t){return isFinite(t=_(t))?h(t+s):this.getAttribute("transform")}),T.attr("opacity",_i).attr("transform",function(t){var n=this.parentNode.__axis;return h((n&&isFinite(n=n(t))?n:_(t))+s)})),M.remove(),x.attr("d",4===t||2===t?u?"M"+c*u+","+y+"H"+s+"V"+m+"H"+c*u:"M"+s+","+y+"V"+m:u?"M"+y+","+c*u+"V"+s+"H"+m+"V"+c*u:"M"+y+","+s+"H"+m),b.attr("opacity",1).attr("transform",function(t){return h(_(t)+s)}),k.attr(l+"2",c*o),A.attr(l,c*g).text(d),w.filter(Ti).attr("fill","none").attr("font-size",10).attr("font-family","sans-serif").attr("text-anchor",2===t?"start":4===t?"end":"middle"),w.each(function(){this.__axis=_})}return f.scale=function(t){return arguments.length?(n=t,f):n},f.ticks=function(){return e=Array.from(arguments),f},f.tickArguments=function(t){return arguments.length?(e=null==t?[]:Array.from(t),f):e.slice()},f.tickValues=function(t){return arguments.length?(r=null==t?null:Array.from(t),f):r&&r.slice()},f.tickFormat=function(t){return arguments.length?(i=t,f):i},f.tickSize=function(t){return arguments.length?(o=u=+t,f):o},f.tickSizeInner=function(t){return arguments.length?(o=+t,f):o},f.tickSizeOuter=function(t){return arguments.length?(u=+t,f):u},f.tickPadding=function(t){return arguments.length?(a=+t,f):a},f.offset=function(t){return arguments.length?(s=+t,f):s},f}var Ai={value:()=>{}};function Ci(){for(var t,n=0,e=arguments.length,r={};n<e;++n){if(!(t=arguments[n]+"")||t in r||/[\s.]/.test(t))throw new Error("illegal type: "+t);r[t]=[]}return new $i(r)}function $i(t){this._=t}function Si(t,n){for(var e,r=0,i=t.length;r<i;++r)if((e=t[r]).name===n)return e.value}function Ni(t,n,e){for(var r=0,i=t.length;r<i;++r)if(t[r].name===n){t[r]=Ai,t=t.slice(0,r).concat(t.slice(r+1));break}return null!=e&&t.push({name:n,value:e}),t}$i.prototype=Ci.prototype={constructor:$i,on:function(t,n){var e,r,i=this._,o=(r=i,(t+"").trim().split(/^|\s+/).map(function(t){var n="",e=t.indexOf(".");if(e>=0&&(n=t.slice(e+1),t=t.slice(0,e)),t&&!r.hasOwnProperty(t))throw new Error("unknown type: "+t);return{type:t,name:n}})),u=-1,a=o.length;if(!(arguments.length<2)){if(null!=n&&"function"!=typeof n)throw new Error("invalid callback: "+n);for(;++u<a;)if(e=(t=o[u]).type)i[e]=Ni(i[e],t.name,n);else if(null==n)for(e in i)i[e]=Ni(i[e],t.name,null);return this}for(;++u<a;)if((e=(t=o[u]).type)&&(e=Si(i[e],t.name)))return e},copy:function(){var t={},n=this._;for(var e in n)t[e]=n[e].slice();return new $i(t)},call:function(t,n){if((e=arguments.length-2)>0)for(var e,r,i=new Array(e),o=0;o<e;++o)i[o]=arguments[o+2];if(!this._.hasOwnProperty(t))throw new Error("unknown type: "+t);for(o=0,e=(r=this._[t]).length;o<e;++o)r[o].value.apply(n,i)},apply:function(t,n,e){if(!this._.hasOwnProperty(t))throw new Error("unknown type: "+t);for(var r=this._[t],i=0,o=r.length;i<o;++i)r[i].value.apply(n,e)}};const Di={capture:!0,passive:!1};function Ui(t){t.preventDefault(),t.stopImmediatePropagation()}function Ei(t){var n=t.document.documentElement,e=pt(t).on("dragstart.drag",Ui,Di);"onselectstart"in n?e.on("selectstart.drag",Ui,Di):(n.__noselect=n.style.MozUserSelect,n.style.MozUserSelect="none")}function zi(t,n){var e=t.document.documentElement,r=pt(t).on("dragstart.drag",null);n&&(r.on("click.drag",Ui,Di),setTimeout(function(){r.on("click.drag",null)},0)),"onselectstart"in e?r.on("selectstart.drag",null):(e.style.MozUserSelect=e.__noselect,delete e.__noselect)}var Yi,Fi,Hi=0,Pi=0,Li=0,qi=0,Oi=0,Xi=0,Vi="object"==typeof performance&&performance.now?performance:Date,Bi="object"==typeof window&&window.requestAnimationFrame?window.requestAnimationFrame.bind(window):function(t){setTimeout(t,17)};function ji(){return Oi||(Bi(Ii),Oi=Vi.now()+Xi)}function Ii(){Oi=0}function Ri(){this._call=this._time=this._next=null}function Zi(t,n,e){var r=new Ri;return r.restart(t,n,e),r}function Wi(){Oi=(qi=Vi.now())+Xi,Hi=Pi=0;try{!function(){ji(),++Hi;for(var t,n=Yi;n;)(t=Oi-n._time)>=0&&n._call.call(void 0,t),n=n._next;--Hi}()}finally{Hi=0,function(){for(var t,n,e=Yi,r=1/0;e;)e._call?(r>e._time&&(r=e._time),t=e,e=e._next):(n=e._next,e._next=null,e=t?t._next=n:Yi=n);Fi=t,Ki(r)}(),Oi=0}}function Gi(){var t=Vi.now(),n=t-qi;n>1e3&&(Xi-=n,qi=t)}function Ki(t){Hi||(Pi&&(Pi=clearTimeout(Pi)),t-Oi>24?(t<1/0&&(Pi=setTimeout(Wi,t-Vi.now()-Xi)),Li&&(Li=clearInterval(Li))):(Li||(qi=Vi.now(),Li=setInterval(Gi,1e3)),Hi=1,Bi(Wi)))}function Qi(t,n,e){var r=new Ri;return n=null==n?0:+n,r.restart(e=>{r.stop(),t(e+n)},n,e),r}Ri.prototype=Zi.prototype={constructor:Ri,restart:function(t,n,e){if("function"!=typeof t)throw new TypeError("callback is not a function");e=(null==e?ji():+e)+(null==n?0:+n),this._next||Fi===this||(Fi?Fi._next=this:Yi=this,Fi=this),this._call=t,this._time=e,Ki()},stop:function(){this._call&&(this._call=null,this._time=1/0,Ki())}};var Ji=Ci("start","end","cancel","interrupt"),to=[];function no(t,n,e,r,i,o){var u=t.__transition;if(u){if(e in u)return}else t.__transition={};!function(t,n,e){var r,i=t.__transition;function o(s){var c,l,h,f;if(1!==e.state)return a();for(c in i)if((f=i[c]).name===e.name){if(3===f.state)return Qi(o);4===f.state?(f.state=6,f.timer.stop(),f.on.call("interrupt",t,t.__data__,f.index,f.group),delete i[c]):+c<n&&(f.state=6,f.timer.stop(),f.on.call("cancel",t,t.__data__,f.index,f.group),delete i[c])}if(Qi(function(){3===e.state&&(e.state=4,e.timer.restart(u,e.delay,e.time),u(s))}),e.state=2,e.on.call("start",t,t.__data__,e.index,e.group),2===e.state){for(e.state=3,r=new Array(h=e.tween.length),c=0,l=-1;c<h;++c)(f=e.tween[c].value.call(t,t.__data__,e.index,e.group))&&(r[++l]=f);r.length=l+1}}function u(n){for(var i=n<e.duration?e.ease.call(null,n/e.duration):(e.timer.restart(a),e.state=5,1),o=-1,u=r.length;++o<u;)r[o].call(t,i);5===e.state&&(e.on.call("end",t,t.__data__,e.index,e.group),a())}function a(){for(var r in e.state=6,e.timer.stop(),delete i[n],i)return;delete t.__transition}i[n]=e,e.timer=Zi(function(t){e.state=1,e.timer.restart(o,e.delay,e.time),e.delay<=t&&o(t-e.delay)},0,e.time)}(t,e,{name:n,index:r,group:i,on:Ji,tween:to,time:o.time,delay:o.delay,duration:o.duration,ease:o.ease,timer:null,state:0})}function eo(t,n){var e=io(t,n);if(e.state>0)throw new Error("too late; already scheduled");return e}function ro(t,n){var e=io(t,n);if(e.state>3)throw new Error("too late; already running");return e}function io(t,n){var e=t.__transition;if(!e||!(e=e[n]))throw new Error("transition not found");return e}function oo(t,n){var e,r,i,o=t.__transition,u=!0;if(o){for(i in n=null==n?null:n+"",o)(e=o[i]).name===n?(r=e.state>2&&e.state<5,e.state=6,e.timer.stop(),e.on.call(r?"interrupt":"cancel",t,t.__data__,e.index,e.group),delete o[i]):u=!1;u&&delete t.__transition}}function uo(t,n){var e,r;return function(){var i=ro(this,t),o=i.tween;if(o!==e)for(var u=0,a=(r=e=o).length;u<a;++u)if(r[u].name===n){(r=r.slice()).splice(u,1);break}i.tween=r}}function ao(t,n,e){var r,i;if("function"!=typeof e)throw new Error;return function(){var o=ro(this,t),u=o.tween;if(u!==r){i=(r=u).slice();for(var a={name:n,value:e},s=0,c=i.length;s<c;++s)if(i[s].name===n){i[s]=a;break}s===c&&i.push(a)}o.tween=i}}function so(t,n,e){var r=t._id;return t.each(function(){var t=ro(this,r);(t.value||(t.value={}))[n]=e.apply(this,arguments)}),function(t){return io(t,r).value[n]}}function co(t,n){var e;return("number"==typeof n?bn:n instanceof Qt?mn:(e=Qt(n))?(n=e,mn):An)(t,n)}function lo(t){return function(){this.removeAttribute(t)}}function ho(t){return function(){this.removeAttributeNS(t.space,t.local)}}function fo(t,n,e){var r,i,o=e+"";return function(){var u=this.getAttribute(t);return u===o?null:u===r?i:i=n(r=u,e)}}function po(t,n,e){var r,i,o=e+"";return function(){var u=this.getAttributeNS(t.space,t.local);return u===o?null:u===r?i:i=n(r=u,e)}}function go(t,n,e){var r,i,o;return function(){var u,a,s=e(this);if(null!=s)return(u=this.getAttribute(t))===(a=s+"")?null:u===r&&a===i?o:(i=a,o=n(r=u,s));this.removeAttribute(t)}}function vo(t,n,e){var r,i,o;return function(){var u,a,s=e(this);if(null!=s)return(u=this.getAttributeNS(t.space,t.local))===(a=s+"")?null:u===r&&a===i?o:(i=a,o=n(r=u,s));this.removeAttributeNS(t.space,t.local)}}function yo(t,n){var e,r;function i(){var i=n.apply(this,arguments);return i!==r&&(e=(r=i)&&function(t,n){return function(e){this.setAttributeNS(t.space,t.local,n.call(this,e))}}(t,i)),e}return i._value=n,i}function mo(t,n){var e,r;function i(){var i=n.apply(this,arguments);return i!==r&&(e=(r=i)&&function(t,n){return function(e){this.setAttribute(t,n.call(this,e))}}(t,i)),e}return i._value=n,i}function _o(t,n){return function(){eo(this,t).delay=+n.apply(this,arguments)}}function wo(t,n){return n=+n,function(){eo(this,t).delay=n}}function xo(t,n){return function(){ro(this,t).duration=+n.apply(this,arguments)}}function bo(t,n){return n=+n,function(){ro(this,t).duration=n}}var Mo=ft.prototype.constructor;function To(t){return function(){this.style.removeProperty(t)}}var ko=0;function Ao(t,n,e,r){this._groups=t,this._parents=n,this._name=e,this._id=r}function Co(){return++ko}var $o=ft.prototype;Ao.prototype={constructor:Ao,select:function(t){var n=this._name,e=this._id;"function"!=typeof t&&(t=s(t));for(var r=this._groups,i=r.length,o=new Array(i),u=0;u<i;++u)for(var a,c,l=r[u],h=l.length,f=o[u]=new Array(h),p=0;p<h;++p)(a=l[p])&&(c=t.call(a,a.__data__,p,l))&&("__data__"in a&&(c.__data__=a.__data__),f[p]=c,no(f[p],n,e,p,f,io(a,e)));return new Ao(o,this._parents,n,e)},selectAll:function(t){var n=this._name,e=this._id;"function"!=typeof t&&(t=h(t));for(var r=this._groups,i=r.length,o=[],u=[],a=0;a<i;++a)for(var s,c=r[a],l=c.length,f=0;f<l;++f)if(s=c[f]){for(var p,d=t.call(s,s.__data__,f,c),g=io(s,e),v=0,y=d.length;v<y;++v)(p=d[v])&&no(p,n,e,v,d,g);o.push(d),u.push(s)}return new Ao(o,u,n,e)},selectChild:$o.selectChild,selectChildren:$o.selectChildren,filter:function(t){"function"!=typeof t&&(t=f(t));for(var n=this._groups,e=n.length,r=new Array(e),i=0;i<e;++i)for(var o,u=n[i],a=u.length,s=r[i]=[],c=0;c<a;++c)(o=u[c])&&t.call(o,o.__data__,c,u)&&s.push(o);return new Ao(r,this._parents,this._name,this._id)},merge:function(t){if(t._id!==this._id)throw new Error;for(var n=this._groups,e=t._groups,r=n.length,i=e.length,o=Math.min(r,i),u=new Array(r),a=0;a<o;++a)for(var s,c=n[a],l=e[a],h=c.length,f=u[a]=new Array(h),p=0;p<h;++p)(s=c[p]||l[p])&&(f[p]=s);for(;a<r;++a)u[a]=n[a];return new Ao(u,this._parents,this._name,this._id)},selection:function(){return new Mo(this._groups,this._parents)},transition:function(){for(var t=this._name,n=this._id,e=Co(),r=this._groups,i=r.length,o=0;o<i;++o)for(var u,a=r[o],s=a.length,c=0;c<s;++c)if(u=a[c]){var l=io(u,n);no(u,t,e,c,a,{time:l.time+l.delay+l.duration,delay:0,duration:l.duration,ease:l.ease})}return new Ao(r,this._parents,t,e)},call:$o.call,nodes:$o.nodes,node:$o.node,size:$o.size,empty:$o.empty,each:$o.each,on:function(t,n){var e=this._id;return arguments.length<2?io(this.node(),e).on.on(t):this.each(function(t,n,e){var r,i,o=function(t){return(t+"").trim().split(/^|\s+/).every(function(t){var n=t.indexOf(".");return n>=0&&(t=t.slice(0,n)),!t||"start"===t})}(n)?eo:ro;return function(){var u=o(this,t),a=u.on;a!==r&&(i=(r=a).copy()).on(n,e),u.on=i}}(e,t,n))},attr:function(t,n){var e=r(t),i="transform"===e?Yn:co;return this.attrTween(t,"function"==typeof n?(e.local?vo:go)(e,i,so(this,"attr."+t,n)):null==n?(e.local?ho:lo)(e):(e.local?po:fo)(e,i,n))},attrTween:function(t,n){var e="attr."+t;if(arguments.length<2)return(e=this.tween(e))&&e._value;if(null==n)return this.tween(e,null);if("function"!=typeof n)throw new Error;var i=r(t);return this.tween(e,(i.local?yo:mo)(i,n))},style:function(t,n,e){var r="transform"==(t+="")?zn:co;return null==n?this.styleTween(t,function(t,n){var e,r,i;return function(){var o=Y(this,t),u=(this.style.removeProperty(t),Y(this,t));return o===u?null:o===e&&u===r?i:i=n(e=o,r=u)}}(t,r)).on("end.style."+t,To(t)):"function"==typeof n?this.styleTween(t,function(t,n,e){var r,i,o;return function(){var u=Y(this,t),a=e(this),s=a+"";return null==a&&(this.style.removeProperty(t),s=a=Y(this,t)),u===s?null:u===r&&s===i?o:(i=s,o=n(r=u,a))}}(t,r,so(this,"style."+t,n))).each(function(t,n){var e,r,i,o,u="style."+n,a="end."+u;return function(){var s=ro(this,t),c=s.on,l=null==s.value[u]?o||(o=To(n)):void 0;c===e&&i===l||(r=(e=c).copy()).on(a,i=l),s.on=r}}(this._id,t)):this.styleTween(t,function(t,n,e){var r,i,o=e+"";return function(){var u=Y(this,t);return u===o?null:u===r?i:i=n(r=u,e)}}(t,r,n),e).on("end.style."+t,null)},styleTween:function(t,n,e){var r="style."+(t+="");if(arguments.length<2)return(r=this.tween(r))&&r._value;if(null==n)return this.tween(r,null);if("function"!=typeof n)throw new Error;return this.tween(r,function(t,n,e){var r,i;function o(){var o=n.apply(this,arguments);return o!==i&&(r=(i=o)&&function(t,n,e){return function(r){this.style.setProperty(t,n.call(this,r),e)}}(t,o,e)),r}return o._value=n,o}(t,n,null==e?"":e))},text:function(t){return this.tween("text","function"==typeof t?function(t){return function(){var n=t(this);this.textContent=null==n?"":n}}(so(this,"text",t)):function(t){return function(){this.textContent=t}}(null==t?"":t+""))},textTween:function(t){var n="text";if(arguments.length<1)return(n=this.tween(n))&&n._value;if(null==t)return this.tween(n,null);if("function"!=typeof t)throw new Error;return this.tween(n,function(t){var n,e;function r(){var r=t.apply(this,arguments);return r!==e&&(n=(e=r)&&function(t){return function(n){this.textContent=t.call(this,n)}}(r)),n}return r._value=t,r}(t))},remove:function(){return this.on("end.remove",(t=this._id,function(){var n=this.parentNode;for(var e in this.__transition)if(+e!==t)return;n&&n.removeChild(this)}));var t},tween:function(t,n){var e=this._id;if(t+="",arguments.length<2){for(var r,i=io(this.node(),e).tween,o=0,u=i.length;o<u;++o)if((r=i[o]).name===t)return r.value;return null}return this.each((null==n?uo:ao)(e,t,n))},delay:function(t){var n=this._id;return arguments.length?this.each(("function"==typeof t?_o:wo)(n,t)):io(this.node(),n).delay},duration:function(t){var n=this._id;return arguments.length?this.each(("function"==typeof t?xo:bo)(n,t)):io(this.node(),n).duration},ease:function(t){var n=this._id;return arguments.length?this.each(function(t,n){if("function"!=typeof n)throw new Error;return function(){ro(this,t).ease=n}}(n,t)):io(this.node(),n).ease},easeVarying:function(t){if("function"!=typeof t)throw new Error;return this.each(function(t,n){return function(){var e=n.apply(this,arguments);if("function"!=typeof e)throw new Error;ro(this,t).ease=e}}(this._id,t))},end:function(){var t,n,e=this,r=e._id,i=e.size();return new Promise(function(o,u){var a={value:u},s={value:function(){0===--i&&o()}};e.each(function(){var e=ro(this,r),i=e.on;i!==t&&((n=(t=i).copy())._.cancel.push(a),n._.interrupt.push(a),n._.end.push(s)),e.on=n}),0===i&&o()})},[Symbol.iterator]:$o[Symbol.iterator]};var So={time:null,delay:0,duration:250,ease:function(t){return((t*=2)<=1?t*t*t:(t-=2)*t*t+2)/2}};function No(t,n){for(var e;!(e=t.__transition)||!(e=e[n]);)if(!(t=t.parentNode))throw new Error(`transition ${n} not found`);return e}ft.prototype.interrupt=function(t){return this.each(function(){oo(this,t)})},ft.prototype.transition=function(t){var n,e;t instanceof Ao?(n=t._id,t=t._name):(n=Co(),(e=So).time=ji(),t=null==t?null:t+"");for(var r=this._groups,i=r.length,o=0;o<i;++o)for(var u,a=r[o],s=a.length,c=0;c<s;++c)(u=a[c])&&no(u,t,n,c,a,e||No(u,n));return new Ao(r,this._parents,t,n)};const Do=t=>()=>t;function Uo(t,{sourceEvent:n,target:e,transform:r,dispatch:i}){Object.defineProperties(this,{type:{value:t,enumerable:!0,configurable:!0},sourceEvent:{value:n,enumerable:!0,configurable:!0},target:{value:e,enumerable:!0,configurable:!0},transform:{value:r,enumerable:!0,configurable:!0},_:{value:i}})}function Eo(t,n,e){this.k=t,this.x=n,this.y=e}Eo.prototype={constructor:Eo,scale:function(t){return 1===t?this:new Eo(this.k*t,this.x,this.y)},translate:function(t,n){return 0===t&0===n?this:new Eo(this.k,this.x+this.k*t,this.y+this.k*n)},apply:function(t){return[t[0]*this.k+this.x,t[1]*this.k+this.y]},applyX:function(t){return t*this.k+this.x},applyY:function(t){return t*this.k+this.y},invert:function(t){return[(t[0]-this.x)/this.k,(t[1]-this.y)/this.k]},invertX:function(t){return(t-this.x)/this.k},invertY:function(t){return(t-this.y)/this.k},rescaleX:function(t){return t.copy().domain(t.range().map(this.invertX,this).map(t.invert,t))},rescaleY:function(t){return t.copy().domain(t.range().map(this.invertY,this).map(t.invert,t))},toString:function(){return"translate("+this.x+","+this.y+") scale("+this.k+")"}};var zo=new Eo(1,0,0);function Yo(t){t.stopImmediatePropagation()}function Fo(t){t.preventDefault(),t.stopImmediatePropagation()}function Ho(t){return!(t.ctrlKey&&"wheel"!==t.type||t.button)}function Po(){var t=this;return t instanceof SVGElement?(t=t.ownerSVGElement||t).hasAttribute("viewBox")?[[(t=t.viewBox.baseVal).x,t.y],[t.x+t.width,t.y+t.height]]:[[0,0],[t.width.baseVal.value,t.height.baseVal.value]]:[[0,0],[t.clientWidth,t.clientHeight]]}function Lo(){return this.__zoom||zo}function qo(t){return-t.deltaY*(1===t.deltaMode?.05:t.deltaMode?1:.002)*(t.ctrlKey?10:1)}function Oo(){return navigator.maxTouchPoints||"ontouchstart"in this}function Xo(t,n,e){var r=t.invertX(n[0][0])-e[0][0],i=t.invertX(n[1][0])-e[1][0],o=t.invertY(n[0][1])-e[0][1],u=t.invertY(n[1][1])-e[1][1];return t.translate(i>r?(r+i)/2:Math.min(0,r)||Math.max(0,i),u>o?(o+u)/2:Math.min(0,o)||Math.max(0,u))}Eo.prototype;const Vo=t=>()=>t;function Bo(t,{sourceEvent:n,target:e,selection:r,mode:i,dispatch:o}){Object.defineProperties(this,{type:{value:t,enumerable:!0,configurable:!0},sourceEvent:{value:n,enumerable:!0,configurable:!0},target:{value:e,enumerable:!0,configurable:!0},selection:{value:r,enumerable:!0,configurable:!0},mode:{value:i,enumerable:!0,configurable:!0},_:{value:o}})}function jo(t){t.preventDefault(),t.stopImmediatePropagation()}var Io={name:"drag"},Ro={name:"space"},Zo={name:"handle"},Wo={name:"center"};const{abs:Go,max:Ko,min:Qo}=Math;function Jo(t){return[+t[0],+t[1]]}function tu(t){return[Jo(t[0]),Jo(t[1])]}var nu={name:"x",handles:["w","e"].map(su),input:function(t,n){return null==t?null:[[+t[0],n[0][1]],[+t[1],n[1][1]]]},output:function(t){return t&&[t[0][0],t[1][0]]}},eu={},ru={overlay:"crosshair",selection:"move",n:"ns-resize",e:"ew-resize",s:"ns-resize",w:"ew-resize",nw:"nwse-resize",ne:"nesw-resize",se:"nwse-resize",sw:"nesw-resize"},iu={e:"w",w:"e",nw:"ne",ne:"nw",se:"sw",sw:"se"},ou={n:"s",s:"n",nw:"sw",ne:"se",se:"ne",sw:"nw"},uu={overlay:1,selection:1,n:null,e:1,s:null,w:-1,nw:-1,ne:1,se:1,sw:-1},au={overlay:1,selection:1,n:-1,e:null,s:1,w:null,nw:-1,ne:-1,se:1,sw:1};function su(t){return{type:t}}function cu(t){return!t.ctrlKey&&!t.button}function lu(){var t=this.ownerSVGElement||this;return t.hasAttribute("viewBox")?[[(t=t.viewBox.baseVal).x,t.y],[t.x+t.width,t.y+t.height]]:[[0,0],[t.width.baseVal.value,t.height.baseVal.value]]}function hu(){return navigator.maxTouchPoints||"ontouchstart"in this}function fu(t){for(;!t.__brush;)if(!(t=t.parentNode))return;return t.__brush}function pu(t){return function(){return t}}const du=Math.PI,gu=2*du,vu=1e-6,yu=gu-vu;function mu(t){this._+=t[0];for(let n=1,e=t.length;n<e;++n)this._+=arguments[n]+t[n]}class _u{constructor(t){this._x0=this._y0=this._x1=this._y1=null,this._="",this._append=null==t?mu:function(t){let n=Math.floor(t);if(!(n>=0))throw new Error(`invalid digits: ${t}`);if(n>15)return mu;const e=10**n;return function(t){this._+=t[0];for(let n=1,r=t.length;n<r;++n)this._+=Math.round(arguments[n]*e)/e+t[n]}}(t)}moveTo(t,n){this._append`M${this._x0=this._x1=+t},${this._y0=this._y1=+n}`}closePath(){null!==this._x1&&(this._x1=this._x0,this._y1=this._y0,this._append`Z`)}lineTo(t,n){this._append`L${this._x1=+t},${this._y1=+n}`}quadraticCurveTo(t,n,e,r){this._append`Q${+t},${+n},${this._x1=+e},${this._y1=+r}`}bezierCurveTo(t,n,e,r,i,o){this._append`C${+t},${+n},${+e},${+r},${this._x1=+i},${this._y1=+o}`}arcTo(t,n,e,r,i){if(t=+t,n=+n,e=+e,r=+r,(i=+i)<0)throw new Error(`negative radius: ${i}`);let o=this._x1,u=this._y1,a=e-t,s=r-n,c=o-t,l=u-n,h=c*c+l*l;if(null===this._x1)this._append`M${this._x1=t},${this._y1=n}`;else if(h>vu)if(Math.abs(l*a-s*c)>vu&&i){let f=e-o,p=r-u,d=a*a+s*s,g=f*f+p*p,v=Math.sqrt(d),y=Math.sqrt(h),m=i*Math.tan((du-Math.acos((d+h-g)/(2*v*y)))/2),_=m/y,w=m/v;Math.abs(_-1)>vu&&this._append`L${t+_*c},${n+_*l}`,this._append`A${i},${i},0,0,${+(l*f>c*p)},${this._x1=t+w*a},${this._y1=n+w*s}`}else this._append`L${this._x1=t},${this._y1=n}`}arc(t,n,e,r,i,o){if(t=+t,n=+n,o=!!o,(e=+e)<0)throw new Error(`negative radius: ${e}`);let u=e*Math.cos(r),a=e*Math.sin(r),s=t+u,c=n+a,l=1^o,h=o?r-i:i-r;null===this._x1?this._append`M${s},${c}`:(Math.abs(this._x1-s)>vu||Math.abs(this._y1-c)>vu)&&this._append`L${s},${c}`,e&&(h<0&&(h=h%gu+gu),h>yu?this._append`A${e},${e},0,1,${l},${t-u},${n-a}A${e},${e},0,1,${l},${this._x1=s},${this._y1=c}`:h>vu&&this._append`A${e},${e},0,${+(h>=du)},${l},${this._x1=t+e*Math.cos(i)},${this._y1=n+e*Math.sin(i)}`)}rect(t,n,e,r){this._append`M${this._x0=this._x1=+t},${this._y0=this._y1=+n}h${e=+e}v${+r}h${-e}Z`}toString(){return this._}}function wu(t){let n=3;return t.digits=function(e){if(!arguments.length)return n;if(null==e)n=null;else{const t=Math.floor(e);if(!(t>=0))throw new RangeError(`invalid digits: ${e}`);n=t}return t},()=>new _u(n)}function xu(t){return"object"==typeof t&&"length"in t?t:Array.from(t)}function bu(t){this._context=t}function Mu(t){return new bu(t)}function Tu(t){return t[0]}function ku(t){return t[1]}function Au(t,n){var e=pu(!0),r=null,i=Mu,o=null,u=wu(a);function a(a){var s,c,l,h=(a=xu(a)).length,f=!1;for(null==r&&(o=i(l=u())),s=0;s<=h;++s)!(s<h&&e(c=a[s],s,a))===f&&((f=!f)?o.lineStart():o.lineEnd()),f&&o.point(+t(c,s,a),+n(c,s,a));if(l)return o=null,l+""||null}return t="function"==typeof t?t:void 0===t?Tu:pu(t),n="function"==typeof n?n:void 0===n?ku:pu(n),a.x=function(n){return arguments.length?(t="function"==typeof n?n:pu(+n),a):t},a.y=function(t){return arguments.length?(n="function"==typeof t?t:pu(+t),a):n},a.defined=function(t){return arguments.length?(e="function"==typeof t?t:pu(!!t),a):e},a.curve=function(t){return arguments.length?(i=t,null!=r&&(o=i(r)),a):i},a.context=function(t){return arguments.length?(null==t?r=o=null:o=i(r=t),a):r},a}function Cu(t,n){this._context=t,this._t=n}function $u(t){var n=0,e=t.children,r=e&&e.length;if(r)for(;--r>=0;)n+=e[r].value;else n=1;t.value=n}function Su(t,n){t instanceof Map?(t=[void 0,t],void 0===n&&(n=Du)):void 0===n&&(n=Nu);for(var e,r,i,o,u,a=new zu(t),s=[a];e=s.pop();)if((i=n(e.data))&&(u=(i=Array.from(i)).length))for(e.children=i,o=u-1;o>=0;--o)s.push(r=i[o]=new zu(i[o])),r.parent=e,r.depth=e.depth+1;return a.eachBefore(Eu)}function Nu(t){return t.children}function Du(t){return Array.isArray(t)?t[1]:null}function Uu(t){void 0!==t.data.value&&(t.value=t.data.value),t.data=t.data.data}function Eu(t){var n=0;do{t.height=n}while((t=t.parent)&&t.height<++n)}function zu(t){this.data=t,this.depth=this.height=0,this.parent=null}function Yu(){return 0}function Fu(t){return function(){return t}}function Hu(t){t.x0=Math.round(t.x0),t.y0=Math.round(t.y0),t.x1=Math.round(t.x1),t.y1=Math.round(t.y1)}function Pu(t,n,e,r,i){for(var o,u=t.children,a=-1,s=u.length,c=t.value&&(r-n)/t.value;++a<s;)(o=u[a]).y0=e,o.y1=i,o.x0=n,o.x1=n+=o.value*c}function Lu(t,n,e,r,i){for(var o,u=t.children,a=-1,s=u.length,c=t.value&&(i-e)/t.value;++a<s;)(o=u[a]).x0=n,o.x1=r,o.y0=e,o.y1=e+=o.value*c}bu.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._point=0},lineEnd:function(){(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(t,n){switch(t=+t,n=+n,this._point){case 0:this._point=1,this._line?this._context.lineTo(t,n):this._context.moveTo(t,n);break;case 1:this._point=2;default:this._context.lineTo(t,n)}}},Cu.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x=this._y=NaN,this._point=0},lineEnd:function(){0<this._t&&this._t<1&&2===this._point&&this._context.lineTo(this._x,this._y),(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line>=0&&(this._t=1-this._t,this._line=1-this._line)},point:function(t,n){switch(t=+t,n=+n,this._point){case 0:this._point=1,this._line?this._context.lineTo(t,n):this._context.moveTo(t,n);break;case 1:this._point=2;default:if(this._t<=0)this._context.lineTo(this._x,n),this._context.lineTo(t,n);else{var e=this._x*(1-this._t)+t*this._t;this._context.lineTo(e,this._y),this._context.lineTo(e,n)}}this._x=t,this._y=n}},zu.prototype=Su.prototype={constructor:zu,count:function(){return this.eachAfter($u)},each:function(t,n){let e=-1;for(const r of this)t.call(n,r,++e,this);return this},eachAfter:function(t,n){for(var e,r,i,o=this,u=[o],a=[],s=-1;o=u.pop();)if(a.push(o),e=o.children)for(r=0,i=e.length;r<i;++r)u.push(e[r]);for(;o=a.pop();)t.call(n,o,++s,this);return this},eachBefore:function(t,n){for(var e,r,i=this,o=[i],u=-1;i=o.pop();)if(t.call(n,i,++u,this),e=i.children)for(r=e.length-1;r>=0;--r)o.push(e[r]);return this},find:function(t,n){let e=-1;for(const r of this)if(t.call(n,r,++e,this))return r},sum:function(t){return this.eachAfter(function(n){for(var e=+t(n.data)||0,r=n.children,i=r&&r.length;--i>=0;)e+=r[i].value;n.value=e})},sort:function(t){return this.eachBefore(function(n){n.children&&n.children.sort(t)})},path:function(t){for(var n=this,e=function(t,n){if(t===n)return t;var e=t.ancestors(),r=n.ancestors(),i=null;for(t=e.pop(),n=r.pop();t===n;)i=t,t=e.pop(),n=r.pop();return i}(n,t),r=[n];n!==e;)n=n.parent,r.push(n);for(var i=r.length;t!==e;)r.splice(i,0,t),t=t.parent;return r},ancestors:function(){for(var t=this,n=[t];t=t.parent;)n.push(t);return n},descendants:function(){return Array.from(this)},leaves:function(){var t=[];return this.eachBefore(function(n){n.children||t.push(n)}),t},links:function(){var t=this,n=[];return t.each(function(e){e!==t&&n.push({source:e.parent,target:e})}),n},copy:function(){return Su(this).eachBefore(Uu)},[Symbol.iterator]:function*(){var t,n,e,r,i=this,o=[i];do{for(t=o.reverse(),o=[];i=t.pop();)if(yield i,n=i.children)for(e=0,r=n.length;e<r;++e)o.push(n[e])}while(o.length)}};const qu=function t(n){function e(t,e,r,i,o){!function(t,n,e,r,i,o){for(var u,a,s,c,l,h,f,p,d,g,v,y=[],m=n.children,_=0,w=0,x=m.length,b=n.value;_<x;){s=i-e,c=o-r;do{l=m[w++].value}while(!l&&w<x);for(h=f=l,v=l*l*(g=Math.max(c/s,s/c)/(b*t)),d=Math.max(f/v,v/h);w<x;++w){if(l+=a=m[w].value,a<h&&(h=a),a>f&&(f=a),v=l*l*g,(p=Math.max(f/v,v/h))>d){l-=a;break}d=p}y.push(u={value:l,dice:s<c,children:m.slice(_,w)}),u.dice?Pu(u,e,r,i,b?r+=c*l/b:o):Lu(u,e,r,b?e+=s*l/b:i,o),b-=l,_=w}}(n,t,e,r,i,o)}return e.ratio=function(n){return t((n=+n)>1?n:1)},e}((1+Math.sqrt(5))/2);return t.area=function(t,n,e){var r=null,i=pu(!0),o=null,u=Mu,a=null,s=wu(c);function c(c){var l,h,f,p,d,g=(c=xu(c)).length,v=!1,y=new Array(g),m=new Array(g);for(null==o&&(a=u(d=s())),l=0;l<=g;++l){if(!(l<g&&i(p=c[l],l,c))===v)if(v=!v)h=l,a.areaStart(),a.lineStart();else{for(a.lineEnd(),a.lineStart(),f=l-1;f>=h;--f)a.point(y[f],m[f]);a.lineEnd(),a.areaEnd()}v&&(y[l]=+t(p,l,c),m[l]=+n(p,l,c),a.point(r?+r(p,l,c):y[l],e?+e(p,l,c):m[l]))}if(d)return a=null,d+""||null}function l(){return Au().defined(i).curve(u).context(o)}return t="function"==typeof t?t:void 0===t?Tu:pu(+t),n="function"==typeof n?n:pu(void 0===n?0:+n),e="function"==typeof e?e:void 0===e?ku:pu(+e),c.x=function(n){return arguments.length?(t="function"==typeof n?n:pu(+n),r=null,c):t},c.x0=function(n){return arguments.length?(t="function"==typeof n?n:pu(+n),c):t},c.x1=function(t){return arguments.length?(r=null==t?null:"function"==typeof t?t:pu(+t),c):r},c.y=function(t){return arguments.length?(n="function"==typeof t?t:pu(+t),e=null,c):n},c.y0=function(t){return arguments.length?(n="function"==typeof t?t:pu(+t),c):n},c.y1=function(t){return arguments.length?(e=null==t?null:"function"==typeof t?t:pu(+t),c):e},c.lineX0=c.lineY0=function(){return l().x(t).y(n)},c.lineY1=function(){return l().x(t).y(e)},c.lineX1=function(){return l().x(r).y(n)},c.defined=function(t){return arguments.length?(i="function"==typeof t?t:pu(!!t),c):i},c.curve=function(t){return arguments.length?(u=t,null!=o&&(a=u(o)),c):u},c.context=function(t){return arguments.length?(null==t?o=a=null:a=u(o=t),c):o},c},t.axisBottom=function(t){return ki(3,t)},t.axisLeft=function(t){return ki(4,t)},t.bisector=yt,t.brushX=function(){return function(t){var n,e=lu,r=cu,i=hu,o=!0,u=Ci("start","brush","end"),a=6;function s(n){var e=n.property("__brush",g).selectAll(".overlay").data([su("overlay")]);e.enter().append("rect").attr("class","overlay").attr("pointer-events","all").attr("cursor",ru.overlay).merge(e).each(function(){var t=fu(this).extent;pt(this).attr("x",t[0][0]).attr("y",t[0][1]).attr("width",t[1][0]-t[0][0]).attr("height",t[1][1]-t[0][1])}),n.selectAll(".selection").data([su("selection")]).enter().append("rect").attr("class","selection").attr("cursor",ru.selection).attr("fill","#777").attr("fill-opacity",.3).attr("stroke","#fff").attr("shape-rendering","crispEdges");var r=n.selectAll(".handle").data(t.handles,function(t){return t.type});r.exit().remove(),r.enter().append("rect").attr("class",function(t){return"handle handle--"+t.type}).attr("cursor",function(t){return ru[t.type]}),n.each(c).attr("fill","none").attr("pointer-events","all").on("mousedown.brush",f).filter(i).on("touchstart.brush",f).on("touchmove.brush",p).on("touchend.brush touchcancel.brush",d).style("touch-action","none").style("-webkit-tap-highlight-color","rgba(0,0,0,0)")}function c(){var t=pt(this),n=fu(this).selection;n?(t.selectAll(".selection").style("display",null).attr("x",n[0][0]).attr("y",n[0][1]).attr("width",n[1][0]-n[0][0]).attr("height",n[1][1]-n[0][1]),t.selectAll(".handle").style("display",null).attr("x",function(t){return"e"===t.type[t.type.length-1]?n[1][0]-a/2:n[0][0]-a/2}).attr("y",function(t){return"s"===t.type[0]?n[1][1]-a/2:n[0][1]-a/2}).attr("width",function(t){return"n"===t.type||"s"===t.type?n[1][0]-n[0][0]+a:a}).attr("height",function(t){return"e"===t.type||"w"===t.type?n[1][1]-n[0][1]+a:a})):t.selectAll(".selection,.handle").style("display","none").attr("x",null).attr("y",null).attr("width",null).attr("height",null)}function l(t,n,e){var r=t.__brush.emitter;return!r||e&&r.clean?new h(t,n,e):r}function h(t,n,e){this.that=t,this.args=n,this.state=t.__brush,this.active=0,this.clean=e}function f(e){if((!n||e.touches)&&r.apply(this,arguments)){var i,u,a,s,h,f,p,d,g,v,y,m=this,_=e.target.__data__.type,w="selection"===(o&&e.metaKey?_="overlay":_)?Io:o&&e.altKey?Wo:Zo,x=t===eu?null:uu[_],b=t===nu?null:au[_],M=fu(m),T=M.extent,k=M.selection,A=T[0][0],C=T[0][1],$=T[1][0],S=T[1][1],N=0,D=0,U=x&&b&&o&&e.shiftKey,E=Array.from(e.touches||[e],t=>{const n=t.identifier;return(t=dt(t,m)).point0=t.slice(),t.identifier=n,t});oo(m);var z=l(m,arguments,!0).beforestart();if("overlay"===_){k&&(g=!0);const n=[E[0],E[1]||E[0]];M.selection=k=[[i=t===eu?A:Qo(n[0][0],n[1][0]),a=t===nu?C:Qo(n[0][1],n[1][1])],[h=t===eu?$:Ko(n[0][0],n[1][0]),p=t===nu?S:Ko(n[0][1],n[1][1])]],E.length>1&&L(e)}else i=k[0][0],a=k[0][1],h=k[1][0],p=k[1][1];u=i,s=a,f=h,d=p;var Y=pt(m).attr("pointer-events","none"),F=Y.selectAll(".overlay").attr("cursor",ru[_]);if(e.touches)z.moved=P,z.ended=q;else{var H=pt(e.view).on("mousemove.brush",P,!0).on("mouseup.brush",q,!0);o&&H.on("keydown.brush",function(t){switch(t.keyCode){case 16:U=x&&b;break;case 18:w===Zo&&(x&&(h=f-N*x,i=u+N*x),b&&(p=d-D*b,a=s+D*b),w=Wo,L(t));break;case 32:w!==Zo&&w!==Wo||(x<0?h=f-N:x>0&&(i=u-N),b<0?p=d-D:b>0&&(a=s-D),w=Ro,F.attr("cursor",ru.selection),L(t));break;default:return}jo(t)},!0).on("keyup.brush",function(t){switch(t.keyCode){case 16:U&&(v=y=U=!1,L(t));break;case 18:w===Wo&&(x<0?h=f:x>0&&(i=u),b<0?p=d:b>0&&(a=s),w=Zo,L(t));break;case 32:w===Ro&&(t.altKey?(x&&(h=f-N*x,i=u+N*x),b&&(p=d-D*b,a=s+D*b),w=Wo):(x<0?h=f:x>0&&(i=u),b<0?p=d:b>0&&(a=s),w=Zo),F.attr("cursor",ru[_]),L(t));break;default:return}jo(t)},!0),Ei(e.view)}c.call(m),z.start(e,w.name)}function P(t){for(const n of t.changedTouches||[t])for(const t of E)t.identifier===n.identifier&&(t.cur=dt(n,m));if(U&&!v&&!y&&1===E.length){const t=E[0];Go(t.cur[0]-t[0])>Go(t.cur[1]-t[1])?y=!0:v=!0}for(const n of E)n.cur&&(n[0]=n.cur[0],n[1]=n.cur[1]);g=!0,jo(t),L(t)}function L(t){const n=E[0],e=n.point0;var r;switch(N=n[0]-e[0],D=n[1]-e[1],w){case Ro:case Io:x&&(N=Ko(A-i,Qo($-h,N)),u=i+N,f=h+N),b&&(D=Ko(C-a,Qo(S-p,D)),s=a+D,d=p+D);break;case Zo:E[1]?(x&&(u=Ko(A,Qo($,E[0][0])),f=Ko(A,Qo($,E[1][0])),x=1),b&&(s=Ko(C,Qo(S,E[0][1])),d=Ko(C,Qo(S,E[1][1])),b=1)):(x<0?(N=Ko(A-i,Qo($-i,N)),u=i+N,f=h):x>0&&(N=Ko(A-h,Qo($-h,N)),u=i,f=h+N),b<0?(D=Ko(C-a,Qo(S-a,D)),s=a+D,d=p):b>0&&(D=Ko(C-p,Qo(S-p,D)),s=a,d=p+D));break;case Wo:x&&(u=Ko(A,Qo($,i-N*x)),f=Ko(A,Qo($,h+N*x))),b&&(s=Ko(C,Qo(S,a-D*b)),d=Ko(C,Qo(S,p+D*b)))}f<u&&(x*=-1,r=i,i=h,h=r,r=u,u=f,f=r,_ in iu&&F.attr("cursor",ru[_=iu[_]])),d<s&&(b*=-1,r=a,a=p,p=r,r=s,s=d,d=r,_ in ou&&F.attr("cursor",ru[_=ou[_]])),M.selection&&(k=M.selection),v&&(u=k[0][0],f=k[1][0]),y&&(s=k[0][1],d=k[1][1]),k[0][0]===u&&k[0][1]===s&&k[1][0]===f&&k[1][1]===d||(M.selection=[[u,s],[f,d]],c.call(m),z.brush(t,w.name))}function q(t){if(function(t){t.stopImmediatePropagation()}(t),t.touches){if(t.touches.length)return;n&&clearTimeout(n),n=setTimeout(function(){n=null},500)}else zi(t.view,g),H.on("keydown.brush keyup.brush mousemove.brush mouseup.brush",null);Y.attr("pointer-events","all"),F.attr("cursor",ru.overlay),M.selection&&(k=M.selection),function(t){return t[0][0]===t[1][0]||t[0][1]===t[1][1]}(k)&&(M.selection=null,c.call(m)),z.end(t,w.name)}}function p(t){l(this,arguments).moved(t)}function d(t){l(this,arguments).ended(t)}function g(){var n=this.__brush||{selection:null};return n.extent=tu(e.apply(this,arguments)),n.dim=t,n}return s.move=function(n,e,r){n.tween?n.on("start.brush",function(t){l(this,arguments).beforestart().start(t)}).on("interrupt.brush end.brush",function(t){l(this,arguments).end(t)}).tween("brush",function(){var n=this,r=n.__brush,i=l(n,arguments),o=r.selection,u=t.input("function"==typeof e?e.apply(this,arguments):e,r.extent),a=Cn(o,u);function s(t){r.selection=1===t&&null===u?null:a(t),c.call(n),i.brush()}return null!==o&&null!==u?s:s(1)}):n.each(function(){var n=this,i=arguments,o=n.__brush,u=t.input("function"==typeof e?e.apply(n,i):e,o.extent),a=l(n,i).beforestart();oo(n),o.selection=null===u?null:u,c.call(n),a.start(r).brush(r).end(r)})},s.clear=function(t,n){s.move(t,null,n)},h.prototype={beforestart:function(){return 1===++this.active&&(this.state.emitter=this,this.starting=!0),this},start:function(t,n){return this.starting?(this.starting=!1,this.emit("start",t,n)):this.emit("brush",t),this},brush:function(t,n){return this.emit("brush",t,n),this},end:function(t,n){return 0===--this.active&&(delete this.state.emitter,this.emit("end",t,n)),this},emit:function(n,e,r){var i=pt(this.that).datum();u.call(n,this.that,new Bo(n,{sourceEvent:e,target:s,selection:t.output(this.state.selection),mode:r,dispatch:u}),i)}},s.extent=function(t){return arguments.length?(e="function"==typeof t?t:Vo(tu(t)),s):e},s.filter=function(t){return arguments.length?(r="function"==typeof t?t:Vo(!!t),s):r},s.touchable=function(t){return arguments.length?(i="function"==typeof t?t:Vo(!!t),s):i},s.handleSize=function(t){return arguments.length?(a=+t,s):a},s.keyModifiers=function(t){return arguments.length?(o=!!t,s):o},s.on=function(){var t=u.on.apply(u,arguments);return t===u?s:t},s}(nu)},t.curveStepAfter=function(t){return new Cu(t,1)},t.extent=function(t,n){let e,r;if(void 0===n)for(const i of t)null!=i&&(void 0===e?i>=i&&(e=r=i):(e>i&&(e=i),r<i&&(r=i)));else{let i=-1;for(let o of t)null!=(o=n(o,++i,t))&&(void 0===e?o>=o&&(e=r=o):(e>o&&(e=o),r<o&&(r=o)))}return[e,r]},t.group=function(t,...n){return function(t,n,e,r){return function t(i,o){if(o>=r.length)return e(i);const u=new xt,a=r[o++];let s=-1;for(const n of i){const t=a(n,++s,i),e=u.get(t);e?e.push(n):u.set(t,[n])}for(const[n,e]of u)u.set(n,t(e,o));return n(u)}(t,0)}(t,Tt,Tt,n)},t.hierarchy=Su,t.hsl=hn,t.line=Au,t.max=function(t,n){let e;if(void 0===n)for(const r of t)null!=r&&(e<r||void 0===e&&r>=r)&&(e=r);else{let r=-1;for(let i of t)null!=(i=n(i,++r,t))&&(e<i||void 0===e&&i>=i)&&(e=i)}return e},t.min=function(t,n){let e;if(void 0===n)for(const r of t)null!=r&&(e>r||void 0===e&&r>=r)&&(e=r);else{let r=-1;for(let i of t)null!=(i=n(i,++r,t))&&(e>i||void 0===e&&i>=i)&&(e=i)}return e},t.pointer=dt,t.scaleBand=function t(){var n,e,r=Et().unknown(void 0),i=r.domain,o=r.range,u=0,a=1,s=!1,c=0,l=0,h=.5;function f(){var t=i().length,r=a<u,f=r?a:u,p=r?u:a;n=(p-f)/Math.max(1,t-c+2*l),s&&(n=Math.floor(n)),f+=(p-f-n*(t-c))*h,e=n*(1-c),s&&(f=Math.round(f),e=Math.round(e));var d=function(t,n,e){t=+t,n=+n,e=(i=arguments.length)<2?(n=t,t=0,1):i<3?1:+e;for(var r=-1,i=0|Math.max(0,Math.ceil((n-t)/e)),o=new Array(i);++r<i;)o[r]=t+r*e;return o}(t).map(function(t){return f+n*t});return o(r?d.reverse():d)}return delete r.unknown,r.domain=function(t){return arguments.length?(i(t),f()):i()},r.range=function(t){return arguments.length?([u,a]=t,u=+u,a=+a,f()):[u,a]},r.rangeRound=function(t){return[u,a]=t,u=+u,a=+a,s=!0,f()},r.bandwidth=function(){return e},r.step=function(){return n},r.round=function(t){return arguments.length?(s=!!t,f()):s},r.padding=function(t){return arguments.length?(c=Math.min(1,l=+t),f()):c},r.paddingInner=function(t){return arguments.length?(c=Math.min(1,t),f()):c},r.paddingOuter=function(t){return arguments.length?(l=+t,f()):l},r.align=function(t){return arguments.length?(h=Math.max(0,Math.min(1,t)),f()):h},r.copy=function(){return t(i(),[u,a]).round(s).paddingInner(c).paddingOuter(l).align(h)},Dt.apply(f(),arguments)},t.scaleLinear=function t(){var n=jn();return n.copy=function(){return Bn(n,t())},Dt.apply(n,arguments),oe(n)},t.scaleOrdinal=Et,t.scaleUtc=function(){return Dt.apply(pi(Oe,Xe,qe,Pe,De,we,me,ye,ve,Re).domain([Date.UTC(2e3,0,1),Date.UTC(2e3,0,2)]),arguments)},t.schemeObservable10=gi,t.schemePaired=vi,t.schemeSet2=yi,t.select=pt,t.selectAll=function(t){return"string"==typeof t?new ht([document.querySelectorAll(t)],[document.documentElement]):new ht([c(t)],lt)},t.treemap=function(){var t=qu,n=!1,e=1,r=1,i=[0],o=Yu,u=Yu,a=Yu,s=Yu,c=Yu;function l(t){return t.x0=t.y0=0,t.x1=e,t.y1=r,t.eachBefore(h),i=[0],n&&t.eachBefore(Hu),t}function h(n){var e=i[n.depth],r=n.x0+e,l=n.y0+e,h=n.x1-e,f=n.y1-e;h<r&&(r=h=(r+h)/2),f<l&&(l=f=(l+f)/2),n.x0=r,n.y0=l,n.x1=h,n.y1=f,n.children&&(e=i[n.depth+1]=o(n)/2,r+=c(n)-e,l+=u(n)-e,(h-=a(n)-e)<r&&(r=h=(r+h)/2),(f-=s(n)-e)<l&&(l=f=(l+f)/2),t(n,r,l,h,f))}return l.round=function(t){return arguments.length?(n=!!t,l):n},l.size=function(t){return arguments.length?(e=+t[0],r=+t[1],l):[e,r]},l.tile=function(n){return arguments.length?(t=function(t){if("function"!=typeof t)throw new Error;return t}(n),l):t},l.padding=function(t){return arguments.length?l.paddingInner(t).paddingOuter(t):l.paddingInner()},l.paddingInner=function(t){return arguments.length?(o="function"==typeof t?t:Fu(+t),l):o},l.paddingOuter=function(t){return arguments.length?l.paddingTop(t).paddingRight(t).paddingBottom(t).paddingLeft(t):l.paddingTop()},l.paddingTop=function(t){return arguments.length?(u="function"==typeof t?t:Fu(+t),l):u},l.paddingRight=function(t){return arguments.length?(a="function"==typeof t?t:Fu(+t),l):a},l.paddingBottom=function(t){return arguments.length?(s="function"==typeof t?t:Fu(+t),l):s},l.paddingLeft=function(t){return arguments.length?(c="function"==typeof t?t:Fu(+t),l):c},l},t.zoom=function(){var t,n,e,r=Ho,i=Po,o=Xo,u=qo,a=Oo,s=[0,1/0],c=[[-1/0,-1/0],[1/0,1/0]],l=250,h=Hn,f=Ci("start","zoom","end"),p=0,d=10;function g(t){t.property("__zoom",Lo).on("wheel.zoom",b,{passive:!1}).on("mousedown.zoom",M).on("dblclick.zoom",T).filter(a).on("touchstart.zoom",k).on("touchmove.zoom",A).on("touchend.zoom touchcancel.zoom",C).style("-webkit-tap-highlight-color","rgba(0,0,0,0)")}function v(t,n){return(n=Math.max(s[0],Math.min(s[1],n)))===t.k?t:new Eo(n,t.x,t.y)}function y(t,n,e){var r=n[0]-e[0]*t.k,i=n[1]-e[1]*t.k;return r===t.x&&i===t.y?t:new Eo(t.k,r,i)}function m(t){return[(+t[0][0]+ +t[1][0])/2,(+t[0][1]+ +t[1][1])/2]}function _(t,n,e,r){t.on("start.zoom",function(){w(this,arguments).event(r).start()}).on("interrupt.zoom end.zoom",function(){w(this,arguments).event(r).end()}).tween("zoom",function(){var t=this,o=arguments,u=w(t,o).event(r),a=i.apply(t,o),s=null==e?m(a):"function"==typeof e?e.apply(t,o):e,c=Math.max(a[1][0]-a[0][0],a[1][1]-a[0][1]),l=t.__zoom,f="function"==typeof n?n.apply(t,o):n,p=h(l.invert(s).concat(c/l.k),f.invert(s).concat(c/f.k));return function(t){if(1===t)t=f;else{var n=p(t),e=c/n[2];t=new Eo(e,s[0]-n[0]*e,s[1]-n[1]*e)}u.zoom(null,t)}})}function w(t,n,e){return!e&&t.__zooming||new x(t,n)}function x(t,n){this.that=t,this.args=n,this.active=0,this.sourceEvent=null,this.extent=i.apply(t,n),this.taps=0}function b(t,...n){if(r.apply(this,arguments)){var e=w(this,n).event(t),i=this.__zoom,a=Math.max(s[0],Math.min(s[1],i.k*Math.pow(2,u.apply(this,arguments)))),l=dt(t);if(e.wheel)e.mouse[0][0]===l[0]&&e.mouse[0][1]===l[1]||(e.mouse[1]=i.invert(e.mouse[0]=l)),clearTimeout(e.wheel);else{if(i.k===a)return;e.mouse=[l,i.invert(l)],oo(this),e.start()}Fo(t),e.wheel=setTimeout(function(){e.wheel=null,e.end()},150),e.zoom("mouse",o(y(v(i,a),e.mouse[0],e.mouse[1]),e.extent,c))}}function M(t,...n){if(!e&&r.apply(this,arguments)){var i=t.currentTarget,u=w(this,n,!0).event(t),a=pt(t.view).on("mousemove.zoom",function(t){if(Fo(t),!u.moved){var n=t.clientX-l,e=t.clientY-h;u.moved=n*n+e*e>p}u.event(t).zoom("mouse",o(y(u.that.__zoom,u.mouse[0]=dt(t,i),u.mouse[1]),u.extent,c))},!0).on("mouseup.zoom",function(t){a.on("mousemove.zoom mouseup.zoom",null),zi(t.view,u.moved),Fo(t),u.event(t).end()},!0),s=dt(t,i),l=t.clientX,h=t.clientY;Ei(t.view),Yo(t),u.mouse=[s,this.__zoom.invert(s)],oo(this),u.start()}}function T(t,...n){if(r.apply(this,arguments)){var e=this.__zoom,u=dt(t.changedTouches?t.changedTouches[0]:t,this),a=e.invert(u),s=e.k*(t.shiftKey?.5:2),h=o(y(v(e,s),u,a),i.apply(this,n),c);Fo(t),l>0?pt(this).transition().duration(l).call(_,h,u,t):pt(this).call(g.transform,h,u,t)}}function k(e,...i){if(r.apply(this,arguments)){var o,u,a,s,c=e.touches,l=c.length,h=w(this,i,e.changedTouches.length===l).event(e);for(Yo(e),u=0;u<l;++u)s=[s=dt(a=c[u],this),this.__zoom.invert(s),a.identifier],h.touch0?h.touch1||h.touch0[2]===s[2]||(h.touch1=s,h.taps=0):(h.touch0=s,o=!0,h.taps=1+!!t);t&&(t=clearTimeout(t)),o&&(h.taps<2&&(n=s[0],t=setTimeout(function(){t=null},500)),oo(this),h.start())}}function A(t,...n){if(this.__zooming){var e,r,i,u,a=w(this,n).event(t),s=t.changedTouches,l=s.length;for(Fo(t),e=0;e<l;++e)i=dt(r=s[e],this),a.touch0&&a.touch0[2]===r.identifier?a.touch0[0]=i:a.touch1&&a.touch1[2]===r.identifier&&(a.touch1[0]=i);if(r=a.that.__zoom,a.touch1){var h=a.touch0[0],f=a.touch0[1],p=a.touch1[0],d=a.touch1[1],g=(g=p[0]-h[0])*g+(g=p[1]-h[1])*g,m=(m=d[0]-f[0])*m+(m=d[1]-f[1])*m;r=v(r,Math.sqrt(g/m)),i=[(h[0]+p[0])/2,(h[1]+p[1])/2],u=[(f[0]+d[0])/2,(f[1]+d[1])/2]}else{if(!a.touch0)return;i=a.touch0[0],u=a.touch0[1]}a.zoom("touch",o(y(r,i,u),a.extent,c))}}function C(t,...r){if(this.__zooming){var i,o,u=w(this,r).event(t),a=t.changedTouches,s=a.length;for(Yo(t),e&&clearTimeout(e),e=setTimeout(function(){e=null},500),i=0;i<s;++i)o=a[i],u.touch0&&u.touch0[2]===o.identifier?delete u.touch0:u.touch1&&u.touch1[2]===o.identifier&&delete u.touch1;if(u.touch1&&!u.touch0&&(u.touch0=u.touch1,delete u.touch1),u.touch0)u.touch0[1]=this.__zoom.invert(u.touch0[0]);else if(u.end(),2===u.taps&&(o=dt(o,this),Math.hypot(n[0]-o[0],n[1]-o[1])<d)){var c=pt(this).on("dblclick.zoom");c&&c.apply(this,arguments)}}}return g.transform=function(t,n,e,r){var i=t.selection?t.selection():t;i.property("__zoom",Lo),t!==i?_(t,n,e,r):i.interrupt().each(function(){w(this,arguments).event(r).start().zoom(null,"function"==typeof n?n.apply(this,arguments):n).end()})},g.scaleBy=function(t,n,e,r){g.scaleTo(t,function(){return this.__zoom.k*("function"==typeof n?n.apply(this,arguments):n)},e,r)},g.scaleTo=function(t,n,e,r){g.transform(t,function(){var t=i.apply(this,arguments),r=this.__zoom,u=null==e?m(t):"function"==typeof e?e.apply(this,arguments):e,a=r.invert(u),s="function"==typeof n?n.apply(this,arguments):n;return o(y(v(r,s),u,a),t,c)},e,r)},g.translateBy=function(t,n,e,r){g.transform(t,function(){return o(this.__zoom.translate("function"==typeof n?n.apply(this,arguments):n,"function"==typeof e?e.apply(this,arguments):e),i.apply(this,arguments),c)},null,r)},g.translateTo=function(t,n,e,r,u){g.transform(t,function(){var t=i.apply(this,arguments),u=this.__zoom,a=null==r?m(t):"function"==typeof r?r.apply(this,arguments):r;return o(zo.translate(a[0],a[1]).scale(u.k).translate("function"==typeof n?-n.apply(this,arguments):-n,"function"==typeof e?-e.apply(this,arguments):-e),t,c)},r,u)},x.prototype={event:function(t){return t&&(this.sourceEvent=t),this},start:function(){return 1===++this.active&&(this.that.__zooming=this,this.emit("start")),this},zoom:function(t,n){return this.mouse&&"mouse"!==t&&(this.mouse[1]=n.invert(this.mouse[0])),this.touch0&&"touch"!==t&&(this.touch0[1]=n.invert(this.touch0[0])),this.touch1&&"touch"!==t&&(this.touch1[1]=n.invert(this.touch1[0])),this.that.__zoom=n,this.emit("zoom"),this},end:function(){return 0===--this.active&&(delete this.that.__zooming,this.emit("end")),this},emit:function(t){var n=pt(this.that).datum();f.call(t,this.that,new Uo(t,{sourceEvent:this.sourceEvent,target:g,transform:this.that.__zoom,dispatch:f}),n)}},g.wheelDelta=function(t){return arguments.length?(u="function"==typeof t?t:Do(+t),g):u},g.filter=function(t){return arguments.length?(r="function"==typeof t?t:Do(!!t),g):r},g.touchable=function(t){return arguments.length?(a="function"==typeof t?t:Do(!!t),g):a},g.extent=function(t){return arguments.length?(i="function"==typeof t?t:Do([[+t[0][0],+t[0][1]],[+t[1][0],+t[1][1]]]),g):i},g.scaleExtent=function(t){return arguments.length?(s[0]=+t[0],s[1]=+t[1],g):[s[0],s[1]]},g.translateExtent=function(t){return arguments.length?(c[0][0]=+t[0][0],c[1][0]=+t[1][0],c[0][1]=+t[0][1],c[1][1]=+t[1][1],g):[[c[0][0],c[0][1]],[c[1][0],c[1][1]]]},g.constrain=function(t){return arguments.length?(o=t,g):o},g.duration=function(t){return arguments.length?(l=+t,g):l},g.interpolate=function(t){return arguments.length?(h=t,g):h},g.on=function(){var t=f.on.apply(f,arguments);return t===f?g:t},g.clickDistance=function(t){return arguments.length?(p=(t=+t)*t,g):Math.sqrt(p)},g.tapDistance=function(t){return arguments.length?(d=+t,g):d},g},t.zoomIdentity=zo,Object.defineProperty(t,Symbol.toStringTag,{value:"Module"}),t}({});
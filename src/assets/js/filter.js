@@ -0,0 +1,274 @@
+// Client-side parser for the filter language. Mirrors `src/server/Filter.zig`
+// so that syntax errors can be shown before the filter is sent to the server.
+//
+//     account:^Expenses:Food payee:"REWE" #vacation amount>50
+
+const FILTER_KEYS = ['account', 'payee', 'narration'];
+const FILTER_OPS = ['<=', '>=', '<', '>', '='];
+// Like `isAmount` in Filter.zig: `5`, `-10.5`, `+5` or `.5`, no exponents.
+const FILTER_AMOUNT = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+class FilterSyntaxError extends Error {
+    constructor(message, end) {
+        super(message);
+        this.end = end;
+    }
+}
+
+function isFilterSpace(c) {
+    return c === ' ' || c === '\t' || c === '\n';
+}
+
+// Returns `{ terms, errors }`. Every term and error carries `start` and `end`
+// offsets into `text`.
+function parseFilter(text) {
+    const terms = [];
+    const errors = [];
+    let pos = 0;
+
+    const value = () => {
+        if (text[pos] === '"') {
+            // `\"` and `\\` are kept as they are, like in Filter.zig.
+            let end = pos + 1;
+            while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+            if (end >= text.length) throw new FilterSyntaxError('Unterminated string', text.length);
+            const result = text.slice(pos + 1, end);
+            pos = end + 1;
+            if (result.length === 0) throw new FilterSyntaxError('Missing value', pos);
+            return result;
+        }
+        const start = pos;
+        while (pos < text.length && !isFilterSpace(text[pos])) pos++;
+        if (pos === start) throw new FilterSyntaxError('Missing value', pos);
+        return text.slice(start, pos);
+    };
+
+    const term = () => {
+        let negated = false;
+        if (text[pos] === '-' && pos + 1 < text.length && !isFilterSpace(text[pos + 1])) {
+            negated = true;
+            pos++;
+        }
+
+        switch (text[pos]) {
+            case '#':
+                pos++;
+                return { negated, kind: 'tag', value: value() };
+            case '^':
+                pos++;
+                return { negated, kind: 'link', value: value() };
+            case '"':
+                return { negated, kind: 'text', value: value() };
+        }
+
+        const start = pos;
+        while (pos < text.length && !':<>="'.includes(text[pos]) && !isFilterSpace(text[pos])) pos++;
+        const key = text.slice(start, pos);
+
+        if (pos >= text.length || isFilterSpace(text[pos])) {
+            return { negated, kind: 'text', value: key };
+        }
+
+        if (key === 'amount') {
+            const op = FILTER_OPS.find(op => text.startsWith(op, pos));
+            if (!op) throw new FilterSyntaxError('Expected one of < <= = >= > after "amount"', pos + 1);
+            pos += op.length;
+            const number = value();
+            if (!FILTER_AMOUNT.test(number)) throw new FilterSyntaxError(`Invalid amount "${number}"`, pos);
+            return { negated, kind: 'amount', op, value: parseFloat(number) };
+        }
+
+        if (text[pos] !== ':' || !FILTER_KEYS.includes(key)) {
+            throw new FilterSyntaxError(`Unknown key "${key}", expected one of ${FILTER_KEYS.join(', ')}, amount`, pos + 1);
+        }
+        pos++;
+        return { negated, kind: key, value: value() };
+    };
+
+    while (true) {
+        while (pos < text.length && isFilterSpace(text[pos])) pos++;
+        if (pos >= text.length) break;
+
+        const start = pos;
+        try {
+            terms.push({ ...term(), start, end: pos });
+        } catch (e) {
+            if (!(e instanceof FilterSyntaxError)) throw e;
+            pos = Math.max(pos, e.end);
+            while (pos < text.length && !isFilterSpace(text[pos])) pos++;
+            errors.push({ start, end: pos, message: e.message });
+        }
+    }
+
+    return { terms, errors };
+}
+
+function escapeHtml(text) {
+    return text
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;');
+}
+
+// The target of a fuzzysort `result` as HTML, with the matched characters
+// in `<mark>`s. fuzzysort leaves the target as it is, and it comes from
+// ledger files or the user.
+function highlightHtml(result) {
+    const matched = new Set(result.indexes);
+    let html = '';
+    let pos = 0;
+    while (pos < result.target.length) {
+        let end = pos + 1;
+        while (end < result.target.length && matched.has(end) === matched.has(pos)) end++;
+        const text = escapeHtml(result.target.slice(pos, end));
+        html += matched.has(pos) ? `<mark>${text}</mark>` : text;
+        pos = end;
+    }
+    return html;
+}
+
+function initFilterComponent() {
+    Alpine.data('filterInput', () => ({
+        text: '',
+        errors: [],
+        completions: { accounts: [], tags: [], payees: [] },
+        suggestions: [],
+        index: 0,
+
+        init() {
+            this.text = this.filter.query;
+            this.$watch('filter.query', (query) => {
+                this.text = query;
+                this.validate();
+            });
+            this.validate();
+        },
+
+        async loadCompletions() {
+            try {
+                const response = await fetch('/completions');
+                this.completions = await response.json();
+            } catch (e) {
+                console.error('Failed to load filter completions:', e);
+            }
+        },
+
+        validate() {
+            this.errors = parseFilter(this.text).errors;
+        },
+
+        // The query with erroneous terms wrapped in `<mark>`.
+        highlighted() {
+            let html = '';
+            let pos = 0;
+            this.errors.forEach(err => {
+                html += escapeHtml(this.text.slice(pos, err.start));
+                html += `<mark>${escapeHtml(this.text.slice(err.start, err.end))}</mark>`;
+                pos = err.end;
+            });
+            return html + escapeHtml(this.text.slice(pos));
+        },
+
+        onInput() {
+            this.validate();
+            this.suggest();
+        },
+
+        apply() {
+            this.validate();
+            if (this.errors.length > 0) return;
+            this.suggestions = [];
+            this.filter.query = this.text.trim();
+        },
+
+        clear() {
+            this.text = '';
+            this.apply();
+        },
+
+        // The word under the cursor (without negation) and its bounds. Only
+        // the part before the cursor is used for completion.
+        currentWord() {
+            const cursor = this.$refs.input.selectionStart;
+            let start = cursor;
+            while (start > 0 && !isFilterSpace(this.text[start - 1])) start--;
+            let end = cursor;
+            while (end < this.text.length && !isFilterSpace(this.text[end])) end++;
+
+            let word = this.text.slice(start, cursor);
+            if (word.startsWith('-')) {
+                word = word.slice(1);
+                start++;
+            }
+            return { start, end, word };
+        },
+
+        suggest() {
+            const { word } = this.currentWord();
+            const sources = [
+                { prefix: 'account:', items: this.completions.accounts },
+                { prefix: 'payee:', items: this.completions.payees, quote: true },
+                { prefix: '#', items: this.completions.tags },
+            ];
+
+            this.suggestions = [];
+            this.index = 0;
+            if (word.length === 0) return;
+
+            const source = sources.find(s => word.startsWith(s.prefix));
+            if (source) {
+                let query = word.slice(source.prefix.length).replace(/^"/, '');
+                const anchor = query.startsWith('^') ? '^' : '';
+                query = query.slice(anchor.length);
+
+                const results = fuzzysort.go(query, source.items, { all: true, limit: 10 });
+                this.suggestions = results.map(result => ({
+                    html: escapeHtml(source.prefix + anchor) + highlightHtml(result),
+                    insert: source.prefix + anchor + (source.quote && /[\s"]/.test(result.target)
+                        ? `"${result.target}"`
+                        : result.target),
+                }));
+                return;
+            }
+
+            if (!word.includes(':')) {
+                this.suggestions = [...FILTER_KEYS.map(k => `${k}:`), 'amount>']
+                    .filter(key => key.startsWith(word) && key !== word)
+                    .map(key => ({ html: escapeHtml(key), insert: key }));
+            }
+        },
+
+        // Replaces the current word with the selected suggestion. Returns
+        // false if there was nothing to accept.
+        accept(i = this.index) {
+            const suggestion = this.suggestions[i];
+            if (!suggestion) return false;
+
+            const { start, end } = this.currentWord();
+            const continues = suggestion.insert.endsWith(':') || suggestion.insert.endsWith('>');
+            const insert = suggestion.insert + (continues ? '' : ' ');
+            this.text = this.text.slice(0, start) + insert + this.text.slice(end).trimStart();
+            this.suggestions = [];
+
+            const cursor = start + insert.length;
+            this.$nextTick(() => {
+                this.$refs.input.focus();
+                this.$refs.input.setSelectionRange(cursor, cursor);
+                if (continues) this.suggest();
+            });
+            this.validate();
+            return true;
+        },
+
+        down() {
+            if (this.suggestions.length === 0) return;
+            this.index = (this.index + 1) % this.suggestions.length;
+        },
+
+        up() {
+            if (this.suggestions.length === 0) return;
+            this.index = (this.index - 1 + this.suggestions.length) % this.suggestions.length;
+        },
+    }));
+}
@@ -1,6 +1,5 @@
 class Filter {
-    constructor() {
-        const url = new URL(window.location);
+    constructor(url = new URL(window.location)) {
         this.startDate = url.searchParams.get('start_date');
         this.endDate = url.searchParams.get('end_date');
 
@@ -8,6 +7,17 @@ class Filter {
         if (!this.conversion) this.conversion = 'units';
         this.interval = url.searchParams.get('interval');
         if (!this.interval) this.interval = 'week';
+
+        this.query = url.searchParams.get('filter') || '';
+
+        // null | 'previous' | 'year' | 'custom', see
+        // src/server/DisplaySettings.zig. The compare dates are for 'custom'.
+        this.compare = url.searchParams.get('compare');
+        this.compareStartDate = url.searchParams.get('compare_start_date');
+        this.compareEndDate = url.searchParams.get('compare_end_date');
+
+        // 'true' | 'false' | null, see `virtualJournal`.
+        this.virtual = url.searchParams.get('virtual');
     }
 
     getSearchParams() {
@@ -19,6 +29,16 @@ class Filter {
         if (this.conversion) params.set('conversion', this.conversion);
         if (this.interval) params.set('interval', this.interval);
 
+        if (this.query) params.set('filter', this.query);
+
+        if (this.compare) params.set('compare', this.compare);
+        if (this.compare === 'custom') {
+            if (this.compareStartDate) params.set('compare_start_date', this.compareStartDate);
+            if (this.compareEndDate) params.set('compare_end_date', this.compareEndDate);
+        }
+
+        if (this.virtual) params.set('virtual', this.virtual);
+
         return params;
     }
 
@@ -26,12 +46,111 @@ class Filter {
         const params = this.getSearchParams();
         return params.toString() ? `?${params.toString()}` : '';
     }
+
+    // Start and end date with relative dates resolved, null where unset or
+    // invalid.
+    getDateRange(today = new Date()) {
+        return [
+            this.startDate && resolveDate(this.startDate, 'start', today),
+            this.endDate && resolveDate(this.endDate, 'end', today),
+        ];
+    }
+
+    // Moves the date range by `delta` intervals, turning relative dates into
+    // plain ones. Does nothing without a date range.
+    shiftDates(delta, today = new Date()) {
+        const [start, end] = this.getDateRange(today);
+        const months = { month: 1, quarter: 3, year: 12 }[this.interval];
+        const shift = (date) => months
+            ? addMonths(date, delta * months)
+            : addDays(date, delta * (this.interval === 'week' ? 7 : 1));
+        if (start) this.startDate = isoDate(shift(parseIsoDate(start)));
+        // Shifted from the day after so that the last day of a month stays
+        // the last day.
+        if (end) this.endDate = isoDate(addDays(shift(addDays(parseIsoDate(end), 1)), -1));
+    }
+
+    // Name of the `DATE_PRESETS` entry the dates are set to, empty if none.
+    get preset() {
+        const preset = DATE_PRESETS.find(p => p.start === this.startDate && p.end === this.endDate);
+        return preset ? preset.text : '';
+    }
+
+    set preset(text) {
+        const preset = DATE_PRESETS.find(p => p.text === text);
+        if (!preset) return;
+        this.startDate = preset.start;
+        this.endDate = preset.end;
+    }
+}
+
+// Collapsed accounts, hidden legend series and open transactions, packed into
+// the `view` URL parameter by "Share view". Route and filter are in the URL
+// anyway. Opening such a link replaces the local state with the shared one.
+class SharedView {
+    constructor({ c = [], h = [], t = [] } = {}) {
+        this.collapsed = c;
+        this.hidden = h;
+        this.open = t;
+    }
+
+    // The state of the view at `route`.
+    static capture(route) {
+        return new SharedView({
+            c: [...Alpine.store('accountCollapsed').collapsed],
+            h: [...Alpine.store('plotHidden').get(route)],
+            t: Object.keys(Alpine.store('txOpen').open),
+        });
+    }
+
+    static fromUrl(url) {
+        const param = url.searchParams.get('view');
+        if (!param) return null;
+        try {
+            const base64 = param.replaceAll('-', '+').replaceAll('_', '/');
+            const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+            const state = JSON.parse(new TextDecoder().decode(bytes));
+            // Anything else would end up in the stores and break them.
+            const isStrings = (list) => list === undefined
+                || (Array.isArray(list) && list.every(item => typeof item === 'string'));
+            if (typeof state !== 'object' || state === null || Array.isArray(state)
+                || ![state.c, state.h, state.t].every(isStrings)) {
+                throw new Error('Expected lists of strings');
+            }
+            return new SharedView(state);
+        } catch (e) {
+            console.error('Invalid shared view:', e);
+            return null;
+        }
+    }
+
+    // URL-safe base64 of the JSON, leaving out empty lists. Empty if there
+    // is nothing to share.
+    encode() {
+        const state = {};
+        if (this.collapsed.length > 0) state.c = this.collapsed;
+        if (this.hidden.length > 0) state.h = this.hidden;
+        if (this.open.length > 0) state.t = this.open;
+        if (Object.keys(state).length === 0) return '';
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        return btoa(String.fromCharCode(...bytes))
+            .replaceAll('+', '-')
+            .replaceAll('/', '_')
+            .replace(/=+$/, '');
+    }
+
+    apply(route) {
+        Alpine.store('accountCollapsed').collapsed = new Set(this.collapsed);
+        Alpine.store('plotHidden').set(route, this.hidden);
+        Alpine.store('txOpen').set(this.open);
+    }
 }
 
 const Routes = {
     Journal: (account) => ({ type: "Journal", account }),
     BalanceSheet: () => ({ type: "BalanceSheet" }),
     IncomeStatement: () => ({ type: "IncomeStatement" }),
+    Budget: () => ({ type: "Budget" }),
 };
 
 class Router {
@@ -54,6 +173,10 @@ class Router {
             this.route = Routes.IncomeStatement();
             return
         }
+        if (path.match(/^\/budget$/)) {
+            this.route = Routes.Budget();
+            return
+        }
         this.route = null
     }
 
@@ -65,6 +188,8 @@ class Router {
                 return "/balance_sheet";
             case "IncomeStatement":
                 return "/income_statement";
+            case "Budget":
+                return "/budget";
             default:
                 return "/";
         }
@@ -78,24 +203,210 @@ class Router {
                 return "Balance Sheet";
             case "IncomeStatement":
                 return "Income Statement";
+            case "Budget":
+                return "Budget";
             default:
                 return "";
         }
     }
 }
 
+// Labels of `Filter.interval` values.
+const INTERVALS = {
+    day: 'Daily',
+    week: 'Weekly',
+    month: 'Monthly',
+    quarter: 'Quarterly',
+    year: 'Yearly',
+};
+
+// Date ranges offered in the header and the palette, as relative dates
+// (see `resolveDate`) so that they stay current in bookmarks.
+const DATE_PRESETS = [
+    { text: 'All dates', start: null, end: null },
+    { text: 'This month', start: 'month', end: 'month' },
+    { text: 'Last month', start: 'month-1', end: 'month-1' },
+    { text: 'Year to date', start: 'year', end: 'today' },
+    { text: 'Last year', start: 'year-1', end: 'year-1' },
+    { text: 'Last 12 months', start: '-12m', end: 'today' },
+    { text: 'Fiscal year', start: 'fy', end: 'fy' },
+    { text: 'Last fiscal year', start: 'fy-1', end: 'fy-1' },
+];
+
+// The date `text` stands for as the 'start' or 'end' of a range, as
+// YYYY-MM-DD, or null if it is invalid. Takes plain dates, `today`, today
+// moved like `-12m` (d, w, m, q, y), and the week, month, quarter, year or
+// fiscal year (fy) containing today, moved like `month-1`. Mirrors
+// src/server/relative_date.zig.
+function resolveDate(text, bound, today = new Date(), fiscalYearEnd = getFiscalYearEnd()) {
+    if (/^\d{4}[-/]\d{2}[-/]\d{2}$/.test(text)) return text.replaceAll('/', '-');
+    if (text === 'today') return isoDate(today);
+
+    const offset = text.match(/^([-+]\d+)([dwmqy])$/);
+    if (offset) {
+        const n = parseInt(offset[1], 10);
+        switch (offset[2]) {
+            case 'd': return isoDate(addDays(today, n));
+            case 'w': return isoDate(addDays(today, n * 7));
+            case 'm': return isoDate(addMonths(today, n));
+            case 'q': return isoDate(addMonths(today, n * 3));
+            case 'y': return isoDate(addMonths(today, n * 12));
+        }
+    }
+
+    const period = text.match(/^(week|month|quarter|year|fy)([-+]\d+)?$/);
+    if (!period) return null;
+    const shift = period[2] ? parseInt(period[2], 10) : 0;
+
+    if (period[1] === 'week') {
+        const monday = addDays(today, shift * 7 - (today.getDay() + 6) % 7);
+        return isoDate(bound === 'start' ? monday : addDays(monday, 6));
+    }
+
+    let first;
+    let months = 12;
+    switch (period[1]) {
+        case 'month':
+            first = new Date(today.getFullYear(), today.getMonth(), 1);
+            months = 1;
+            break;
+        case 'quarter':
+            first = new Date(today.getFullYear(), today.getMonth() - today.getMonth() % 3, 1);
+            months = 3;
+            break;
+        case 'year':
+            first = new Date(today.getFullYear(), 0, 1);
+            break;
+        case 'fy': {
+            // Past this year's end, the next fiscal year has begun.
+            const end = new Date(today.getFullYear(), fiscalYearEnd.month - 1, fiscalYearEnd.day);
+            first = addDays(isoDate(today) > isoDate(end) ? end : addMonths(end, -12), 1);
+            break;
+        }
+    }
+
+    const start = addMonths(first, shift * months);
+    return isoDate(bound === 'start' ? start : addDays(addMonths(start, months), -1));
+}
+
+// Last day of the fiscal year, rendered into the page by the server.
+function getFiscalYearEnd() {
+    const content = document.querySelector('meta[name="fiscal-year-end"]')?.content ?? '12-31';
+    const [month, day] = content.split('-').map(Number);
+    return { month, day };
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Keeps the day where the target month has it, and uses its last day
+// otherwise.
+function addMonths(date, months) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+    return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+}
+
+// YYYY-MM-DD in local time.
+function isoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Local midnight of a YYYY-MM-DD date.
+function parseIsoDate(text) {
+    const [year, month, day] = text.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Labels of the theme preferences, see the `theme` store.
+const THEMES = {
+    system: 'System',
+    light: 'Light',
+    dark: 'Dark',
+};
+
+// Where "Open in editor" links go, see the `editor` store. `url` is
+// filled in with the absolute path and 1-based line of the source. Without
+// a `url`, the server runs `$EDITOR`.
+const EDITORS = {
+    none: { text: 'None' },
+    vscode: { text: 'VS Code', url: 'vscode://file{file}:{line}' },
+    vscodium: { text: 'VSCodium', url: 'vscodium://file{file}:{line}' },
+    server: { text: '$EDITOR on the server' },
+};
+
+const DARK_MODE_QUERY = window.matchMedia('(prefers-color-scheme: dark)');
+
+// The theme shown for a preference from `THEMES`, 'light' or 'dark'.
+function resolveTheme(preference) {
+    if (preference === 'system') return DARK_MODE_QUERY.matches ? 'dark' : 'light';
+    return preference;
+}
+
+// Set while the page loads so that dark mode doesn't flash white first.
+document.documentElement.dataset.theme = resolveTheme(localStorage.getItem('theme') ?? 'system');
+
+// Reconnect delays double after every failed attempt, between these bounds.
+const RECONNECT_MIN_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// After this many failed attempts we consider the server offline, but keep
+// trying at the maximum delay.
+const RECONNECT_ATTEMPTS_BEFORE_OFFLINE = 5;
+
+// Line height and vertical padding of a journal cell in pixels, see
+// `.journal .row .cell`. Used to lay out rows in the virtual journal without
+// measuring them.
+const JOURNAL_LINE_HEIGHT = 21;
+const JOURNAL_CELL_PADDING = 4;
+const JOURNAL_POSTINGS_PADDING = 2;
+// Rows rendered above and below the visible part of the virtual journal.
+const JOURNAL_OVERSCAN = 20;
+
 document.addEventListener('alpine:init', () => {
     initPlotComponent();
+    initFilterComponent();
 
     Alpine.data('app', () => ({
         loading: false,
         router: new Router(),
         filter: new Filter(),
         eventSource: null,
+        // 'connecting' | 'live' | 'reconnecting' | 'offline' | 'invalid'
+        connection: 'connecting',
+        // Why the server rejected the filter and settings, once `connection`
+        // is 'invalid'.
+        invalidSettings: '',
+        lastUpdated: null,
+        reconnectAttempts: 0,
+        reconnectTimer: null,
         plotData: [],
         plotChanges: [],
+        // Assets and liabilities over time, for the balance sheet.
+        netWorth: [],
+        // Budget and actual amount per interval, drawn over the bars.
+        budget: [],
+        errors: [],
+        // Frozen so that Alpine doesn't wrap tens of thousands of rows in
+        // proxies.
+        journalRows: Object.freeze([]),
+        // Whether the content shows the current route and can be morphed
+        // into. The chart doesn't support switching views in place.
+        contentMatchesRoute: false,
+        // Whether the share link was just copied.
+        shareCopied: false,
+        // Whether the filters are shown on narrow screens, where the header
+        // only has room for the breadcrumbs.
+        headerOpen: false,
 
         init() {
+            const url = new URL(window.location);
+            if (this.restoreSharedView(url)) {
+                url.searchParams.delete('view');
+                history.replaceState({}, '', url);
+            }
+
             if (this.router.route) {
                 this.establishSSEConnection(this.router.route);
             }
@@ -104,8 +415,26 @@ document.addEventListener('alpine:init', () => {
                 this.closeExistingConnection();
             });
 
+            window.addEventListener('online', () => {
+                if (this.connection !== 'live' && this.router.route) {
+                    this.establishSSEConnection();
+                }
+            });
+
+            window.addEventListener('offline', () => {
+                this.connection = 'offline';
+            });
+
+            // The VS Code panel follows the editor's cursor, see `editor`.
+            window.addEventListener('message', (event) => {
+                if (event.source !== window.parent || event.data?.type !== 'navigate') return;
+                if (event.data.path === this.router.generatePathname()) return;
+                this.navigate(event.data.path);
+            });
+
             window.addEventListener('popstate', (_event) => {
                 this.router = new Router();
+                this.contentMatchesRoute = false;
                 this.filter = new Filter();
                 this.establishSSEConnection();
 
@@ -113,6 +442,8 @@ document.addEventListener('alpine:init', () => {
 
             this.$watch('filter', (value) => {
                 const url = new URL(window.location);
+                // Already in the URL after `navigate` or going back.
+                if (url.search === value.getQueryString()) return;
                 url.search = value.getQueryString();
                 history.pushState({}, '', url);
                 this.establishSSEConnection();
@@ -120,38 +451,81 @@ document.addEventListener('alpine:init', () => {
         },
 
         closeExistingConnection() {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
             if (this.eventSource) {
                 this.eventSource.close();
                 this.eventSource = null;
             }
         },
 
+        // Query parameters in `path` replace the filter.
         navigate(path) {
-            this.router.setRoute(path);
+            const target = new URL(path, window.location.origin);
+            this.router.setRoute(target.pathname);
+            this.contentMatchesRoute = false;
+            if (target.search) this.filter = new Filter(target);
+            this.restoreSharedView(target);
             const url = new URL(window.location);
             url.pathname = this.router.generatePathname();
+            url.search = this.filter.getQueryString();
             history.pushState({}, '', url);
             this.establishSSEConnection();
         },
 
+        // Applies the `view` parameter of `url`, if any. Returns whether it
+        // had one.
+        restoreSharedView(url) {
+            const view = SharedView.fromUrl(url);
+            if (!view || !this.router.route) return false;
+            view.apply(this.router.generatePathname());
+            return true;
+        },
+
+        // Path and query of the current view including `SharedView` state.
+        viewPath() {
+            const params = this.filter.getSearchParams();
+            const view = SharedView.capture(this.router.generatePathname()).encode();
+            if (view) params.set('view', view);
+            return `${this.router.generatePathname()}?${params}`;
+        },
+
+        async shareView() {
+            await navigator.clipboard.writeText(window.location.origin + this.viewPath());
+            this.shareCopied = true;
+            setTimeout(() => this.shareCopied = false, 1000);
+        },
+
+        saveView() {
+            const name = prompt('Save view as', this.router.getCrumbs())?.trim();
+            if (name) Alpine.store('savedViews').save(name, this.viewPath());
+        },
+
         establishSSEConnection() {
             const source = "/sse" + this.router.generatePathname() + this.filter.getQueryString();
 
             this.closeExistingConnection();
             this.loading = true;
+            this.journalRows = Object.freeze([]);
             this.eventSource = new EventSource(source);
 
+            this.eventSource.onopen = () => {
+                this.connection = 'live';
+                this.reconnectAttempts = 0;
+            };
+
             this.eventSource.onmessage = (event) => {
                 this.loading = false;
+                this.lastUpdated = new Date();
                 const contentElement = this.$refs.content;
                 if (contentElement) {
-                    const journal = contentElement.querySelector('.journal');
-                    const scrollPos = journal ? journal.scrollTop : 0;
-                    contentElement.innerHTML = event.data;
-                    const newJournal = contentElement.querySelector('.journal');
-                    if (newJournal) {
-                        newJournal.scrollTop = scrollPos;
+                    if (this.contentMatchesRoute) {
+                        morphHtml(contentElement, event.data);
+                    } else {
+                        contentElement.innerHTML = event.data;
+                        this.contentMatchesRoute = true;
                     }
+                    this.$dispatch('content-updated');
                 }
             };
 
@@ -163,19 +537,610 @@ document.addEventListener('alpine:init', () => {
                 this.plotChanges = JSON.parse(event.data);
             })
 
+            this.eventSource.addEventListener('net_worth', (event) => {
+                this.netWorth = JSON.parse(event.data);
+            })
+
+            this.eventSource.addEventListener('budget', (event) => {
+                this.budget = JSON.parse(event.data);
+            })
+
+            this.eventSource.addEventListener('errors', (event) => {
+                this.errors = JSON.parse(event.data);
+            })
+
+            // Reconnecting would only fail the same way again.
+            this.eventSource.addEventListener('invalid_settings', (event) => {
+                this.closeExistingConnection();
+                this.loading = false;
+                this.connection = 'invalid';
+                this.invalidSettings = JSON.parse(event.data);
+            })
+
+            this.eventSource.addEventListener('journal_rows', (event) => {
+                this.journalRows = Object.freeze(JSON.parse(event.data));
+                this.$dispatch('journal-rows');
+            })
+
             this.eventSource.onerror = (event) => {
                 console.error('SSE connection error:', event);
                 this.closeExistingConnection();
+                this.scheduleReconnect();
             };
         },
+
+        // Reconnects with exponential backoff. The new connection picks up
+        // whatever route and filter are current at that point.
+        scheduleReconnect() {
+            const delay = Math.min(
+                RECONNECT_MIN_DELAY_MS * 2 ** this.reconnectAttempts,
+                RECONNECT_MAX_DELAY_MS,
+            );
+            this.reconnectAttempts += 1;
+            this.loading = false;
+            this.connection = navigator.onLine && this.reconnectAttempts <= RECONNECT_ATTEMPTS_BEFORE_OFFLINE
+                ? 'reconnecting'
+                : 'offline';
+            this.reconnectTimer = setTimeout(() => this.establishSSEConnection(), delay);
+        },
+
+        // Download of the current view's data, see src/server/export.zig.
+        // `table` picks the table for CSV: 0 is the one shown, 1 the chart
+        // series.
+        exportUrl(format, table = 0) {
+            const params = this.filter.getSearchParams();
+            params.set('format', format);
+            if (table) params.set('table', table);
+            return `/export${this.router.generatePathname()}?${params}`;
+        },
+
+        connectionText() {
+            switch (this.connection) {
+                case 'live':
+                    return 'Live';
+                case 'reconnecting':
+                    return 'Reconnecting…';
+                case 'offline':
+                    return 'Offline';
+                case 'invalid':
+                    return this.invalidSettings;
+                default:
+                    return 'Connecting…';
+            }
+        },
+
+        lastUpdatedText() {
+            return this.lastUpdated ? `Updated ${this.lastUpdated.toLocaleTimeString()}` : '';
+        },
+    }));
+
+    // In-page search over the rendered journal rows. Doesn't talk to the
+    // server; it hides non-matching rows and highlights matches. A virtual
+    // journal is searched through its row data instead, see `virtualJournal`.
+    Alpine.data('journalSearch', () => ({
+        isOpen: false,
+        query: '',
+        flag: '',
+        minAmount: '',
+        maxAmount: '',
+        hits: [],
+        current: 0,
+
+        open() {
+            this.isOpen = true;
+            this.$nextTick(() => this.$refs.query.select());
+        },
+
+        close() {
+            this.isOpen = false;
+            this.query = '';
+            this.flag = '';
+            this.minAmount = '';
+            this.maxAmount = '';
+            this.apply();
+        },
+
+        isActive() {
+            return this.query !== '' || this.flag !== '' || this.minAmount !== '' || this.maxAmount !== '';
+        },
+
+        apply() {
+            const virtual = document.querySelector('.journal.virtual');
+            if (virtual) {
+                this.applyVirtual(Alpine.$data(virtual));
+                return;
+            }
+
+            const rows = document.querySelectorAll('.journal .row:not(.header)');
+            const query = this.query.trim().toLowerCase();
+
+            this.hits = [];
+            rows.forEach(row => {
+                row.classList.remove('search-current');
+                const texts = row.querySelectorAll('.payee, .narration');
+                texts.forEach(el => highlightText(el, query));
+
+                if (!this.isActive()) {
+                    row.classList.remove('search-hidden');
+                    return;
+                }
+
+                const match = this.matches(
+                    Array.from(texts).map(el => el.textContent),
+                    row.querySelector('.flag')?.textContent.trim(),
+                    row.querySelector('.cell.change')?.textContent.trim(),
+                );
+                row.classList.toggle('search-hidden', !match);
+                if (match) this.hits.push(row);
+            });
+
+            this.current = Math.min(this.current, Math.max(0, this.hits.length - 1));
+            this.markCurrent(false);
+        },
+
+        // Hits are indexes into the journal rows here.
+        applyVirtual(virtual) {
+            const match = this.isActive()
+                ? row => this.matches([row.payee, row.narration].filter(text => text), row.flag, row.change)
+                : null;
+            this.hits = virtual.search(match, this.query.trim().toLowerCase());
+            this.current = Math.min(this.current, Math.max(0, this.hits.length - 1));
+            this.markCurrent(false);
+        },
+
+        // Whether a row with the payee and narration `texts`, `flag` and
+        // formatted `change` matches the search.
+        matches(texts, flag, change) {
+            const query = this.query.trim().toLowerCase();
+            const min = this.minAmount === '' ? -Infinity : parseFloat(this.minAmount);
+            const max = this.maxAmount === '' ? Infinity : parseFloat(this.maxAmount);
+
+            const matchesText = query === '' || texts.some(text => text.toLowerCase().includes(query));
+            const matchesFlag = this.flag === '' || (flag === 'txn' ? '*' : flag) === this.flag;
+            const amount = change ? parseFloat(change.replaceAll(',', '')) : NaN;
+            const matchesAmount = (min === -Infinity && max === Infinity) ||
+                (!isNaN(amount) && amount >= min && amount <= max);
+            return matchesText && matchesFlag && matchesAmount;
+        },
+
+        next() {
+            if (this.hits.length === 0) return;
+            this.current = (this.current + 1) % this.hits.length;
+            this.markCurrent(true);
+        },
+
+        previous() {
+            if (this.hits.length === 0) return;
+            this.current = (this.current - 1 + this.hits.length) % this.hits.length;
+            this.markCurrent(true);
+        },
+
+        markCurrent(scroll) {
+            const virtual = document.querySelector('.journal.virtual');
+            if (virtual) {
+                Alpine.$data(virtual).showHit(this.hits[this.current] ?? null, scroll);
+                return;
+            }
+            this.hits.forEach((row, i) => row.classList.toggle('search-current', i === this.current));
+            const row = this.hits[this.current];
+            if (scroll && row) {
+                row.querySelector('.cell').scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        },
+
+        countText() {
+            if (!this.isActive()) return '';
+            if (this.hits.length === 0) return 'No matches';
+            return `${this.current + 1} of ${this.hits.length}`;
+        },
+    }));
+
+    // Journal rendered from the `journal_rows` event, used for long journals.
+    // Only the rows in and around the visible part are in the DOM; row heights
+    // are computed from the data so that nothing has to be measured.
+    Alpine.data('virtualJournal', () => {
+        // Indexes of the rows that `journalSearch` doesn't hide, and the top
+        // of each relative to the spacer, plus the total height. Kept out of
+        // Alpine's reactivity since they're as long as the journal.
+        let shown = [];
+        let offsets = [0];
+        let start = 0;
+        let end = 0;
+        let frame = null;
+        // Item of `cursorItems` under the keyboard cursor.
+        let cursor = null;
+        // Set by `search`.
+        let match = null;
+        let query = '';
+        let currentHit = null;
+
+        return {
+            init() {
+                this.$watch('$store.txOpen.open', () => this.layout());
+                this.layout();
+            },
+
+            destroy() {
+                cancelAnimationFrame(frame);
+            },
+
+            layout() {
+                const open = this.$store.txOpen.open;
+                shown = [];
+                offsets = [0];
+                this.journalRows.forEach((row, i) => {
+                    if (match && !match(row)) return;
+                    offsets.push(offsets[shown.length] + journalRowHeight(row, open[row.hash]));
+                    shown.push(i);
+                });
+                // Until the rows arrive the spacer keeps the height
+                // estimated by the server.
+                if (this.journalRows.length > 0) {
+                    this.$refs.spacer.style.height = `${offsets[offsets.length - 1]}px`;
+                }
+                this.render(true);
+            },
+
+            onScroll() {
+                if (frame !== null) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    this.render(false);
+                });
+            },
+
+            // Shows only the rows that `rowMatch` accepts, all for null, and
+            // highlights `rowQuery`. Returns the indexes of the matching rows.
+            search(rowMatch, rowQuery) {
+                match = rowMatch;
+                query = rowQuery;
+                currentHit = null;
+                this.layout();
+                return match ? shown : [];
+            },
+
+            // Marks the row at index `row` as the current search hit, and
+            // scrolls to it with `scroll`.
+            showHit(row, scroll) {
+                currentHit = row;
+                const i = shown.indexOf(row);
+                if (scroll && i !== -1) {
+                    const header = this.$refs.spacer.offsetTop;
+                    this.$root.scrollTop = header + (offsets[i] + offsets[i + 1] - this.$root.clientHeight) / 2;
+                }
+                this.render(true);
+            },
+
+            render(force) {
+                const rows = this.journalRows;
+                const top = this.$root.scrollTop - this.$refs.spacer.offsetTop;
+                const bottom = top + this.$root.clientHeight;
+
+                let newStart = Math.max(0, rowAt(offsets, top) - JOURNAL_OVERSCAN);
+                // Keeps the zebra stripes in place while scrolling.
+                newStart -= newStart % 2;
+                const newEnd = Math.min(shown.length, rowAt(offsets, bottom) + 1 + JOURNAL_OVERSCAN);
+                if (!force && newStart === start && newEnd === end) return;
+                start = newStart;
+                end = newEnd;
+
+                const open = this.$store.txOpen.open;
+                const icons = {
+                    middle: this.$refs.treeNodeMiddle.innerHTML,
+                    last: this.$refs.treeNodeLast.innerHTML,
+                    leaf: this.$refs.iconLeaf.innerHTML,
+                };
+                this.$refs.window.style.transform = `translateY(${offsets[start] ?? 0}px)`;
+                this.$refs.window.innerHTML = shown.slice(start, end)
+                    .map(i => journalRowHtml(rows[i], open[rows[i].hash], icons))
+                    .join('');
+                const children = this.$refs.window.children;
+                if (query !== '') {
+                    this.$refs.window.querySelectorAll('.payee, .narration').forEach(el => highlightText(el, query));
+                }
+                children[shown.indexOf(currentHit) - start]?.classList.add('search-current');
+                const cursorRow = cursor && children[shown.indexOf(cursor.row) - start];
+                if (cursorRow) {
+                    const el = cursor.posting === null
+                        ? cursorRow
+                        : cursorRow.querySelectorAll('.postings .account')[cursor.posting];
+                    el?.classList.add('cursor');
+                }
+            },
+
+            // Rows and the postings of open transactions, like
+            // `keyboard.cursorItems` does for the rendered journal.
+            cursorItems() {
+                const open = this.$store.txOpen.open;
+                const items = [];
+                shown.forEach(i => {
+                    const row = this.journalRows[i];
+                    items.push({
+                        kind: row.kind,
+                        hash: row.hash,
+                        accounts: row.postings?.map(posting => posting.account) ?? [],
+                        row: i,
+                        posting: null,
+                    });
+                    if (row.kind !== 'transaction' || !open[row.hash]) return;
+                    row.postings.forEach((posting, j) => {
+                        items.push({ kind: 'posting', hash: row.hash, account: posting.account, row: i, posting: j });
+                    });
+                });
+                return items;
+            },
+
+            // Scrolls `item` into view and marks it, or clears the mark for
+            // null.
+            showCursor(item) {
+                cursor = item;
+                if (item !== null) {
+                    const row = this.journalRows[item.row];
+                    const closed = journalRowHeight(row, false);
+                    const top = offsets[shown.indexOf(item.row)] +
+                        (item.posting === null ? 0 : closed + item.posting * JOURNAL_LINE_HEIGHT);
+                    const height = item.posting === null ? closed : JOURNAL_LINE_HEIGHT;
+                    // The sticky header covers the top of the journal.
+                    const header = this.$refs.spacer.offsetTop;
+                    if (top < this.$root.scrollTop) {
+                        this.$root.scrollTop = top;
+                    } else if (header + top + height > this.$root.scrollTop + this.$root.clientHeight) {
+                        this.$root.scrollTop = header + top + height - this.$root.clientHeight;
+                    }
+                }
+                this.render(true);
+            },
+        };
+    });
+
+    // Keys besides `g` (see `nav`) and `/` (see `journalSearch`), listed in
+    // the help overlay in index.html. `j` and `k` move a cursor over the
+    // journal rows and the postings of open transactions, or over the
+    // accounts of the balance sheet and income statement.
+    Alpine.data('keyboard', () => ({
+        helpOpen: false,
+        // Index into `cursorItems()`, -1 for none.
+        cursor: -1,
+        // Route the cursor belongs to. Other routes start without one.
+        cursorPath: null,
+
+        onKeydown(event) {
+            if (isTyping(event) || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (this.helpOpen) {
+                if (event.key === 'Escape' || event.key === '?') {
+                    event.preventDefault();
+                    this.helpOpen = false;
+                }
+                return;
+            }
+            if (!this.router.route) return;
+
+            switch (event.key) {
+                case 'j':
+                    this.moveCursor(1);
+                    break;
+                case 'k':
+                    this.moveCursor(-1);
+                    break;
+                case 'Enter':
+                    // Links and buttons handle Enter themselves.
+                    if (event.target.closest('a, button')) return;
+                    this.toggle();
+                    break;
+                case 'o':
+                    this.openAccount();
+                    break;
+                case 'e':
+                    this.reveal();
+                    break;
+                case 'h':
+                    this.fold(true);
+                    break;
+                case 'l':
+                    this.fold(false);
+                    break;
+                case '[':
+                    this.filter.shiftDates(-1);
+                    break;
+                case ']':
+                    this.filter.shiftDates(1);
+                    break;
+                case '?':
+                    this.helpOpen = true;
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+        },
+
+        // The `virtualJournal` component, if the journal is virtual.
+        virtualJournal() {
+            const el = document.querySelector('.journal.virtual');
+            return el ? Alpine.$data(el) : null;
+        },
+
+        // What the cursor can be on, in order. Journal items have a `kind`
+        // of 'open', 'transaction' or 'posting' and the transaction's `hash`,
+        // accounts have the kind 'account'. Postings and accounts have an
+        // `account`, transactions the `accounts` of their postings.
+        cursorItems() {
+            const virtual = this.virtualJournal();
+            if (virtual) return virtual.cursorItems();
+
+            if (this.router.route.type !== 'Journal') {
+                return Array.from(document.querySelectorAll('.balance_sheet_part .account:not(.header):not(.hidden)'))
+                    .map(el => ({ kind: 'account', account: el.dataset.key, el }));
+            }
+
+            const open = this.$store.txOpen.open;
+            const items = [];
+            document.querySelectorAll('.journal .row:not(.header):not(.search-hidden)').forEach(row => {
+                const hash = row.dataset.key;
+                const kind = hash === 'open' ? 'open' : 'transaction';
+                const postings = Array.from(row.querySelectorAll('.postings .account'));
+                const accounts = postings.map(el => el.textContent.trim());
+                items.push({ kind, hash, accounts, el: row });
+                if (kind !== 'transaction' || !open[hash]) return;
+                postings.forEach((el, i) => items.push({ kind: 'posting', hash, account: accounts[i], el }));
+            });
+            return items;
+        },
+
+        cursorItem(items = this.cursorItems()) {
+            const path = this.router.generatePathname();
+            if (this.cursorPath !== path) {
+                this.cursor = -1;
+                this.cursorPath = path;
+            }
+            return items[this.cursor] ?? null;
+        },
+
+        moveCursor(delta) {
+            const items = this.cursorItems();
+            if (items.length === 0) return;
+            if (this.cursorItem(items) === null) {
+                this.cursor = delta > 0 ? 0 : items.length - 1;
+            } else {
+                this.cursor = Math.max(0, Math.min(items.length - 1, this.cursor + delta));
+            }
+            this.showCursor(items, true);
+        },
+
+        // Puts the cursor on the first item matching `predicate`, if any.
+        moveCursorTo(predicate) {
+            const items = this.cursorItems();
+            const index = items.findIndex(predicate);
+            if (index === -1) return;
+            this.cursor = index;
+            this.showCursor(items, true);
+        },
+
+        showCursor(items, scroll) {
+            const item = this.cursorItem(items);
+            const virtual = this.virtualJournal();
+            if (virtual) {
+                virtual.showCursor(item);
+                return;
+            }
+
+            document.querySelectorAll('.cursor').forEach(el => el.classList.remove('cursor'));
+            if (item === null) return;
+            item.el.classList.add('cursor');
+            // Rows are `display: contents` and have no box to scroll to.
+            if (scroll) item.el.firstElementChild.scrollIntoView({ block: 'nearest' });
+        },
+
+        // Marks the cursor again after a live reload re-rendered the rows.
+        // The virtual journal does that itself.
+        refresh() {
+            if (this.cursor === -1 || this.virtualJournal()) return;
+            const items = this.cursorItems();
+            this.cursor = Math.min(this.cursor, items.length - 1);
+            this.showCursor(items, false);
+        },
+
+        // `Enter`: opens or closes the transaction, or collapses or expands
+        // the account.
+        toggle() {
+            const item = this.cursorItem();
+            if (item === null) return;
+            if (item.kind === 'account') {
+                this.$store.accountCollapsed.toggle(item.account);
+                return;
+            }
+            if (item.kind === 'open') return;
+            this.$store.txOpen.toggle(item.hash);
+            // The postings under the cursor may be gone now.
+            this.moveCursorTo(i => i.kind === 'transaction' && i.hash === item.hash);
+        },
+
+        // `h` collapses and `l` expands. `h` on an account without anything
+        // to collapse moves up to its parent instead.
+        fold(collapse) {
+            const item = this.cursorItem();
+            if (item === null || item.kind === 'open') return;
+            if (item.kind !== 'account') {
+                if (collapse === !!this.$store.txOpen.open[item.hash]) this.toggle();
+                return;
+            }
+
+            const store = this.$store.accountCollapsed;
+            const hasChildren = document.querySelector(`.balance_sheet_part .account[data-key^="${item.account}:"]`) !== null;
+            if (collapse && hasChildren && store.isExpanded(item.account)) {
+                store.toggle(item.account);
+            } else if (collapse) {
+                const parent = item.account.split(':').slice(0, -1).join(':');
+                this.moveCursorTo(i => i.account === parent);
+            } else if (!store.isExpanded(item.account)) {
+                store.toggle(item.account);
+            }
+        },
+
+        // `o`: opens the journal of the account under the cursor. For a
+        // transaction that's its first posting outside the current journal.
+        openAccount() {
+            const item = this.cursorItem();
+            if (item === null) return;
+            const account = item.kind === 'transaction'
+                ? item.accounts.find(account => account !== this.router.route.account) ?? item.accounts[0]
+                : item.account;
+            if (account) this.$dispatch('navigate', `/journal/${account}`);
+        },
+
+        // `e`: opens the transaction, posting or account under the cursor
+        // in the editor.
+        reveal() {
+            const item = this.cursorItem();
+            if (item === null || item.kind === 'open') return;
+            if (this.virtualJournal()) {
+                const row = this.journalRows[item.row];
+                this.$store.editor.reveal(item.kind === 'posting' ? row.postings[item.posting] : row);
+            } else {
+                this.$store.editor.reveal(item.el.dataset);
+            }
+        },
+    }));
+
+    Alpine.data('errorPanel', () => ({
+        isOpen: false,
+        copied: null,
+
+        numErrors() {
+            return this.errors.filter(e => e.severity === 'err').length;
+        },
+
+        numWarnings() {
+            return this.errors.length - this.numErrors();
+        },
+
+        toggle() {
+            this.isOpen = !this.isOpen;
+        },
+
+        location(error) {
+            return `${error.file}:${error.line}:${error.column}`;
+        },
+
+        async copy(error, index) {
+            await navigator.clipboard.writeText(this.location(error));
+            this.copied = index;
+            setTimeout(() => {
+                if (this.copied === index) this.copied = null;
+            }, 1000);
+        },
     }));
 
+    // The `g` palette: pages, accounts and saved views to go to, commands on
+    // the current view, and payees to jump to. `items` are the pages and
+    // accounts; results are ranked by fuzzy score times `weight`.
     Alpine.data('nav', (items) => ({
         isOpen: false,
         query: '',
         items: items,
         results: [],
         index: 0,
+        completions: { payees: [], payee_accounts: [], operating_currencies: [] },
 
         open() {
             if (this.isOpen) {
@@ -184,22 +1149,48 @@ document.addEventListener('alpine:init', () => {
             this.isOpen = true;
             this.query = '';
             this.search();
+            this.loadCompletions();
         },
 
         close() {
             this.isOpen = false;
         },
 
+        async loadCompletions() {
+            try {
+                const response = await fetch('/completions');
+                this.completions = await response.json();
+                if (this.isOpen) this.search();
+            } catch (e) {
+                console.error('Failed to load palette completions:', e);
+            }
+        },
+
         search() {
-            const results = fuzzysort.go(this.query, this.items, {
+            const views = Alpine.store('savedViews').views.map(view => ({
+                route: view.path,
+                text: view.name,
+                kind: 'View',
+                weight: 2,
+            }));
+
+            const payees = this.completions.payees.map((payee, i) => ({
+                text: payee,
+                kind: 'Payee',
+                weight: 0.5,
+                run: () => this.jumpToPayee(payee, this.completions.payee_accounts[i]),
+            }));
+
+            const results = fuzzysort.go(this.query, [...views, ...this.items, ...this.commands(), ...payees], {
                 all: true,
                 key: 'text',
                 scoreFn: (r) => r.score * r.obj.weight,
             });
 
             this.results = results.map((result, i) => ({
-                route: result.obj.route,
-                html: result.highlight('<mark>', '</mark>'),
+                item: result.obj,
+                kind: result.obj.kind,
+                html: highlightHtml(result),
                 index: i,
             }));
 
@@ -207,6 +1198,81 @@ document.addEventListener('alpine:init', () => {
             document.querySelector('.results').scrollTop = 0;
         },
 
+        // Runs a command or goes to a page.
+        select(result) {
+            if (!result) return;
+            if (result.item.run) {
+                result.item.run();
+            } else {
+                this.$dispatch('navigate', result.item.route);
+            }
+            this.close();
+        },
+
+        // Commands that apply to the current view.
+        commands() {
+            const commands = [];
+            const command = (text, run) => commands.push({ text, run, kind: 'Command', weight: 1.5 });
+
+            Object.entries(THEMES).forEach(([theme, text]) => {
+                command(`Theme: ${text}`, () => Alpine.store('theme').set(theme));
+            });
+            Object.entries(EDITORS).forEach(([editor, { text }]) => {
+                command(`Editor: ${text}`, () => Alpine.store('editor').set(editor));
+            });
+
+            const type = this.router.route?.type;
+            if (!type) return commands;
+
+            Object.entries(INTERVALS).forEach(([interval, text]) => {
+                command(`Interval: ${text}`, () => this.filter.interval = interval);
+            });
+
+            command('Conversion: Show units', () => this.filter.conversion = 'units');
+            this.completions.operating_currencies.forEach(currency => {
+                command(`Conversion: Convert to ${currency}`, () => this.filter.conversion = currency);
+            });
+
+            DATE_PRESETS.forEach(preset => {
+                command(`Dates: ${preset.text}`, () => this.filter.preset = preset.text);
+            });
+
+            if (type === 'BalanceSheet' || type === 'IncomeStatement') {
+                command('Collapse or expand all accounts', () => {
+                    const accounts = this.items
+                        .filter(item => item.route.startsWith('/journal/'))
+                        .map(item => item.text);
+                    Alpine.store('accountCollapsed').toggleAll(accounts);
+                });
+            }
+
+            if (this.errors.length > 0) {
+                command('Show errors', () => this.$dispatch('open-errors'));
+            }
+
+            if (type !== 'Budget') {
+                ['csv', 'json', 'xlsx'].forEach(format => {
+                    command(`Export: ${format.toUpperCase()}`, () => {
+                        const link = document.createElement('a');
+                        link.href = this.exportUrl(format);
+                        link.download = '';
+                        link.click();
+                    });
+                });
+            }
+
+            return commands;
+        },
+
+        // Opens the journal of `account` showing only `payee`'s transactions.
+        // Payees come as written in the ledger, with `"` and `\` already
+        // escaped the way quoted filter strings expect.
+        jumpToPayee(payee, account) {
+            const params = this.filter.getSearchParams();
+            params.set('filter', `payee:"${payee}"`);
+            this.$dispatch('navigate', `/journal/${account}?${params}`);
+        },
+
         down() {
             this.index = (this.index + 1) % this.results.length;
             this.scrollIntoView();
@@ -237,7 +1303,12 @@ document.addEventListener('alpine:init', () => {
                 delete this.open[index];
             }
             localStorage.setItem('txOpen', JSON.stringify(this.open));
-        }
+        },
+        // Opens exactly the transactions in `hashes`.
+        set(hashes) {
+            this.open = Object.fromEntries(hashes.map(hash => [hash, true]));
+            localStorage.setItem('txOpen', JSON.stringify(this.open));
+        },
     });
 
     Alpine.store('accountCollapsed', {
@@ -263,6 +1334,23 @@ document.addEventListener('alpine:init', () => {
             return !this.collapsed.has(account);
         },
 
+        // Expands everything if anything is collapsed, otherwise collapses
+        // every parent of `accounts`.
+        toggleAll(accounts) {
+            if (this.collapsed.size > 0) {
+                this.collapsed = new Set();
+                return;
+            }
+            const parents = new Set();
+            accounts.forEach(account => {
+                const parts = account.split(':');
+                for (let i = 1; i < parts.length; i++) {
+                    parents.add(parts.slice(0, i).join(':'));
+                }
+            });
+            this.collapsed = parents;
+        },
+
         isVisible(account) {
             const parts = account.split(':');
             for (let i = 1; i < parts.length; i++) {
@@ -274,4 +1362,238 @@ document.addEventListener('alpine:init', () => {
             return true;
         }
     })
+
+    // The editor to open the source of transactions, postings and accounts
+    // in, from `EDITORS`. Inside VS Code's TurboBean panel, always VS Code
+    // itself, which listens for messages, see vscode/src/webview.ts.
+    Alpine.store('editor', {
+        init() {
+            Alpine.effect(() => {
+                document.documentElement.classList.toggle('editor_links', this.enabled());
+            });
+        },
+
+        embedded: window.parent !== window,
+        preference: localStorage.getItem('editor') ?? 'none',
+
+        set(preference) {
+            this.preference = preference;
+            localStorage.setItem('editor', preference);
+        },
+
+        enabled() {
+            return this.embedded || (this.preference in EDITORS && this.preference !== 'none');
+        },
+
+        // `source` has the `file` and 1-based `line`, like journal rows.
+        async reveal(source) {
+            if (!this.enabled() || !source.file) return;
+            const line = Number(source.line);
+            if (this.embedded) {
+                window.parent.postMessage({ type: 'reveal', file: source.file, line }, '*');
+                return;
+            }
+
+            const url = EDITORS[this.preference].url;
+            if (url) {
+                window.location.href = url.replace('{file}', encodeURI(source.file)).replace('{line}', line);
+                return;
+            }
+            const params = new URLSearchParams({ file: source.file, line });
+            const response = await fetch(`/editor?${params}`, { method: 'POST' });
+            if (!response.ok) alert(await response.text());
+        },
+    })
+
+    // The theme preference from `THEMES`, and the theme it currently stands
+    // for. The colors themselves are CSS custom properties, see index.css.
+    Alpine.store('theme', {
+        init() {
+            DARK_MODE_QUERY.addEventListener('change', () => this.apply());
+        },
+
+        preference: localStorage.getItem('theme') ?? 'system',
+        current: document.documentElement.dataset.theme,
+
+        set(preference) {
+            this.preference = preference;
+            localStorage.setItem('theme', preference);
+            this.apply();
+        },
+
+        apply() {
+            this.current = resolveTheme(this.preference);
+            document.documentElement.dataset.theme = this.current;
+        },
+    })
+
+    // Selected chart type by kind of view, see `CHART_TYPES`.
+    Alpine.store('chartType', {
+        init() {
+            const saved = localStorage.getItem('chartType');
+            if (saved) this.selected = JSON.parse(saved);
+            Alpine.effect(() => {
+                localStorage.setItem('chartType', JSON.stringify(this.selected));
+            });
+        },
+
+        selected: {},
+
+        get(view) {
+            return this.selected[view];
+        },
+
+        set(view, type) {
+            this.selected[view] = type;
+        },
+    })
+
+    // Named views saved with "Save view", listed in the `g` palette. `path`
+    // is the one from `viewPath`.
+    Alpine.store('savedViews', {
+        init() {
+            const saved = localStorage.getItem('savedViews');
+            if (saved) this.views = JSON.parse(saved);
+            Alpine.effect(() => {
+                localStorage.setItem('savedViews', JSON.stringify(this.views));
+            });
+        },
+
+        views: [],
+
+        save(name, path) {
+            this.views = [...this.views.filter(view => view.name !== name), { name, path }];
+        },
+    })
+
+    // Plot series hidden via the legend, by route.
+    Alpine.store('plotHidden', {
+        init() {
+            const saved = localStorage.getItem('plotHidden');
+            if (saved) this.hidden = JSON.parse(saved);
+            Alpine.effect(() => {
+                localStorage.setItem('plotHidden', JSON.stringify(this.hidden));
+            });
+        },
+
+        hidden: {},
+
+        get(route) {
+            return new Set(this.hidden[route]);
+        },
+
+        set(route, series) {
+            if (series.length > 0) {
+                this.hidden[route] = series;
+            } else {
+                delete this.hidden[route];
+            }
+        },
+
+        toggle(route, series) {
+            const hidden = this.get(route);
+            if (hidden.has(series)) {
+                hidden.delete(series);
+            } else {
+                hidden.add(series);
+            }
+            this.set(route, [...hidden]);
+        },
+
+        // Shows only `series` out of `all`, or everything again if it
+        // already is the only one shown.
+        isolate(route, series, all) {
+            const hidden = this.get(route);
+            const others = all.filter(s => s !== series);
+            const isolated = !hidden.has(series) && others.every(s => hidden.has(s));
+            this.set(route, isolated ? [] : others);
+        },
+    })
 });
+
+// Height of a virtual journal row, mirroring the CSS of `.journal .row`.
+function journalRowHeight(row, isOpen) {
+    const lines = Math.max(1, row.balances.length);
+    let height = lines * JOURNAL_LINE_HEIGHT + JOURNAL_CELL_PADDING;
+    if (isOpen) {
+        height += row.postings.length * JOURNAL_LINE_HEIGHT + JOURNAL_POSTINGS_PADDING;
+    }
+    return height;
+}
+
+// Index of the row containing `y`, given the row offsets from `virtualJournal`.
+function rowAt(offsets, y) {
+    let lo = 0;
+    let hi = offsets.length - 2;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (offsets[mid] <= y) {
+            lo = mid;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return Math.max(0, lo);
+}
+
+// Same markup as the `transaction` and `open` sections of journal.html.
+function journalRowHtml(row, isOpen, icons) {
+    if (row.kind === 'open') {
+        return `<div class="row"><div class="cell nowrap date">${row.date}</div>` +
+            '<div class="cell flag special">open</div><div class="cell colspan3-6"></div></div>';
+    }
+
+    const hash = row.hash;
+    let names = '';
+    if (row.payee !== null) {
+        names += `<span class="payee">${escapeHtml(row.payee)}</span>`;
+        if (row.narration !== null) names += '<span class="separator"></span>';
+    }
+    if (row.narration !== null) names += `<span class="narration">${escapeHtml(row.narration)}</span>`;
+
+    const postings = row.postings.map((posting, i) => {
+        const node = i + 1 < row.postings.length ? icons.middle : icons.last;
+        const account = escapeHtml(posting.account);
+        return `<div class="tree_container"><div class="tree">${node}</div><div class="tree">${icons.leaf}</div></div>` +
+            `<div class="account" data-file="${escapeHtml(posting.file)}" data-line="${posting.line}">` +
+            `<a @click="$dispatch('navigate', '/journal/${account}');">${account}</a>` +
+            '<a class="source" title="Open in editor" @click="$store.editor.reveal($el.parentElement.dataset)"></a></div>' +
+            `<div class="posting_change">${posting.change}</div>`;
+    }).join('');
+
+    return `<div class="row" data-file="${escapeHtml(row.file)}" data-line="${row.line}">` +
+        `<div class="cell nowrap date" @click="$store.editor.reveal($el.parentElement.dataset)">${row.date}</div>` +
+        `<div class="cell nowrap flag ${row.flag === '!' ? 'flagged' : ''}">${escapeHtml(row.flag)}</div>` +
+        `<div class="cell payee-narration"><div class="payee-narration-inner">${names}</div>` +
+        `<div class="legs" @click="$store.txOpen.toggle('${hash}')">${'<div class="leg"></div>'.repeat(row.postings.length)}</div></div>` +
+        `<div class="cell nowrap change right">${row.change}</div>` +
+        `<div class="cell nowrap right"><div class="balances">` +
+        row.balances.map(balance => `<div class="balance">${balance}</div>`).join('') +
+        `</div></div>` +
+        `<div class="postings" x-show="$store.txOpen.open['${hash}']"${isOpen ? '' : ' style="display: none"'}>` +
+        `${postings}</div></div>`;
+}
+
+// Wraps case-insensitive occurrences of `query` in `el`'s text in `<mark>`.
+function highlightText(el, query) {
+    const text = el.textContent;
+    if (query === '') {
+        el.textContent = text;
+        return;
+    }
+    const lower = text.toLowerCase();
+    let html = '';
+    let pos = 0;
+    let i;
+    while ((i = lower.indexOf(query, pos)) !== -1) {
+        html += escapeHtml(text.slice(pos, i)) + `<mark>${escapeHtml(text.slice(i, i + query.length))}</mark>`;
+        pos = i + query.length;
+    }
+    el.innerHTML = html + escapeHtml(text.slice(pos));
+}
+
+// Whether a key event comes from a text field, where shortcuts shouldn't fire.
+function isTyping(event) {
+    const tag = event.target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || event.target.isContentEditable;
+}
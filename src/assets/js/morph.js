@@ -0,0 +1,108 @@
+// Patches the DOM in place to match freshly rendered HTML, so that scroll
+// positions, selections and focus survive live reloads.
+//
+// Children with a `data-key` attribute are matched by key, all others by
+// position and tag. Elements with `data-morph-skip` are left alone entirely;
+// use it for anything JavaScript renders into, like the chart.
+
+// Replaces the children of `el` with `html`, reusing existing nodes.
+function morphHtml(el, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    morphChildren(el, template.content);
+}
+
+function morphChildren(from, to) {
+    const keyed = new Map();
+    for (const child of from.children) {
+        const key = child.getAttribute('data-key');
+        if (key !== null) keyed.set(key, child);
+    }
+
+    let cursor = from.firstChild;
+    // Copied since matching moves nodes out of `to`.
+    for (const toChild of Array.from(to.childNodes)) {
+        const key = toChild.nodeType === Node.ELEMENT_NODE ? toChild.getAttribute('data-key') : null;
+
+        let match = null;
+        if (key !== null) {
+            match = keyed.get(key) ?? null;
+            keyed.delete(key);
+        } else if (cursor && !isKeyed(cursor) && isSameKind(cursor, toChild)) {
+            match = cursor;
+        }
+
+        if (match === null || !morphNode(match, toChild)) {
+            from.insertBefore(toChild, cursor);
+            if (match !== null) {
+                if (match === cursor) cursor = cursor.nextSibling;
+                match.remove();
+            }
+            continue;
+        }
+
+        if (match === cursor) {
+            cursor = cursor.nextSibling;
+        } else {
+            from.insertBefore(match, cursor);
+        }
+    }
+
+    while (cursor) {
+        const next = cursor.nextSibling;
+        cursor.remove();
+        cursor = next;
+    }
+}
+
+// Updates `from` to look like `to`. Returns false if `from` has to be
+// replaced instead: when it's a different element, or when its Alpine
+// directives changed since Alpine wouldn't pick up the new expressions.
+function morphNode(from, to) {
+    if (from.nodeName !== to.nodeName) return false;
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+        return true;
+    }
+
+    if (!sameDirectives(from, to)) return false;
+    if (from.hasAttribute('data-morph-skip')) return true;
+
+    morphAttributes(from, to);
+    morphChildren(from, to);
+    return true;
+}
+
+function morphAttributes(from, to) {
+    // Alpine owns these when they are bound.
+    const skip = new Set();
+    if (from.hasAttribute('x-show') || from.hasAttribute(':style')) skip.add('style');
+    if (from.hasAttribute(':class')) skip.add('class');
+
+    for (const { name, value } of Array.from(to.attributes)) {
+        if (!skip.has(name) && from.getAttribute(name) !== value) from.setAttribute(name, value);
+    }
+    for (const { name } of Array.from(from.attributes)) {
+        if (!skip.has(name) && !to.hasAttribute(name)) from.removeAttribute(name);
+    }
+}
+
+function sameDirectives(from, to) {
+    const directives = (el) => Array.from(el.attributes)
+        .filter(({ name }) => isDirective(name))
+        .map(({ name, value }) => `${name}=${value}`)
+        .join('\n');
+    return directives(from) === directives(to);
+}
+
+function isDirective(name) {
+    return name.startsWith('x-') || name.startsWith(':') || name.startsWith('@');
+}
+
+function isKeyed(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-key');
+}
+
+function isSameKind(a, b) {
+    return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+}
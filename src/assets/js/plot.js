@@ -1,3 +1,28 @@
+// The charts each kind of view offers, the first one being the default.
+// `data` names the app state holding the chart's data, `render` the method
+// drawing it.
+const CHART_TYPES = {
+    Journal: [
+        { value: 'balance', text: 'Balance', data: 'plotData', render: 'renderPlotData' },
+    ],
+    BalanceSheet: [
+        { value: 'balance', text: 'Net worth', data: 'plotData', render: 'renderPlotData' },
+        { value: 'net_worth', text: 'Assets & liabilities', data: 'netWorth', render: 'renderNetWorth' },
+    ],
+    IncomeStatement: [
+        { value: 'bars', text: 'Income & expenses', data: 'plotChanges', render: 'renderPlotChanges' },
+        { value: 'savings_rate', text: 'Savings rate', data: 'plotChanges', render: 'renderSavingsRate' },
+        { value: 'treemap', text: 'Expense treemap', data: 'plotChanges', render: 'renderExpenseTreemap' },
+    ],
+    Budget: [
+        { value: 'bars', text: 'Budget vs actual', data: 'plotChanges', render: 'renderPlotChanges' },
+    ],
+};
+
+function chartTypes(view) {
+    return CHART_TYPES[view] ?? [];
+}
+
 function initPlotComponent() {
     Alpine.data('d3', () => {
         const margin = {
@@ -19,32 +44,133 @@ function initPlotComponent() {
         const grid = svg.append("g").attr("class", "grid");
         const hLine = grid
             .append("line")
-            .attr("stroke", "hsl(0deg 0% 70% / 0.8)")
             .attr("stroke-width", "1")
             .style("display", "none");
         const vLine = grid
             .append("line")
-            .attr("stroke", "hsl(0deg 0% 70% / 0.8)")
             .attr("stroke-width", "1")
             .style("display", "none");
 
+        // Zooming only changes the x scale of the balance plot, so the
+        // transform is kept across live reloads of the same data.
+        let zoomTransform = d3.zoomIdentity;
+        let zoomBehavior = null;
+        let zoomArea = null;
+
+        // Width of the last chart drawn, for redrawing when it changes.
+        let renderedWidth = 0;
+
         return {
+            // Whether the balance plot is zoomed in, see `resetZoom`.
+            zoomed: false,
 
             init() {
-                this.$watch('plotData', (data) => {
-                    if (data) {
-                        this.renderPlotData(data);
-                    }
+                for (const key of ['plotData', 'plotChanges', 'netWorth']) {
+                    this.$watch(key, () => {
+                        if (this.chartType()?.data === key) this.render();
+                    });
+                }
+
+                // Budgets arrive after the changes they are drawn over.
+                this.$watch('budget', () => {
+                    if (this.chartType()?.render === 'renderPlotChanges') this.render();
                 });
 
-                this.$watch('plotChanges', (data) => {
-                    if (data) {
-                        this.renderPlotChanges(data);
+                this.$watch('$store.chartType.selected', () => this.render());
+                this.$watch('$store.theme.current', () => this.render());
+
+                // Charts are drawn for the width they have, so they are
+                // redrawn when the window or the layout changes it.
+                new ResizeObserver(() => {
+                    const width = svg.node().clientWidth;
+                    if (width === renderedWidth || width === 0) return;
+                    if (renderedWidth > 0) {
+                        zoomTransform = d3.zoomIdentity
+                            .translate(zoomTransform.x * width / renderedWidth, 0)
+                            .scale(zoomTransform.k);
                     }
-                });
+                    this.render();
+                }).observe(svg.node());
+            },
+
+            // The selected entry of `CHART_TYPES` for the current view.
+            chartType() {
+                const view = this.router.route?.type;
+                const types = chartTypes(view);
+                const selected = Alpine.store('chartType').get(view);
+                return types.find(type => type.value === selected) ?? types[0];
+            },
+
+            render() {
+                const type = this.chartType();
+                const data = type && this[type.data];
+                if (!data) return;
+
+                this.clear();
+                grid.selectAll("line").attr("stroke", themeColor('chart-crosshair'));
+                this[type.render](data);
+                renderedWidth = svg.node().clientWidth;
+            },
+
+            // Removes everything the previous chart drew.
+            clear() {
+                chart.selectAll("*").remove();
+                chart.attr("clip-path", null);
+                xGroup.selectAll("*").remove();
+                yGroup.selectAll("*").remove();
+                svg.selectAll(".zoom-area, .hover-area, .brush").remove();
+                hLine.style("display", "none");
+                vLine.style("display", "none");
+                tooltip.style("display", "none");
+                zoomArea = null;
+                this.zoomed = false;
+            },
+
+            // Zooms out fully and drops the date range, which is what
+            // brushing sets.
+            resetZoom() {
+                zoomTransform = d3.zoomIdentity;
+                this.zoomed = false;
+                if (this.filter.startDate || this.filter.endDate) {
+                    this.filter.startDate = null;
+                    this.filter.endDate = null;
+                } else if (zoomArea) {
+                    zoomArea.call(zoomBehavior.transform, d3.zoomIdentity);
+                }
+            },
+
+            // Series hidden in the legend for the current view.
+            hiddenSeries() {
+                return Alpine.store('plotHidden').get(this.router.generatePathname());
+            },
+
+            // Hides or shows `series`, or with `isolate` shows only it.
+            toggleSeries(series, all, isolate) {
+                const store = Alpine.store('plotHidden');
+                const route = this.router.generatePathname();
+                if (isolate) {
+                    store.isolate(route, series, all);
+                } else {
+                    store.toggle(route, series);
+                }
+                this.render();
+            },
+
+            // Navigates to `path` with the date range narrowed to the period
+            // ending on `period`.
+            drillDown(path, period) {
+                const start = periodStart(period, this.filter.interval);
+                const end = period.toISOString().split('T')[0];
+
+                const [startDate, endDate] = this.filter.getDateRange();
+                const params = this.filter.getSearchParams();
+                params.set('start_date', startDate && startDate > start ? startDate : start);
+                params.set('end_date', endDate && endDate < end ? endDate : end);
+                this.$dispatch('navigate', `${path}?${params}`);
             },
 
             renderPlotChanges(alpineData) {
+                const hidden = this.hiddenSeries();
                 const data = [];
 
                 // Collect all periods (including empty ones)
@@ -56,12 +182,17 @@ function initPlotComponent() {
                     periodNames.set(new Date(pg.date).getTime(), pg.period);
                 });
 
+                // Hidden accounts stay in the legend and keep their color.
+                const accountSet = new Set();
+
                 // alpineData is now an array of PeriodGroup objects
                 alpineData.forEach((periodGroup) => {
                     const periodDate = new Date(periodGroup.date);
 
                     // Iterate through data_points within this period
                     periodGroup.data_points.forEach((item) => {
+                        accountSet.add(item.account);
+                        if (hidden.has(item.account)) return;
                         data.push({
                             period: periodDate,
                             currency: item.currency,
@@ -78,21 +209,11 @@ function initPlotComponent() {
                 const periods = allPeriods.sort((a, b) => a - b);
 
                 const currencies = Array.from(new Set(data.map(d => d.currency))).sort();
-                const accounts = Array.from(new Set(data.map(d => d.account))).sort();
-
-                const currencyColorScale = d3.scaleOrdinal()
-                    .domain(currencies)
-                    .range(["#808080"]);
+                const accounts = Array.from(accountSet).sort();
 
-                const accountColorScale = d3.scaleOrdinal()
-                    .domain(accounts)
-                    .range([
-                        ...d3.schemePaired,
-                        ...d3.schemeObservable10,
-                    ]);
+                const accountColorScale = accountColors();
 
-                const width = document.querySelector("#d3 svg").clientWidth;
-                const height = width / 5;
+                const [width, height] = chartSize();
 
                 svg.attr("viewBox", `${-margin.left} ${-margin.top} ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
 
@@ -162,10 +283,16 @@ function initPlotComponent() {
                     .range([0, width])
                     .padding(0.15);
 
-                // Calculate y domain to include all stacked values
-                const allY = stackedData.flatMap(d => [d.y0, d.y1]);
+                // Budgets of the shown periods and currencies
+                const periodTimes = new Set(periods.map(p => p.getTime()));
+                const budgets = this.budget
+                    .map(b => ({ ...b, period: new Date(b.date) }))
+                    .filter(b => periodTimes.has(b.period.getTime()) && currencies.includes(b.currency));
+
+                // Calculate y domain to include all stacked values and budgets
+                const allY = [...stackedData.flatMap(d => [d.y0, d.y1]), ...budgets.map(b => b.budget)];
                 const y = d3.scaleLinear()
-                    .domain([Math.min(0, d3.min(allY)), Math.max(0, d3.max(allY))])
+                    .domain([Math.min(0, d3.min(allY) ?? 0), Math.max(0, d3.max(allY) ?? 0)])
                     .nice()
                     .range([height, 0]);
 
@@ -181,12 +308,15 @@ function initPlotComponent() {
                     );
 
                     chart.append("rect")
+                        .attr("class", "period-band")
+                        .attr("data-period", periodNames.get(period.getTime()))
                         .attr("x", x(period.getTime()))
                         .attr("y", 0)
                         .attr("width", x.bandwidth())
                         .attr("height", height)
-                        .attr("fill", "#d3d3d3")
+                        .attr("fill", themeColor('chart-band'))
                         .attr("opacity", 0.2)
+                        .on("click", () => this.drillDown('/income_statement', period))
                         .on("mouseover", function(event) {
                             // Build tooltip text with all currency balances
                             const tooltipText = periodSums
@@ -227,6 +357,7 @@ function initPlotComponent() {
                         .attr("width", barWidth - 2 * gap)
                         .attr("height", Math.abs(y(d.y0) - y(d.y1)))
                         .attr("fill", accountColorScale(d.account))
+                        .on("click", () => this.drillDown(`/journal/${d.account}`, d.period))
                         .on("mouseover", function(event) {
                             const account = d.account;
 
@@ -266,18 +397,44 @@ function initPlotComponent() {
                         .attr("x2", xPos + barWidth)
                         .attr("y1", y(d.sum))
                         .attr("y2", y(d.sum))
-                        .attr("stroke", "black")
+                        .attr("stroke", themeColor('chart-line'))
                         .attr("stroke-width", 2)
                         .append("title");
                 });
 
+                // Draw budgets as dashed lines, red where the actual amount
+                // is over the budget
+                budgets.forEach(b => {
+                    const currencyIndex = currencies.indexOf(b.currency);
+                    const xPos = x(b.period.getTime()) + start + currencyIndex * barWidth;
+                    const over = b.actual > b.budget;
+
+                    chart.append("line")
+                        .attr("class", `budget-marker ${over ? 'over' : 'under'}`)
+                        .attr("data-period", periodNames.get(b.period.getTime()))
+                        .attr("x1", xPos)
+                        .attr("x2", xPos + barWidth)
+                        .attr("y1", y(b.budget))
+                        .attr("y2", y(b.budget))
+                        .on("mouseover", function(event) {
+                            tooltip
+                                .style("display", "block")
+                                .style("left", `${event.pageX + 10}px`)
+                                .style("top", `${event.pageY}px`)
+                                .text(`Budget: ${b.budget.toFixed(2)} ${b.currency}, actual: ${b.actual.toFixed(2)} ${b.currency}`);
+                        })
+                        .on("mouseout", function() {
+                            tooltip.style("display", "none");
+                        });
+                });
+
                 // Draw zero line
                 chart.append("line")
                     .attr("x1", 0)
                     .attr("x2", width)
                     .attr("y1", y(0))
                     .attr("y2", y(0))
-                    .attr("stroke", "black")
+                    .attr("stroke", themeColor('chart-line'))
                     .attr("stroke-width", 1)
                     .attr("opacity", 0.5);
 
@@ -296,11 +453,14 @@ function initPlotComponent() {
 
                 yGroup.call(d3.axisLeft(y).tickFormat(d3.format("~s")));
 
-                // Render legend for currencies
-                renderLegend(currencies, currencyColorScale);
+                // Render legend for accounts
+                renderLegend(accounts, accountColorScale, hidden, (account, isolate) => {
+                    this.toggleSeries(account, accounts, isolate);
+                });
             },
 
             renderPlotData(alpineData) {
+                const hidden = this.hiddenSeries();
                 const data = [];
 
                 alpineData.forEach((txn) => {
@@ -319,10 +479,14 @@ function initPlotComponent() {
                 // Create color scale for currencies
                 const colorScale = d3.scaleOrdinal()
                     .domain(currencies)
-                    .range(d3.schemeSet2);
+                    .range(themePalette(d3.schemeSet2));
 
-                const width = document.querySelector("#d3 svg").clientWidth;
-                const height = width / 5;
+                // The x axis covers hidden currencies too so that it doesn't
+                // jump when toggling them, the y axis only what's shown.
+                const shown = currencies.filter(currency => !hidden.has(currency));
+                const shownData = data.filter(d => !hidden.has(d.currency));
+
+                const [width, height] = chartSize();
 
                 svg.attr("viewBox", `${-margin.left} ${-margin.top} ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
 
@@ -336,48 +500,71 @@ function initPlotComponent() {
 
                 const y = d3
                     .scaleLinear()
-                    .domain(d3.extent(data, (txn) => txn.balance))
+                    .domain(shownData.length > 0 ? d3.extent(shownData, (txn) => txn.balance) : [0, 0])
                     .nice()
                     .range([height, 0]);
 
-                d3.selectAll('.vertical').remove();
-                d3.selectAll('.horizontal').remove();
-                d3.selectAll('.circle').remove();
-                currencies.forEach((currency) => {
-                    renderCurrency(currency, colorScale(currency), chart, dataByCurrency.get(currency), x, y);
-                });
-
-                // Render legend
-                renderLegend(currencies, colorScale);
+                // The x scale after zooming.
+                let zx = x;
+
+                svg.select("#plot-clip rect")
+                    .attr("x", -2)
+                    .attr("y", -margin.top)
+                    .attr("width", width + 4)
+                    .attr("height", height + margin.top + 2);
+                chart.attr("clip-path", "url(#plot-clip)");
+
+                const draw = () => {
+                    d3.selectAll('.vertical').remove();
+                    d3.selectAll('.horizontal').remove();
+                    d3.selectAll('.circle').remove();
+                    shown.forEach((currency) => {
+                        renderCurrency(currency, colorScale(currency), chart, dataByCurrency.get(currency), zx, y);
+                    });
 
-                const circles = d3.selectAll(".circle");
+                    xGroup
+                        .call(d3.axisBottom(zx));
+                };
 
-                xGroup
-                    .call(d3.axisBottom(x));
+                // Render legend
+                renderLegend(currencies, colorScale, hidden, (currency, isolate) => {
+                    this.toggleSeries(currency, currencies, isolate);
+                });
 
                 yGroup
                     .call(d3.axisLeft(y).tickFormat(d3.format("~s")));
 
-                // Invisible rectangle for mouse events
-                svg.select("rect").remove();
-                svg
+                const hideHover = () => {
+                    tooltip.style("display", "none");
+                    hLine.style("display", "none");
+                    vLine.style("display", "none");
+                    d3.selectAll(".circle").attr("fill", (d) => colorScale(d.currency));
+                };
+
+                // Invisible rectangle for mouse events. Wheel and drag zoom
+                // and pan along the time axis.
+                svg.select(".zoom-area").remove();
+                zoomArea = svg
                     .append("rect")
+                    .attr("class", "zoom-area")
                     .attr("width", width)
                     .attr("height", height)
                     .attr("fill", "none")
                     .attr("pointer-events", "all")
-                    .on("mousemove", function(event) {
-                        // Get mouse position relative to SVG
-                        const [mx, my] = d3.pointer(event, svg.node());
+                    // Tapping shows the closest point like hovering does.
+                    // Registered before the zoom, which stops touch events.
+                    .on("mousemove touchstart", function(event) {
+                        const pointer = event.touches?.[0] ?? event;
+                        const [mx, my] = d3.pointer(pointer, svg.node());
 
                         // Find closest point
                         let closest = null;
                         let closestIndex = -1;
                         let minDist = Infinity;
                         let i = 0
-                        currencies.forEach((currency) => {
+                        shown.forEach((currency) => {
                             dataByCurrency.get(currency).forEach((d) => {
-                                const px = x(d.date);
+                                const px = zx(d.date);
                                 const py = y(d.balance);
                                 const dist = Math.sqrt((mx - px) ** 2 + (my - py) ** 2);
                                 if (dist < minDist) {
@@ -389,17 +576,18 @@ function initPlotComponent() {
                             });
                         });
 
+                        const circles = d3.selectAll(".circle");
                         circles.attr("fill", (d) => colorScale(d.currency));
 
                         if (minDist <= 20) {
-                            const px = x(closest.date);
+                            const px = zx(closest.date);
                             const py = y(closest.balance);
-                            circles.filter((_, i) => i === closestIndex).attr("fill", "white").raise();
+                            circles.filter((_, i) => i === closestIndex).attr("fill", themeColor('background')).raise();
 
                             tooltip
                                 .style("display", "block")
-                                .style("left", `${event.pageX + 10}px`)
-                                .style("top", `${event.pageY - 10}px`)
+                                .style("left", `${pointer.pageX + 10}px`)
+                                .style("top", `${pointer.pageY - 10}px`)
                                 .text(`${closest.date.toISOString().split('T')[0]}: ${closest.balance_rendered} ${closest.currency}`);
 
                             hLine
@@ -415,32 +603,553 @@ function initPlotComponent() {
                                 .attr("x2", px)
                                 .attr("y2", Math.min(py + 2, height));
                         } else {
-                            tooltip.style("display", "none");
-                            hLine.style("display", "none");
-                            vLine.style("display", "none");
+                            hideHover();
                         }
                     })
+                    .on("mouseleave", hideHover);
+
+                zoomBehavior = d3.zoom()
+                    .scaleExtent([1, 1000])
+                    .extent([[0, 0], [width, height]])
+                    .translateExtent([[0, 0], [width, height]])
+                    .on("zoom", (event) => {
+                        zoomTransform = event.transform;
+                        this.zoomed = zoomTransform.k !== 1;
+                        zx = zoomTransform.rescaleX(x);
+                        hideHover();
+                        draw();
+                    });
+                zoomArea
+                    .call(zoomBehavior)
+                    .call(zoomBehavior.transform, zoomTransform);
+
+                // Brushing along the x axis selects a date range. The
+                // selection is turned into the filter's dates, which
+                // reloads the view for that range.
+                const brush = d3.brushX()
+                    .extent([[0, height], [width, height + margin.bottom]])
+                    .on("end", (event) => {
+                        if (!event.selection || !event.sourceEvent) return;
+                        brushGroup.call(brush.move, null);
+
+                        const [start, end] = event.selection.map((px) => zx.invert(px).toISOString().split('T')[0]);
+                        if (start === end) return;
+
+                        zoomTransform = d3.zoomIdentity;
+                        this.zoomed = false;
+                        this.filter.startDate = start;
+                        this.filter.endDate = end;
+                    });
+
+                svg.select(".brush").remove();
+                const brushGroup = svg
+                    .append("g")
+                    .attr("class", "brush")
+                    .call(brush);
+            },
+
+            // Assets above and liabilities below zero, with net worth as a
+            // line in between.
+            renderNetWorth(alpineData) {
+                const hidden = this.hiddenSeries();
+                const data = alpineData.map((point) => ({
+                    date: new Date(point.date),
+                    currency: point.currency,
+                    assets: point.assets,
+                    liabilities: point.liabilities,
+                    net: point.assets + point.liabilities,
+                }));
+
+                const dataByCurrency = d3.group(data, d => d.currency);
+                const currencies = Array.from(dataByCurrency.keys());
+                const colorScale = d3.scaleOrdinal()
+                    .domain(currencies)
+                    .range(themePalette(d3.schemeSet2));
+
+                const shown = currencies.filter(currency => !hidden.has(currency));
+                const shownData = data.filter(d => !hidden.has(d.currency));
+
+                const [width, height] = chartSize();
+
+                svg.attr("viewBox", `${-margin.left} ${-margin.top} ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+
+                xGroup.attr("transform", `translate(0,${height})`);
+
+                const x = d3
+                    .scaleUtc()
+                    .domain(d3.extent(data, (d) => d.date))
+                    .nice()
+                    .range([0, width]);
+
+                const y = d3
+                    .scaleLinear()
+                    .domain([
+                        Math.min(0, d3.min(shownData, (d) => Math.min(d.liabilities, d.net)) ?? 0),
+                        Math.max(0, d3.max(shownData, (d) => Math.max(d.assets, d.net)) ?? 0),
+                    ])
+                    .nice()
+                    .range([height, 0]);
+
+                // Balances hold until the next point, as in `renderCurrency`.
+                const side = (value) => d3.area()
+                    .curve(d3.curveStepAfter)
+                    .x((d) => x(d.date))
+                    .y0(y(0))
+                    .y1((d) => y(value(d)));
+                const netLine = d3.line()
+                    .curve(d3.curveStepAfter)
+                    .x((d) => x(d.date))
+                    .y((d) => y(d.net));
+
+                shown.forEach((currency) => {
+                    const points = dataByCurrency.get(currency);
+                    const extended = [...points, { ...points[points.length - 1], date: x.domain()[1] }];
+                    const color = colorScale(currency);
+
+                    chart.append("path")
+                        .attr("class", `net-worth-assets net-worth-${currency}`)
+                        .attr("fill", color)
+                        .attr("fill-opacity", 0.4)
+                        .attr("d", side((d) => d.assets)(extended));
+                    chart.append("path")
+                        .attr("class", `net-worth-liabilities net-worth-${currency}`)
+                        .attr("fill", color)
+                        .attr("fill-opacity", 0.2)
+                        .attr("d", side((d) => d.liabilities)(extended));
+                    chart.append("path")
+                        .attr("class", `net-worth-line net-worth-${currency}`)
+                        .attr("fill", "none")
+                        .attr("stroke", color)
+                        .attr("stroke-width", 1.5)
+                        .attr("d", netLine(extended));
+                });
+
+                renderZeroLine(chart, width, y);
+
+                xGroup.call(d3.axisBottom(x));
+                yGroup.call(d3.axisLeft(y).tickFormat(d3.format("~s")));
+
+                renderLegend(currencies, colorScale, hidden, (currency, isolate) => {
+                    this.toggleSeries(currency, currencies, isolate);
+                });
+
+                const number = d3.format(",.2f");
+                this.renderHover(width, height, x, shownData, (d) =>
+                    `assets ${number(d.assets)}, liabilities ${number(d.liabilities)}, net ${number(d.net)} ${d.currency}`);
+            },
+
+            // Share of income not spent, accumulated since the start of the
+            // date range.
+            renderSavingsRate(alpineData) {
+                const hidden = this.hiddenSeries();
+                const periods = alpineData
+                    .map((pg) => ({ date: new Date(pg.date), period: pg.period, points: pg.data_points }))
+                    .sort((a, b) => a.date - b.date);
+
+                const totals = new Map();
+                const data = [];
+                periods.forEach(({ date, period, points }) => {
+                    points.forEach((point) => {
+                        if (!totals.has(point.currency)) totals.set(point.currency, { income: 0, expenses: 0 });
+                        const total = totals.get(point.currency);
+                        if (point.account.startsWith("Income")) {
+                            total.income -= point.balance;
+                        } else {
+                            total.expenses += point.balance;
+                        }
+                    });
+                    totals.forEach(({ income, expenses }, currency) => {
+                        if (income <= 0) return;
+                        data.push({ date, period, currency, income, saved: income - expenses, rate: (income - expenses) / income });
+                    });
+                });
+
+                const currencies = Array.from(totals.keys()).sort();
+                const colorScale = d3.scaleOrdinal()
+                    .domain(currencies)
+                    .range(themePalette(d3.schemeSet2));
+
+                const shownData = data.filter(d => !hidden.has(d.currency));
+                const dataByCurrency = d3.group(shownData, d => d.currency);
+
+                const [width, height] = chartSize();
+
+                svg.attr("viewBox", `${-margin.left} ${-margin.top} ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+
+                xGroup.attr("transform", `translate(0,${height})`);
+
+                const x = d3
+                    .scaleUtc()
+                    .domain(d3.extent(periods, (p) => p.date))
+                    .range([0, width]);
+
+                const y = d3
+                    .scaleLinear()
+                    .domain([
+                        Math.min(0, d3.min(shownData, (d) => d.rate) ?? 0),
+                        Math.max(0, d3.max(shownData, (d) => d.rate) ?? 0),
+                    ])
+                    .nice()
+                    .range([height, 0]);
+
+                const rateLine = d3.line()
+                    .x((d) => x(d.date))
+                    .y((d) => y(d.rate));
+
+                dataByCurrency.forEach((points, currency) => {
+                    chart.append("path")
+                        .attr("class", `savings-rate savings-rate-${currency}`)
+                        .attr("fill", "none")
+                        .attr("stroke", colorScale(currency))
+                        .attr("stroke-width", 1.5)
+                        .attr("d", rateLine(points));
+                    chart.selectAll(null)
+                        .data(points)
+                        .enter()
+                        .append("circle")
+                        .attr("fill", colorScale(currency))
+                        .attr("r", 2)
+                        .attr("cx", (d) => x(d.date))
+                        .attr("cy", (d) => y(d.rate));
+                });
+
+                renderZeroLine(chart, width, y);
+
+                xGroup.call(d3.axisBottom(x));
+                yGroup.call(d3.axisLeft(y).tickFormat(d3.format(".0%")));
+
+                renderLegend(currencies, colorScale, hidden, (currency, isolate) => {
+                    this.toggleSeries(currency, currencies, isolate);
+                });
+
+                const number = d3.format(",.2f");
+                const percent = d3.format(".1%");
+                this.renderHover(width, height, x, shownData, (d) =>
+                    `${percent(d.rate)} (${number(d.saved)} of ${number(d.income)} ${d.currency})`, (d) => d.period);
+            },
+
+            // Expenses within the date range, nested by account, one group
+            // per currency if there are several.
+            renderExpenseTreemap(alpineData) {
+                const hidden = this.hiddenSeries();
+
+                const expenseAccounts = new Set();
+                const sums = d3.group(
+                    alpineData.flatMap((pg) => pg.data_points),
+                    (point) => point.currency,
+                    (point) => point.account,
+                );
+
+                const root = { name: "", children: [] };
+                const child = (node, name) => {
+                    let result = node.children.find((c) => c.name === name);
+                    if (!result) {
+                        result = { name, children: [] };
+                        node.children.push(result);
+                    }
+                    return result;
+                };
+
+                const multipleCurrencies = sums.size > 1;
+                sums.forEach((byAccount, currency) => {
+                    byAccount.forEach((points, account) => {
+                        if (!account.startsWith("Expenses")) return;
+                        expenseAccounts.add(account);
+                        if (hidden.has(account)) return;
+
+                        const total = points.reduce((acc, point) => acc + point.balance, 0);
+                        if (total <= 0) return;
+
+                        let node = multipleCurrencies ? child(root, currency) : root;
+                        const parts = account.split(":");
+                        parts.forEach((_, i) => {
+                            node = child(node, parts.slice(0, i + 1).join(":"));
+                        });
+                        node.value = total;
+                        node.currency = currency;
+                    });
+                });
+
+                // Only leaves are drawn, so the own amount of an account with
+                // sub-accounts, e.g. `Expenses:Food` next to
+                // `Expenses:Food:Groceries`, goes into a leaf of its own.
+                const moveOwnAmounts = (node) => {
+                    node.children.forEach(moveOwnAmounts);
+                    if (node.value === undefined || node.children.length === 0) return;
+                    node.children.push({
+                        name: `${node.name} (own)`,
+                        account: node.name,
+                        value: node.value,
+                        currency: node.currency,
+                        children: [],
+                    });
+                    delete node.value;
+                };
+                moveOwnAmounts(root);
+
+                const accountColorScale = accountColors();
+
+                const [width, height] = chartSize();
+
+                svg.attr("viewBox", `${-margin.left} ${-margin.top} ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+
+                const hierarchy = d3.hierarchy(root)
+                    .sum((d) => d.value ?? 0)
+                    .sort((a, b) => b.value - a.value);
+                d3.treemap()
+                    .size([width, height])
+                    .paddingInner(1)
+                    .paddingTop((d) => multipleCurrencies && d.depth === 1 ? 16 : 0)
+                    .round(true)(hierarchy);
+
+                if (multipleCurrencies) {
+                    hierarchy.children?.forEach((group) => {
+                        chart.append("text")
+                            .attr("class", "sans")
+                            .attr("x", group.x0 + 2)
+                            .attr("y", group.y0 + 12)
+                            .text(group.data.name);
+                    });
+                }
+
+                const number = d3.format(",.2f");
+                hierarchy.leaves().filter((leaf) => leaf.data.value).forEach((leaf) => {
+                    const account = leaf.data.account ?? leaf.data.name;
+                    const cell = chart.append("g")
+                        .attr("class", "treemap-cell")
+                        .attr("data-account", account)
+                        .attr("transform", `translate(${leaf.x0},${leaf.y0})`)
+                        .on("click", () => {
+                            this.$dispatch('navigate', `/journal/${account}${this.filter.getQueryString()}`);
+                        })
+                        .on("mouseover mousemove", (event) => {
+                            tooltip
+                                .style("display", "block")
+                                .style("left", `${event.pageX + 10}px`)
+                                .style("top", `${event.pageY}px`)
+                                .text(`${leaf.data.name}: ${number(leaf.data.value)} ${leaf.data.currency}`);
+                        })
+                        .on("mouseout", () => tooltip.style("display", "none"));
+
+                    const cellWidth = leaf.x1 - leaf.x0;
+                    const cellHeight = leaf.y1 - leaf.y0;
+                    cell.append("rect")
+                        .attr("width", cellWidth)
+                        .attr("height", cellHeight)
+                        .attr("fill", accountColorScale(account));
+                    if (cellWidth > 50 && cellHeight > 16) {
+                        cell.append("text")
+                            .attr("class", "sans")
+                            .attr("x", 4)
+                            .attr("y", 13)
+                            .text(leaf.data.name.split(":").pop());
+                    }
+                });
+
+                const accounts = Array.from(expenseAccounts).sort();
+                renderLegend(accounts, accountColorScale, hidden, (account, isolate) => {
+                    this.toggleSeries(account, accounts, isolate);
+                });
+            },
+
+            // Shows `text` for the points closest to the mouse along the x
+            // axis, one line per currency.
+            renderHover(width, height, x, data, text, label = (d) => d.date.toISOString().split('T')[0]) {
+                const dates = Array.from(new Set(data.map((d) => d.date.getTime()))).sort((a, b) => a - b);
+                const byDate = d3.group(data, (d) => d.date.getTime());
+                const bisect = d3.bisector((d) => d).center;
+
+                svg
+                    .append("rect")
+                    .attr("class", "hover-area")
+                    .attr("width", width)
+                    .attr("height", height)
+                    .attr("fill", "none")
+                    .attr("pointer-events", "all")
+                    .on("mousemove touchstart", (event) => {
+                        if (dates.length === 0) return;
+                        const pointer = event.touches?.[0] ?? event;
+                        const [mx] = d3.pointer(pointer, svg.node());
+                        const date = dates[bisect(dates, x.invert(mx).getTime())];
+                        const points = byDate.get(date);
+
+                        tooltip
+                            .style("display", "block")
+                            .style("left", `${pointer.pageX + 10}px`)
+                            .style("top", `${pointer.pageY - 10}px`)
+                            .text(`${label(points[0])}: ${points.map(text).join('; ')}`);
+                        vLine
+                            .style("display", "block")
+                            .attr("x1", x(date))
+                            .attr("y1", 0)
+                            .attr("x2", x(date))
+                            .attr("y2", height);
+                    })
                     .on("mouseleave", () => {
                         tooltip.style("display", "none");
-                        hLine.style("display", "none");
                         vLine.style("display", "none");
-                        circles.attr("fill", (d) => colorScale(d.currency));
                     });
             }
         }
     });
 }
 
-function renderLegend(currencies, colorScale) {
+// Width and height of the chart area in pixels. Charts are a fifth as high
+// as they are wide, but not flatter than is readable on a phone.
+function chartSize() {
+    const width = document.querySelector("#d3 svg").clientWidth;
+    return [width, Math.max(width / 5, 120)];
+}
+
+// Value of the CSS custom property `--name` in the current theme, see the
+// top of index.css.
+function themeColor(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim();
+}
+
+// `colors` lightened to at least `--chart-min-lightness`, so that dark colors
+// stay visible on a dark background.
+function themePalette(colors) {
+    const minLightness = parseFloat(themeColor('chart-min-lightness')) || 0;
+    return colors.map((color) => {
+        const hsl = d3.hsl(color);
+        hsl.l = Math.max(hsl.l, minLightness);
+        return hsl.formatHex();
+    });
+}
+
+const ACCOUNT_HUE_SLOTS = 24;
+
+// Hue family of nested accounts around their parent's hue, in degrees.
+const ACCOUNT_HUE_SPREAD = 40;
+
+// Base colors of the accounts opened in the ledger, by name.
+let accountBaseColors = null;
+
+// Account colors that stay the same across date ranges, intervals, charts
+// and reloads. The children of the top-level accounts are spread over the
+// color wheel by a hash of their name, and nested accounts get hues close to
+// their parent's, so that e.g. all of `Expenses:Food` looks alike. Siblings
+// that hash to the same hue take the next free one, in the order of their
+// names among all open accounts, see the `account` meta tags of the page.
+// `color: "#1f77b4"` metadata on an open directive sets an account's color
+// and its children's hue family.
+function accountColors() {
+    accountBaseColors ??= computeAccountColors(document.querySelectorAll('meta[name="account"]'));
+    const cache = new Map();
+    return (account) => {
+        if (!cache.has(account)) {
+            cache.set(account, themePalette([accountBaseColors.get(account) ?? fallbackAccountColor(account)])[0]);
+        }
+        return cache.get(account);
+    };
+}
+
+function computeAccountColors(metas) {
+    const children = new Map();
+    const overrides = new Map();
+    metas.forEach((meta) => {
+        const parts = meta.content.split(":");
+        parts.forEach((_, i) => {
+            const parent = parts.slice(0, i).join(":");
+            if (!children.has(parent)) children.set(parent, new Set());
+            children.get(parent).add(parts.slice(0, i + 1).join(":"));
+        });
+        if (meta.dataset.color) overrides.set(meta.content, d3.hsl(meta.dataset.color));
+    });
+
+    const colors = new Map();
+    const place = (parent, depth, hue) => {
+        const names = Array.from(children.get(parent) ?? []).sort();
+        // Top-level accounts and their children use the whole color wheel.
+        const spread = depth < 2 ? 360 : ACCOUNT_HUE_SPREAD;
+        const slots = Math.max(depth < 2 ? ACCOUNT_HUE_SLOTS : 6, names.length);
+        const taken = new Set();
+        names.forEach((name) => {
+            let slot = hashString(name) % slots;
+            while (taken.has(slot)) slot = (slot + 1) % slots;
+            taken.add(slot);
+
+            const color = overrides.get(name) ?? (depth < 2
+                ? d3.hsl(slot * spread / slots, 0.6, 0.55)
+                : d3.hsl(hue - spread / 2 + (slot + 0.5) * spread / slots, 0.6, 0.45 + (slot % 3) * 0.1));
+            colors.set(name, color);
+            place(name, depth + 1, color.h);
+        });
+    };
+    place("", 0, 0);
+    return colors;
+}
+
+// For accounts opened since the page was loaded, without avoiding
+// collisions.
+function fallbackAccountColor(account) {
+    const parts = account.split(":");
+    const parent = accountBaseColors.get(parts.slice(0, -1).join(":"));
+    const hash = hashString(account);
+    if (!parent || parts.length <= 2) return d3.hsl(hash % 360, 0.6, 0.55);
+    return d3.hsl(parent.h + (hash % ACCOUNT_HUE_SPREAD) - ACCOUNT_HUE_SPREAD / 2, 0.6, 0.45 + (hash % 3) * 0.1);
+}
+
+// 32-bit FNV-1a.
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Horizontal line at zero across the chart.
+function renderZeroLine(chart, width, y) {
+    chart.append("line")
+        .attr("x1", 0)
+        .attr("x2", width)
+        .attr("y1", y(0))
+        .attr("y2", y(0))
+        .attr("stroke", themeColor('chart-line'))
+        .attr("stroke-width", 1)
+        .attr("opacity", 0.5);
+}
+
+// The first day of the period that ends on `end`, see `Interval.advanceDate`
+// in src/server/DisplaySettings.zig.
+function periodStart(end, interval) {
+    const start = new Date(end);
+    switch (interval) {
+        case 'week':
+            start.setUTCDate(start.getUTCDate() - 6);
+            break;
+        case 'month':
+            start.setUTCDate(1);
+            break;
+        case 'quarter':
+            start.setUTCMonth(start.getUTCMonth() - 2, 1);
+            break;
+        case 'year':
+            start.setUTCMonth(0, 1);
+            break;
+    }
+    return start.toISOString().split('T')[0];
+}
+
+// Clicking an entry calls `onClick(series, isolate)`, where `isolate` is true
+// for shift-clicks.
+function renderLegend(series, colorScale, hidden, onClick) {
     const legend = d3.select("#legend");
 
     legend.selectAll(".legend-item").remove();
     legend.selectAll(".legend-item")
-        .data(currencies)
+        .data(series)
         .enter()
         .append("div")
         .attr("class", "legend-item")
+        .classed("hidden", (d) => hidden.has(d))
+        .attr("data-series", (d) => d)
+        .attr("title", "Click to hide or show, shift-click to show only this")
         .attr("font-size", "12px")
+        .on("click", (event, d) => onClick(d, event.shiftKey))
         .each(function(d) {
             d3.select(this)
                 .append("span")
@@ -31,6 +31,9 @@ pub fn printHelp() void {
         \\{[b]s}Commands:{[r]s}
         \\  {[b]s}{[magenta]s}lsp{[r]s}                      Start the LSP server
         \\  {[b]s}{[magenta]s}serve{[r]s}  {[d]s}main.bean{[r]s}         Start web server for a Beancount project
+        \\                           Pass {[c]s}--port <n>{[r]s} to listen on another port than 8080,
+        \\                           and {[c]s}--host <ip>{[r]s} to listen on another address than 127.0.0.1.
+        \\                           Editor links can open files in a GUI {[c]s}$VISUAL{[r]s} or {[c]s}$EDITOR{[r]s}.
         \\  {[b]s}{[magenta]s}tree{[r]s}   {[d]s}file.bean{[r]s}         Show final balances of all accounts as a tree
         \\  {[b]s}{[magenta]s}fmt{[r]s}    {[c]s}[-i]{[r]s} {[d]s}[file.bean]{[r]s}  Format a Beancount file (reads stdin if no file given).
         \\                           Pass {[c]s}-i{[r]s} to rewrite the file in place.
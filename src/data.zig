@@ -213,6 +213,7 @@ pub const Entry = struct {
         query,
         note,
         document,
+        custom,
     };
 
     pub const Payload = union(Tag) {
@@ -228,6 +229,7 @@ pub const Entry = struct {
         query: Query,
         note: Note,
         document: Document,
+        custom: Custom,
     };
 
     /// Sort entries by date, then by "time of day": commodity/price/open/pnl < balance < tx < close.
@@ -326,6 +328,12 @@ pub const Document = struct {
     filename: Ast.TokenIndex,
 };
 
+pub const Custom = struct {
+    name: Ast.TokenIndex,
+    /// Value tokens, in the owning file's AST.
+    values: Ast.Node.Range,
+};
+
 // --- Posting ----------------------------------------------------------------
 
 pub const Posting = struct {
@@ -594,6 +602,7 @@ pub const EntryView = struct {
             .query => |q| .{ .query = q },
             .note => |n| .{ .note = n },
             .document => |d| .{ .document = d },
+            .custom => |c| .{ .custom = .{ .data = v.data, .file = file_id, .custom = c } },
         };
     }
 
@@ -662,6 +671,7 @@ pub const PayloadView = union(Entry.Tag) {
     query: Query,
     note: Note,
     document: Document,
+    custom: CustomView,
 };
 
 pub const TransactionView = struct {
@@ -865,6 +875,33 @@ pub const PriceDeclView = struct {
     }
 };
 
+pub const CustomView = struct {
+    data: *const Self,
+    file: u8,
+    custom: Custom,
+
+    pub fn nameText(v: CustomView) []const u8 {
+        return v.data.files.items[v.file].tokenSlice(v.custom.name);
+    }
+
+    pub fn values(v: CustomView) []const Ast.TokenIndex {
+        return v.data.files.items[v.file].ast.tokenList(v.custom.values);
+    }
+
+    pub fn token(v: CustomView, idx: Ast.TokenIndex) Lexer.Token {
+        return v.data.files.items[v.file].token(idx);
+    }
+
+    /// The value of a number token, including the sign held by a preceding
+    /// `minus` token.
+    pub fn number(v: CustomView, idx: Ast.TokenIndex) ?Number {
+        const tokens = v.data.files.items[v.file].ast.tokens.items;
+        const i = @intFromEnum(idx);
+        const result = Number.fromSlice(tokens[i].slice) catch return null;
+        return if (i > 0 and tokens[i - 1].tag == .minus) result.negate() else result;
+    }
+};
+
 /// Resolved lot spec. Carries both the typed index and a `data` pointer so
 /// consumers can get text via `*Text()` helpers without re-interning.
 pub const LotSpecView = struct {
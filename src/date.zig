@@ -6,6 +6,10 @@ pub const Date = struct {
     month: u4,
     day: u5,
 
+    /// The last year that relative dates may reach, the last one with four
+    /// digits.
+    pub const max_year = 9999;
+
     /// Compares two dates with another. If `date2` happens after `date1`,
     /// then the `TimeComparison.after` is returned. If `date2` happens before `date1`,
     /// then `TimeComparison.before` is returned. If both represent the same date,
@@ -107,6 +111,16 @@ pub const Date = struct {
         return Date.fromEpochDay(.{ .day = @intCast(new_day) });
     }
 
+    /// Like `addDays`, but for offsets from user input: a result before the
+    /// epoch or after `max_year` is an `error.InvalidDate`.
+    pub fn addDaysChecked(self: Date, days: i32) !Date {
+        const new_day = @as(i64, self.toEpochDay().day) + days;
+        if (new_day < 0) return error.InvalidDate;
+        const date = Date.fromEpochDay(.{ .day = @intCast(new_day) });
+        if (date.year > max_year) return error.InvalidDate;
+        return date;
+    }
+
     pub fn nextDay(self: Date) Date {
         return self.addDays(1);
     }
@@ -169,6 +183,24 @@ pub const Date = struct {
         return Date{ .year = self.year, .month = self.month, .day = days_in_month };
     }
 
+    /// Moves by whole months, keeping the day where the target month has it
+    /// and using its last day otherwise.
+    pub fn addMonths(self: Date, months: i32) Date {
+        const index = @as(i32, @intCast(self.year)) * 12 + self.month - 1 + months;
+        const year: u32 = @intCast(@divFloor(index, 12));
+        const month: u4 = @intCast(@mod(index, 12) + 1);
+        const days_in_month = std.time.epoch.getDaysInMonth(@intCast(year), @enumFromInt(month));
+        return Date{ .year = year, .month = month, .day = @min(self.day, days_in_month) };
+    }
+
+    /// Like `addMonths`, but for offsets from user input: a result before the
+    /// epoch or after `max_year` is an `error.InvalidDate`.
+    pub fn addMonthsChecked(self: Date, months: i32) !Date {
+        const index = @as(i64, self.year) * 12 + self.month - 1 + months;
+        if (index < epoch.epoch_year * 12 or index >= (max_year + 1) * 12) return error.InvalidDate;
+        return self.addMonths(months);
+    }
+
     /// Returns the ISO week number (1-53) for this date
     /// ISO 8601: A week belongs to the year that contains the week's Thursday
     pub fn getISOWeek(self: Date) u6 {
@@ -388,3 +420,30 @@ test "nextMonth" {
         Date{ .year = 2026, .month = 1, .day = 31 },
     );
 }
+
+test "addMonths" {
+    const date = Date{ .year = 2024, .month = 1, .day = 31 };
+    try std.testing.expectEqual(Date{ .year = 2024, .month = 2, .day = 29 }, date.addMonths(1));
+    try std.testing.expectEqual(Date{ .year = 2023, .month = 1, .day = 31 }, date.addMonths(-12));
+    try std.testing.expectEqual(Date{ .year = 2023, .month = 11, .day = 30 }, date.addMonths(-2));
+    try std.testing.expectEqual(Date{ .year = 2025, .month = 3, .day = 31 }, date.addMonths(14));
+}
+
+test "addDaysChecked" {
+    const date = Date{ .year = 1970, .month = 1, .day = 10 };
+    try std.testing.expectEqual(Date{ .year = 1970, .month = 1, .day = 1 }, try date.addDaysChecked(-9));
+    try std.testing.expectError(error.InvalidDate, date.addDaysChecked(-10));
+    try std.testing.expectError(error.InvalidDate, date.addDaysChecked(std.math.maxInt(i32)));
+    const last = Date{ .year = Date.max_year, .month = 12, .day = 31 };
+    try std.testing.expectEqual(last, try last.addDaysChecked(0));
+    try std.testing.expectError(error.InvalidDate, last.addDaysChecked(1));
+}
+
+test "addMonthsChecked" {
+    const date = Date{ .year = 1970, .month = 3, .day = 31 };
+    try std.testing.expectEqual(Date{ .year = 1970, .month = 1, .day = 31 }, try date.addMonthsChecked(-2));
+    try std.testing.expectError(error.InvalidDate, date.addMonthsChecked(-3));
+    try std.testing.expectError(error.InvalidDate, date.addMonthsChecked(std.math.minInt(i32)));
+    try std.testing.expectError(error.InvalidDate, date.addMonthsChecked(std.math.maxInt(i32)));
+    try std.testing.expectEqual(Date{ .year = Date.max_year, .month = 12, .day = 31 }, try date.addMonthsChecked((Date.max_year - 1970) * 12 + 9));
+}
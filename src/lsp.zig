@@ -31,6 +31,9 @@ const LspState = struct {
     io: Io,
     arena_projects: std.ArrayList(ArenaProject),
     clientCapabilities: ClientCapabilities,
+    /// Root file by workspace folder URI, from `rootFiles` of the client's
+    /// initialization options. Takes precedence over `turbobean.config`.
+    root_files: std.StringHashMapUnmanaged([]const u8),
 
     pub fn init(alloc: Allocator, io: Io) LspState {
         return .{
@@ -38,11 +41,18 @@ const LspState = struct {
             .io = io,
             .arena_projects = .empty,
             .clientCapabilities = .{},
+            .root_files = .empty,
         };
     }
 
     pub fn deinit(self: *LspState) void {
         for (self.arena_projects.items) |*ap| ap.deinit();
+        var iter = self.root_files.iterator();
+        while (iter.next()) |kv| {
+            self.alloc.free(kv.key_ptr.*);
+            self.alloc.free(kv.value_ptr.*);
+        }
+        self.root_files.deinit(self.alloc);
     }
 
     fn initialize(self: *LspState, params: lsp.types.InitializeParams) !InitResult {
@@ -60,6 +70,8 @@ const LspState = struct {
             .fail_message = "Client doesn't have general capabilities defined",
         };
 
+        if (params.initializationOptions) |options| try self.readRootFiles(options);
+
         if (params.workspaceFolders) |workspace_folders| {
             for (workspace_folders) |folder| {
                 self.addWorkspaceFolder(folder) catch |err| {
@@ -73,6 +85,33 @@ const LspState = struct {
         return .{ .success = {} };
     }
 
+    /// `{ "rootFiles": { "<folder uri>": "main.bean" } }`, as sent by the
+    /// VS Code extension for its `turbobean.rootFile` setting.
+    fn readRootFiles(self: *LspState, options: std.json.Value) !void {
+        if (options != .object) return;
+        const root_files = options.object.get("rootFiles") orelse return;
+        if (root_files != .object) return;
+
+        var iter = root_files.object.iterator();
+        while (iter.next()) |kv| {
+            if (kv.value_ptr.* != .string) continue;
+            const root = try self.alloc.dupe(u8, kv.value_ptr.string);
+            errdefer self.alloc.free(root);
+
+            // A folder may be listed again, e.g. by duplicate keys.
+            const entry = try self.root_files.getOrPut(self.alloc, kv.key_ptr.*);
+            if (entry.found_existing) {
+                self.alloc.free(entry.value_ptr.*);
+            } else {
+                entry.key_ptr.* = self.alloc.dupe(u8, kv.key_ptr.*) catch |err| {
+                    self.root_files.removeByPtr(entry.key_ptr);
+                    return err;
+                };
+            }
+            entry.value_ptr.* = root;
+        }
+    }
+
     pub fn sendDiagnostics(self: *const LspState, alloc: Allocator, io: Io, transport: *lsp.Transport) !void {
         for (self.arena_projects.items) |ap| {
             var errors = try ap.project.collectErrors(alloc);
@@ -143,9 +182,11 @@ const LspState = struct {
 
     fn getWorkspaceRootFile(self: *LspState, folder: lsp.types.workspace.Folder) ![]const u8 {
         var uri = try Uri.from_raw(self.alloc, folder.uri);
-        const config = try Config.load_from_dir(self.alloc, self.io, uri);
+        const root = self.root_files.get(folder.uri) orelse
+            (try Config.load_from_dir(self.alloc, self.io, uri)).root;
+        if (std.fs.path.isAbsolute(root)) return self.alloc.dupe(u8, root);
 
-        return std.fs.path.join(self.alloc, &.{ uri.absolute(), config.root });
+        return std.fs.path.join(self.alloc, &.{ uri.absolute(), root });
     }
 
     pub fn openProjectByRootUri(self: *LspState, uri: Uri, source: ?[:0]const u8) !void {
@@ -286,6 +327,7 @@ pub fn loop(alloc: std.mem.Allocator, io: Io) !void {
                                             .full = .{ .bool = true },
                                         } },
                                         .inlayHintProvider = .{ .inlay_hint_options = .{} },
+                                        .codeLensProvider = .{ .resolveProvider = false },
                                         .workspace = .{ .workspaceFolders = .{
                                             .supported = true,
                                             .changeNotifications = .{ .bool = true },
@@ -737,6 +779,64 @@ pub fn loop(alloc: std.mem.Allocator, io: Io) !void {
                         .emit_null_optional_fields = false,
                     });
                 },
+                .@"textDocument/codeLens" => |params| {
+                    const uri = params.textDocument.uri;
+                    const project = state.getProjectForUri(uri) orelse {
+                        try transport.writeResponse(io, arena, request.id, void, {}, .{});
+                        continue :loop;
+                    };
+
+                    var lenses = std.ArrayList(lsp.types.CodeLens).empty;
+                    for (try project.balanceChecks(arena, uri)) |check| {
+                        const currency = project.data.currencies.get(check.currency);
+                        const title = if (check.difference) |difference|
+                            try std.fmt.allocPrint(arena, "Computed balance: {f} {s} (assertion differs by {f} {s})", .{
+                                check.accumulated, currency, difference, currency,
+                            })
+                        else
+                            try std.fmt.allocPrint(arena, "Computed balance: {f} {s}", .{ check.accumulated, currency });
+                        const position: lsp.types.Position = .{ .line = check.line, .character = 0 };
+                        try lenses.append(arena, .{
+                            .range = .{ .start = position, .end = position },
+                            // Without a command the lens is only a label.
+                            .command = .{ .title = title, .command = "" },
+                        });
+                    }
+                    try transport.writeResponse(io, arena, request.id, []const lsp.types.CodeLens, lenses.items, .{
+                        .emit_null_optional_fields = false,
+                    });
+                },
+                .@"turbobean/accounts" => {
+                    var accounts = std.ArrayList(AccountInfo).empty;
+                    for (state.arena_projects.items) |*ap| {
+                        const project = &ap.project;
+                        for (try project.accountOverview(arena)) |o| {
+                            var balance = std.ArrayList(AccountInfo.Amount).empty;
+                            var iter = o.balance.by_currency.iterator();
+                            while (iter.next()) |kv| {
+                                const units = kv.value_ptr.total_units();
+                                if (units.is_zero()) continue;
+                                try balance.append(arena, .{
+                                    .number = try std.fmt.allocPrint(arena, "{f}", .{units}),
+                                    .currency = project.data.currencies.get(kv.key),
+                                });
+                            }
+                            try accounts.append(arena, .{
+                                .account = project.data.accounts.get(o.account),
+                                .uri = project.fileUri(o.open_file).value,
+                                .line = o.open_line,
+                                .open = try std.fmt.allocPrint(arena, "{f}", .{o.open_date}),
+                                .close = if (o.close_date) |d| try std.fmt.allocPrint(arena, "{f}", .{d}) else null,
+                                .balance = balance.items,
+                                .errors = o.errors,
+                                .warnings = o.warnings,
+                            });
+                        }
+                    }
+                    try transport.writeResponse(io, arena, request.id, []const AccountInfo, accounts.items, .{
+                        .emit_null_optional_fields = false,
+                    });
+                },
                 .other => try transport.writeResponse(io, arena, request.id, void, {}, .{}),
             },
             .notification => |notification| switch (notification.params) {
@@ -814,6 +914,25 @@ const InitResult = union(enum) {
     fail_message: []const u8,
 };
 
+/// An opened account, as sent in response to `turbobean/accounts` for the
+/// account explorer of the VS Code extension.
+const AccountInfo = struct {
+    account: []const u8,
+    /// File and 0-based line of the `open` directive.
+    uri: []const u8,
+    line: u32,
+    open: []const u8,
+    close: ?[]const u8 = null,
+    balance: []const Amount,
+    errors: u32,
+    warnings: u32,
+
+    const Amount = struct {
+        number: []const u8,
+        currency: []const u8,
+    };
+};
+
 const Message = lsp.Message(RequestMethods, NotificationMethods, .{});
 
 const RequestMethods = union(enum) {
@@ -827,6 +946,8 @@ const RequestMethods = union(enum) {
     @"textDocument/rename": lsp.types.rename.Params,
     @"textDocument/semanticTokens/full": lsp.types.semantic_tokens.Params,
     @"textDocument/inlayHint": lsp.types.InlayHint.Params,
+    @"textDocument/codeLens": lsp.types.CodeLens.Params,
+    @"turbobean/accounts",
     other: lsp.MethodWithParams,
 };
 
@@ -954,3 +1075,20 @@ fn emitAmountHint(
 fn writeSpaces(w: *std.Io.Writer, n: usize) !void {
     for (0..n) |_| try w.writeByte(' ');
 }
+
+test "root files of a folder given twice" {
+    const alloc = std.testing.allocator;
+    var state = LspState.init(alloc, undefined);
+    defer state.deinit();
+
+    for ([_][]const u8{ "a.bean", "b.bean" }) |root| {
+        const json = try std.fmt.allocPrint(alloc, "{{\"rootFiles\": {{\"file:///ledger\": \"{s}\"}}}}", .{root});
+        defer alloc.free(json);
+        const options = try std.json.parseFromSlice(std.json.Value, alloc, json, .{});
+        defer options.deinit();
+        try state.readRootFiles(options.value);
+    }
+
+    try std.testing.expectEqual(1, state.root_files.count());
+    try std.testing.expectEqualStrings("b.bean", state.root_files.get("file:///ledger").?);
+}
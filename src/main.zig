@@ -60,14 +60,37 @@ pub fn main(init: std.process.Init) !void {
             return;
         }
         if (std.mem.eql(u8, command, "serve")) {
-            if (iter.next()) |file| {
+            var port: u16 = 8080;
+            var host: []const u8 = "127.0.0.1";
+            var file_arg: ?[]const u8 = null;
+            while (iter.next()) |arg| {
+                if (std.mem.eql(u8, arg, "--port")) {
+                    const value = iter.next() orelse "";
+                    port = std.fmt.parseInt(u16, value, 10) catch {
+                        std.debug.print("--port requires a port number\n", .{});
+                        std.process.exit(1);
+                    };
+                } else if (std.mem.eql(u8, arg, "--host")) {
+                    host = iter.next() orelse "";
+                    _ = std.Io.net.IpAddress.parseIp4(host, port) catch {
+                        std.debug.print("--host requires an IPv4 address, e.g. 0.0.0.0\n", .{});
+                        std.process.exit(1);
+                    };
+                } else {
+                    file_arg = arg;
+                    break;
+                }
+            }
+
+            if (file_arg) |file| {
                 const uri = try Uri.from_relative_to_cwd(arena, io, file);
 
                 var project = try Project.load(arena, io, uri, null);
 
                 if (project.hasErrors()) try project.printErrors(arena);
 
-                try server.loop(arena, io, &project);
+                const editor = init.environ_map.get("VISUAL") orelse init.environ_map.get("EDITOR");
+                try server.loop(arena, io, &project, host, port, editor);
                 return;
             } else {
                 cli.printMissingFileArgument();
@@ -171,5 +194,13 @@ test {
     _ = Renderer;
     _ = @import("solver.zig");
     _ = @import("server/DisplaySettings.zig");
+    _ = @import("server/Filter.zig");
+    _ = @import("server/export.zig");
+    _ = @import("server/budget.zig");
+    _ = @import("server/relative_date.zig");
+    _ = @import("server/xlsx.zig");
+    _ = @import("server/index.zig");
+    _ = @import("server/editor.zig");
     _ = semantic_tokens;
+    _ = lsp;
 }
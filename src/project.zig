@@ -38,6 +38,10 @@ account_open_pos: AccountMap(FileLine),
 tags: std.StringHashMap(void),
 links: std.StringHashMap(void),
 
+/// Whether there are `custom "budget"` entries, so the web UI can skip
+/// looking for budgets in ledgers without any.
+has_budgets: bool = false,
+
 const FileLine = struct {
     file: u32,
     line: u32,
@@ -795,12 +799,17 @@ fn refreshLspCache(self: *Self) !void {
     self.account_open_pos.clear();
     self.tags.clearRetainingCapacity();
     self.links.clearRetainingCapacity();
+    self.has_budgets = false;
 
     var entry_iter = self.data.iterEntries();
     while (entry_iter.next()) |entry| {
         const file_id = entry.file();
         const fdata = &self.data.files.items[file_id];
 
+        if (entry.tag() == .custom and std.mem.eql(u8, entry.payload().custom.nameText(), "\"budget\"")) {
+            self.has_budgets = true;
+        }
+
         // Tags/links in this entry's range — need file context to slice text.
         var tl = entry.tagslinks();
         while (tl.next()) |t| {
@@ -916,6 +925,171 @@ pub const AccountsTextIterator = struct {
     }
 };
 
+pub const AccountOverview = struct {
+    account: AccountIndex,
+    open_file: u32,
+    /// 0-based line of the `open` directive.
+    open_line: u32,
+    open_date: Date,
+    close_date: ?Date,
+    /// Balance at the end of the ledger, including sub-accounts.
+    balance: InvSummary,
+    errors: u32,
+    warnings: u32,
+};
+
+/// Every opened account with its balance and the number of diagnostics that
+/// concern it, in the order they were opened. A diagnostic concerns the
+/// accounts on its line, and for the first line of a transaction all
+/// accounts it posts to.
+pub fn accountOverview(self: *Self, alloc: Allocator) ![]AccountOverview {
+    const Counts = struct { errors: u32 = 0, warnings: u32 = 0 };
+    var counts_by_line = std.AutoHashMap(FileLine, Counts).init(alloc);
+    var all_errors = try self.collectErrors(alloc);
+    var errors_iter = all_errors.iterator();
+    while (errors_iter.next()) |kv| {
+        const file: u32 = @intCast(self.data.files_by_uri.get(kv.key_ptr.*) orelse continue);
+        for (kv.value_ptr.items) |err| {
+            const counts = try counts_by_line.getOrPut(.{ .file = file, .line = err.token.start_line });
+            if (!counts.found_existing) counts.value_ptr.* = .{};
+            switch (err.severity) {
+                .err => counts.value_ptr.errors += 1,
+                .warn => counts.value_ptr.warnings += 1,
+            }
+        }
+    }
+
+    var tree = try Tree.init(alloc, &self.data.accounts, &self.data.currencies);
+    var overview = std.ArrayList(AccountOverview).empty;
+    var by_account: AccountMap(usize) = .{};
+
+    var entry_iter = self.data.iterEntries();
+    while (entry_iter.next()) |entry| {
+        switch (entry.payload()) {
+            .open => |open| {
+                if (try tree.open(open.account(), open.currencies(), open.open.booking_method) == null) continue;
+                try by_account.put(alloc, open.account(), overview.items.len);
+                try overview.append(alloc, .{
+                    .account = open.account(),
+                    .open_file = entry.file(),
+                    .open_line = entry.token(entry.mainToken()).start_line,
+                    .open_date = entry.date(),
+                    .close_date = null,
+                    .balance = undefined,
+                    .errors = 0,
+                    .warnings = 0,
+                });
+            },
+            .close => |close| {
+                const i = by_account.get(close.account()) orelse continue;
+                overview.items[i].close_date = entry.date();
+            },
+            .transaction => |tx| {
+                const header = counts_by_line.get(.{
+                    .file = entry.file(),
+                    .line = entry.token(entry.mainToken()).start_line,
+                });
+                var it = tx.postings();
+                var seen: AccountMap(void) = .{};
+                while (it.next()) |p| {
+                    if (header != null and !seen.contains(p.account())) {
+                        try seen.put(alloc, p.account(), {});
+                        if (by_account.get(p.account())) |i| {
+                            overview.items[i].errors += header.?.errors;
+                            overview.items[i].warnings += header.?.warnings;
+                        }
+                    }
+                    if (tx.dirty()) continue;
+                    _ = tree.postInventory(entry.date(), p) catch continue;
+                }
+            },
+            .pad => |pad| {
+                if (pad.padPosting()) |posting| {
+                    _ = tree.postInventory(entry.date(), posting) catch null;
+                }
+                if (pad.padToPosting()) |posting| {
+                    _ = tree.postInventory(entry.date(), posting) catch null;
+                }
+            },
+            else => {},
+        }
+    }
+
+    var account_iter = self.accountIterator(null);
+    while (account_iter.next()) |next| {
+        const counts = counts_by_line.get(.{ .file = next.file, .line = next.token.start_line }) orelse continue;
+        const account = self.data.findAccount(next.token.slice) orelse continue;
+        const i = by_account.get(account) orelse continue;
+        overview.items[i].errors += counts.errors;
+        overview.items[i].warnings += counts.warnings;
+    }
+
+    for (overview.items) |*o| {
+        o.balance = try tree.inventoryAggregatedByAccount(alloc, o.account);
+    }
+    return overview.items;
+}
+
+pub const BalanceCheck = struct {
+    /// 0-based line of the `balance` directive.
+    line: u32,
+    accumulated: Number,
+    currency: CurrencyIndex,
+    /// Expected minus accumulated amount, if the assertion fails.
+    difference: ?Number,
+};
+
+/// The computed balance at each `balance` directive of a file. Directives
+/// whose account isn't open or doesn't hold the currency are left out, as
+/// those are errors of their own. Assumes `check` has run, so that pads
+/// carry their amounts.
+pub fn balanceChecks(self: *Self, alloc: Allocator, uri: []const u8) ![]BalanceCheck {
+    const file = self.data.files_by_uri.get(uri) orelse return &.{};
+    var checks = std.ArrayList(BalanceCheck).empty;
+    var tree = try Tree.init(alloc, &self.data.accounts, &self.data.currencies);
+
+    var entry_iter = self.data.iterEntries();
+    while (entry_iter.next()) |entry| {
+        switch (entry.payload()) {
+            .open => |open| {
+                _ = try tree.open(open.account(), open.currencies(), open.open.booking_method);
+            },
+            .close => |close| tree.close(close.account()) catch {},
+            .transaction => |tx| {
+                if (tx.dirty()) continue;
+                var it = tx.postings();
+                while (it.next()) |p| {
+                    _ = tree.postInventory(entry.date(), p) catch continue;
+                }
+            },
+            .pad => |pad| {
+                if (pad.padPosting()) |posting| {
+                    _ = tree.postInventory(entry.date(), posting) catch null;
+                }
+                if (pad.padToPosting()) |posting| {
+                    _ = tree.postInventory(entry.date(), posting) catch null;
+                }
+            },
+            .balance => |balance| {
+                if (entry.file() != file) continue;
+                const accumulated = tree.balanceAggregatedByAccount(balance.account, balance.amount_currency) catch continue;
+                const tolerance = balance.tolerance orelse balance.amount.getTolerance();
+                try checks.append(alloc, .{
+                    .line = entry.token(entry.mainToken()).start_line,
+                    .accumulated = accumulated,
+                    .currency = balance.amount_currency,
+                    .difference = if (balance.amount.is_within_tolerance(accumulated, tolerance))
+                        null
+                    else
+                        balance.amount.sub(accumulated),
+                });
+            },
+            else => {},
+        }
+    }
+    return checks.items;
+}
+
 /// Takes ownership of source.
 pub fn update_file(self: *Self, uri_value: []const u8, source: [:0]const u8) !void {
     try self.data.updateFile(uri_value, source);
@@ -5,28 +5,43 @@ const Project = @import("project.zig");
 const journal = @import("server/journal.zig");
 const balance_sheet = @import("server/balance_sheet.zig");
 const income_statement = @import("server/income_statement.zig");
+const budget = @import("server/budget.zig");
 const index = @import("server/index.zig");
+const completions = @import("server/completions.zig");
+const @"export" = @import("server/export.zig");
+const editor = @import("server/editor.zig");
 const State = @import("server/State.zig");
 const http = @import("server/http.zig");
 const Static = @import("server/static.zig").Static;
 
 var running: std.atomic.Value(bool) = .init(true);
 
-pub fn loop(alloc: std.mem.Allocator, io: Io, project: *Project) !void {
+/// Serves the web UI of `project` on `host`, which is only the loopback
+/// interface unless `serve --host` says otherwise.
+pub fn loop(
+    alloc: std.mem.Allocator,
+    io: Io,
+    project: *Project,
+    host: []const u8,
+    port: u16,
+    editor_command: ?[]const u8,
+) !void {
     var threads = std.ArrayList(std.Thread).empty;
 
     const state = try State.init(alloc, io, project);
     defer state.deinit();
+    // Anyone who can reach the server could open the editor otherwise.
+    state.editor = if (std.mem.startsWith(u8, host, "127.")) editor_command else null;
 
     var static = try Static.init(alloc, io);
     defer static.deinit();
 
     {
-        const address = try std.Io.net.IpAddress.parseIp4("0.0.0.0", 8080);
+        const address = try std.Io.net.IpAddress.parseIp4(host, port);
         var net_server = try address.listen(io, .{ .reuse_address = true });
         defer net_server.deinit(io);
 
-        std.log.info("Listening on port 8080", .{});
+        std.log.info("Listening on port {d} of {s}", .{ port, host });
 
         while (running.load(.seq_cst)) {
             const stream = try net_server.accept(io);
@@ -79,6 +94,12 @@ fn route(alloc: Allocator, state: *State, static: *Static, request: *std.http.Se
     const target = request.head.target;
     const method = request.head.method;
 
+    // Starts a process, so a POST that links and prefetching don't send.
+    // The handler checks that it comes from the web UI.
+    if (std.mem.startsWith(u8, target, "/editor")) {
+        return editor.handler(alloc, request, state);
+    }
+
     if (method != .GET) {
         return request.respond("Method not allowed\n", .{ .status = .method_not_allowed });
     }
@@ -93,9 +114,28 @@ fn route(alloc: Allocator, state: *State, static: *Static, request: *std.http.Se
         return static.handler(request);
     }
 
+    if (std.mem.eql(u8, target, "/completions")) {
+        return completions.handler(alloc, request, state);
+    }
+
+    if (std.mem.startsWith(u8, target, "/export/income_statement")) {
+        return @"export".handler(alloc, request, state, .income_statement);
+    }
+
+    if (std.mem.startsWith(u8, target, "/export/balance_sheet")) {
+        return @"export".handler(alloc, request, state, .balance_sheet);
+    }
+
+    if (std.mem.startsWith(u8, target, "/export/journal/")) {
+        const raw_account = if (std.mem.indexOf(u8, target, "?")) |i| target[16..i] else target[16..];
+        const account = try http.decode_url_alloc(alloc, raw_account);
+        return @"export".handler(alloc, request, state, .{ .journal = account });
+    }
+
     if (std.mem.eql(u8, target, "/") or
         std.mem.startsWith(u8, target, "/income_statement") or
         std.mem.startsWith(u8, target, "/balance_sheet") or
+        std.mem.startsWith(u8, target, "/budget") or
         std.mem.startsWith(u8, target, "/journal"))
     {
         return index.handler(alloc, request, state);
@@ -108,6 +148,13 @@ fn route(alloc: Allocator, state: *State, static: *Static, request: *std.http.Se
         };
     }
 
+    if (std.mem.startsWith(u8, target, "/sse/budget")) {
+        budget.handler(alloc, request, state) catch |err| switch (err) {
+            error.WriteFailed => return, // TODO: Broken pipe?
+            else => return err,
+        };
+    }
+
     if (std.mem.startsWith(u8, target, "/sse/balance_sheet")) {
         balance_sheet.handler(alloc, request, state) catch |err| switch (err) {
             error.WriteFailed => return, // TODO: Broken pipe?
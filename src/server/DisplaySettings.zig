@@ -1,13 +1,30 @@
 const std = @import("std");
 const Self = @This();
 const Date = @import("../date.zig").Date;
+const Data = @import("../data.zig");
+const Filter = @import("Filter.zig");
+const relative_date = @import("relative_date.zig");
 
 interval: Interval = .week,
 conversion: Conversion = .{ .units = {} },
 
+/// A date or a relative date like `-12m`, until `resolveDates` is called.
 start_date: ?[]const u8 = null,
 end_date: ?[]const u8 = null,
 
+filter: ?Filter = null,
+
+/// Another date range to compare the statements to, see `comparison`.
+compare: ?Compare = null,
+/// The range for `compare=custom`. For the others, `resolveDates` fills
+/// these in.
+compare_start_date: ?[]const u8 = null,
+compare_end_date: ?[]const u8 = null,
+
+/// Render the journal client-side from JSON rows. Null picks it for long
+/// journals only.
+virtual: ?bool = null,
+
 pub const Interval = enum {
     day,
     week,
@@ -25,6 +42,25 @@ pub const Interval = enum {
         }
     }
 
+    /// Number of days in the period containing `date`.
+    pub fn daysInPeriod(self: Interval, date: Date) u32 {
+        const year: std.time.epoch.Year = @intCast(date.year);
+        switch (self) {
+            .day => return 1,
+            .week => return 7,
+            .month => return std.time.epoch.getDaysInMonth(year, @enumFromInt(date.month)),
+            .quarter => {
+                const first: u4 = @as(u4, date.getQuarter() - 1) * 3 + 1;
+                var days: u32 = 0;
+                for (first..first + 3) |month| {
+                    days += std.time.epoch.getDaysInMonth(year, @enumFromInt(month));
+                }
+                return days;
+            },
+            .year => return std.time.epoch.getDaysInYear(year),
+        }
+    }
+
     pub fn formatPeriod(self: Interval, date: Date, alloc: std.mem.Allocator) ![]const u8 {
         switch (self) {
             .day => return try std.fmt.allocPrint(alloc, "{f}", .{date}),
@@ -42,6 +78,14 @@ pub const Interval = enum {
     }
 };
 
+pub const Compare = enum {
+    /// The range of the same length right before.
+    previous,
+    /// The same range a year earlier.
+    year,
+    custom,
+};
+
 pub const Conversion = union(enum) {
     units,
     currency: []const u8,
@@ -55,6 +99,82 @@ pub const Conversion = union(enum) {
     }
 };
 
+/// Replaces relative `start_date` and `end_date` with the dates they stand
+/// for, see `relative_date.zig`. Invalid ones are kept, and match no dates.
+pub fn resolveDates(
+    self: *Self,
+    alloc: std.mem.Allocator,
+    today: Date,
+    fiscal_year_end: relative_date.FiscalYearEnd,
+) !void {
+    if (self.start_date) |text| self.start_date = try resolveDate(alloc, text, .start, today, fiscal_year_end);
+    if (self.end_date) |text| self.end_date = try resolveDate(alloc, text, .end, today, fiscal_year_end);
+
+    const compare = self.compare orelse return;
+    if (compare == .custom) {
+        if (self.compare_start_date) |text| self.compare_start_date = try resolveDate(alloc, text, .start, today, fiscal_year_end);
+        if (self.compare_end_date) |text| self.compare_end_date = try resolveDate(alloc, text, .end, today, fiscal_year_end);
+        return;
+    }
+
+    const start: ?Date = if (self.start_date) |text| Date.fromSlice(text) catch null else null;
+    const end = if (self.end_date) |text| Date.fromSlice(text) catch today else today;
+    var compare_start: ?Date = null;
+    var compare_end: Date = undefined;
+    switch (compare) {
+        .previous => {
+            // Without a start there is no length to go back by.
+            const s = start orelse {
+                self.compare = null;
+                return;
+            };
+            compare_start, compare_end = previousRange(s, end);
+        },
+        .year => {
+            if (start) |s| compare_start = s.addMonths(-12);
+            compare_end = end.addMonths(-12);
+        },
+        .custom => unreachable,
+    }
+
+    self.compare_start_date = if (compare_start) |date| try std.fmt.allocPrint(alloc, "{f}", .{date}) else null;
+    self.compare_end_date = try std.fmt.allocPrint(alloc, "{f}", .{compare_end});
+}
+
+/// The range of the same length that ends the day before `start`. Whole
+/// months go back by months, so that e.g. March compares to February.
+fn previousRange(start: Date, end: Date) struct { Date, Date } {
+    const last_of_month = std.time.epoch.getDaysInMonth(@intCast(end.year), @enumFromInt(end.month));
+    if (start.day == 1 and end.day == last_of_month) {
+        const months = @as(i32, @intCast(end.year * 12 + end.month)) - @as(i32, @intCast(start.year * 12 + start.month)) + 1;
+        return .{ start.addMonths(-months), start.addDays(-1) };
+    }
+    const days = @max(1, @as(i64, end.toEpochDay().day) - @as(i64, start.toEpochDay().day) + 1);
+    return .{ start.addDays(-@as(i32, @intCast(days))), start.addDays(-1) };
+}
+
+/// The settings for the compared range, or null if not comparing. Call
+/// after `resolveDates`.
+pub fn comparison(self: Self) ?Self {
+    if (self.compare == null) return null;
+    var result = self;
+    result.compare = null;
+    result.start_date = self.compare_start_date;
+    result.end_date = self.compare_end_date;
+    return result;
+}
+
+fn resolveDate(
+    alloc: std.mem.Allocator,
+    text: []const u8,
+    bound: relative_date.Bound,
+    today: Date,
+    fiscal_year_end: relative_date.FiscalYearEnd,
+) ![]const u8 {
+    const date = relative_date.resolve(text, bound, today, fiscal_year_end) catch return text;
+    return try std.fmt.allocPrint(alloc, "{f}", .{date});
+}
+
 pub fn isWithinDateRange(self: Self, date: Date) bool {
     if (self.start_date) |start| {
         const start_parsed = Date.fromSlice(start) catch return false;
@@ -93,6 +213,11 @@ pub fn isAfterEnd(self: Self, date: Date) bool {
     return false;
 }
 
+pub fn matchesFilter(self: Self, entry: Data.EntryView) bool {
+    const filter = self.filter orelse return true;
+    return filter.matches(entry);
+}
+
 pub fn hasStartDate(self: Self) bool {
     return self.start_date != null;
 }
@@ -105,13 +230,30 @@ test "parse" {
     const http = @import("http.zig");
     const alloc = std.heap.smp_allocator;
 
-    const input = "/?interval=month&conversion=USD";
+    const input = "/?interval=month&conversion=USD&virtual=true";
 
     var request = try http.ParsedRequest.parse(alloc, input);
     const actual = try http.Query(Self).parse(alloc, &request.params);
 
     try std.testing.expectEqual(.month, actual.interval);
     try std.testing.expectEqualStrings("USD", actual.conversion.currency);
+    try std.testing.expectEqual(true, actual.virtual);
+}
+
+test "parse filter" {
+    const http = @import("http.zig");
+    const alloc = std.heap.smp_allocator;
+
+    const input = "/?filter=account%3A%5EExpenses+%23vacation";
+
+    var request = try http.ParsedRequest.parse(alloc, input);
+    const actual = try http.Query(Self).parse(alloc, &request.params);
+
+    try std.testing.expectEqualStrings("account:^Expenses #vacation", actual.filter.?.source);
+
+    const invalid = "/?filter=payee%3A%22REWE";
+    var invalid_request = try http.ParsedRequest.parse(alloc, invalid);
+    try std.testing.expectError(error.UnterminatedString, http.Query(Self).parse(alloc, &invalid_request.params));
 }
 
 test "parse default" {
@@ -125,6 +267,58 @@ test "parse default" {
 
     try std.testing.expectEqual(.week, actual.interval);
     try std.testing.expectEqual({}, actual.conversion.units);
+    try std.testing.expectEqual(null, actual.virtual);
+}
+
+test "resolveDates" {
+    const http = @import("http.zig");
+    const alloc = std.heap.smp_allocator;
+
+    const input = "/?start_date=-12m&end_date=month-1";
+
+    var request = try http.ParsedRequest.parse(alloc, input);
+    var actual = try http.Query(Self).parse(alloc, &request.params);
+    try actual.resolveDates(alloc, .{ .year = 2025, .month = 3, .day = 15 }, .{});
+
+    try std.testing.expectEqualStrings("2024-03-15", actual.start_date.?);
+    try std.testing.expectEqualStrings("2025-02-28", actual.end_date.?);
+    try std.testing.expect(actual.isWithinDateRange(.{ .year = 2024, .month = 3, .day = 15 }));
+    try std.testing.expect(!actual.isWithinDateRange(.{ .year = 2025, .month = 3, .day = 1 }));
+
+    var invalid = Self{ .start_date = "soon" };
+    try invalid.resolveDates(alloc, .{ .year = 2025, .month = 3, .day = 15 }, .{});
+    try std.testing.expectEqualStrings("soon", invalid.start_date.?);
+}
+
+fn testComparison(query: []const u8, start: ?[]const u8, end: []const u8) !void {
+    const http = @import("http.zig");
+    const alloc = std.heap.smp_allocator;
+
+    var request = try http.ParsedRequest.parse(alloc, query);
+    var display = try http.Query(Self).parse(alloc, &request.params);
+    try display.resolveDates(alloc, .{ .year = 2025, .month = 3, .day = 15 }, .{});
+
+    const compared = display.comparison().?;
+    if (start) |s| {
+        try std.testing.expectEqualStrings(s, compared.start_date.?);
+    } else {
+        try std.testing.expectEqual(null, compared.start_date);
+    }
+    try std.testing.expectEqualStrings(end, compared.end_date.?);
+    try std.testing.expectEqual(null, compared.compare);
+}
+
+test "comparison" {
+    try testComparison("/?compare=previous&start_date=2025-03-01&end_date=2025-03-31", "2025-02-01", "2025-02-28");
+    try testComparison("/?compare=previous&start_date=2025-01-01&end_date=2025-06-30", "2024-07-01", "2024-12-31");
+    try testComparison("/?compare=previous&start_date=2025-03-10&end_date=2025-03-16", "2025-03-03", "2025-03-09");
+    try testComparison("/?compare=year&start_date=month&end_date=month", "2024-03-01", "2024-03-31");
+    try testComparison("/?compare=year", null, "2024-03-15");
+    try testComparison("/?compare=custom&compare_start_date=year-1&compare_end_date=2024-06-30", "2024-01-01", "2024-06-30");
+
+    var display = Self{ .compare = .previous };
+    try display.resolveDates(std.heap.smp_allocator, .{ .year = 2025, .month = 3, .day = 15 }, .{});
+    try std.testing.expectEqual(null, display.comparison());
 }
 
 fn testFormatPeriod(year: u32, month: u4, day: u5, interval: Interval, expected: []const u8) !void {
@@ -161,3 +355,12 @@ test "formatPeriod - year" {
     try testFormatPeriod(2025, 6, 15, .year, "2025");
     try testFormatPeriod(2024, 12, 31, .year, "2024");
 }
+
+test "daysInPeriod" {
+    const date = Date{ .year = 2024, .month = 2, .day = 10 };
+    try std.testing.expectEqual(1, Interval.day.daysInPeriod(date));
+    try std.testing.expectEqual(7, Interval.week.daysInPeriod(date));
+    try std.testing.expectEqual(29, Interval.month.daysInPeriod(date));
+    try std.testing.expectEqual(91, Interval.quarter.daysInPeriod(date));
+    try std.testing.expectEqual(366, Interval.year.daysInPeriod(date));
+}
@@ -0,0 +1,350 @@
+//! Filter expression passed as the `filter` URL parameter, e.g.
+//!
+//!     account:^Expenses:Food payee:"REWE" #vacation amount>50
+//!
+//! A filter is a whitespace separated list of terms that all have to match.
+//! Only transactions are filtered, all other entries pass through so that
+//! opens, prices and pads keep working. Keep in sync with `parseFilter` in
+//! `assets/js/filter.js`.
+const std = @import("std");
+const Data = @import("../data.zig");
+const Self = @This();
+
+source: []const u8,
+
+pub const Error = error{
+    UnterminatedString,
+    UnknownKey,
+    MissingValue,
+    InvalidAmount,
+};
+
+pub const Term = struct {
+    negated: bool = false,
+    match: Match,
+};
+
+pub const Match = union(enum) {
+    /// Bare word or quoted string: matches payee or narration.
+    text: Pattern,
+    account: Pattern,
+    payee: Pattern,
+    narration: Pattern,
+    /// Without the leading `#`.
+    tag: []const u8,
+    /// Without the leading `^`.
+    link: []const u8,
+    amount: Comparison,
+};
+
+/// Case-insensitive substring match. A leading `^` anchors the pattern at the
+/// start, a trailing `$` at the end.
+pub const Pattern = struct {
+    text: []const u8,
+    anchor_start: bool = false,
+    anchor_end: bool = false,
+
+    pub fn init(raw: []const u8) Pattern {
+        var pattern = Pattern{ .text = raw };
+        if (std.mem.startsWith(u8, pattern.text, "^")) {
+            pattern.anchor_start = true;
+            pattern.text = pattern.text[1..];
+        }
+        if (std.mem.endsWith(u8, pattern.text, "$")) {
+            pattern.anchor_end = true;
+            pattern.text = pattern.text[0 .. pattern.text.len - 1];
+        }
+        return pattern;
+    }
+
+    pub fn matches(self: Pattern, haystack: []const u8) bool {
+        if (self.anchor_start and self.anchor_end) return std.ascii.eqlIgnoreCase(haystack, self.text);
+        if (self.anchor_start) return std.ascii.startsWithIgnoreCase(haystack, self.text);
+        if (self.anchor_end) return std.ascii.endsWithIgnoreCase(haystack, self.text);
+        return std.ascii.indexOfIgnoreCase(haystack, self.text) != null;
+    }
+};
+
+pub const Comparison = struct {
+    op: Op,
+    value: f64,
+
+    pub const Op = enum { lt, lte, eq, gte, gt };
+
+    pub fn matches(self: Comparison, value: f64) bool {
+        return switch (self.op) {
+            .lt => value < self.value,
+            .lte => value <= self.value,
+            .eq => value == self.value,
+            .gte => value >= self.value,
+            .gt => value > self.value,
+        };
+    }
+};
+
+pub fn from_url_param(param: []const u8) !Self {
+    const self = Self{ .source = param };
+    var it = self.terms();
+    while (try it.next()) |_| {}
+    return self;
+}
+
+pub fn terms(self: Self) Iterator {
+    return .{ .source = self.source };
+}
+
+pub fn matches(self: Self, entry: Data.EntryView) bool {
+    const tx = switch (entry.payload()) {
+        .transaction => |tx| tx,
+        else => return true,
+    };
+    var it = self.terms();
+    // Validated in `from_url_param`.
+    while (it.next() catch unreachable) |term| {
+        if (matchTerm(term.match, entry, tx) == term.negated) return false;
+    }
+    return true;
+}
+
+fn matchTerm(match: Match, entry: Data.EntryView, tx: Data.TransactionView) bool {
+    switch (match) {
+        .text => |pattern| {
+            if (tx.payeeText()) |payee| if (pattern.matches(unquote(payee))) return true;
+            if (tx.narrationText()) |narration| if (pattern.matches(unquote(narration))) return true;
+            return false;
+        },
+        .payee => |pattern| {
+            const payee = tx.payeeText() orelse return false;
+            return pattern.matches(unquote(payee));
+        },
+        .narration => |pattern| {
+            const narration = tx.narrationText() orelse return false;
+            return pattern.matches(unquote(narration));
+        },
+        .account => |pattern| {
+            var postings = tx.postings();
+            while (postings.next()) |p| {
+                if (pattern.matches(p.accountText())) return true;
+            }
+            return false;
+        },
+        .tag, .link => |name| {
+            const kind: Data.TagLink.Kind = if (match == .tag) .tag else .link;
+            var tagslinks = entry.tagslinks();
+            while (tagslinks.next()) |tl| {
+                if (tl.kind == kind and std.mem.eql(u8, tl.slice()[1..], name)) return true;
+            }
+            return false;
+        },
+        .amount => |comparison| {
+            var postings = tx.postings();
+            while (postings.next()) |p| {
+                const number = p.amountNumber() orelse continue;
+                if (comparison.matches(number.toFloat())) return true;
+            }
+            return false;
+        },
+    }
+}
+
+fn unquote(slice: []const u8) []const u8 {
+    return slice[1 .. slice.len - 1];
+}
+
+pub const Iterator = struct {
+    source: []const u8,
+    pos: usize = 0,
+
+    pub fn next(it: *Iterator) Error!?Term {
+        while (it.pos < it.source.len and isSpace(it.source[it.pos])) it.pos += 1;
+        if (it.pos >= it.source.len) return null;
+
+        var term = Term{ .match = undefined };
+        if (it.source[it.pos] == '-' and it.pos + 1 < it.source.len and !isSpace(it.source[it.pos + 1])) {
+            term.negated = true;
+            it.pos += 1;
+        }
+
+        switch (it.source[it.pos]) {
+            '#' => {
+                it.pos += 1;
+                term.match = .{ .tag = try it.value() };
+                return term;
+            },
+            '^' => {
+                it.pos += 1;
+                term.match = .{ .link = try it.value() };
+                return term;
+            },
+            '"' => {
+                term.match = .{ .text = Pattern.init(try it.value()) };
+                return term;
+            },
+            else => {},
+        }
+
+        const start = it.pos;
+        while (it.pos < it.source.len) : (it.pos += 1) {
+            switch (it.source[it.pos]) {
+                ':', '<', '>', '=', '"', ' ', '\t', '\n' => break,
+                else => {},
+            }
+        }
+        const key = it.source[start..it.pos];
+
+        if (it.pos >= it.source.len or isSpace(it.source[it.pos])) {
+            term.match = .{ .text = Pattern.init(key) };
+            return term;
+        }
+
+        if (std.mem.eql(u8, key, "amount")) {
+            term.match = .{ .amount = try it.comparison() };
+            return term;
+        }
+
+        if (it.source[it.pos] != ':') return error.UnknownKey;
+        it.pos += 1;
+
+        if (std.mem.eql(u8, key, "account")) {
+            term.match = .{ .account = Pattern.init(try it.value()) };
+        } else if (std.mem.eql(u8, key, "payee")) {
+            term.match = .{ .payee = Pattern.init(try it.value()) };
+        } else if (std.mem.eql(u8, key, "narration")) {
+            term.match = .{ .narration = Pattern.init(try it.value()) };
+        } else {
+            return error.UnknownKey;
+        }
+        return term;
+    }
+
+    /// Quoted string or everything up to the next whitespace. Quoted strings
+    /// escape `"` and `\` with a backslash like in the ledger, and are
+    /// matched as they are written, since payees and narrations are, too.
+    fn value(it: *Iterator) Error![]const u8 {
+        if (it.pos < it.source.len and it.source[it.pos] == '"') {
+            var end = it.pos + 1;
+            while (end < it.source.len and it.source[end] != '"') : (end += 1) {
+                if (it.source[end] == '\\') end += 1;
+            }
+            if (end >= it.source.len) return error.UnterminatedString;
+            const result = it.source[it.pos + 1 .. end];
+            it.pos = end + 1;
+            if (result.len == 0) return error.MissingValue;
+            return result;
+        }
+        const start = it.pos;
+        while (it.pos < it.source.len and !isSpace(it.source[it.pos])) it.pos += 1;
+        if (it.pos == start) return error.MissingValue;
+        return it.source[start..it.pos];
+    }
+
+    fn comparison(it: *Iterator) Error!Comparison {
+        const ops = [_]struct { []const u8, Comparison.Op }{
+            .{ "<=", .lte },
+            .{ ">=", .gte },
+            .{ "<", .lt },
+            .{ ">", .gt },
+            .{ "=", .eq },
+        };
+        for (ops) |entry| {
+            const symbol, const op = entry;
+            if (!std.mem.startsWith(u8, it.source[it.pos..], symbol)) continue;
+            it.pos += symbol.len;
+            const number = try it.value();
+            if (!isAmount(number)) return error.InvalidAmount;
+            return .{
+                .op = op,
+                .value = std.fmt.parseFloat(f64, number) catch return error.InvalidAmount,
+            };
+        }
+        return error.UnknownKey;
+    }
+};
+
+/// An optional sign and decimal digits with an optional fraction, like `5`,
+/// `-10.5`, `+5` or `.5`. No exponents, underscores or `inf`, which
+/// `parseFloat` would take. Keep in sync with `FILTER_AMOUNT` in
+/// `assets/js/filter.js`.
+fn isAmount(number: []const u8) bool {
+    var rest = number;
+    if (rest.len > 0 and (rest[0] == '-' or rest[0] == '+')) rest = rest[1..];
+    const dot = std.mem.indexOfScalar(u8, rest, '.') orelse rest.len;
+    const integer = rest[0..dot];
+    const fraction = if (dot < rest.len) rest[dot + 1 ..] else "";
+    if (integer.len == 0 and fraction.len == 0) return false;
+    for (integer) |c| if (!std.ascii.isDigit(c)) return false;
+    for (fraction) |c| if (!std.ascii.isDigit(c)) return false;
+    return true;
+}
+
+fn isSpace(c: u8) bool {
+    return c == ' ' or c == '\t' or c == '\n';
+}
+
+fn expectTerms(source: []const u8, expected: []const Term) !void {
+    const filter = try from_url_param(source);
+    var it = filter.terms();
+    for (expected) |exp| {
+        const actual = (try it.next()).?;
+        try std.testing.expectEqualDeep(exp, actual);
+    }
+    try std.testing.expectEqual(null, try it.next());
+}
+
+test "parse terms" {
+    try expectTerms(
+        \\account:^Expenses:Food payee:"REWE Markt" #vacation amount>50
+    , &.{
+        .{ .match = .{ .account = .{ .text = "Expenses:Food", .anchor_start = true } } },
+        .{ .match = .{ .payee = .{ .text = "REWE Markt" } } },
+        .{ .match = .{ .tag = "vacation" } },
+        .{ .match = .{ .amount = .{ .op = .gt, .value = 50 } } },
+    });
+
+    try expectTerms(
+        \\  coffee -^trip-2024 "Book store" amount<=-10.5 narration:rent$
+    , &.{
+        .{ .match = .{ .text = .{ .text = "coffee" } } },
+        .{ .negated = true, .match = .{ .link = "trip-2024" } },
+        .{ .match = .{ .text = .{ .text = "Book store" } } },
+        .{ .match = .{ .amount = .{ .op = .lte, .value = -10.5 } } },
+        .{ .match = .{ .narration = .{ .text = "rent", .anchor_end = true } } },
+    });
+
+    try expectTerms(
+        \\payee:"Bob \"the\" Builder" "C:\\"
+    , &.{
+        .{ .match = .{ .payee = .{ .text = "Bob \\\"the\\\" Builder" } } },
+        .{ .match = .{ .text = .{ .text = "C:\\\\" } } },
+    });
+
+    try expectTerms("", &.{});
+}
+
+test "parse errors" {
+    try std.testing.expectError(error.UnterminatedString, from_url_param("payee:\"REWE"));
+    try std.testing.expectError(error.UnterminatedString, from_url_param("payee:\"REWE\\\""));
+    try std.testing.expectError(error.UnknownKey, from_url_param("foo:bar"));
+    try std.testing.expectError(error.UnknownKey, from_url_param("amount:50"));
+    try std.testing.expectError(error.MissingValue, from_url_param("account: Assets"));
+    try std.testing.expectError(error.MissingValue, from_url_param("#"));
+    try std.testing.expectError(error.InvalidAmount, from_url_param("amount>abc"));
+}
+
+test "amounts" {
+    for ([_][]const u8{ "5", "-10.5", "+5", ".5", "-.5", "5." }) |number| {
+        try std.testing.expect(isAmount(number));
+    }
+    for ([_][]const u8{ "", "-", ".", "+.", "1e3", "1_000", "inf", "0x10", "1.2.3", "--5" }) |number| {
+        try std.testing.expect(!isAmount(number));
+    }
+}
+
+test "pattern" {
+    try std.testing.expect(Pattern.init("food").matches("Expenses:Food:Groceries"));
+    try std.testing.expect(Pattern.init("^expenses").matches("Expenses:Food"));
+    try std.testing.expect(!Pattern.init("^Food").matches("Expenses:Food"));
+    try std.testing.expect(Pattern.init("Food$").matches("Expenses:Food"));
+    try std.testing.expect(!Pattern.init("Food$").matches("Expenses:Food:Out"));
+    try std.testing.expect(Pattern.init("^Assets:Cash$").matches("Assets:Cash"));
+}
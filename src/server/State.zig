@@ -16,6 +16,10 @@ broadcast: Broadcast = .{},
 project_rwlock: Io.RwLock = .init,
 project: *Project,
 
+/// `$VISUAL` or `$EDITOR`, for opening ledger files from the web UI. Null
+/// unless the server only listens on loopback.
+editor: ?[]const u8 = null,
+
 /// Does not take ownership of the project.
 pub fn init(alloc: std.mem.Allocator, io: Io, project: *Project) !*Self {
     const self = try alloc.create(Self);
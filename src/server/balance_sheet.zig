@@ -19,7 +19,7 @@ pub fn handler(
     req: *std.http.Server.Request,
     state: *State,
 ) !void {
-    try common.SseHandler(common.PlotData, void).run(
+    try common.SseHandler(BalanceSheetData, void).run(
         alloc,
         req,
         state,
@@ -29,6 +29,29 @@ pub fn handler(
     );
 }
 
+/// Assets and liabilities at the end of an interval, for the net worth chart.
+pub const NetWorthPoint = struct {
+    date: []const u8,
+    currency: []const u8,
+    assets: f64,
+    liabilities: f64,
+};
+
+const BalanceSheetData = struct {
+    plot: common.PlotData,
+    net_worth: []const NetWorthPoint,
+
+    pub const extra_event_name = "net_worth";
+
+    pub fn extraEvent(self: *const BalanceSheetData) ?[]const NetWorthPoint {
+        return self.net_worth;
+    }
+
+    pub fn jsonStringify(self: *const BalanceSheetData, jw: anytype) !void {
+        try jw.write(self.plot);
+    }
+};
+
 const NetWorth = struct {
     alloc: std.mem.Allocator,
     prices: *Prices,
@@ -36,7 +59,12 @@ const NetWorth = struct {
     conversion_target: ?Data.CurrencyIndex,
     inv: PlainInventory,
     converted_inv: PlainInventory,
+    assets: PlainInventory,
+    converted_assets: PlainInventory,
+    liabilities: PlainInventory,
+    converted_liabilities: PlainInventory,
     plot_data: *common.PlotData,
+    points: std.ArrayList(NetWorthPoint) = .empty,
 
     pub fn init(
         alloc: std.mem.Allocator,
@@ -52,6 +80,10 @@ const NetWorth = struct {
             .conversion_target = conversion_target,
             .inv = try PlainInventory.init(alloc, null),
             .converted_inv = try PlainInventory.init(alloc, null),
+            .assets = try PlainInventory.init(alloc, null),
+            .converted_assets = try PlainInventory.init(alloc, null),
+            .liabilities = try PlainInventory.init(alloc, null),
+            .converted_liabilities = try PlainInventory.init(alloc, null),
             .plot_data = plot_data,
         };
     }
@@ -60,8 +92,12 @@ const NetWorth = struct {
         if (self.conversion_target) |cur| {
             try self.prices.convertInventory(&self.inv, cur, &self.converted_inv);
             try self.emitPlotPoints(&self.converted_inv, date);
+            try self.prices.convertInventory(&self.assets, cur, &self.converted_assets);
+            try self.prices.convertInventory(&self.liabilities, cur, &self.converted_liabilities);
+            try self.emitNetWorthPoints(&self.converted_assets, &self.converted_liabilities, date);
         } else {
             try self.emitPlotPoints(&self.inv, date);
+            try self.emitNetWorthPoints(&self.assets, &self.liabilities, date);
         }
     }
 
@@ -78,32 +114,104 @@ const NetWorth = struct {
         }
     }
 
+    /// One point per currency held on either side.
+    pub fn emitNetWorthPoints(
+        self: *NetWorth,
+        assets: *const PlainInventory,
+        liabilities: *const PlainInventory,
+        date: Date,
+    ) !void {
+        const date_str = try std.fmt.allocPrint(self.alloc, "{f}", .{date});
+
+        var iter = assets.by_currency.iterator();
+        while (iter.next()) |kv| {
+            try self.points.append(self.alloc, .{
+                .date = date_str,
+                .currency = self.project.data.currencies.get(kv.key),
+                .assets = kv.value_ptr.toFloat(),
+                .liabilities = (try liabilities.balance(kv.key)).toFloat(),
+            });
+        }
+
+        iter = liabilities.by_currency.iterator();
+        while (iter.next()) |kv| {
+            if (assets.by_currency.contains(kv.key)) continue;
+            try self.points.append(self.alloc, .{
+                .date = date_str,
+                .currency = self.project.data.currencies.get(kv.key),
+                .assets = 0,
+                .liabilities = kv.value_ptr.toFloat(),
+            });
+        }
+    }
+
     pub fn updateWithPosting(self: *NetWorth, posting: Data.PostingView) !void {
         const acc = posting.accountText();
-        if (std.mem.startsWith(u8, acc, "Assets") or
-            std.mem.startsWith(u8, acc, "Liabilities"))
-        {
-            const currency = posting.amountCurrency().unwrap().?;
-            const amount = posting.amountNumber().?;
-            try self.inv.add(currency, amount);
-        }
+        const side = if (std.mem.startsWith(u8, acc, "Assets"))
+            &self.assets
+        else if (std.mem.startsWith(u8, acc, "Liabilities"))
+            &self.liabilities
+        else
+            return;
+
+        const currency = posting.amountCurrency().unwrap().?;
+        const amount = posting.amountNumber().?;
+        try self.inv.add(currency, amount);
+        try side.add(currency, amount);
     }
 };
 
 const DateState = enum { before, within };
 
+/// Balances at the end of the date range, and net worth at every interval.
+pub const Report = struct {
+    tree: Tree,
+    prices: Prices,
+    conversion_target: ?Data.CurrencyIndex,
+    plot_data: common.PlotData,
+    net_worth: []const NetWorthPoint,
+};
+
 fn render(
     alloc: std.mem.Allocator,
     project: *Project,
     display: DisplaySettings,
     out: *std.Io.Writer,
     ctx: void,
-) !common.PlotData {
+) !BalanceSheetData {
     _ = ctx;
-    var tree = try Tree.init(alloc, &project.data.accounts, &project.data.currencies);
+    const report = try compute(alloc, project, display);
+    const compared = if (display.comparison()) |settings| try compute(alloc, project, settings) else null;
 
     const operating_currencies = try project.getConfig().getOperatingCurrencies(alloc);
 
+    try common.renderPlotArea(operating_currencies, out);
+
+    const treeRenderer = common.TreeRenderer{
+        .alloc = alloc,
+        .out = out,
+        .tree = &report.tree,
+        .project = project,
+        .operating_currencies = operating_currencies,
+        .conversion_target = report.conversion_target,
+        .prices = &report.prices,
+        .compare = if (compared) |*c| .{ .tree = &c.tree, .prices = &c.prices } else null,
+    };
+
+    if (display.comparison()) |settings| try common.renderComparisonNote(settings, out);
+    try zts.write(tpl, "balance_sheet", out);
+    try treeRenderer.renderTable("Assets");
+    try zts.write(tpl, "left_end", out);
+    try treeRenderer.renderTable("Liabilities");
+    try treeRenderer.renderTable("Equity");
+    try zts.write(tpl, "right_end", out);
+
+    return .{ .plot = report.plot_data, .net_worth = report.net_worth };
+}
+
+pub fn compute(alloc: std.mem.Allocator, project: *Project, display: DisplaySettings) !Report {
+    var tree = try Tree.init(alloc, &project.data.accounts, &project.data.currencies);
+
     var prices = Prices.init(alloc);
 
     var plot_data = common.PlotData{ .alloc = alloc };
@@ -161,6 +269,7 @@ fn render(
                 },
                 .transaction => |tx| {
                     if (tx.dirty()) continue;
+                    if (!display.matchesFilter(entry)) continue;
 
                     var ps = tx.postings();
                     while (ps.next()) |p| {
@@ -188,25 +297,11 @@ fn render(
 
     try tree.clearEarnings(current_idx);
 
-    try common.renderPlotArea(operating_currencies, out);
-
-    // Render Tree
-    const treeRenderer = common.TreeRenderer{
-        .alloc = alloc,
-        .out = out,
-        .tree = &tree,
-        .project = project,
-        .operating_currencies = operating_currencies,
+    return .{
+        .tree = tree,
+        .prices = prices,
         .conversion_target = conversion_target,
-        .prices = &prices,
+        .plot_data = plot_data,
+        .net_worth = net_worth.points.items,
     };
-
-    try zts.write(tpl, "balance_sheet", out);
-    try treeRenderer.renderTable("Assets");
-    try zts.write(tpl, "left_end", out);
-    try treeRenderer.renderTable("Liabilities");
-    try treeRenderer.renderTable("Equity");
-    try zts.write(tpl, "right_end", out);
-
-    return plot_data;
 }
@@ -0,0 +1,376 @@
+//! Budgets declared with fava's `custom "budget"` entries:
+//!
+//!     2024-01-01 custom "budget" Expenses:Food "monthly" 400.00 EUR
+//!
+//! A budget holds from its date until the next one for the same account and
+//! currency. It is spread evenly over the days of its period, so a monthly
+//! budget can be compared to weekly changes, too. The actual amount of a
+//! budget counts postings to the account and its sub-accounts.
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const zts = @import("zts");
+const State = @import("State.zig");
+const Project = @import("../project.zig");
+const Date = @import("../date.zig").Date;
+const Number = @import("../number.zig").Number;
+const Data = @import("../data.zig");
+const DisplaySettings = @import("DisplaySettings.zig");
+const Prices = @import("../Prices.zig");
+const t = @import("templates.zig");
+const tpl = t.budget;
+const common = @import("common.zig");
+const income_statement = @import("income_statement.zig");
+
+pub fn handler(
+    alloc: std.mem.Allocator,
+    req: *std.http.Server.Request,
+    state: *State,
+) !void {
+    try common.SseHandler(BudgetData, void).run(
+        alloc,
+        req,
+        state,
+        {},
+        render,
+        "plot_changes",
+    );
+}
+
+/// Budget and actual amount of all budgets in a currency, for one interval.
+/// `date` is the end of the interval, like in `income_statement.PlotData`.
+pub const Period = struct {
+    date: []const u8,
+    currency: []const u8,
+    budget: f64,
+    actual: f64,
+};
+
+/// Budget and actual amount of one budget over the whole date range.
+const Total = struct {
+    account: []const u8,
+    currency: []const u8,
+    budget: f64,
+    actual: f64,
+};
+
+const BudgetData = struct {
+    /// Actual changes of the budgeted accounts.
+    changes: income_statement.PlotData,
+    periods: []const Period,
+
+    pub const extra_event_name = "budget";
+
+    pub fn extraEvent(self: *const BudgetData) ?[]const Period {
+        return self.periods;
+    }
+
+    pub fn jsonStringify(self: *const BudgetData, jw: anytype) !void {
+        try jw.write(self.changes);
+    }
+};
+
+const Frequency = enum {
+    daily,
+    weekly,
+    monthly,
+    quarterly,
+    yearly,
+
+    fn interval(self: Frequency) DisplaySettings.Interval {
+        return switch (self) {
+            .daily => .day,
+            .weekly => .week,
+            .monthly => .month,
+            .quarterly => .quarter,
+            .yearly => .year,
+        };
+    }
+};
+
+const Key = struct {
+    account: Data.AccountIndex,
+    currency: Data.CurrencyIndex,
+};
+
+const Budget = struct {
+    key: Key,
+    start: Date,
+    interval: DisplaySettings.Interval,
+    amount: f64,
+
+    fn daily(self: Budget, date: Date) f64 {
+        return self.amount / @as(f64, @floatFromInt(self.interval.daysInPeriod(date)));
+    }
+};
+
+pub const Report = struct {
+    totals: []const Total,
+    periods: []const Period,
+    changes: income_statement.PlotData,
+};
+
+fn render(
+    alloc: std.mem.Allocator,
+    project: *Project,
+    display: DisplaySettings,
+    out: *std.Io.Writer,
+    ctx: void,
+) !BudgetData {
+    _ = ctx;
+    const report = try compute(alloc, project, display);
+
+    const operating_currencies = try project.getConfig().getOperatingCurrencies(alloc);
+    try common.renderPlotArea(operating_currencies, out);
+
+    try zts.write(tpl, "table", out);
+    for (report.totals) |total| {
+        const remaining = total.budget - total.actual;
+        const percent: u32 = if (total.budget > 0)
+            @intFromFloat(@round(@max(0, total.actual) / total.budget * 100))
+        else
+            0;
+        try zts.print(tpl, "row", .{
+            .account = total.account,
+            .currency = total.currency,
+            .state = if (remaining < 0) "over" else "under",
+            .budget = Number.fromFloat(total.budget).withPrecision(2),
+            .actual = Number.fromFloat(total.actual).withPrecision(2),
+            .remaining = Number.fromFloat(remaining).withPrecision(2),
+            .percent = percent,
+            .width = @min(percent, 100),
+        }, out);
+    }
+    if (report.totals.len == 0) try zts.write(tpl, "empty", out);
+    try zts.write(tpl, "table_end", out);
+
+    return .{ .changes = report.changes, .periods = report.periods };
+}
+
+/// Budgets compared to actual changes within the date range, and per
+/// interval. Empty if there are no budgets.
+pub fn compute(alloc: std.mem.Allocator, project: *Project, display: DisplaySettings) !Report {
+    const budgets = try collectBudgets(alloc, project);
+
+    var changes = income_statement.PlotData{ .alloc = alloc };
+    if (budgets.len == 0) return .{ .totals = &.{}, .periods = &.{}, .changes = changes };
+
+    var keys = std.AutoArrayHashMap(Key, Total).init(alloc);
+    for (budgets) |budget| {
+        try keys.put(budget.key, .{
+            .account = project.data.accounts.get(budget.key.account),
+            .currency = project.data.currencies.get(budget.key.currency),
+            .budget = 0,
+            .actual = 0,
+        });
+    }
+
+    var prices = Prices.init(alloc);
+    var periods = std.ArrayList(Period).empty;
+    // Actual change per budget in the current interval.
+    var actuals = std.AutoHashMap(Key, Number).init(alloc);
+
+    const range_start: ?Date = if (display.start_date) |s| Date.fromSlice(s) catch null else null;
+
+    var iter = common.IntervalIterator.init(project, display.interval);
+    while (iter.next()) |it| switch (it) {
+        .cutoff => |date| {
+            if (!display.isWithinDateRange(date)) continue;
+
+            var start = date.addDays(1 - @as(i32, @intCast(display.interval.daysInPeriod(date))));
+            if (range_start) |rs| {
+                if (start.compare(rs) == .after) start = rs;
+            }
+
+            const date_str = try std.fmt.allocPrint(alloc, "{f}", .{date});
+            const first_period = periods.items.len;
+
+            for (keys.keys(), keys.values()) |key, *total| {
+                const budget = budgetWithin(budgets, key, start, date);
+                var actual: f64 = 0;
+                if (actuals.get(key)) |n| {
+                    actual = n.toFloat();
+                    try changes.addDataPoint(.{
+                        .currency = total.currency,
+                        .account = total.account,
+                        .balance = actual,
+                        .balance_rendered = try std.fmt.allocPrint(alloc, "{f}", .{n.withPrecision(2)}),
+                    });
+                }
+                total.budget += budget;
+                total.actual += actual;
+
+                for (periods.items[first_period..]) |*period| {
+                    if (std.mem.eql(u8, period.currency, total.currency)) {
+                        period.budget += budget;
+                        period.actual += actual;
+                        break;
+                    }
+                } else {
+                    try periods.append(alloc, .{
+                        .date = date_str,
+                        .currency = total.currency,
+                        .budget = budget,
+                        .actual = actual,
+                    });
+                }
+            }
+            actuals.clearRetainingCapacity();
+
+            try changes.endPeriod(date_str, try display.interval.formatPeriod(date, alloc));
+        },
+        .entry => |entry| switch (entry.payload()) {
+            .transaction => |tx| {
+                if (tx.dirty()) continue;
+                if (!display.matchesFilter(entry)) continue;
+                if (!display.isWithinDateRange(entry.date())) continue;
+
+                var ps = tx.postings();
+                while (ps.next()) |p| {
+                    for (keys.keys()) |key| {
+                        if (!isSubAccount(project.data.accounts.get(key.account), p.accountText())) continue;
+                        const number = prices.convert(
+                            p.amountNumber().?,
+                            p.amountCurrency().unwrap().?,
+                            key.currency,
+                        ) orelse continue;
+                        const old = actuals.get(key) orelse Number.zero();
+                        try actuals.put(key, old.add(number));
+                    }
+                }
+            },
+            .price => |price| try prices.setPrice(price),
+            else => {},
+        },
+    };
+
+    const totals = try alloc.dupe(Total, keys.values());
+    std.mem.sort(Total, totals, {}, struct {
+        fn lessThan(_: void, a: Total, b: Total) bool {
+            return switch (std.mem.order(u8, a.account, b.account)) {
+                .lt => true,
+                .gt => false,
+                .eq => std.mem.order(u8, a.currency, b.currency) == .lt,
+            };
+        }
+    }.lessThan);
+
+    return .{ .totals = totals, .periods = periods.items, .changes = changes };
+}
+
+/// The `custom "budget"` entries in date order. Malformed ones are skipped.
+fn collectBudgets(alloc: Allocator, project: *Project) ![]const Budget {
+    var budgets = std.ArrayList(Budget).empty;
+
+    var iter = project.data.iterEntries();
+    while (iter.next()) |entry| {
+        const custom = switch (entry.payload()) {
+            .custom => |c| c,
+            else => continue,
+        };
+        if (!std.mem.eql(u8, custom.nameText(), "\"budget\"")) continue;
+
+        const values = custom.values();
+        if (values.len != 4) continue;
+        const account, const frequency, const number, const currency = values[0..4].*;
+        if (custom.token(account).tag != .account or
+            custom.token(frequency).tag != .string or
+            custom.token(currency).tag != .currency) continue;
+
+        const frequency_text = custom.token(frequency).slice;
+        const parsed = std.meta.stringToEnum(Frequency, frequency_text[1 .. frequency_text.len - 1]) orelse continue;
+        const amount = custom.number(number) orelse continue;
+
+        const file = &project.data.files.items[entry.file()];
+        try budgets.append(alloc, .{
+            .key = .{ .account = file.accountOf(account), .currency = file.currencyOf(currency) },
+            .start = entry.date(),
+            .interval = parsed.interval(),
+            .amount = amount.toFloat(),
+        });
+    }
+
+    return budgets.items;
+}
+
+/// Sum of the daily budgets of `key` from `start` to `end`, inclusive. The
+/// daily budget only changes with the month or where a later budget replaces
+/// the current one, so the days in between are counted at once.
+fn budgetWithin(budgets: []const Budget, key: Key, start: Date, end: Date) f64 {
+    var sum: f64 = 0;
+    var from = start;
+    while (from.compare(end) != .before) {
+        // Later budgets replace earlier ones.
+        var current: ?Budget = null;
+        var next: ?Date = null;
+        for (budgets) |budget| {
+            if (!std.meta.eql(budget.key, key)) continue;
+            if (budget.start.compare(from) == .before) {
+                next = budget.start;
+                break;
+            }
+            current = budget;
+        }
+
+        const days_in_month = std.time.epoch.getDaysInMonth(@intCast(from.year), @enumFromInt(from.month));
+        var to = Date{ .year = from.year, .month = from.month, .day = days_in_month };
+        if (next) |n| {
+            const before_next = n.addDays(-1);
+            if (to.compare(before_next) == .before) to = before_next;
+        }
+        if (to.compare(end) == .before) to = end;
+
+        if (current) |budget| {
+            const days = to.toEpochDay().day - from.toEpochDay().day + 1;
+            sum += budget.daily(from) * @as(f64, @floatFromInt(days));
+        }
+        from = to.nextDay();
+    }
+    return sum;
+}
+
+fn isSubAccount(parent: []const u8, account: []const u8) bool {
+    return std.mem.startsWith(u8, account, parent) and
+        (account.len == parent.len or account[parent.len] == ':');
+}
+
+test "isSubAccount" {
+    try std.testing.expect(isSubAccount("Expenses:Food", "Expenses:Food"));
+    try std.testing.expect(isSubAccount("Expenses:Food", "Expenses:Food:Groceries"));
+    try std.testing.expect(!isSubAccount("Expenses:Food", "Expenses:FoodTrucks"));
+    try std.testing.expect(!isSubAccount("Expenses:Food", "Expenses"));
+}
+
+test "budgetWithin" {
+    const key = Key{ .account = @enumFromInt(0), .currency = @enumFromInt(0) };
+    const budgets = [_]Budget{
+        .{ .key = key, .start = .{ .year = 2024, .month = 1, .day = 1 }, .interval = .month, .amount = 310 },
+        .{ .key = key, .start = .{ .year = 2024, .month = 2, .day = 1 }, .interval = .week, .amount = 70 },
+    };
+
+    // Nothing before the first budget.
+    try std.testing.expectEqual(0, budgetWithin(&budgets, key, .{ .year = 2023, .month = 12, .day = 1 }, .{ .year = 2023, .month = 12, .day = 31 }));
+    // 10 per day in January.
+    try std.testing.expectEqual(70, budgetWithin(&budgets, key, .{ .year = 2024, .month = 1, .day = 1 }, .{ .year = 2024, .month = 1, .day = 7 }));
+    // Then 10 per day from the weekly budget, too.
+    try std.testing.expectEqual(290, budgetWithin(&budgets, key, .{ .year = 2024, .month = 1, .day = 3 }, .{ .year = 2024, .month = 1, .day = 31 }));
+    try std.testing.expectEqual(100, budgetWithin(&budgets, key, .{ .year = 2024, .month = 1, .day = 27 }, .{ .year = 2024, .month = 2, .day = 5 }));
+    // Years of the weekly budget.
+    try std.testing.expectEqual(3660 + 3650, budgetWithin(&budgets, key, .{ .year = 2024, .month = 2, .day = 1 }, .{ .year = 2026, .month = 1, .day = 31 }));
+}
+
+test "budgetWithin months" {
+    const key = Key{ .account = @enumFromInt(0), .currency = @enumFromInt(0) };
+    const budgets = [_]Budget{
+        .{ .key = key, .start = .{ .year = 2024, .month = 1, .day = 15 }, .interval = .month, .amount = 290 },
+        .{ .key = key, .start = .{ .year = 2024, .month = 3, .day = 1 }, .interval = .quarter, .amount = 910 },
+    };
+
+    // 17 of January's 31 days, then all of February's 29.
+    const january: f64 = 290.0 / 31.0 * 17.0;
+    try std.testing.expectApproxEqAbs(january + 290, budgetWithin(&budgets, key, .{ .year = 2024, .month = 1, .day = 1 }, .{ .year = 2024, .month = 2, .day = 29 }), 1e-9);
+    // The quarter has 91 days, whichever month they are in.
+    try std.testing.expectApproxEqAbs(310, budgetWithin(&budgets, key, .{ .year = 2024, .month = 3, .day = 1 }, .{ .year = 2024, .month = 3, .day = 31 }), 1e-9);
+    try std.testing.expectApproxEqAbs(910 * 2, budgetWithin(&budgets, key, .{ .year = 2024, .month = 4, .day = 1 }, .{ .year = 2024, .month = 9, .day = 30 }), 1e-9);
+    // A single day.
+    try std.testing.expectApproxEqAbs(10, budgetWithin(&budgets, key, .{ .year = 2024, .month = 2, .day = 10 }, .{ .year = 2024, .month = 2, .day = 10 }), 1e-9);
+}
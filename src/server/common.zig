@@ -12,7 +12,9 @@ const ztracy = @import("ztracy");
 const State = @import("State.zig");
 const Date = @import("../date.zig").Date;
 const Data = @import("../data.zig");
+const Number = @import("../number.zig").Number;
 const http = @import("http.zig");
+const ErrorDetails = @import("../ErrorDetails.zig");
 
 pub fn renderPlotArea(operating_currencies: []const []const u8, out: anytype) !void {
     try zts.writeHeader(t.plot, out);
@@ -26,7 +28,8 @@ pub fn renderPlotArea(operating_currencies: []const []const u8, out: anytype) !v
     try zts.write(t.plot, "plot", out);
 }
 
-/// T = type of plot data
+/// T = type of plot data. If T declares `extra_event_name`, the non-null
+/// result of `extraEvent()` is sent as JSON under that name, too.
 /// Ctx = type of context, eg account
 pub fn SseHandler(comptime T: type, comptime Ctx: type) type {
     return struct {
@@ -44,11 +47,20 @@ pub fn SseHandler(comptime T: type, comptime Ctx: type) type {
             ) anyerror!T,
             json_event_name: []const u8,
         ) !void {
-            var sse = try SSE.init(alloc, req);
+            const parsed = parseSettings(alloc, req.head.target);
 
-            var parsed_request = try http.ParsedRequest.parse(alloc, req.head.target);
+            var sse = try SSE.init(alloc, req);
 
-            const display = try http.Query(DisplaySettings).parse(alloc, &parsed_request.params);
+            // The same settings would fail again, so the client is told not
+            // to reconnect instead of the stream just ending.
+            const display = parsed catch |err| {
+                const message = try std.fmt.allocPrint(alloc, "Invalid settings: {s}", .{@errorName(err)});
+                try sse.send(.{
+                    .payload = try std.json.Stringify.valueAlloc(alloc, message, .{}),
+                    .event = "invalid_settings",
+                });
+                return sse.end();
+            };
 
             var listener = state.broadcast.newListener();
 
@@ -61,29 +73,45 @@ pub fn SseHandler(comptime T: type, comptime Ctx: type) type {
 
                 var html = std.Io.Writer.Allocating.init(arena);
                 var json = std.Io.Writer.Allocating.init(arena);
+                var errors_json = std.Io.Writer.Allocating.init(arena);
 
                 var timer = std.Io.Clock.Timestamp.now(state.io, .awake);
                 const tracy_zone = ztracy.ZoneNC(@src(), "SSE loop", 0x00_ff_00_00);
                 defer tracy_zone.End();
 
-                {
+                const extra_json = blk: {
                     state.acquireProject();
                     defer state.releaseProject();
 
+                    // Resolved on every update so that relative dates move
+                    // along with today.
+                    var resolved = display;
+                    try resolved.resolveDates(arena, Date.today(state.io), .fromProject(state.project));
+
                     const plot_data = try render(
                         arena,
                         state.project,
-                        display,
+                        resolved,
                         &html.writer,
                         ctx,
                     );
 
                     var stringify = std.json.Stringify{ .writer = &json.writer };
                     try stringify.write(plot_data);
-                }
+
+                    const diagnostics = try collectDiagnostics(arena, state.io, state.project);
+                    var errors_stringify = std.json.Stringify{ .writer = &errors_json.writer };
+                    try errors_stringify.write(diagnostics);
+
+                    break :blk try stringifyExtraEvent(arena, &plot_data);
+                };
 
                 try sse.send(.{ .payload = html.writer.buffered() });
                 try sse.send(.{ .payload = json.writer.buffered(), .event = json_event_name });
+                try sse.send(.{ .payload = errors_json.writer.buffered(), .event = "errors" });
+                if (@hasDecl(T, "extra_event_name")) {
+                    if (extra_json) |payload| try sse.send(.{ .payload = payload, .event = T.extra_event_name });
+                }
 
                 const elapsed = timer.untilNow(state.io).raw.toMilliseconds();
                 std.log.info("Rendered in {d} ms", .{elapsed});
@@ -96,6 +124,74 @@ pub fn SseHandler(comptime T: type, comptime Ctx: type) type {
     };
 }
 
+fn parseSettings(alloc: Allocator, target: []const u8) !DisplaySettings {
+    var parsed_request = try http.ParsedRequest.parse(alloc, target);
+    return http.Query(DisplaySettings).parse(alloc, &parsed_request.params);
+}
+
+fn stringifyExtraEvent(alloc: Allocator, plot_data: anytype) !?[]const u8 {
+    if (@hasDecl(@TypeOf(plot_data.*), "extra_event_name")) {
+        if (plot_data.extraEvent()) |extra| return try std.json.Stringify.valueAlloc(alloc, extra, .{});
+    }
+    return null;
+}
+
+/// An `ErrorDetails` flattened for the error panel in the web UI.
+pub const Diagnostic = struct {
+    file: []const u8,
+    /// 1-based
+    line: u32,
+    /// 1-based
+    column: u32,
+    severity: ErrorDetails.Severity,
+    message: []const u8,
+};
+
+/// Errors first, then warnings, each in file order.
+pub fn collectDiagnostics(alloc: Allocator, io: std.Io, project: *const Project) ![]Diagnostic {
+    var errors = std.ArrayList(Diagnostic).empty;
+    var warnings = std.ArrayList(Diagnostic).empty;
+
+    for (project.data.files.items) |f| {
+        for (f.errors.items) |err| try appendDiagnostic(alloc, io, err, &errors, &warnings);
+    }
+    for (project.errors.items) |err| try appendDiagnostic(alloc, io, err, &errors, &warnings);
+
+    try errors.appendSlice(alloc, warnings.items);
+    return errors.items;
+}
+
+fn appendDiagnostic(
+    alloc: Allocator,
+    io: std.Io,
+    err: ErrorDetails,
+    errors: *std.ArrayList(Diagnostic),
+    warnings: *std.ArrayList(Diagnostic),
+) !void {
+    var message = std.Io.Writer.Allocating.init(alloc);
+    try err.formatMessage(&message.writer);
+
+    const list = switch (err.severity) {
+        .err => errors,
+        .warn => warnings,
+    };
+    try list.append(alloc, .{
+        .file = try err.uri.relative(alloc, io),
+        .line = err.token.start_line + 1,
+        .column = @as(u32, err.token.start_col) + 1,
+        .severity = err.severity,
+        .message = message.written(),
+    });
+}
+
+/// Which range the statements are compared to.
+pub fn renderComparisonNote(compared: DisplaySettings, out: *std.Io.Writer) !void {
+    try zts.print(t.tree, "comparison", .{
+        .start = compared.start_date orelse "the beginning",
+        .end = compared.end_date orelse "today",
+    }, out);
+}
+
 pub const TreeRenderer = struct {
     alloc: std.mem.Allocator,
     out: *std.Io.Writer,
@@ -104,76 +200,226 @@ pub const TreeRenderer = struct {
     operating_currencies: []const []const u8,
     conversion_target: ?Data.CurrencyIndex,
     prices: *const Prices,
+    /// Balances of another date range, shown next to the current ones
+    /// together with the change.
+    compare: ?Compared = null,
 
     const MAX_TREE_DEPTH = 10;
+    /// How many of the largest changes per table are highlighted.
+    const MOVERS = 3;
     const Self = @This();
 
+    pub const Compared = struct {
+        tree: *const Tree,
+        prices: *const Prices,
+    };
+
     pub fn renderTable(self: *const Self, title: []const u8) !void {
-        for (self.tree.nodes.items[0].children.items) |i| {
-            if (std.mem.eql(u8, self.tree.nodes.items[i].name, title)) {
-                try zts.print(t.tree, "table", .{
-                    .fixed_columns = MAX_TREE_DEPTH,
-                    .variable_columns = self.operating_currencies.len + 1,
-                    .after_name_line = MAX_TREE_DEPTH + 2,
-                }, self.out);
-
-                for (self.operating_currencies, 0..) |currency, j| {
-                    try zts.print(t.tree, "header_title", .{
-                        .title = currency,
-                        .from_line = MAX_TREE_DEPTH + 2 + j,
-                        .to_line = MAX_TREE_DEPTH + 2 + j + 1,
-                    }, self.out);
+        const index = childNamed(self.tree, 0, title);
+        const compare_index = if (self.compare) |compare| childNamed(compare.tree, 0, title) else null;
+        if (index == null and compare_index == null) return;
+
+        const columns = self.columnsPerCurrency();
+        const other_line = MAX_TREE_DEPTH + 2 + self.operating_currencies.len * columns;
+
+        try zts.print(t.tree, "table", .{
+            .fixed_columns = MAX_TREE_DEPTH,
+            .variable_columns = self.operating_currencies.len * columns + 1,
+            .after_name_line = MAX_TREE_DEPTH + 2,
+        }, self.out);
+
+        for (self.operating_currencies, 0..) |currency, j| {
+            const line = MAX_TREE_DEPTH + 2 + j * columns;
+            try self.renderHeaderTitle(currency, line);
+            if (self.compare != null) {
+                try self.renderHeaderTitle("Compared", line + 1);
+                try self.renderHeaderTitle("Change", line + 2);
+            }
+        }
+        try self.renderHeaderTitle("Other", other_line);
+
+        try zts.write(t.tree, "header_title_end", self.out);
+
+        var prefix = std.array_list.Managed(bool).init(self.alloc);
+        defer prefix.deinit();
+
+        var name_prefix = std.array_list.Managed(u8).init(self.alloc);
+        defer name_prefix.deinit();
+        try name_prefix.appendSlice(title);
+
+        const movers = try self.moversThreshold(index, compare_index);
+
+        try self.renderRec(index, compare_index, title, movers, 0, &prefix, &name_prefix, true);
+
+        try zts.write(t.tree, "table_end", self.out);
+    }
+
+    fn columnsPerCurrency(self: *const Self) usize {
+        return if (self.compare == null) 1 else 3;
+    }
+
+    fn renderHeaderTitle(self: *const Self, title: []const u8, line: usize) !void {
+        try zts.print(t.tree, "header_title", .{
+            .title = title,
+            .from_line = line,
+            .to_line = line + 1,
+        }, self.out);
+    }
+
+    /// The node's own balances, converted if a conversion is set. Null for
+    /// accounts missing from `tree`.
+    fn nodeInventory(self: *const Self, tree: *const Tree, prices: *const Prices, node_index: ?u32) !?Inventory.PlainInventory {
+        const unconverted_inv = try tree.nodes.items[node_index orelse return null].inventory.toPlain(self.alloc);
+        const target = self.conversion_target orelse return unconverted_inv;
+        var converted_inv = try Inventory.PlainInventory.init(self.alloc, null);
+        try prices.convertInventory(&unconverted_inv, target, &converted_inv);
+        return converted_inv;
+    }
+
+    fn balanceIn(self: *const Self, inv: ?Inventory.PlainInventory, currency: []const u8) Number {
+        const cur_idx = self.project.findCurrency(currency) orelse return Number.zero();
+        return (inv orelse return Number.zero()).by_currency.get(cur_idx) orelse Number.zero();
+    }
+
+    /// The node with the same name under `parent` in another tree.
+    fn childNamed(tree: *const Tree, parent: ?u32, name: []const u8) ?u32 {
+        for (tree.nodes.items[parent orelse return null].children.items) |child| {
+            if (std.mem.eql(u8, tree.nodes.items[child].name, name)) return child;
+        }
+        return null;
+    }
+
+    /// The names of the children of an account in the current tree and the
+    /// compared one, sorted. Accounts with balances in only one of the
+    /// ranges are still shown.
+    fn childNames(self: *const Self, node_index: ?u32, compare_index: ?u32) ![]const []const u8 {
+        var names = std.StringArrayHashMap(void).init(self.alloc);
+        if (node_index) |i| {
+            for (self.tree.nodes.items[i].children.items) |child| {
+                try names.put(self.tree.nodes.items[child].name, {});
+            }
+        }
+        if (self.compare) |compare| {
+            if (compare_index) |ci| {
+                for (compare.tree.nodes.items[ci].children.items) |child| {
+                    try names.put(compare.tree.nodes.items[child].name, {});
                 }
-                try zts.print(t.tree, "header_title", .{
-                    .title = "Other",
-                    .from_line = MAX_TREE_DEPTH + 2 + self.operating_currencies.len,
-                    .to_line = MAX_TREE_DEPTH + 2 + self.operating_currencies.len + 1,
-                }, self.out);
+            }
+        }
 
-                try zts.write(t.tree, "header_title_end", self.out);
+        const sorted = names.keys();
+        std.mem.sort([]const u8, sorted, {}, struct {
+            fn lessThan(_: void, a: []const u8, b: []const u8) bool {
+                return std.mem.order(u8, a, b) == .lt;
+            }
+        }.lessThan);
+        return sorted;
+    }
 
-                var prefix = std.array_list.Managed(bool).init(self.alloc);
-                defer prefix.deinit();
+    /// The smallest change in an operating currency that is still among
+    /// the `MOVERS` largest of the table, by amount. Only accounts without
+    /// sub-accounts are ranked, as their parents' changes add them up.
+    fn moversThreshold(self: *const Self, node_index: ?u32, compare_index: ?u32) !f64 {
+        if (self.compare == null) return std.math.inf(f64);
 
-                var name_prefix = std.array_list.Managed(u8).init(self.alloc);
-                defer name_prefix.deinit();
-                try name_prefix.appendSlice(title);
+        var changes = std.ArrayList(f64).empty;
+        try self.collectChanges(node_index, compare_index, &changes);
+        if (changes.items.len == 0) return std.math.inf(f64);
 
-                try self.renderRec(i, 0, &prefix, &name_prefix, true);
+        std.mem.sort(f64, changes.items, {}, std.sort.desc(f64));
+        return changes.items[@min(MOVERS, changes.items.len) - 1];
+    }
 
-                try zts.write(t.tree, "table_end", self.out);
+    fn collectChanges(self: *const Self, node_index: ?u32, compare_index: ?u32, changes: *std.ArrayList(f64)) !void {
+        const compare = self.compare.?;
+        const names = try self.childNames(node_index, compare_index);
+        if (names.len > 0) {
+            for (names) |name| {
+                try self.collectChanges(
+                    childNamed(self.tree, node_index, name),
+                    childNamed(compare.tree, compare_index, name),
+                    changes,
+                );
             }
+            return;
         }
+
+        const inv = try self.nodeInventory(self.tree, self.prices, node_index);
+        const compare_inv = try self.nodeInventory(compare.tree, compare.prices, compare_index);
+        for (self.operating_currencies) |currency| {
+            const change = self.balanceIn(inv, currency).sub(self.balanceIn(compare_inv, currency));
+            if (!change.is_zero()) try changes.append(self.alloc, @abs(change.toFloat()));
+        }
+    }
+
+    fn renderBalance(self: *const Self, balance: Number, line: usize) !void {
+        try zts.print(t.tree, "balances", .{ .from_line = line, .to_line = line + 1 }, self.out);
+        if (!balance.is_zero()) {
+            try zts.print(t.tree, "balance", .{ .units = balance.withPrecision(2), .cur = "" }, self.out);
+        }
+        try zts.write(t.tree, "balances_end", self.out);
     }
 
+    /// The difference to `before`, and relative to it unless it is zero.
+    fn renderChange(self: *const Self, balance: Number, before: Number, line: usize, movers: f64) !void {
+        const change = balance.sub(before);
+        if (change.is_zero()) return self.renderBalance(change, line);
+
+        const sign = if (change.is_negative()) "" else "+";
+        const percent = if (before.is_zero())
+            ""
+        else
+            try std.fmt.allocPrint(self.alloc, "{s}{d:.0}%", .{
+                sign,
+                change.toFloat() / @abs(before.toFloat()) * 100,
+            });
+
+        try zts.print(t.tree, "change", .{
+            .from_line = line,
+            .to_line = line + 1,
+            .mover = if (@abs(change.toFloat()) >= movers) " mover" else "",
+            .change = try std.fmt.allocPrint(self.alloc, "{s}{f}", .{ sign, change.withPrecision(2) }),
+            .percent = percent,
+        }, self.out);
+    }
+
+    /// Renders the account `name` and its sub-accounts. It's at `node_index`
+    /// in the current tree and `compare_index` in the compared one, and may
+    /// be missing from either.
     fn renderRec(
         self: *const Self,
-        node_index: u32,
+        node_index: ?u32,
+        compare_index: ?u32,
+        name: []const u8,
+        movers: f64,
         depth: u32,
         prefix: *std.array_list.Managed(bool),
         name_prefix: *std.array_list.Managed(u8),
         is_last: bool,
     ) !void {
-        const node = self.tree.nodes.items[node_index];
-        const has_children = node.children.items.len > 0;
+        const child_names = try self.childNames(node_index, compare_index);
+        const has_children = child_names.len > 0;
 
-        const unconverted_inv = try node.inventory.toPlain(self.alloc);
-
-        var converted_inv = try Inventory.PlainInventory.init(self.alloc, null);
-
-        var inv =
-            if (self.conversion_target) |cur| blk: {
-                try self.prices.convertInventory(&unconverted_inv, cur, &converted_inv);
-                break :blk &converted_inv;
-            } else &unconverted_inv;
+        const inv = try self.nodeInventory(self.tree, self.prices, node_index);
+        const compare_inv = if (self.compare) |compare|
+            try self.nodeInventory(compare.tree, compare.prices, compare_index)
+        else
+            null;
 
         const name_prefix_len = name_prefix.items.len;
         if (depth > 0) {
             try name_prefix.append(':');
-            try name_prefix.appendSlice(node.name);
+            try name_prefix.appendSlice(name);
         }
 
-        try zts.print(t.tree, "account", .{ .full_name = name_prefix.items }, self.out);
+        // Where the account is opened. Parents that aren't opened
+        // themselves have no source.
+        const open_pos = self.project.get_account_open_pos(name_prefix.items);
+        try zts.print(t.tree, "account", .{
+            .full_name = name_prefix.items,
+            .file = if (open_pos) |pos| pos[0].absolute() else "",
+            .line = if (open_pos) |pos| pos[1] + 1 else 0,
+        }, self.out);
 
         for (prefix.items) |last| {
             try zts.write(t.tree, "tree", self.out);
@@ -206,46 +452,44 @@ pub const TreeRenderer = struct {
         try zts.write(t.tree, "icon_end", self.out);
 
         try zts.print(t.tree, "name", .{
-            .name = node.name,
+            .name = name,
             .full_name = name_prefix.items,
             .from_line = depth + 2,
             .to_line = MAX_TREE_DEPTH + 2,
         }, self.out);
 
+        const columns = self.columnsPerCurrency();
         for (self.operating_currencies, 0..) |currency, j| {
-            try zts.print(t.tree, "balances", .{
-                .from_line = MAX_TREE_DEPTH + 2 + j,
-                .to_line = MAX_TREE_DEPTH + 2 + j + 1,
-            }, self.out);
-            if (self.project.findCurrency(currency)) |cur_idx| {
-                if (inv.by_currency.get(cur_idx)) |balance| {
-                    if (!balance.is_zero()) {
-                        try zts.print(t.tree, "balance", .{
-                            .units = balance.withPrecision(2),
-                            .cur = "",
-                        }, self.out);
-                    }
-                }
+            const line = MAX_TREE_DEPTH + 2 + j * columns;
+            const balance = self.balanceIn(inv, currency);
+            try self.renderBalance(balance, line);
+            if (self.compare != null) {
+                const before = self.balanceIn(compare_inv, currency);
+                try self.renderBalance(before, line + 1);
+                // Only accounts without sub-accounts are ranked.
+                try self.renderChange(balance, before, line + 2, if (has_children) std.math.inf(f64) else movers);
             }
-            try zts.write(t.tree, "balances_end", self.out);
         }
 
+        const other_line = MAX_TREE_DEPTH + 2 + self.operating_currencies.len * columns;
         try zts.print(t.tree, "balances", .{
-            .from_line = MAX_TREE_DEPTH + 2 + self.operating_currencies.len,
-            .to_line = MAX_TREE_DEPTH + 2 + self.operating_currencies.len + 1,
+            .from_line = other_line,
+            .to_line = other_line + 1,
         }, self.out);
-        var iter = inv.by_currency.iterator();
-        currency: while (iter.next()) |kv| {
-            const cur_text = self.project.data.currencies.get(kv.key);
-            for (self.operating_currencies) |cur| {
-                if (std.mem.eql(u8, cur, cur_text)) continue :currency;
-            }
-            const units = kv.value_ptr.*;
-            if (!units.is_zero()) {
-                try zts.print(t.tree, "balance", .{
-                    .units = units.withPrecision(2),
-                    .cur = cur_text,
-                }, self.out);
+        if (inv) |*own| {
+            var iter = own.by_currency.iterator();
+            currency: while (iter.next()) |kv| {
+                const cur_text = self.project.data.currencies.get(kv.key);
+                for (self.operating_currencies) |cur| {
+                    if (std.mem.eql(u8, cur, cur_text)) continue :currency;
+                }
+                const units = kv.value_ptr.*;
+                if (!units.is_zero()) {
+                    try zts.print(t.tree, "balance", .{
+                        .units = units.withPrecision(2),
+                        .cur = cur_text,
+                    }, self.out);
+                }
             }
         }
         try zts.write(t.tree, "balances_end", self.out);
@@ -254,26 +498,22 @@ pub const TreeRenderer = struct {
 
         // Render children with updated prefix
         if (has_children) {
-            // Sort children by name
-            const sorted_children = try self.alloc.dupe(u32, node.children.items);
-
-            std.mem.sort(u32, sorted_children, self.tree, struct {
-                fn lessThan(tr: *const Tree, a: u32, b: u32) bool {
-                    const name_a = tr.nodes.items[a].name;
-                    const name_b = tr.nodes.items[b].name;
-                    return std.mem.order(u8, name_a, name_b) == .lt;
-                }
-            }.lessThan);
-
             // Add current node's continuation state to prefix for children (if not root level)
             if (depth > 0) {
                 try prefix.append(is_last);
             }
 
-            for (sorted_children, 0..) |child, i| {
-                const child_is_last = i == sorted_children.len - 1;
+            for (child_names, 0..) |child_name, i| {
+                const child_is_last = i == child_names.len - 1;
+                const compare_child = if (self.compare) |compare|
+                    childNamed(compare.tree, compare_index, child_name)
+                else
+                    null;
                 try self.renderRec(
-                    child,
+                    childNamed(self.tree, node_index, child_name),
+                    compare_child,
+                    child_name,
+                    movers,
                     depth + 1,
                     prefix,
                     name_prefix,
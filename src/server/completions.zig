@@ -0,0 +1,87 @@
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const State = @import("State.zig");
+
+/// Accounts, tags and payees for autocompleting the filter input, plus what
+/// the command palette offers.
+const Completions = struct {
+    accounts: []const []const u8,
+    tags: []const []const u8,
+    payees: []const []const u8,
+    /// Parallel to `payees`: an account of each payee's latest transaction.
+    payee_accounts: []const []const u8,
+    operating_currencies: []const []const u8,
+};
+
+pub fn handler(alloc: Allocator, req: *std.http.Server.Request, state: *State) !void {
+    var body = std.Io.Writer.Allocating.init(alloc);
+    defer body.deinit();
+
+    {
+        state.acquireProject();
+        defer state.releaseProject();
+
+        var accounts = std.ArrayList([]const u8).empty;
+        var account_iter = state.project.accountsIterator();
+        while (account_iter.next()) |account| {
+            try accounts.append(alloc, account);
+        }
+
+        var tags = std.ArrayList([]const u8).empty;
+        var tag_iter = state.project.tags.keyIterator();
+        while (tag_iter.next()) |tag| {
+            // Strip the leading `#`.
+            try tags.append(alloc, tag.*[1..]);
+        }
+
+        // Payee to the account of its first posting. Later transactions
+        // replace earlier ones.
+        var payees = std.StringArrayHashMap([]const u8).init(alloc);
+        var entry_iter = state.project.data.iterEntries();
+        while (entry_iter.next()) |entry| {
+            switch (entry.payload()) {
+                .transaction => |tx| if (tx.payeeText()) |payee| {
+                    var postings = tx.postings();
+                    const posting = postings.next() orelse continue;
+                    if (payee.len > 2) try payees.put(payee[1 .. payee.len - 1], posting.accountText());
+                },
+                else => {},
+            }
+        }
+
+        sortStrings(accounts.items);
+        sortStrings(tags.items);
+        payees.sort(struct {
+            keys: []const []const u8,
+
+            pub fn lessThan(ctx: @This(), a: usize, b: usize) bool {
+                return std.mem.order(u8, ctx.keys[a], ctx.keys[b]) == .lt;
+            }
+        }{ .keys = payees.keys() });
+
+        const completions = Completions{
+            .accounts = accounts.items,
+            .tags = tags.items,
+            .payees = payees.keys(),
+            .payee_accounts = payees.values(),
+            .operating_currencies = try state.project.getConfig().getOperatingCurrencies(alloc),
+        };
+
+        var stringify = std.json.Stringify{ .writer = &body.writer };
+        try stringify.write(completions);
+    }
+
+    try req.respond(body.written(), .{
+        .extra_headers = &.{
+            .{ .name = "Content-Type", .value = "application/json" },
+        },
+    });
+}
+
+fn sortStrings(items: [][]const u8) void {
+    std.mem.sort([]const u8, items, {}, struct {
+        fn lessThan(_: void, a: []const u8, b: []const u8) bool {
+            return std.mem.order(u8, a, b) == .lt;
+        }
+    }.lessThan);
+}
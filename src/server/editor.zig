@@ -0,0 +1,130 @@
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const Io = std.Io;
+const State = @import("State.zig");
+const http = @import("http.zig");
+
+const Params = struct {
+    /// Absolute path, as in the `data-file` attributes of the web UI.
+    file: []const u8,
+    /// 1-based.
+    line: u32,
+};
+
+/// `POST /editor?file=...&line=...` opens a file of the ledger in `$VISUAL`
+/// or `$EDITOR`, for the "Editor: $EDITOR on the server" command of the web
+/// UI. The editor is run as `<editor> +<line> <file>`, which vi, Emacs,
+/// nano and most others understand. It's split into arguments at spaces,
+/// without quoting, and runs without a terminal, so it has to be a GUI
+/// editor like `gvim` or `emacsclient -c`.
+pub fn handler(alloc: Allocator, req: *std.http.Server.Request, state: *State) !void {
+    if (req.head.method != .POST) {
+        return req.respond("Method not allowed\n", .{ .status = .method_not_allowed });
+    }
+
+    // Any web page can send a POST to localhost, so only take them from the
+    // web UI itself.
+    if (!sameOrigin(
+        http.getHeader(req, "Origin"),
+        http.getHeader(req, "Host"),
+        http.getHeader(req, "Sec-Fetch-Site"),
+    )) {
+        return req.respond("Only the web UI can open the editor\n", .{ .status = .forbidden });
+    }
+
+    const parsed = try http.ParsedRequest.parse(alloc, req.head.target);
+    const params = http.Query(Params).parse(alloc, &parsed.params) catch {
+        return req.respond("Expected a file and line\n", .{ .status = .bad_request });
+    };
+
+    // Only open the ledger's own files.
+    if (!ownsFile(state, params.file)) {
+        return req.respond("Not a file of the ledger\n", .{ .status = .forbidden });
+    }
+
+    const editor = state.editor orelse {
+        return req.respond(
+            "Neither $VISUAL nor $EDITOR is set where the server runs, or it listens on more than loopback\n",
+            .{ .status = .not_found },
+        );
+    };
+
+    var argv = std.ArrayList([]const u8).empty;
+    var words = std.mem.tokenizeScalar(u8, editor, ' ');
+    while (words.next()) |word| try argv.append(alloc, word);
+    try argv.append(alloc, try std.fmt.allocPrint(alloc, "+{d}", .{params.line}));
+    try argv.append(alloc, params.file);
+
+    // No stdio, so the editor doesn't read the server's input or write into
+    // its log.
+    const child = std.process.spawn(state.io, .{
+        .argv = argv.items,
+        .stdin = .ignore,
+        .stdout = .ignore,
+        .stderr = .ignore,
+    }) catch |err| {
+        const message = try std.fmt.allocPrint(alloc, "Failed to run {s}: {s}\n", .{ editor, @errorName(err) });
+        return req.respond(message, .{ .status = .internal_server_error });
+    };
+
+    // The editor may stay open for long, so it's waited for on a thread of
+    // its own that the server doesn't join at shutdown.
+    const reaper = std.Thread.spawn(.{}, reap, .{ state.io, child }) catch |err| {
+        std.log.warn("Cannot wait for the editor: {s}", .{@errorName(err)});
+        return req.respond("", .{ .status = .no_content });
+    };
+    reaper.detach();
+
+    try req.respond("", .{ .status = .no_content });
+}
+
+fn reap(io: Io, child: std.process.Child) void {
+    var c = child;
+    _ = c.wait(io) catch {};
+}
+
+fn ownsFile(state: *State, path: []const u8) bool {
+    state.acquireProject();
+    defer state.releaseProject();
+
+    for (state.project.data.files.items) |f| {
+        if (std.mem.eql(u8, f.uri.absolute(), path)) return true;
+    }
+    return false;
+}
+
+/// Whether a request comes from a page of this server: the browser's
+/// `Origin` has to match the `Host` it sent the request to. The host has to
+/// be `localhost` or an IP address, as any other name might have been
+/// pointed at this machine by the page's own site.
+fn sameOrigin(origin: ?[]const u8, host: ?[]const u8, fetch_site: ?[]const u8) bool {
+    if (fetch_site) |site| {
+        if (!std.mem.eql(u8, site, "same-origin")) return false;
+    }
+    const o = origin orelse return false;
+    const h = host orelse return false;
+
+    const scheme = "http://";
+    if (!std.mem.startsWith(u8, o, scheme) or !std.mem.eql(u8, o[scheme.len..], h)) return false;
+
+    // `[::1]:8080` or `localhost:8080`, `127.0.0.1:8080`.
+    if (std.mem.startsWith(u8, h, "[")) return true;
+    const name = if (std.mem.lastIndexOfScalar(u8, h, ':')) |i| h[0..i] else h;
+    if (std.mem.eql(u8, name, "localhost")) return true;
+    _ = Io.net.IpAddress.parseIp4(name, 0) catch return false;
+    return true;
+}
+
+test sameOrigin {
+    try std.testing.expect(sameOrigin("http://localhost:8080", "localhost:8080", "same-origin"));
+    try std.testing.expect(sameOrigin("http://127.0.0.1:8080", "127.0.0.1:8080", null));
+    try std.testing.expect(sameOrigin("http://[::1]:8080", "[::1]:8080", null));
+
+    // Other pages.
+    try std.testing.expect(!sameOrigin("https://example.com", "localhost:8080", "cross-site"));
+    try std.testing.expect(!sameOrigin("http://localhost:8080", "localhost:8080", "cross-site"));
+    try std.testing.expect(!sameOrigin("http://localhost:9090", "localhost:8080", null));
+    try std.testing.expect(!sameOrigin(null, "localhost:8080", null));
+    // A site's name that resolves to this machine.
+    try std.testing.expect(!sameOrigin("http://evil.example:8080", "evil.example:8080", "same-origin"));
+}
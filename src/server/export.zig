@@ -0,0 +1,370 @@
+//! Downloads the data behind the journal, balance sheet and income statement
+//! as CSV, JSON or XLSX. Takes the same URL parameters as the views, so the
+//! filter, date range, conversion and interval apply, plus `format` and, for
+//! CSV which only holds a single table, `table`.
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const State = @import("State.zig");
+const Project = @import("../project.zig");
+const Tree = @import("../tree.zig");
+const Prices = @import("../Prices.zig");
+const PlainInventory = @import("../inventory.zig").PlainInventory;
+const Data = @import("../data.zig");
+const DisplaySettings = @import("DisplaySettings.zig");
+const Date = @import("../date.zig").Date;
+const http = @import("http.zig");
+const common = @import("common.zig");
+const journal = @import("journal.zig");
+const balance_sheet = @import("balance_sheet.zig");
+const income_statement = @import("income_statement.zig");
+const xlsx = @import("xlsx.zig");
+
+pub const View = union(enum) {
+    journal: []const u8,
+    balance_sheet,
+    income_statement,
+};
+
+pub const Options = struct {
+    format: Format = .csv,
+    /// Index into the view's tables, for CSV.
+    table: u8 = 0,
+};
+
+pub const Format = enum {
+    csv,
+    json,
+    xlsx,
+
+    fn contentType(self: Format) []const u8 {
+        return switch (self) {
+            .csv => "text/csv; charset=utf-8",
+            .json => "application/json",
+            .xlsx => "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        };
+    }
+};
+
+pub const Cell = union(enum) {
+    text: []const u8,
+    number: f64,
+};
+
+pub const Table = struct {
+    name: []const u8,
+    columns: []const []const u8,
+    rows: std.ArrayList([]const Cell) = .empty,
+
+    fn append(self: *Table, alloc: Allocator, cells: []const Cell) !void {
+        std.debug.assert(cells.len == self.columns.len);
+        try self.rows.append(alloc, try alloc.dupe(Cell, cells));
+    }
+};
+
+pub fn handler(alloc: Allocator, req: *std.http.Server.Request, state: *State, view: View) !void {
+    var parsed_request = try http.ParsedRequest.parse(alloc, req.head.target);
+    var display = try http.Query(DisplaySettings).parse(alloc, &parsed_request.params);
+    const options = try http.Query(Options).parse(alloc, &parsed_request.params);
+
+    var body = std.Io.Writer.Allocating.init(alloc);
+    defer body.deinit();
+
+    {
+        state.acquireProject();
+        defer state.releaseProject();
+
+        try display.resolveDates(alloc, Date.today(state.io), .fromProject(state.project));
+        const tables = try collectTables(alloc, state.project, display, view);
+        switch (options.format) {
+            .csv => try writeCsv(tables[@min(options.table, tables.len - 1)], &body.writer),
+            .json => try writeJson(tables, &body.writer),
+            .xlsx => try xlsx.write(alloc, tables, &body.writer),
+        }
+    }
+
+    const disposition = try std.fmt.allocPrint(alloc, "attachment; filename=\"{s}.{t}\"", .{
+        try fileName(alloc, view),
+        options.format,
+    });
+
+    try req.respond(body.written(), .{
+        .extra_headers = &.{
+            .{ .name = "Content-Type", .value = options.format.contentType() },
+            .{ .name = "Content-Disposition", .value = disposition },
+        },
+    });
+}
+
+fn fileName(alloc: Allocator, view: View) ![]const u8 {
+    return switch (view) {
+        .journal => |account| blk: {
+            const name = try std.fmt.allocPrint(alloc, "journal-{s}", .{account});
+            std.mem.replaceScalar(u8, name, ':', '-');
+            break :blk name;
+        },
+        else => @tagName(view),
+    };
+}
+
+/// The first table is the one shown in the view, the second the series
+/// plotted above it.
+fn collectTables(alloc: Allocator, project: *Project, display: DisplaySettings, view: View) ![]Table {
+    switch (view) {
+        .journal => |account| {
+            var rows = Table{
+                .name = "Journal",
+                .columns = &.{ "Date", "Flag", "Payee", "Narration", "Amount", "Currency", "Balance" },
+            };
+            var series = Table{ .name = "Series", .columns = &.{ "Date", "Currency", "Balance" } };
+
+            if (try journal.collect(alloc, project, display, account)) |result| {
+                for (result.rows) |row| {
+                    if (row.kind != .transaction) continue;
+                    const change = row.change.?;
+                    try rows.append(alloc, &.{
+                        .{ .text = row.date },
+                        .{ .text = row.flag },
+                        .{ .text = row.payee orelse "" },
+                        .{ .text = row.narration orelse "" },
+                        .{ .number = change.number.toFloat() },
+                        .{ .text = change.currency },
+                        .{ .number = balanceIn(row.balances, change.currency) },
+                    });
+                }
+                try appendPoints(alloc, &series, result.plot);
+            }
+
+            return try alloc.dupe(Table, &.{ rows, series });
+        },
+        .balance_sheet => {
+            const report = try balance_sheet.compute(alloc, project, display);
+
+            var balances = balancesTable();
+            const balance_tree = BalanceTree{
+                .alloc = alloc,
+                .project = project,
+                .tree = &report.tree,
+                .prices = &report.prices,
+                .conversion_target = report.conversion_target,
+            };
+            for ([_][]const u8{ "Assets", "Liabilities", "Equity" }) |root| {
+                try balance_tree.appendRoot(&balances, root);
+            }
+
+            var series = Table{ .name = "Series", .columns = &.{ "Date", "Currency", "Balance" } };
+            try appendPoints(alloc, &series, report.plot_data);
+
+            return try alloc.dupe(Table, &.{ balances, series });
+        },
+        .income_statement => {
+            const report = try income_statement.compute(alloc, project, display);
+
+            var balances = balancesTable();
+            const balance_tree = BalanceTree{
+                .alloc = alloc,
+                .project = project,
+                .tree = &report.tree,
+                .prices = &report.prices,
+                .conversion_target = report.conversion_target,
+            };
+            for ([_][]const u8{ "Income", "Expenses" }) |root| {
+                try balance_tree.appendRoot(&balances, root);
+            }
+
+            var series = Table{
+                .name = "Series",
+                .columns = &.{ "Date", "Period", "Account", "Currency", "Amount" },
+            };
+            for (report.plot_data.periods.items) |period| {
+                for (period.data_points) |point| {
+                    try series.append(alloc, &.{
+                        .{ .text = period.date },
+                        .{ .text = period.period },
+                        .{ .text = point.account },
+                        .{ .text = point.currency },
+                        .{ .number = point.balance },
+                    });
+                }
+            }
+
+            return try alloc.dupe(Table, &.{ balances, series });
+        },
+    }
+}
+
+fn balancesTable() Table {
+    return .{ .name = "Balances", .columns = &.{ "Account", "Currency", "Balance" } };
+}
+
+fn appendPoints(alloc: Allocator, table: *Table, plot_data: common.PlotData) !void {
+    for (plot_data.points.items) |point| {
+        try table.append(alloc, &.{
+            .{ .text = point.date },
+            .{ .text = point.currency },
+            .{ .number = point.balance },
+        });
+    }
+}
+
+fn balanceIn(balances: []const journal.Amount, currency: []const u8) f64 {
+    for (balances) |balance| {
+        if (std.mem.eql(u8, balance.currency, currency)) return balance.number.toFloat();
+    }
+    return 0;
+}
+
+/// Flattens the account tree into one row per account and currency, in the
+/// same order as `common.TreeRenderer`.
+const BalanceTree = struct {
+    alloc: Allocator,
+    project: *Project,
+    tree: *const Tree,
+    prices: *const Prices,
+    conversion_target: ?Data.CurrencyIndex,
+
+    fn appendRoot(self: BalanceTree, table: *Table, name: []const u8) !void {
+        for (self.tree.nodes.items[0].children.items) |i| {
+            if (std.mem.eql(u8, self.tree.nodes.items[i].name, name)) {
+                try self.appendNode(table, i, name);
+            }
+        }
+    }
+
+    fn appendNode(self: BalanceTree, table: *Table, node_index: u32, name: []const u8) !void {
+        const node = self.tree.nodes.items[node_index];
+
+        const unconverted_inv = try node.inventory.toPlain(self.alloc);
+        var converted_inv = try PlainInventory.init(self.alloc, null);
+        const inv = if (self.conversion_target) |cur| blk: {
+            try self.prices.convertInventory(&unconverted_inv, cur, &converted_inv);
+            break :blk &converted_inv;
+        } else &unconverted_inv;
+
+        var iter = inv.by_currency.iterator();
+        while (iter.next()) |kv| {
+            const units = kv.value_ptr.*;
+            if (units.is_zero()) continue;
+            try table.append(self.alloc, &.{
+                .{ .text = name },
+                .{ .text = self.project.data.currencies.get(kv.key) },
+                .{ .number = units.toFloat() },
+            });
+        }
+
+        const sorted_children = try self.alloc.dupe(u32, node.children.items);
+        std.mem.sort(u32, sorted_children, self.tree, struct {
+            fn lessThan(tr: *const Tree, a: u32, b: u32) bool {
+                return std.mem.order(u8, tr.nodes.items[a].name, tr.nodes.items[b].name) == .lt;
+            }
+        }.lessThan);
+
+        for (sorted_children) |child| {
+            const child_name = try std.fmt.allocPrint(self.alloc, "{s}:{s}", .{
+                name,
+                self.tree.nodes.items[child].name,
+            });
+            try self.appendNode(table, child, child_name);
+        }
+    }
+};
+
+fn writeCsv(table: Table, out: *std.Io.Writer) !void {
+    for (table.columns, 0..) |column, i| {
+        if (i > 0) try out.writeByte(',');
+        try writeCsvField(column, out);
+    }
+    try out.writeAll("\r\n");
+
+    for (table.rows.items) |row| {
+        for (row, 0..) |cell, i| {
+            if (i > 0) try out.writeByte(',');
+            switch (cell) {
+                .text => |text| try writeCsvField(text, out),
+                .number => |number| try out.print("{d}", .{number}),
+            }
+        }
+        try out.writeAll("\r\n");
+    }
+}
+
+fn writeCsvField(text: []const u8, out: *std.Io.Writer) !void {
+    if (std.mem.indexOfAny(u8, text, ",\"\r\n") == null) {
+        try out.writeAll(text);
+        return;
+    }
+    try out.writeByte('"');
+    for (text) |c| {
+        if (c == '"') try out.writeByte('"');
+        try out.writeByte(c);
+    }
+    try out.writeByte('"');
+}
+
+/// An object with an array of row objects per table.
+fn writeJson(tables: []const Table, out: *std.Io.Writer) !void {
+    var jw = std.json.Stringify{ .writer = out };
+    try jw.beginObject();
+    for (tables) |table| {
+        try jw.objectField(table.name);
+        try jw.beginArray();
+        for (table.rows.items) |row| {
+            try jw.beginObject();
+            for (table.columns, row) |column, cell| {
+                try jw.objectField(column);
+                switch (cell) {
+                    .text => |text| try jw.write(text),
+                    .number => |number| try jw.write(number),
+                }
+            }
+            try jw.endObject();
+        }
+        try jw.endArray();
+    }
+    try jw.endObject();
+}
+
+fn testTable() !Table {
+    const alloc = std.testing.allocator;
+    var table = Table{ .name = "Test", .columns = &.{ "Payee", "Amount" } };
+    try table.append(alloc, &.{ .{ .text = "REWE" }, .{ .number = -12.5 } });
+    try table.append(alloc, &.{ .{ .text = "Say \"hi\", Bob" }, .{ .number = 1000 } });
+    return table;
+}
+
+fn freeTestTable(table: *Table) void {
+    const alloc = std.testing.allocator;
+    for (table.rows.items) |row| alloc.free(row);
+    table.rows.deinit(alloc);
+}
+
+test "csv" {
+    var table = try testTable();
+    defer freeTestTable(&table);
+
+    var out = std.Io.Writer.Allocating.init(std.testing.allocator);
+    defer out.deinit();
+    try writeCsv(table, &out.writer);
+
+    try std.testing.expectEqualStrings(
+        "Payee,Amount\r\nREWE,-12.5\r\n\"Say \"\"hi\"\", Bob\",1000\r\n",
+        out.written(),
+    );
+}
+
+test "json" {
+    var table = try testTable();
+    defer freeTestTable(&table);
+
+    var out = std.Io.Writer.Allocating.init(std.testing.allocator);
+    defer out.deinit();
+    try writeJson(&.{table}, &out.writer);
+
+    const parsed = try std.json.parseFromSlice(std.json.Value, std.testing.allocator, out.written(), .{});
+    defer parsed.deinit();
+
+    const rows = parsed.value.object.get("Test").?.array.items;
+    try std.testing.expectEqual(2, rows.len);
+    try std.testing.expectEqualStrings("REWE", rows[0].object.get("Payee").?.string);
+    try std.testing.expectEqual(-12.5, rows[0].object.get("Amount").?.float);
+    try std.testing.expectEqualStrings("Say \"hi\", Bob", rows[1].object.get("Payee").?.string);
+}
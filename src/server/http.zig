@@ -131,6 +131,17 @@ test Query {
 
 const QueryPararms = std.StringHashMap([]const u8);
 
+/// The value of the first header called `name`, ignoring case.
+pub fn getHeader(req: *std.http.Server.Request, name: []const u8) ?[]const u8 {
+    var it = req.iterateHeaders();
+    while (it.next()) |header| {
+        if (std.ascii.eqlIgnoreCase(header.name, name)) {
+            return header.value;
+        }
+    }
+    return null;
+}
+
 pub const ParsedRequest = struct {
     path: []const u8,
     params: QueryPararms,
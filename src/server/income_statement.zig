@@ -13,6 +13,7 @@ const Prices = @import("../Prices.zig");
 const t = @import("templates.zig");
 const tpl = t.income_statement;
 const common = @import("common.zig");
+const budget = @import("budget.zig");
 
 pub fn handler(
     alloc: std.mem.Allocator,
@@ -33,6 +34,10 @@ pub const PlotData = struct {
     alloc: Allocator,
     periods: std.ArrayList(PeriodGroup) = .empty,
     current_data_points: std.ArrayList(DataPoint) = .empty,
+    /// Budgets per interval, drawn over the bars.
+    budget: []const budget.Period = &.{},
+
+    pub const extra_event_name = "budget";
 
     const PeriodGroup = struct {
         date: []const u8,
@@ -61,6 +66,10 @@ pub const PlotData = struct {
         self.current_data_points = .empty;
     }
 
+    pub fn extraEvent(self: *const PlotData) ?[]const budget.Period {
+        return self.budget;
+    }
+
     pub fn jsonStringify(self: *const PlotData, jw: anytype) !void {
         try jw.write(self.periods.items);
     }
@@ -128,6 +137,14 @@ const DataTracker = struct {
     }
 };
 
+/// Income and expenses within the date range, and per interval.
+pub const Report = struct {
+    tree: Tree,
+    prices: Prices,
+    conversion_target: ?Data.CurrencyIndex,
+    plot_data: PlotData,
+};
+
 fn render(
     alloc: std.mem.Allocator,
     project: *Project,
@@ -136,10 +153,39 @@ fn render(
     ctx: void,
 ) !PlotData {
     _ = ctx;
-    var tree = try Tree.init(alloc, &project.data.accounts, &project.data.currencies);
+    const report = try compute(alloc, project, display);
+    const compared = if (display.comparison()) |settings| try compute(alloc, project, settings) else null;
 
     const operating_currencies = try project.getConfig().getOperatingCurrencies(alloc);
 
+    try common.renderPlotArea(operating_currencies, out);
+
+    const treeRenderer = common.TreeRenderer{
+        .alloc = alloc,
+        .out = out,
+        .tree = &report.tree,
+        .project = project,
+        .operating_currencies = operating_currencies,
+        .conversion_target = report.conversion_target,
+        .prices = &report.prices,
+        .compare = if (compared) |*c| .{ .tree = &c.tree, .prices = &c.prices } else null,
+    };
+
+    if (display.comparison()) |settings| try common.renderComparisonNote(settings, out);
+    try zts.write(tpl, "income_statement", out);
+    try treeRenderer.renderTable("Income");
+    try zts.write(tpl, "left_end", out);
+    try treeRenderer.renderTable("Expenses");
+    try zts.write(tpl, "right_end", out);
+
+    var plot_data = report.plot_data;
+    if (project.has_budgets) plot_data.budget = (try budget.compute(alloc, project, display)).periods;
+    return plot_data;
+}
+
+pub fn compute(alloc: std.mem.Allocator, project: *Project, display: DisplaySettings) !Report {
+    var tree = try Tree.init(alloc, &project.data.accounts, &project.data.currencies);
+
     var prices = Prices.init(alloc);
 
     var plot_data = PlotData{ .alloc = alloc };
@@ -172,6 +218,7 @@ fn render(
                 },
                 .transaction => |tx| {
                     if (tx.dirty()) continue;
+                    if (!display.matchesFilter(entry)) continue;
                     if (!display.isWithinDateRange(entry.date())) continue;
 
                     var ps = tx.postings();
@@ -200,25 +247,12 @@ fn render(
         },
     };
 
-    try common.renderPlotArea(operating_currencies, out);
-
-    const treeRenderer = common.TreeRenderer{
-        .alloc = alloc,
-        .out = out,
-        .tree = &tree,
-        .project = project,
-        .operating_currencies = operating_currencies,
+    return .{
+        .tree = tree,
+        .prices = prices,
         .conversion_target = conversion_target,
-        .prices = &prices,
+        .plot_data = plot_data,
     };
-
-    try zts.write(tpl, "income_statement", out);
-    try treeRenderer.renderTable("Income");
-    try zts.write(tpl, "left_end", out);
-    try treeRenderer.renderTable("Expenses");
-    try zts.write(tpl, "right_end", out);
-
-    return plot_data;
 }
 
 const Inventories = struct {
@@ -2,6 +2,8 @@ const std = @import("std");
 const Allocator = std.mem.Allocator;
 const zts = @import("zts");
 const State = @import("State.zig");
+const Data = @import("../data.zig");
+const FiscalYearEnd = @import("relative_date.zig").FiscalYearEnd;
 const t = @import("templates.zig").index;
 
 pub fn handler(alloc: Allocator, req: *std.http.Server.Request, state: *State) !void {
@@ -12,6 +14,26 @@ pub fn handler(alloc: Allocator, req: *std.http.Server.Request, state: *State) !
     state.acquireProject();
     defer state.releaseProject();
 
+    // For resolving relative dates in the browser.
+    try zts.print(t, "fiscal_year_end", .{
+        .fiscal_year_end = FiscalYearEnd.fromProject(state.project),
+    }, &body.writer);
+    // For stable chart colors in the browser, see `accountColors` in
+    // src/assets/js/plot.js.
+    var open_iter = state.project.data.iterEntries();
+    while (open_iter.next()) |entry| {
+        switch (entry.payload()) {
+            .open => |open| {
+                try zts.print(t, "account", .{
+                    .account = open.accountText(),
+                    .color = colorMeta(entry) orelse "",
+                }, &body.writer);
+            },
+            else => {},
+        }
+    }
+    try zts.write(t, "head", &body.writer);
+
     var entry_iter = state.project.data.iterEntries();
     while (entry_iter.next()) |entry| {
         switch (entry.payload()) {
@@ -28,3 +50,34 @@ pub fn handler(alloc: Allocator, req: *std.http.Server.Request, state: *State) !
 
     try req.respond(body.written(), .{});
 }
+
+/// The `color: "#1f77b4"` metadata of an open directive. Only hex colors are
+/// taken, as the value ends up in an HTML attribute.
+fn colorMeta(entry: Data.EntryView) ?[]const u8 {
+    var meta = entry.metaKVs();
+    while (meta.next()) |kv| {
+        if (!std.mem.eql(u8, entry.tokenSlice(kv.key), "color")) continue;
+        const value = entry.token(kv.value);
+        if (value.tag != .string) return null;
+        const color = value.slice[1 .. value.slice.len - 1];
+        return if (isHexColor(color)) color else null;
+    }
+    return null;
+}
+
+fn isHexColor(text: []const u8) bool {
+    if (text.len != 4 and text.len != 7) return false;
+    if (text[0] != '#') return false;
+    for (text[1..]) |c| {
+        if (!std.ascii.isHex(c)) return false;
+    }
+    return true;
+}
+
+test "isHexColor" {
+    try std.testing.expect(isHexColor("#1f77b4"));
+    try std.testing.expect(isHexColor("#FFF"));
+    try std.testing.expect(!isHexColor("1f77b4"));
+    try std.testing.expect(!isHexColor("#1f77b"));
+    try std.testing.expect(!isHexColor("#\"><b>"));
+}
@@ -13,13 +13,86 @@ const Prices = @import("../Prices.zig");
 const Inventory = @import("../inventory.zig");
 const Data = @import("../data.zig");
 
+/// Journals with more rows than this are rendered client-side from JSON, see
+/// `virtualJournal` in index.js. The `virtual` URL parameter overrides this.
+const virtual_threshold = 2000;
+
+/// Height of a single-line row in pixels, must match `.journal .row .cell`.
+/// Only used to size the scroll area before the rows arrive.
+const row_height = 25;
+
+/// A journal row. Rendered to HTML by `writeRow`, sent as JSON in virtual
+/// mode and exported by export.zig.
+pub const Row = struct {
+    kind: enum { open, transaction },
+    date: []const u8,
+    flag: []const u8 = "",
+    payee: ?[]const u8 = null,
+    narration: ?[]const u8 = null,
+    /// Key into `$store.txOpen`. A string since JSON numbers can't hold a u64.
+    hash: []const u8 = "",
+    change: ?Amount = null,
+    balances: []const Amount = &.{},
+    postings: []const Posting = &.{},
+    /// Absolute path and 1-based line of the transaction, for revealing it
+    /// in the editor.
+    file: []const u8 = "",
+    line: u32 = 0,
+
+    pub const Posting = struct {
+        account: []const u8,
+        change: Amount,
+        /// Like the transaction's. Empty for postings that aren't in the
+        /// source, like those of `pnl`.
+        file: []const u8 = "",
+        line: u32 = 0,
+    };
+};
+
+/// Formatted and serialized as e.g. `1,000.00 USD`.
+pub const Amount = struct {
+    number: Number,
+    currency: []const u8,
+
+    pub fn format(self: Amount, writer: *std.Io.Writer) !void {
+        try writer.print("{f} {s}", .{ self.number.withPrecision(2), self.currency });
+    }
+
+    pub fn jsonStringify(self: Amount, jw: anytype) !void {
+        var buf: [128]u8 = undefined;
+        const text = std.fmt.bufPrint(&buf, "{f}", .{self}) catch return error.WriteFailed;
+        try jw.write(text);
+    }
+};
+
+pub const Journal = struct {
+    rows: []const Row,
+    plot: common.PlotData,
+};
+
+const JournalData = struct {
+    plot: common.PlotData,
+    /// Only set in virtual mode.
+    rows: ?[]const Row = null,
+
+    pub const extra_event_name = "journal_rows";
+
+    pub fn extraEvent(self: *const JournalData) ?[]const Row {
+        return self.rows;
+    }
+
+    pub fn jsonStringify(self: *const JournalData, jw: anytype) !void {
+        try jw.write(self.plot);
+    }
+};
+
 pub fn handler(
     alloc: std.mem.Allocator,
     req: *std.http.Server.Request,
     state: *State,
     account: []const u8,
 ) !void {
-    try common.SseHandler(common.PlotData, []const u8).run(
+    try common.SseHandler(JournalData, []const u8).run(
         alloc,
         req,
         state,
@@ -35,23 +108,53 @@ fn render(
     display: DisplaySettings,
     out: *std.Io.Writer,
     account: []const u8,
-) !common.PlotData {
+) !JournalData {
+    const journal = try collect(alloc, project, display, account) orelse
+        return .{ .plot = .{ .alloc = alloc } };
+
+    const operating_currencies = try project.getConfig().getOperatingCurrencies(alloc);
+    try common.renderPlotArea(operating_currencies, out);
+
+    if (display.virtual orelse (journal.rows.len > virtual_threshold)) {
+        try zts.print(tpl, "virtual_table", .{ .height = journal.rows.len * row_height }, out);
+        try zts.write(tpl, "virtual_tree_node_middle", out);
+        try zts.write(t.tree, "tree_node_middle", out);
+        try zts.write(tpl, "virtual_tree_node_last", out);
+        try zts.write(t.tree, "tree_node_last", out);
+        try zts.write(tpl, "virtual_icon_leaf", out);
+        try zts.write(t.tree, "icon_leaf", out);
+        try zts.write(tpl, "virtual_table_end", out);
+        return .{ .plot = journal.plot, .rows = journal.rows };
+    }
+
+    try zts.write(tpl, "table", out);
+    for (journal.rows) |row| try writeRow(row, out);
+    try zts.write(tpl, "table_end", out);
+
+    return .{ .plot = journal.plot };
+}
+
+/// Rows and balance series of `account`'s journal. Null if there's no such
+/// account.
+pub fn collect(
+    alloc: std.mem.Allocator,
+    project: *Project,
+    display: DisplaySettings,
+    account: []const u8,
+) !?Journal {
     var tree = try Tree.init(alloc, &project.data.accounts, &project.data.currencies);
 
     var plot_data = common.PlotData{ .alloc = alloc };
 
-    const account_idx = project.findAccount(account) orelse return plot_data;
+    const account_idx = project.findAccount(account) orelse return null;
     const conversion_target: ?Data.CurrencyIndex = switch (display.conversion) {
         .units => null,
         .currency => |text| project.findCurrency(text),
     };
 
-    const operating_currencies = try project.getConfig().getOperatingCurrencies(alloc);
-
     var prices = Prices.init(alloc);
 
-    try common.renderPlotArea(operating_currencies, out);
-    try zts.write(tpl, "table", out);
+    var rows = std.ArrayList(Row).empty;
 
     var plain_inv = try Inventory.PlainInventory.init(alloc, null);
 
@@ -64,46 +167,23 @@ fn render(
                 if (open.account() == account_idx) {
                     _ = try tree.open(account_idx, null, open.bookingMethod());
                     if (display.isWithinDateRange(entry.date())) {
-                        try zts.print(tpl, "open", .{ .date = entry.date() }, out);
+                        try rows.append(alloc, .{
+                            .kind = .open,
+                            .date = try std.fmt.allocPrint(alloc, "{f}", .{entry.date()}),
+                        });
                     }
                 }
             },
             .transaction => |tx| {
                 if (tx.dirty()) continue;
                 if (!display.isWithinDateRange(entry.date())) continue;
+                if (!display.matchesFilter(entry)) continue;
                 var it = tx.postings();
                 var i: usize = 0;
                 while (it.next()) |p| : (i += 1) {
                     if (p.account() != account_idx) continue;
 
-                    const hash = entry.hash() + i;
-                    const flag_slice = tx.flagSlice();
-
-                    try zts.print(tpl, "transaction", .{
-                        .date = entry.date(),
-                        .flag = flag_slice,
-                        .highlight = switch (flag_slice[0]) {
-                            '!' => "flagged",
-                            else => "",
-                        },
-                    }, out);
-
-                    if (tx.payeeText()) |payee| {
-                        try zts.print(tpl, "transaction_payee", .{
-                            .payee = payee[1 .. payee.len - 1],
-                        }, out);
-                        if (tx.narrationText()) |n| if (n.len > 2) try zts.write(tpl, "transaction_separator", out);
-                    }
-                    if (tx.narrationText()) |n| if (n.len > 2) try zts.print(tpl, "transaction_narration", .{
-                        .narration = n[1 .. n.len - 1],
-                    }, out);
-
-                    try zts.print(tpl, "transaction_legs", .{ .hash = hash }, out);
-
-                    var ps = tx.postings();
-                    while (ps.next()) |_| {
-                        try zts.write(tpl, "transaction_leg", out);
-                    }
+                    const date = try std.fmt.allocPrint(alloc, "{f}", .{entry.date()});
 
                     const p_cur = p.amountCurrency().unwrap().?;
                     const conv_units, const conv_cur_idx = tryConvert(
@@ -112,10 +192,6 @@ fn render(
                         p.amountNumber().?,
                         p_cur,
                     );
-                    try zts.print(tpl, "transaction_legs_end", .{
-                        .change_units = conv_units.withPrecision(2),
-                        .change_cur = project.data.currencies.get(conv_cur_idx),
-                    }, out);
 
                     if (try tree.isDescendant(account_idx, p.account())) {
                         try plain_inv.add(p_cur, p.amountNumber().?);
@@ -129,52 +205,54 @@ fn render(
                         break :blk &plain_inv;
                     };
 
+                    var balances = std.ArrayList(Amount).empty;
                     var inv_iter = conv_inv.by_currency.iterator();
                     while (inv_iter.next()) |kv| {
                         const units = kv.value_ptr.*;
                         if (!units.is_zero()) {
-                            try zts.print(tpl, "transaction_balance_cur", .{
-                                .units = units.withPrecision(2),
-                                .cur = project.data.currencies.get(kv.key),
-                            }, out);
+                            try balances.append(alloc, .{
+                                .number = units,
+                                .currency = project.data.currencies.get(kv.key),
+                            });
                         }
                     }
 
-                    try zts.print(tpl, "transaction_balance_end", .{ .hash = hash }, out);
-
-                    var ps2 = tx.postings();
-                    while (ps2.next()) |p2| {
-                        try zts.write(tpl, "transaction_posting", out);
-
-                        if (ps2.remaining() > 0) {
-                            try zts.write(t.tree, "tree_node_middle", out);
-                        } else {
-                            try zts.write(t.tree, "tree_node_last", out);
-                        }
-                        try zts.write(tpl, "tree_icon", out);
-                        try zts.write(t.tree, "icon_leaf", out);
-
-                        {
-                            const p2_cur = p2.amountCurrency().unwrap().?;
-                            const units, const cur_idx = tryConvert(
-                                &prices,
-                                conversion_target,
-                                p2.amountNumber().?,
-                                p2_cur,
-                            );
-                            try zts.print(tpl, "tree_end", .{
-                                .account = p2.accountText(),
-                                .change_units = units.withPrecision(2),
-                                .change_cur = project.data.currencies.get(cur_idx),
-                            }, out);
-                        }
+                    const source = &project.data.files.items[entry.file()];
+                    var postings = std.ArrayList(Row.Posting).empty;
+                    var ps = tx.postings();
+                    while (ps.next()) |p2| {
+                        const units, const cur_idx = tryConvert(
+                            &prices,
+                            conversion_target,
+                            p2.amountNumber().?,
+                            p2.amountCurrency().unwrap().?,
+                        );
+                        const in_source = p2.astNode().unwrap() != null;
+                        try postings.append(alloc, .{
+                            .account = p2.accountText(),
+                            .change = .{ .number = units, .currency = project.data.currencies.get(cur_idx) },
+                            .file = if (in_source) source.uri.absolute() else "",
+                            .line = if (in_source) source.token(p2.accountToken()).start_line + 1 else 0,
+                        });
                     }
 
-                    try zts.write(tpl, "transaction_end", out);
+                    try rows.append(alloc, .{
+                        .kind = .transaction,
+                        .date = date,
+                        .flag = tx.flagSlice(),
+                        .payee = if (tx.payeeText()) |payee| payee[1 .. payee.len - 1] else null,
+                        .narration = nonEmptyText(tx.narrationText()),
+                        .hash = try std.fmt.allocPrint(alloc, "{d}", .{entry.hash() + i}),
+                        .change = .{ .number = conv_units, .currency = project.data.currencies.get(conv_cur_idx) },
+                        .balances = balances.items,
+                        .postings = postings.items,
+                        .file = source.uri.absolute(),
+                        .line = source.token(entry.mainToken()).start_line + 1,
+                    });
 
                     const balance = conv_inv.by_currency.get(conv_cur_idx).?;
                     try plot_data.points.append(alloc, .{
-                        .date = try std.fmt.allocPrint(alloc, "{f}", .{entry.date()}),
+                        .date = date,
                         .currency = project.data.currencies.get(conv_cur_idx),
                         .balance = balance.toFloat(),
                         .balance_rendered = try std.fmt.allocPrint(alloc, "{f}", .{balance.withPrecision(2)}),
@@ -188,9 +266,71 @@ fn render(
         }
     }
 
-    try zts.write(tpl, "table_end", out);
+    return .{ .rows = rows.items, .plot = plot_data };
+}
+
+fn writeRow(row: Row, out: *std.Io.Writer) !void {
+    if (row.kind == .open) {
+        try zts.print(tpl, "open", .{ .date = row.date }, out);
+        return;
+    }
+
+    try zts.print(tpl, "transaction", .{
+        .hash = row.hash,
+        .file = row.file,
+        .line = row.line,
+        .date = row.date,
+        .flag = row.flag,
+        .highlight = switch (row.flag[0]) {
+            '!' => "flagged",
+            else => "",
+        },
+    }, out);
+
+    if (row.payee) |payee| {
+        try zts.print(tpl, "transaction_payee", .{ .payee = payee }, out);
+        if (row.narration != null) try zts.write(tpl, "transaction_separator", out);
+    }
+    if (row.narration) |narration| {
+        try zts.print(tpl, "transaction_narration", .{ .narration = narration }, out);
+    }
+
+    try zts.print(tpl, "transaction_legs", .{ .hash = row.hash }, out);
+    for (row.postings) |_| {
+        try zts.write(tpl, "transaction_leg", out);
+    }
+    try zts.print(tpl, "transaction_legs_end", .{ .change = row.change.? }, out);
+
+    for (row.balances) |balance| {
+        try zts.print(tpl, "transaction_balance_cur", .{ .balance = balance }, out);
+    }
+    try zts.print(tpl, "transaction_balance_end", .{ .hash = row.hash }, out);
+
+    for (row.postings, 0..) |posting, i| {
+        try zts.write(tpl, "transaction_posting", out);
+        if (i + 1 < row.postings.len) {
+            try zts.write(t.tree, "tree_node_middle", out);
+        } else {
+            try zts.write(t.tree, "tree_node_last", out);
+        }
+        try zts.write(tpl, "tree_icon", out);
+        try zts.write(t.tree, "icon_leaf", out);
+        try zts.print(tpl, "tree_end", .{
+            .account = posting.account,
+            .change = posting.change,
+            .file = posting.file,
+            .line = posting.line,
+        }, out);
+    }
+
+    try zts.write(tpl, "transaction_end", out);
+}
 
-    return plot_data;
+/// Strips the quotes. Null for a missing or empty string.
+fn nonEmptyText(quoted: ?[]const u8) ?[]const u8 {
+    const text = quoted orelse return null;
+    if (text.len <= 2) return null;
+    return text[1 .. text.len - 1];
 }
 
 fn tryConvert(
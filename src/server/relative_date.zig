@@ -0,0 +1,189 @@
+//! Relative dates for `start_date` and `end_date`, so that a bookmarked view
+//! keeps showing e.g. the last 12 months as time goes by:
+//!
+//!     today         the current day
+//!     -12m, +1w     today moved by days (d), weeks (w), months (m),
+//!                   quarters (q) or years (y)
+//!     month, fy-1   the week, month, quarter, year or fiscal year (fy)
+//!                   containing today, optionally moved by whole periods
+//!
+//! A period stands for its first day as the start of a range and for its
+//! last day as the end. Plain dates are taken as they are. Mirrored by
+//! `resolveDate` in `src/assets/js/index.js`.
+const std = @import("std");
+const Date = @import("../date.zig").Date;
+const Project = @import("../project.zig");
+
+pub const Bound = enum { start, end };
+
+const Period = enum { week, month, quarter, year, fy };
+
+/// Last day of the fiscal year, from fava's
+/// `custom "fava-option" "fiscal-year-end" "03-31"`. The calendar year if
+/// not set.
+pub const FiscalYearEnd = struct {
+    month: u4 = 12,
+    day: u5 = 31,
+
+    pub fn fromProject(project: *Project) FiscalYearEnd {
+        var result = FiscalYearEnd{};
+        var iter = project.data.iterEntries();
+        while (iter.next()) |entry| {
+            const custom = switch (entry.payload()) {
+                .custom => |c| c,
+                else => continue,
+            };
+            if (!std.mem.eql(u8, custom.nameText(), "\"fava-option\"")) continue;
+
+            const values = custom.values();
+            if (values.len != 2) continue;
+            const key = custom.token(values[0]);
+            const value = custom.token(values[1]);
+            if (key.tag != .string or value.tag != .string) continue;
+            if (!std.mem.eql(u8, key.slice, "\"fiscal-year-end\"")) continue;
+
+            result = parse(value.slice[1 .. value.slice.len - 1]) catch continue;
+        }
+        return result;
+    }
+
+    /// Parses `MM-DD`. February 29th is not allowed since most years don't
+    /// have one.
+    pub fn parse(text: []const u8) !FiscalYearEnd {
+        if (text.len != 5 or text[2] != '-') return error.InvalidDate;
+        const month = try std.fmt.parseInt(u4, text[0..2], 10);
+        const day = try std.fmt.parseInt(u5, text[3..5], 10);
+        if (month < 1 or month > 12 or day < 1) return error.InvalidDate;
+        if (day > std.time.epoch.getDaysInMonth(2023, @enumFromInt(month))) return error.InvalidDate;
+        return .{ .month = month, .day = day };
+    }
+
+    pub fn format(self: FiscalYearEnd, writer: *std.Io.Writer) !void {
+        try writer.print("{d:0>2}-{d:0>2}", .{ self.month, self.day });
+    }
+
+    /// First day of the fiscal year containing `date`.
+    fn firstDay(self: FiscalYearEnd, date: Date) Date {
+        const end = Date{ .year = date.year, .month = self.month, .day = self.day };
+        // Past this year's end, the next fiscal year has begun.
+        if (date.compare(end) == .before) return end.nextDay();
+        return end.addMonths(-12).nextDay();
+    }
+};
+
+pub fn resolve(text: []const u8, bound: Bound, today: Date, fiscal_year_end: FiscalYearEnd) !Date {
+    if (Date.fromSlice(text)) |date| return date else |_| {}
+    if (std.mem.eql(u8, text, "today")) return today;
+
+    if (text.len >= 3 and (text[0] == '-' or text[0] == '+')) {
+        const n = try std.fmt.parseInt(i32, text[0 .. text.len - 1], 10);
+        return switch (text[text.len - 1]) {
+            'd' => today.addDaysChecked(n),
+            'w' => today.addDaysChecked(try mul(n, 7)),
+            'm' => today.addMonthsChecked(n),
+            'q' => today.addMonthsChecked(try mul(n, 3)),
+            'y' => today.addMonthsChecked(try mul(n, 12)),
+            else => error.InvalidDate,
+        };
+    }
+
+    const name_end = std.mem.indexOfAny(u8, text, "+-") orelse text.len;
+    const period = std.meta.stringToEnum(Period, text[0..name_end]) orelse return error.InvalidDate;
+    const shift: i32 = if (name_end < text.len) try std.fmt.parseInt(i32, text[name_end..], 10) else 0;
+
+    const first: Date, const months: i32 = switch (period) {
+        .week => {
+            const days_since_monday = (@as(i32, @intFromEnum(today.weekday())) + 6) % 7;
+            const days = std.math.sub(i32, try mul(shift, 7), days_since_monday) catch return error.InvalidDate;
+            const monday = try today.addDaysChecked(days);
+            return switch (bound) {
+                .start => monday,
+                .end => monday.addDaysChecked(6),
+            };
+        },
+        .month => .{ .{ .year = today.year, .month = today.month, .day = 1 }, 1 },
+        .quarter => .{ .{ .year = today.year, .month = @as(u4, today.getQuarter() - 1) * 3 + 1, .day = 1 }, 3 },
+        .year => .{ .{ .year = today.year, .month = 1, .day = 1 }, 12 },
+        .fy => .{ fiscal_year_end.firstDay(today), 12 },
+    };
+
+    const start = try first.addMonthsChecked(try mul(shift, months));
+    return switch (bound) {
+        .start => start,
+        .end => (try start.addMonthsChecked(months)).addDaysChecked(-1),
+    };
+}
+
+/// Offsets too large for any date are invalid ones.
+fn mul(a: i32, b: i32) !i32 {
+    return std.math.mul(i32, a, b) catch error.InvalidDate;
+}
+
+fn testResolve(text: []const u8, bound: Bound, expected: []const u8) !void {
+    const today = Date{ .year = 2024, .month = 2, .day = 29 };
+    const fiscal_year_end = FiscalYearEnd{ .month = 3, .day = 31 };
+    const date = try resolve(text, bound, today, fiscal_year_end);
+    try std.testing.expectEqual(try Date.fromSlice(expected), date);
+}
+
+test "resolve plain" {
+    try testResolve("2023-05-06", .start, "2023-05-06");
+    try testResolve("today", .end, "2024-02-29");
+}
+
+test "resolve offset" {
+    try testResolve("-12m", .start, "2023-02-28");
+    try testResolve("-1m", .start, "2024-01-29");
+    try testResolve("+1q", .end, "2024-05-29");
+    try testResolve("-2w", .start, "2024-02-15");
+    try testResolve("-30d", .start, "2024-01-30");
+    try testResolve("-1y", .start, "2023-02-28");
+}
+
+test "resolve period" {
+    // 2024-02-29 is a Thursday.
+    try testResolve("week", .start, "2024-02-26");
+    try testResolve("week", .end, "2024-03-03");
+    try testResolve("month", .start, "2024-02-01");
+    try testResolve("month", .end, "2024-02-29");
+    try testResolve("month-1", .start, "2024-01-01");
+    try testResolve("month-1", .end, "2024-01-31");
+    try testResolve("quarter+1", .end, "2024-06-30");
+    try testResolve("year", .start, "2024-01-01");
+    try testResolve("year-1", .end, "2023-12-31");
+    try testResolve("fy", .start, "2023-04-01");
+    try testResolve("fy", .end, "2024-03-31");
+    try testResolve("fy-1", .start, "2022-04-01");
+}
+
+test "resolve invalid" {
+    const today = Date{ .year = 2024, .month = 2, .day = 29 };
+    try std.testing.expectError(error.InvalidDate, resolve("decade", .start, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("-12x", .start, today, .{}));
+    try std.testing.expectError(error.InvalidCharacter, resolve("month-", .start, today, .{}));
+}
+
+test "resolve out of range" {
+    const today = Date{ .year = 2024, .month = 2, .day = 29 };
+    // Before 1970.
+    try std.testing.expectError(error.InvalidDate, resolve("-60y", .start, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("-20000d", .start, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("year-60", .end, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("week-3000", .start, today, .{}));
+    // Past year 9999, also when the offset overflows once multiplied.
+    try std.testing.expectError(error.InvalidDate, resolve("+8000y", .start, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("+2147483647d", .start, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("+2147483647w", .start, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("-2147483647y", .start, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("quarter+2147483647", .end, today, .{}));
+    try std.testing.expectError(error.InvalidDate, resolve("fy-2147483647", .start, today, .{}));
+    try testResolve("year+7975", .start, "9999-01-01");
+    try std.testing.expectError(error.InvalidDate, resolve("year+7976", .start, today, .{}));
+}
+
+test "FiscalYearEnd.parse" {
+    try std.testing.expectEqual(FiscalYearEnd{ .month = 6, .day = 30 }, try FiscalYearEnd.parse("06-30"));
+    try std.testing.expectError(error.InvalidDate, FiscalYearEnd.parse("02-29"));
+    try std.testing.expectError(error.InvalidDate, FiscalYearEnd.parse("13-01"));
+    try std.testing.expectError(error.InvalidDate, FiscalYearEnd.parse("6-30"));
+}
@@ -3,6 +3,7 @@ const Allocator = std.mem.Allocator;
 const Io = std.Io;
 const config = @import("config");
 const assets = @import("assets");
+const getHeader = @import("http.zig").getHeader;
 
 pub const Static = if (config.embed_static) StaticEmbedded else StaticFiles;
 
@@ -141,16 +142,6 @@ const StaticFiles = struct {
     }
 };
 
-fn getHeader(req: *std.http.Server.Request, name: []const u8) ?[]const u8 {
-    var it = req.iterateHeaders();
-    while (it.next()) |header| {
-        if (std.mem.eql(u8, header.name, name)) {
-            return header.value;
-        }
-    }
-    return null;
-}
-
 fn getMime(path: []const u8) []const u8 {
     const extension_start = std.mem.lastIndexOfScalar(u8, path, '.');
     if (extension_start) |start| {
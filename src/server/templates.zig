@@ -1,4 +1,5 @@
 pub const balance_sheet = @embedFile("../templates/balance_sheet.html");
+pub const budget = @embedFile("../templates/budget.html");
 pub const income_statement = @embedFile("../templates/income_statement.html");
 pub const journal = @embedFile("../templates/journal.html");
 pub const plot = @embedFile("../templates/plot_area.html");
@@ -0,0 +1,193 @@
+//! Minimal XLSX writer: one worksheet per table with inline strings and
+//! numbers, no styles. The zip container stores its files uncompressed.
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+const Table = @import("export.zig").Table;
+
+const File = struct {
+    name: []const u8,
+    data: []const u8,
+};
+
+pub fn write(alloc: Allocator, tables: []const Table, out: *std.Io.Writer) !void {
+    var files = std.ArrayList(File).empty;
+
+    var content_types = std.Io.Writer.Allocating.init(alloc);
+    try content_types.writer.writeAll(
+        \\<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+        \\<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+        \\<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+        \\<Default Extension="xml" ContentType="application/xml"/>
+        \\<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+        \\
+    );
+    for (1..tables.len + 1) |i| {
+        try content_types.writer.print(
+            \\<Override PartName="/xl/worksheets/sheet{d}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+            \\
+        , .{i});
+    }
+    try content_types.writer.writeAll("</Types>\n");
+    try files.append(alloc, .{ .name = "[Content_Types].xml", .data = content_types.written() });
+
+    try files.append(alloc, .{ .name = "_rels/.rels", .data =
+    \\<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+    \\<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    \\<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+    \\</Relationships>
+    \\
+    });
+
+    var workbook = std.Io.Writer.Allocating.init(alloc);
+    var workbook_rels = std.Io.Writer.Allocating.init(alloc);
+    try workbook.writer.writeAll(
+        \\<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+        \\<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+        \\<sheets>
+        \\
+    );
+    try workbook_rels.writer.writeAll(
+        \\<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+        \\<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+        \\
+    );
+    for (tables, 1..) |table, i| {
+        try workbook.writer.writeAll("<sheet name=\"");
+        try writeEscaped(table.name, &workbook.writer);
+        try workbook.writer.print("\" sheetId=\"{d}\" r:id=\"rId{d}\"/>\n", .{ i, i });
+        try workbook_rels.writer.print(
+            \\<Relationship Id="rId{d}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet{d}.xml"/>
+            \\
+        , .{ i, i });
+
+        try files.append(alloc, .{
+            .name = try std.fmt.allocPrint(alloc, "xl/worksheets/sheet{d}.xml", .{i}),
+            .data = try worksheet(alloc, table),
+        });
+    }
+    try workbook.writer.writeAll("</sheets>\n</workbook>\n");
+    try workbook_rels.writer.writeAll("</Relationships>\n");
+    try files.append(alloc, .{ .name = "xl/workbook.xml", .data = workbook.written() });
+    try files.append(alloc, .{ .name = "xl/_rels/workbook.xml.rels", .data = workbook_rels.written() });
+
+    try writeZip(files.items, out);
+}
+
+fn worksheet(alloc: Allocator, table: Table) ![]const u8 {
+    var sheet = std.Io.Writer.Allocating.init(alloc);
+    const w = &sheet.writer;
+    try w.writeAll(
+        \\<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+        \\<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+        \\
+    );
+
+    try w.writeAll("<row>");
+    for (table.columns) |column| try writeString(column, w);
+    try w.writeAll("</row>\n");
+
+    for (table.rows.items) |row| {
+        try w.writeAll("<row>");
+        for (row) |cell| switch (cell) {
+            .text => |text| try writeString(text, w),
+            .number => |number| try w.print("<c><v>{d}</v></c>", .{number}),
+        }
+        try w.writeAll("</row>\n");
+    }
+
+    try w.writeAll("</sheetData></worksheet>\n");
+    return sheet.written();
+}
+
+fn writeString(text: []const u8, w: *std.Io.Writer) !void {
+    try w.writeAll("<c t=\"inlineStr\"><is><t xml:space=\"preserve\">");
+    try writeEscaped(text, w);
+    try w.writeAll("</t></is></c>");
+}
+
+fn writeEscaped(text: []const u8, w: *std.Io.Writer) !void {
+    for (text) |c| switch (c) {
+        '&' => try w.writeAll("&amp;"),
+        '<' => try w.writeAll("&lt;"),
+        '>' => try w.writeAll("&gt;"),
+        '"' => try w.writeAll("&quot;"),
+        else => try w.writeByte(c),
+    }
+}
+
+/// 1980-01-01, the earliest date a zip file can hold.
+const dos_date: u16 = (0 << 9) | (1 << 5) | 1;
+
+fn writeZip(files: []const File, out: *std.Io.Writer) !void {
+    var offset: u32 = 0;
+    for (files) |file| {
+        try out.writeInt(u32, 0x04034b50, .little);
+        try writeEntryHeader(file, out);
+        try out.writeInt(u16, 0, .little); // extra field length
+        try out.writeAll(file.name);
+        try out.writeAll(file.data);
+        offset += @intCast(30 + file.name.len + file.data.len);
+    }
+
+    const central_directory = offset;
+    var local_header: u32 = 0;
+    for (files) |file| {
+        try out.writeInt(u32, 0x02014b50, .little);
+        try out.writeInt(u16, 20, .little); // version made by
+        try writeEntryHeader(file, out);
+        try out.writeInt(u16, 0, .little); // extra field length
+        try out.writeInt(u16, 0, .little); // comment length
+        try out.writeInt(u16, 0, .little); // disk number
+        try out.writeInt(u16, 0, .little); // internal attributes
+        try out.writeInt(u32, 0, .little); // external attributes
+        try out.writeInt(u32, local_header, .little);
+        try out.writeAll(file.name);
+        local_header += @intCast(30 + file.name.len + file.data.len);
+        offset += @intCast(46 + file.name.len);
+    }
+
+    try out.writeInt(u32, 0x06054b50, .little);
+    try out.writeInt(u16, 0, .little); // disk number
+    try out.writeInt(u16, 0, .little); // disk with central directory
+    try out.writeInt(u16, @intCast(files.len), .little);
+    try out.writeInt(u16, @intCast(files.len), .little);
+    try out.writeInt(u32, offset - central_directory, .little);
+    try out.writeInt(u32, central_directory, .little);
+    try out.writeInt(u16, 0, .little); // comment length
+}
+
+/// The fields shared by local and central headers, up to the name length.
+fn writeEntryHeader(file: File, out: *std.Io.Writer) !void {
+    try out.writeInt(u16, 20, .little); // version needed
+    try out.writeInt(u16, 0, .little); // flags
+    try out.writeInt(u16, 0, .little); // stored
+    try out.writeInt(u16, 0, .little); // time
+    try out.writeInt(u16, dos_date, .little);
+    try out.writeInt(u32, std.hash.Crc32.hash(file.data), .little);
+    try out.writeInt(u32, @intCast(file.data.len), .little); // compressed size
+    try out.writeInt(u32, @intCast(file.data.len), .little); // uncompressed size
+    try out.writeInt(u16, @intCast(file.name.len), .little);
+}
+
+test "zip layout" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const alloc = arena.allocator();
+
+    var table = Table{ .name = "A & B", .columns = &.{ "Payee", "Amount" } };
+    try table.rows.append(alloc, &.{ .{ .text = "<REWE>" }, .{ .number = -12.5 } });
+
+    var out = std.Io.Writer.Allocating.init(alloc);
+    try write(alloc, &.{table}, &out.writer);
+    const zip = out.written();
+
+    try std.testing.expectEqualStrings("PK\x03\x04", zip[0..4]);
+    // End of central directory record, without comment.
+    const eocd = zip[zip.len - 22 ..];
+    try std.testing.expectEqualStrings("PK\x05\x06", eocd[0..4]);
+    try std.testing.expectEqual(5, std.mem.readInt(u16, eocd[10..12], .little));
+
+    try std.testing.expect(std.mem.indexOf(u8, zip, "<sheet name=\"A &amp; B\"") != null);
+    try std.testing.expect(std.mem.indexOf(u8, zip, "&lt;REWE&gt;</t>") != null);
+    try std.testing.expect(std.mem.indexOf(u8, zip, "<c><v>-12.5</v></c>") != null);
+}
@@ -1,6 +1,7 @@
 import { test, expect, beforeAll, afterAll, describe } from 'bun:test';
 import puppeteer from 'puppeteer';
 import { spawn } from 'child_process';
+import { readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
 
 const __dirname = import.meta.dir;
@@ -17,28 +18,7 @@ let page = null;
 let sseInterceptionSetup = false;
 
 beforeAll(async () => {
-  console.log('Starting turbobean server...');
-  await new Promise((resolve, reject) => {
-    server = spawn(BINARY_PATH, ['serve', TEST_FILE], {
-      stdio: 'pipe',
-      cwd: REPO_ROOT,
-    });
-
-    // Turbobean mostly outputs to stderr for now which is normal
-    server.stderr.on('data', (data) => {
-      const output = data.toString().trim();
-      if (!output.includes('[info]')) {
-        console.log('[server]', output);
-      }
-      if (output.includes('Listening on')) {
-        resolve();
-      }
-    });
-
-    server.on('error', (err) => {
-      reject(new Error(`Failed to start server: ${err.message}`));
-    });
-  });
+  await startServer();
 
   console.log('Launching browser...');
   browser = await puppeteer.launch({
@@ -123,6 +103,59 @@ describe('TurboBean Server', () => {
     });
   });
 
+  describe('Plot Zoom', () => {
+    const zoomArea = () => page.$eval('#d3 .zoom-area', el => {
+      const { x, y, width, height } = el.getBoundingClientRect();
+      return { x, y, width, height };
+    });
+    const resetVisible = () => page.$eval('#d3 .reset-zoom', el => getComputedStyle(el).display !== 'none');
+
+    test('Wheel zooms the time axis', async () => {
+      await goto('journal/Assets:Checking?interval=week');
+      await page.waitForSelector('#d3 .zoom-area');
+      expect(await resetVisible()).toBe(false);
+
+      const ticks = () => page.$$eval('#d3 .sans .tick text', els => els.map(el => el.textContent));
+      const before = await ticks();
+
+      const box = await zoomArea();
+      await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+      await page.mouse.wheel({ deltaY: -500 });
+      await Bun.sleep(100);
+
+      expect(await ticks()).not.toEqual(before);
+      expect(await resetVisible()).toBe(true);
+
+      await page.click('#d3 .reset-zoom');
+      await Bun.sleep(100);
+      expect(await ticks()).toEqual(before);
+      expect(await resetVisible()).toBe(false);
+    });
+
+    test('Brushing the axis sets the date range', async () => {
+      await goto('journal/Assets:Checking?interval=week');
+      await page.waitForSelector('#d3 .zoom-area');
+
+      const box = await zoomArea();
+      const y = box.y + box.height + 10;
+      await page.mouse.move(box.x + 1, y);
+      await page.mouse.down();
+      await page.mouse.move(box.x + box.width / 2, y, { steps: 5 });
+      await page.mouse.up();
+      await Bun.sleep(100);
+
+      const params = new URL(page.url()).searchParams;
+      expect(params.get('start_date')).toMatch(/^2024-01-\d\d$/);
+      expect(params.get('end_date')).toMatch(/^2024-01-\d\d$/);
+      expect(await page.$eval('#startDate', el => el.value)).toBe(params.get('start_date'));
+
+      await page.click('#d3 .reset-zoom');
+      await Bun.sleep(100);
+      expect(new URL(page.url()).searchParams.get('start_date')).toBeNull();
+      expect(new URL(page.url()).searchParams.get('end_date')).toBeNull();
+    });
+  });
+
   describe('Income Statement', () => {
     test('Plot points (week)', async () => {
       const sseCapture = await captureSSEEvents('plot_changes');
@@ -173,6 +206,568 @@ describe('TurboBean Server', () => {
     });
   });
 
+  describe('Comparison', () => {
+    const accountCells = (account) => page.$$eval(
+      `.balance_sheet_part .account[data-key="${account}"] .balances`,
+      els => els.map(el => el.textContent.trim().replace(/\s+/g, ' ')),
+    );
+
+    test('Custom range', async () => {
+      await goto('balance_sheet?start_date=2024-01-01&end_date=2024-01-19'
+        + '&compare=custom&compare_start_date=2024-01-01&compare_end_date=2024-01-10');
+      await page.waitForSelector('.comparison');
+
+      expect(await page.$eval('.comparison', el => el.textContent))
+        .toBe('Compared to 2024-01-01 – 2024-01-10');
+      expect(await accountCells('Assets:Checking')).toEqual(['3,850.00', '1,000.00', '+2,850.00 +285%', '']);
+      expect(await page.$eval('.account[data-key="Assets:Checking"] .change', el => el.classList.contains('mover')))
+        .toBe(true);
+    });
+
+    test('Previous period', async () => {
+      await goto('income_statement?start_date=2024-01-15&end_date=2024-01-28&compare=previous');
+      await page.waitForSelector('.comparison');
+
+      expect(await page.$eval('.comparison', el => el.textContent))
+        .toBe('Compared to 2024-01-01 – 2024-01-14');
+      expect(await accountCells('Expenses:Groceries')).toEqual(['150.00', '', '+150.00', '']);
+    });
+
+    test('Accounts only in the compared range', async () => {
+      await goto('income_statement?start_date=2024-01-01&end_date=2024-01-14'
+        + '&compare=custom&compare_start_date=2024-01-15&compare_end_date=2024-01-28');
+      await page.waitForSelector('.comparison');
+
+      expect(await accountCells('Expenses:Groceries')).toEqual(['', '150.00', '-150.00 -100%', '']);
+      expect(await accountCells('Expenses')).toEqual(['', '150.00', '-150.00 -100%', '']);
+      // Parents add up their sub-accounts, so only those are ranked.
+      const mover = (account) => page.$eval(`.account[data-key="${account}"] .change`, el => el.classList.contains('mover'));
+      expect(await mover('Expenses:Groceries')).toBe(true);
+      expect(await mover('Expenses')).toBe(false);
+    });
+  });
+
+  describe('Drill Down', () => {
+    const click = (selector) => page.$eval(selector, el => el.dispatchEvent(new MouseEvent('click', { bubbles: true })));
+
+    test('Bar opens the journal for its period', async () => {
+      await goto('income_statement?interval=week');
+      await page.waitForSelector('#d3 .account-rect[data-account="Expenses:Groceries"]');
+      await click('#d3 .account-rect[data-account="Expenses:Groceries"]');
+      await page.waitForFunction(() => location.pathname === '/journal/Expenses:Groceries');
+      await Bun.sleep(100);
+
+      const params = new URL(page.url()).searchParams;
+      expect(params.get('start_date')).toBe('2024-01-15');
+      expect(params.get('end_date')).toBe('2024-01-21');
+      expect(params.get('interval')).toBe('week');
+
+      const transactions = await getTransactions();
+      expect(transactions.map(t => t.narration)).toEqual(['Groceries']);
+    });
+
+    test('Background band scopes the income statement', async () => {
+      await goto('income_statement?interval=month');
+      await page.waitForSelector('#d3 .period-band');
+      await click('#d3 .period-band[data-period="Jan 2024"]');
+      await page.waitForFunction(() => new URL(location).searchParams.has('start_date'));
+
+      const url = new URL(page.url());
+      expect(url.pathname).toBe('/income_statement');
+      expect(url.searchParams.get('start_date')).toBe('2024-01-01');
+      expect(url.searchParams.get('end_date')).toBe('2024-01-31');
+    });
+  });
+
+  describe('Legend', () => {
+    const legendItem = (series) => `#legend .legend-item[data-series="${series}"]`;
+    const bars = () => page.$$eval('#d3 .account-rect', els => [...new Set(els.map(el => el.dataset.account))]);
+
+    test('Toggles accounts and remembers them', async () => {
+      await goto('income_statement?interval=week');
+      await page.waitForSelector(legendItem('Expenses:Groceries'));
+      expect(await bars()).toEqual(['Expenses:Groceries', 'Income:Salary']);
+
+      await page.click(legendItem('Expenses:Groceries'));
+      expect(await bars()).toEqual(['Income:Salary']);
+      expect(await page.$eval(legendItem('Expenses:Groceries'), el => el.classList.contains('hidden'))).toBe(true);
+
+      await goto('income_statement?interval=week');
+      await page.waitForSelector(legendItem('Expenses:Groceries'));
+      expect(await bars()).toEqual(['Income:Salary']);
+
+      await page.click(legendItem('Expenses:Groceries'));
+      expect(await bars()).toEqual(['Expenses:Groceries', 'Income:Salary']);
+    });
+
+    test('Account colors', async () => {
+      const color = (series) => page.$eval(`${legendItem(series)} .legend-value`, el => el.style.backgroundColor);
+
+      await goto('income_statement?interval=week');
+      await page.waitForSelector(legendItem('Income:Salary'));
+      expect(await color('Income:Salary')).toBe('rgb(44, 160, 44)');
+      const groceries = await color('Expenses:Groceries');
+
+      // Without the salary in the range.
+      await goto('income_statement?interval=week&start_date=2024-01-16&end_date=2024-01-31');
+      await page.waitForSelector(legendItem('Expenses:Groceries'));
+      expect(await page.$(legendItem('Income:Salary'))).toBeNull();
+      expect(await color('Expenses:Groceries')).toBe(groceries);
+    });
+
+    test('Shift-click isolates a series', async () => {
+      await goto('income_statement?interval=week');
+      await page.waitForSelector(legendItem('Income:Salary'));
+
+      await page.keyboard.down('Shift');
+      await page.click(legendItem('Income:Salary'));
+      expect(await bars()).toEqual(['Income:Salary']);
+      await page.click(legendItem('Income:Salary'));
+      await page.keyboard.up('Shift');
+      expect(await bars()).toEqual(['Expenses:Groceries', 'Income:Salary']);
+    });
+
+    test('Hides currencies per route', async () => {
+      await goto('balance_sheet?interval=week');
+      await page.waitForSelector(legendItem('AAPL'));
+      await page.click(legendItem('AAPL'));
+      expect(await page.$$eval('#d3 .circle-AAPL', els => els.length)).toBe(0);
+      expect(await page.$$eval('#d3 .circle-USD', els => els.length)).toBeGreaterThan(0);
+
+      await goto('journal/Assets:Stocks?interval=week');
+      await page.waitForSelector(legendItem('AAPL'));
+      expect(await page.$$eval('#d3 .circle-AAPL', els => els.length)).toBeGreaterThan(0);
+
+      await page.evaluate(() => localStorage.removeItem('plotHidden'));
+    });
+  });
+
+  describe('Chart Types', () => {
+    const selectChart = async (type) => {
+      await page.waitForSelector('select[name="chart"] option');
+      await page.select('select[name="chart"]', type);
+    };
+
+    afterAll(async () => {
+      await page.evaluate(() => localStorage.removeItem('chartType'));
+    });
+
+    test('Net worth points', async () => {
+      const sseCapture = await captureSSEEvents('net_worth');
+      await goto('balance_sheet?interval=week');
+
+      const events = await sseCapture.waitForEvents(1);
+      expect(events[0].data).toEqual([
+        { date: '2024-01-07', currency: 'USD', assets: 1000, liabilities: 0 },
+        { date: '2024-01-14', currency: 'USD', assets: 1000, liabilities: 0 },
+        { date: '2024-01-21', currency: 'USD', assets: 3350, liabilities: 500 },
+        { date: '2024-01-28', currency: 'USD', assets: 2350, liabilities: 500 },
+        { date: '2024-01-28', currency: 'AAPL', assets: 1, liabilities: 0 },
+      ]);
+    });
+
+    test('Assets and liabilities area', async () => {
+      await goto('balance_sheet?interval=week');
+      await selectChart('net_worth');
+      await page.waitForSelector('#d3 .net-worth-line');
+
+      expect(await page.$$eval('#d3 .net-worth-assets', els => els.length)).toBe(2);
+      expect(await page.$$eval('#d3 .circle', els => els.length)).toBe(0);
+
+      // Remembered for the next visit.
+      await goto('balance_sheet?interval=week');
+      await page.waitForSelector('#d3 .net-worth-line');
+      expect(await page.$eval('select[name="chart"]', el => el.value)).toBe('net_worth');
+    });
+
+    test('Savings rate', async () => {
+      await goto('income_statement?interval=week');
+      await selectChart('savings_rate');
+      await page.waitForSelector('#d3 .savings-rate-USD');
+
+      const ticks = await page.$$eval('#d3 .mono .tick text', els => els.map(el => el.textContent));
+      expect(ticks.length).toBeGreaterThan(0);
+      expect(ticks.every(tick => tick.endsWith('%'))).toBe(true);
+    });
+
+    test('Expense treemap', async () => {
+      await goto('income_statement?interval=week');
+      await selectChart('treemap');
+      await page.waitForSelector('#d3 .treemap-cell');
+
+      const cells = await page.$$eval('#d3 .treemap-cell', els => els.map(el => el.dataset.account));
+      expect(cells).toEqual(['Expenses:Groceries']);
+
+      await page.click('#d3 .treemap-cell');
+      await page.waitForFunction(() => location.pathname === '/journal/Expenses:Groceries');
+    });
+
+    test('Expense treemap shows the own amount of parent accounts', async () => {
+      const original = readFileSync(TEST_FILE, 'utf8');
+      try {
+        writeFileSync(TEST_FILE, `${original}
+2024-01-01 open Expenses:Groceries:Organic USD
+
+2024-01-25 txn "Organic"
+  Assets:Checking        -40.00 USD
+  Expenses:Groceries:Organic
+`);
+        await goto('income_statement?interval=week');
+        await selectChart('treemap');
+        await page.waitForFunction(() => document.querySelectorAll('#d3 .treemap-cell').length === 2, { timeout: 5000 });
+
+        const cells = await page.$$eval('#d3 .treemap-cell', els => els.map(el => ({
+          account: el.dataset.account,
+          label: el.querySelector('text')?.textContent,
+        })));
+        expect(cells).toEqual([
+          { account: 'Expenses:Groceries', label: 'Groceries (own)' },
+          { account: 'Expenses:Groceries:Organic', label: 'Organic' },
+        ]);
+      } finally {
+        writeFileSync(TEST_FILE, original);
+        await page.waitForFunction(() => document.querySelectorAll('#d3 .treemap-cell').length === 1, { timeout: 5000 });
+      }
+    }, 15000);
+
+    test('Journal has no chart choice', async () => {
+      await goto('journal/Assets:Checking');
+      await page.waitForSelector('#d3 .circle');
+      expect(await page.$eval('select[name="chart"]', el => getComputedStyle(el).display)).toBe('none');
+    });
+  });
+
+  describe('Budget', () => {
+    test('Budget per interval', async () => {
+      const sseCapture = await captureSSEEvents('budget');
+      await goto('income_statement?interval=week');
+
+      // 310 USD a month are 10 USD a day.
+      const events = await sseCapture.waitForEvents(1);
+      expect(events[0].data).toEqual([
+        { date: '2024-01-07', currency: 'USD', budget: 70, actual: 0 },
+        { date: '2024-01-14', currency: 'USD', budget: 70, actual: 0 },
+        { date: '2024-01-21', currency: 'USD', budget: 70, actual: 150 },
+        { date: '2024-01-28', currency: 'USD', budget: 70, actual: 0 },
+      ]);
+    });
+
+    test('Overlay on the income statement chart', async () => {
+      await goto('income_statement?interval=week');
+      await page.waitForSelector('#d3 .budget-marker');
+
+      const markers = await page.$$eval('#d3 .budget-marker', els => els.map(el => [el.dataset.period, el.classList.contains('over')]));
+      expect(markers).toEqual([['W1 2024', false], ['W2 2024', false], ['W3 2024', true], ['W4 2024', false]]);
+    });
+
+    test('Progress bars', async () => {
+      await goto('budget?interval=week');
+      await page.waitForSelector('.budget .row:not(.header)');
+
+      const rows = await page.$$eval('.budget .row:not(.header)', rows => rows.map(row => ({
+        cells: Array.from(row.querySelectorAll('.cell')).map(cell => cell.textContent.trim()),
+        over: row.classList.contains('over'),
+      })));
+      expect(rows).toEqual([{
+        cells: ['Expenses:Groceries', '280.00 USD', '150.00 USD', '130.00 USD', '54%'],
+        over: false,
+      }]);
+
+      // The chart only shows budgeted accounts.
+      await page.waitForSelector('#d3 .account-rect');
+      const accounts = await page.$$eval('#d3 .account-rect', els => els.map(el => el.dataset.account));
+      expect(accounts).toEqual(['Expenses:Groceries']);
+    });
+
+    test('Over budget within the date range', async () => {
+      await goto('budget?interval=week&start_date=2024-01-15&end_date=2024-01-21');
+      await page.waitForSelector('.budget .row.over');
+
+      const remaining = await page.$eval('.budget .row.over .remaining', el => el.textContent.trim());
+      expect(remaining).toBe('-80.00 USD');
+    });
+  });
+
+  describe('Shared Views', () => {
+    afterAll(async () => {
+      await page.evaluate(() => {
+        localStorage.removeItem('accountCollapsed');
+        localStorage.removeItem('savedViews');
+      });
+    });
+
+    test('Link restores collapsed accounts', async () => {
+      await goto('balance_sheet?interval=month');
+      await page.waitForSelector('.balance_sheet .account');
+      await page.evaluate(() => Alpine.store('accountCollapsed').toggle('Assets'));
+      const path = await page.evaluate(() => Alpine.$data(document.body).viewPath());
+      expect(path).toStartWith('/balance_sheet?interval=month&');
+      expect(new URLSearchParams(path.split('?')[1]).has('view')).toBe(true);
+
+      await page.evaluate(() => localStorage.removeItem('accountCollapsed'));
+      await goto(path.slice(1));
+      await page.waitForSelector('.balance_sheet .account');
+
+      expect(await page.evaluate(() => [...Alpine.store('accountCollapsed').collapsed])).toEqual(['Assets']);
+      const url = new URL(page.url());
+      expect(url.searchParams.has('view')).toBe(false);
+      expect(url.searchParams.get('interval')).toBe('month');
+    });
+
+    test('Malformed links are ignored', async () => {
+      await goto('balance_sheet');
+      await page.evaluate(() => Alpine.store('accountCollapsed').collapsed = new Set(['Assets']));
+
+      for (const state of ['{"c":"Assets"}', '{"h":[1]}', 'null', '["Assets"]']) {
+        const view = Buffer.from(state).toString('base64url');
+        await goto(`balance_sheet?view=${view}`);
+        await page.waitForSelector('.balance_sheet .account');
+        expect(await page.evaluate(() => [...Alpine.store('accountCollapsed').collapsed])).toEqual(['Assets']);
+      }
+    });
+
+    test('Saved view in the palette', async () => {
+      await goto('income_statement?interval=quarter');
+      page.once('dialog', dialog => dialog.accept('Quarterly income'));
+      await page.click('header .views button:nth-child(2)');
+
+      await goto('balance_sheet');
+      await page.keyboard.press('g');
+      await page.keyboard.type('Quarterly');
+      await page.waitForSelector('nav .result .kind');
+      expect(await page.$eval('nav .result.active .kind', el => el.textContent)).toBe('View');
+
+      await page.keyboard.press('Enter');
+      await page.waitForFunction(() => location.pathname === '/income_statement');
+      expect(new URL(page.url()).searchParams.get('interval')).toBe('quarter');
+    });
+
+    test('Names are shown literally', async () => {
+      await goto('balance_sheet');
+      page.once('dialog', dialog => dialog.accept('<b>x</b>'));
+      await page.click('header .views button:nth-child(2)');
+
+      await page.keyboard.press('g');
+      await page.keyboard.type('<b>x');
+      await page.waitForSelector('nav .result .kind');
+      const result = await page.$eval('nav .result.active', el => ({
+        kind: el.querySelector('.kind').textContent,
+        text: el.lastElementChild.textContent,
+        bold: el.querySelector('b') !== null,
+      }));
+      expect(result).toEqual({ kind: 'View', text: '<b>x</b>', bold: false });
+      await page.keyboard.press('Escape');
+    });
+  });
+
+  describe('Palette Commands', () => {
+    afterAll(async () => {
+      await page.evaluate(() => localStorage.removeItem('accountCollapsed'));
+    });
+
+    const run = async (query) => {
+      await page.keyboard.press('g');
+      await page.keyboard.type(query);
+      await page.waitForFunction(() => document.querySelector('nav .result.active .kind')?.textContent === 'Command');
+      await page.keyboard.press('Enter');
+    };
+
+    test('Change interval', async () => {
+      await goto('income_statement?interval=week');
+      await run('Interval: Monthly');
+      await page.waitForFunction(() => new URLSearchParams(location.search).get('interval') === 'month');
+      expect(new URL(page.url()).pathname).toBe('/income_statement');
+    });
+
+    test('Jump to a payee with quotes', async () => {
+      const original = readFileSync(TEST_FILE, 'utf8');
+      try {
+        writeFileSync(TEST_FILE, `${original}
+2024-01-26 * "Bob \\"the\\" Builder" "Shed"
+  Expenses:Groceries      25.00 USD
+  Assets:Checking
+`);
+        await goto('balance_sheet');
+        await page.keyboard.press('g');
+        await page.keyboard.type('Bob the Builder');
+        await page.waitForFunction(() => document.querySelector('nav .result.active .kind')?.textContent === 'Payee', { timeout: 5000 });
+        await page.keyboard.press('Enter');
+
+        await page.waitForFunction(() => location.pathname === '/journal/Expenses:Groceries');
+        expect(new URL(page.url()).searchParams.get('filter')).toBe('payee:"Bob \\"the\\" Builder"');
+        await page.waitForSelector('.journal .row:not(.header)');
+        const transactions = await getTransactions();
+        expect(transactions.map(t => t.narration)).toEqual(['Shed']);
+      } finally {
+        writeFileSync(TEST_FILE, original);
+      }
+    }, 15000);
+
+    test('Collapse and expand all accounts', async () => {
+      await goto('balance_sheet');
+      await page.waitForSelector('.balance_sheet .account');
+      await run('Collapse or expand all');
+      const collapsed = await page.evaluate(() => [...Alpine.store('accountCollapsed').collapsed]);
+      expect(collapsed).toContain('Assets');
+      expect(collapsed).toContain('Expenses');
+
+      await run('Collapse or expand all');
+      expect(await page.evaluate(() => Alpine.store('accountCollapsed').collapsed.size)).toBe(0);
+    });
+  });
+
+  describe('Keyboard', () => {
+    afterAll(async () => {
+      await page.evaluate(() => {
+        localStorage.removeItem('txOpen');
+        localStorage.removeItem('accountCollapsed');
+      });
+    });
+
+    const cursorText = () => page.$eval('.cursor', el => el.textContent.replace(/\s+/g, ' ').trim());
+
+    test('Move through the journal and open an account', async () => {
+      await goto('journal/Assets:Checking');
+      await page.waitForSelector('.journal .row:not(.header)');
+
+      // Open, Opening balances, Salary.
+      await page.keyboard.press('j');
+      await page.keyboard.press('j');
+      await page.keyboard.press('j');
+      expect(await page.$eval('.journal .row.cursor .narration', el => el.textContent)).toBe('Salary');
+
+      await page.keyboard.press('Enter');
+      await Bun.sleep(50);
+      expect(await page.$eval('.journal .row.cursor .postings', el => el.offsetParent !== null)).toBe(true);
+
+      await page.keyboard.press('j');
+      expect(await cursorText()).toBe('Assets:Checking');
+      await page.keyboard.press('j');
+      expect(await cursorText()).toBe('Income:Salary');
+
+      await page.keyboard.press('o');
+      await page.waitForFunction(() => location.pathname === '/journal/Income:Salary');
+    });
+
+    test('Collapse and expand in the balance sheet', async () => {
+      await goto('balance_sheet');
+      await page.waitForSelector('.balance_sheet_part .account');
+
+      await page.keyboard.press('j');
+      expect(await page.$eval('.account.cursor', el => el.dataset.key)).toBe('Assets');
+
+      await page.keyboard.press('h');
+      expect(await page.evaluate(() => Alpine.store('accountCollapsed').collapsed.has('Assets'))).toBe(true);
+      await page.keyboard.press('l');
+      expect(await page.evaluate(() => Alpine.store('accountCollapsed').collapsed.has('Assets'))).toBe(false);
+    });
+
+    test('Shift the date range by the interval', async () => {
+      await goto('income_statement?interval=month&start_date=2024-01-01&end_date=2024-01-31');
+      await page.keyboard.press(']');
+      await page.waitForFunction(() => new URLSearchParams(location.search).get('start_date') === '2024-02-01');
+      expect(new URLSearchParams(new URL(page.url()).search).get('end_date')).toBe('2024-02-29');
+    });
+
+    test('Help overlay', async () => {
+      await goto('balance_sheet');
+      await page.keyboard.press('?');
+      await page.waitForSelector('.keyboard_help', { visible: true });
+      await page.keyboard.press('Escape');
+      await page.waitForSelector('.keyboard_help', { hidden: true });
+    });
+  });
+
+  describe('Theme', () => {
+    afterAll(async () => {
+      await page.evaluate(() => localStorage.removeItem('theme'));
+    });
+
+    test('Switch to dark and keep it after a reload', async () => {
+      await goto('balance_sheet');
+      await page.select('select.theme', 'dark');
+      expect(await page.evaluate(() => document.documentElement.dataset.theme)).toBe('dark');
+      expect(await page.evaluate(() => getComputedStyle(document.body).backgroundColor)).not.toBe('rgb(255, 255, 255)');
+
+      await page.reload();
+      expect(await page.evaluate(() => document.documentElement.dataset.theme)).toBe('dark');
+      expect(await page.$eval('select.theme', el => el.value)).toBe('dark');
+
+      await page.select('select.theme', 'light');
+      expect(await page.evaluate(() => document.documentElement.dataset.theme)).toBe('light');
+    });
+  });
+
+  describe('Editor Links', () => {
+    afterAll(async () => {
+      await page.evaluate(() => localStorage.removeItem('editor'));
+    });
+
+    test('Only shown once an editor is picked', async () => {
+      await goto('balance_sheet');
+      await page.waitForSelector('.balance_sheet .account[data-file]');
+      const visibleLinks = () => page.$$eval('a.source', els => els.filter(el => el.offsetParent !== null).length);
+      expect(await visibleLinks()).toBe(0);
+
+      await page.keyboard.press('g');
+      await page.keyboard.type('Editor: VS Code');
+      await page.waitForFunction(() => document.querySelector('nav .result.active .kind')?.textContent === 'Command');
+      await page.keyboard.press('Enter');
+      expect(await page.evaluate(() => localStorage.getItem('editor'))).toBe('vscode');
+      expect(await visibleLinks()).toBeGreaterThan(0);
+
+      const checking = await page.$eval('.balance_sheet .account[data-key="Assets:Checking"]', el => ({ ...el.dataset }));
+      const line = readFileSync(TEST_FILE, 'utf8').split('\n').findIndex(l => l.includes('open Assets:Checking')) + 1;
+      expect(checking.file).toBe(TEST_FILE);
+      expect(Number(checking.line)).toBe(line);
+    });
+
+    test('Postings link to their line', async () => {
+      await goto('journal/Assets:Checking');
+      await page.waitForFunction(() => document.querySelector('.journal .postings .account[data-file]') !== null);
+      const postings = await page.$$eval('.journal .postings .account[data-file]',
+        els => els.map(el => ({ account: el.textContent.trim(), file: el.dataset.file, line: Number(el.dataset.line) })));
+      const lines = readFileSync(TEST_FILE, 'utf8').split('\n');
+      const salary = lines.findIndex(l => l.includes('"Salary"'));
+      const posting = postings.find(p => p.account === 'Income:Salary' && p.line > salary);
+      expect(posting.file).toBe(TEST_FILE);
+      expect(lines[posting.line - 1]).toContain('Income:Salary');
+    });
+  });
+
+  describe('Narrow Screens', () => {
+    afterAll(async () => {
+      await page.setViewport({ width: 1280, height: 800 });
+    });
+
+    const viewBoxWidth = () => page.$eval('#d3 svg', el => el.viewBox.baseVal.width);
+
+    test('Charts follow the width of the window', async () => {
+      await goto('balance_sheet');
+      await page.waitForSelector('#d3 .circle');
+      const wide = await viewBoxWidth();
+
+      await page.setViewport({ width: 600, height: 800 });
+      await page.waitForFunction((wide) => document.querySelector('#d3 svg').viewBox.baseVal.width < wide, {}, wide);
+      await page.setViewport({ width: 1280, height: 800 });
+      await page.waitForFunction((wide) => document.querySelector('#d3 svg').viewBox.baseVal.width === wide, {}, wide);
+    });
+
+    test('Statements are stacked and the filters fold away', async () => {
+      await page.setViewport({ width: 400, height: 800 });
+      await goto('balance_sheet');
+      await page.waitForSelector('.balance_sheet_part .account');
+
+      expect(await page.$eval('.balance_sheet', el => getComputedStyle(el).flexDirection)).toBe('column');
+      await page.waitForSelector('header .filter', { hidden: true });
+
+      await page.click('header .header_toggle');
+      await page.waitForSelector('header .filter', { visible: true });
+      await page.click('header .header_toggle');
+      await page.waitForSelector('header .filter', { hidden: true });
+    });
+  });
+
   describe('Journal', () => {
     test('Plain', async () => {
       await goto('journal/Assets:Checking');
@@ -215,6 +810,377 @@ describe('TurboBean Server', () => {
     });
   });
 
+  describe('Embedded in VS Code', () => {
+    let embed = null;
+
+    afterAll(async () => {
+      await embed?.close();
+    });
+
+    test('Reveals transactions and follows the editor', async () => {
+      embed = await browser.newPage();
+      await embed.setContent(`<iframe src="${SERVER_URL}/journal/Assets:Checking" width="1200" height="800"></iframe>`);
+      const frame = await (await embed.$('iframe')).contentFrame();
+      await frame.waitForSelector('.journal .row[data-file]');
+
+      await embed.evaluate(() => {
+        window.messages = [];
+        window.addEventListener('message', (event) => window.messages.push(event.data));
+      });
+      await frame.evaluate(() => {
+        const rows = Array.from(document.querySelectorAll('.journal .row[data-file]'));
+        rows.find(row => row.querySelector('.narration')?.textContent === 'Salary').querySelector('.date').click();
+      });
+      await embed.waitForFunction(() => window.messages.length > 0);
+
+      const line = readFileSync(TEST_FILE, 'utf8').split('\n').findIndex(l => l.includes('"Salary"')) + 1;
+      expect(await embed.evaluate(() => window.messages[0])).toEqual({ type: 'reveal', file: TEST_FILE, line });
+
+      await embed.evaluate(() => {
+        document.querySelector('iframe').contentWindow.postMessage({ type: 'navigate', path: '/journal/Income:Salary' }, '*');
+      });
+      await frame.waitForFunction(() => location.pathname === '/journal/Income:Salary');
+    });
+  });
+
+  describe('Virtual Journal', () => {
+    test('Renders rows from JSON', async () => {
+      const sseCapture = await captureSSEEvents('journal_rows');
+      await goto('journal/Assets:Checking?virtual=true');
+      await sseCapture.waitForEvents(1);
+      await Bun.sleep(50);
+
+      expect(await page.$('.journal.virtual')).not.toBeNull();
+
+      const transactions = await getTransactions();
+      expect(transactions.map(t => t.narration)).toEqual([
+        '', 'Opening balances', 'Salary', 'Groceries', 'Credit card payment', 'Buy AAPL',
+      ]);
+      expect(transactions[2]).toEqual({ narration: 'Salary', change: '3,000.00 USD', balance: '4,000.00 USD' });
+    });
+
+    test('Toggles postings', async () => {
+      await goto('journal/Assets:Checking?virtual=true');
+      await page.waitForSelector('.journal.virtual .row:not(.header)');
+
+      const postingsVisible = () => page.$$eval('.journal.virtual .postings',
+        els => els.filter(el => el.offsetParent !== null).length);
+      expect(await postingsVisible()).toBe(0);
+
+      await page.click('.journal.virtual .row:nth-child(2) .legs');
+      await Bun.sleep(50);
+      expect(await postingsVisible()).toBe(1);
+
+      await page.click('.journal.virtual .row:nth-child(2) .legs');
+      await Bun.sleep(50);
+      expect(await postingsVisible()).toBe(0);
+    });
+
+    test('Searches all rows, not just the rendered ones', async () => {
+      const original = readFileSync(TEST_FILE, 'utf8');
+      // Above the 2000 rows from which journals are virtual.
+      const transactions = Array.from({ length: 2100 }, (_, i) => `2024-02-01 txn "${i % 100 === 0 ? 'Needle' : 'Hay'} ${i}"
+  Assets:Checking        -1.00 USD
+  Expenses:Groceries
+`);
+      try {
+        writeFileSync(TEST_FILE, `${original}\n${transactions.join('')}`);
+        await goto('journal/Assets:Checking');
+        await page.waitForFunction(() => document.querySelectorAll('.journal.virtual .row:not(.header)').length > 0,
+          { timeout: 5000 });
+        const rendered = await page.$$eval('.journal.virtual .row:not(.header)', rows => rows.length);
+        expect(rendered).toBeLessThan(2100);
+
+        await page.keyboard.press('/');
+        await page.keyboard.type('needle');
+        await Bun.sleep(50);
+        expect(await page.$eval('.journal_search .count', el => el.textContent)).toBe('1 of 21');
+
+        // Only the hits are laid out, so scrolling doesn't search again.
+        const narrations = () => page.$$eval('.journal.virtual .row:not(.header) .narration', els => els.map(el => el.textContent));
+        expect(await narrations()).toHaveLength(21);
+        expect((await narrations()).every(n => n.startsWith('Needle'))).toBe(true);
+        await page.$eval('.journal.virtual', el => { el.scrollTop = el.scrollHeight; });
+        await Bun.sleep(50);
+        expect(await page.$eval('.journal_search .count', el => el.textContent)).toBe('1 of 21');
+
+        await page.keyboard.press('Enter');
+        await page.keyboard.press('Enter');
+        await Bun.sleep(50);
+        expect(await page.$eval('.journal_search .count', el => el.textContent)).toBe('3 of 21');
+        expect(await page.$eval('.journal.virtual .row.search-current .narration', el => el.textContent))
+          .toBe('Needle 200');
+        expect(await page.$eval('.journal.virtual .row.search-current mark', el => el.textContent)).toBe('Needle');
+
+        await page.keyboard.press('Escape');
+        await Bun.sleep(50);
+        expect(await page.$eval('.journal.virtual .spacer', el => el.offsetHeight)).toBeGreaterThan(2100 * 20);
+      } finally {
+        writeFileSync(TEST_FILE, original);
+        await page.waitForFunction(() => document.querySelector('.journal.virtual') === null, { timeout: 5000 });
+      }
+    }, 15000);
+  });
+
+  describe('Filter', () => {
+    test('Journal filtered by narration', async () => {
+      await goto('journal/Assets:Checking?filter=salary');
+      const transactions = await getTransactions();
+
+      const expected = [
+        { narration: '', change: '', balance: '' }, // Open
+        { narration: 'Salary', change: '3,000.00 USD', balance: '3,000.00 USD' },
+      ];
+
+      expect(transactions).toEqual(expected);
+    });
+
+    test('Journal filtered by account and amount', async () => {
+      await goto(`journal/Assets:Checking?filter=${encodeURIComponent('account:^Expenses amount>100')}`);
+      const transactions = await getTransactions();
+
+      const expected = [
+        { narration: '', change: '', balance: '' }, // Open
+        { narration: 'Groceries', change: '-150.00 USD', balance: '-150.00 USD' },
+      ];
+
+      expect(transactions).toEqual(expected);
+    });
+
+    test('Syntax errors are highlighted and not applied', async () => {
+      await goto('journal/Assets:Checking');
+      await page.type('header .query input', 'salary foo:bar');
+      await page.keyboard.press('Enter');
+      await Bun.sleep(50);
+
+      const marked = await page.$eval('header .query .errors mark', el => el.textContent);
+      expect(marked).toBe('foo:bar');
+      expect(new URL(page.url()).searchParams.get('filter')).toBeNull();
+    });
+
+    test('Amounts are parsed like on the server', async () => {
+      const valid = (number) => page.evaluate(n => parseFilter(`amount>${n}`).errors.length === 0, number);
+      // Same cases as the "amounts" test in Filter.zig.
+      for (const number of ['5', '-10.5', '+5', '.5', '-.5', '5.']) {
+        expect(await valid(number)).toBe(true);
+      }
+      for (const number of ['-', '.', '+.', '1e3', '1_000', 'inf', '0x10', '1.2.3', '--5']) {
+        expect(await valid(number)).toBe(false);
+      }
+
+      await goto(`journal/Assets:Checking?filter=${encodeURIComponent('amount<-.5')}`);
+      const transactions = await getTransactions();
+      expect(transactions.map(t => t.narration)).toContain('Groceries');
+    });
+
+    test('Suggestions are escaped', async () => {
+      await goto('journal/Assets:Checking');
+      await page.focus('header .query input');
+      await page.waitForFunction(() => Alpine.$data(document.querySelector('header .query')).completions.accounts.length > 0);
+      await page.evaluate(() => Alpine.$data(document.querySelector('header .query')).completions.payees.push('<b>x</b>'));
+      await page.keyboard.type('payee:<b>x');
+      await page.waitForSelector('header .query .suggestion');
+
+      const suggestion = await page.$eval('header .query .suggestion', el => ({
+        text: el.textContent,
+        bold: el.querySelector('b') !== null,
+      }));
+      expect(suggestion).toEqual({ text: 'payee:<b>x</b>', bold: false });
+      await page.keyboard.press('Escape');
+      await page.keyboard.press('Escape');
+    });
+  });
+
+  describe('Date Ranges', () => {
+    test('Relative dates', async () => {
+      await goto('journal/Assets:Checking?start_date=-100y&end_date=today');
+      const narrations = (await getTransactions()).map(t => t.narration);
+      expect(narrations).toContain('Salary');
+
+      await goto('journal/Assets:Checking?start_date=year%2B1');
+      expect((await getTransactions()).filter(t => t.narration)).toEqual([]);
+    });
+
+    test('Presets', async () => {
+      await goto('balance_sheet');
+      await page.select('header select.date_preset', 'Last 12 months');
+      await page.waitForFunction(() => new URL(location).searchParams.get('start_date') === '-12m');
+      expect(new URL(page.url()).searchParams.get('end_date')).toBe('today');
+
+      const today = await page.evaluate(() => isoDate(new Date()));
+      expect(await page.$eval('#endDate', el => el.value)).toBe(today);
+      expect(await page.$eval('#startDate', el => el.value)).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+  });
+
+  describe('Journal Search', () => {
+    test('Filters and highlights rows', async () => {
+      await goto('journal/Assets:Checking');
+      await page.keyboard.press('/');
+      await page.type('.journal_search input[type="text"]', 'AL');
+      await Bun.sleep(50);
+
+      const visible = await page.$$eval('.journal .row:not(.header):not(.search-hidden) .narration',
+        els => els.map(el => el.textContent));
+      expect(visible).toEqual(['Opening balances', 'Salary']);
+
+      const marks = await page.$$eval('.journal .row mark', els => els.map(el => el.textContent));
+      expect(marks).toEqual(['al', 'al']);
+
+      const count = await page.$eval('.journal_search .count', el => el.textContent);
+      expect(count).toBe('1 of 2');
+    });
+
+    test('Filters by amount range', async () => {
+      await goto('journal/Assets:Checking');
+      await page.keyboard.press('/');
+      await page.type('.journal_search input[placeholder="Max amount"]', '-200');
+      await Bun.sleep(50);
+
+      const visible = await page.$$eval('.journal .row:not(.header):not(.search-hidden) .narration',
+        els => els.map(el => el.textContent));
+      expect(visible).toEqual(['Credit card payment', 'Buy AAPL']);
+    });
+  });
+
+  describe('Export', () => {
+    test('Journal as CSV', async () => {
+      const response = await fetch(`${SERVER_URL}/export/journal/Assets:Checking?format=csv`);
+      expect(response.headers.get('content-disposition')).toBe('attachment; filename="journal-Assets-Checking.csv"');
+
+      const lines = (await response.text()).trim().split('\r\n');
+      expect(lines[0]).toBe('Date,Flag,Payee,Narration,Amount,Currency,Balance');
+      expect(lines[2]).toBe('2024-01-15,txn,,Salary,3000,USD,4000');
+      expect(lines.length).toBe(6);
+    });
+
+    test('Respects the filter', async () => {
+      const response = await fetch(`${SERVER_URL}/export/journal/Assets:Checking?format=json&filter=salary`);
+      const data = await response.json();
+      expect(data.Journal.map(row => row.Narration)).toEqual(['Salary']);
+      expect(data.Series.map(point => point.Balance)).toEqual([3000]);
+    });
+
+    test('Balance sheet as JSON', async () => {
+      const response = await fetch(`${SERVER_URL}/export/balance_sheet?format=json&interval=month`);
+      const data = await response.json();
+      expect(data.Balances).toContainEqual({ Account: 'Assets:Checking', Currency: 'USD', Balance: 2350 });
+      expect(data.Series.length).toBeGreaterThan(0);
+    });
+
+    test('Income statement as XLSX', async () => {
+      const response = await fetch(`${SERVER_URL}/export/income_statement?format=xlsx`);
+      expect(response.headers.get('content-type')).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      expect(String.fromCharCode(...bytes.slice(0, 4))).toBe('PK\x03\x04');
+    });
+
+    test('Menu links carry the view settings', async () => {
+      await goto('balance_sheet?conversion=USD&interval=month');
+      const links = await page.$$eval('.plot_header .export a', els => els.map(el => el.getAttribute('href')));
+      expect(links).toContain('/export/balance_sheet?conversion=USD&interval=month&format=xlsx');
+    });
+  });
+
+  describe('Errors', () => {
+    test('No errors for a valid ledger', async () => {
+      const sseCapture = await captureSSEEvents('errors');
+      await goto('balance_sheet');
+
+      const events = await sseCapture.waitForEvents(1);
+      expect(events[0].data).toEqual([]);
+
+      const badgeVisible = await page.$eval('header .error_panel', el => el.offsetParent !== null);
+      expect(badgeVisible).toBe(false);
+    });
+  });
+
+  describe('Connection', () => {
+    test('Reconnects after the server restarts', async () => {
+      await goto('journal/Assets:Checking?filter=salary');
+      await page.waitForSelector('header .connection.live', { timeout: 2000 });
+
+      const exited = new Promise((resolve) => server.on('exit', resolve));
+      server.kill('SIGKILL');
+      await exited;
+
+      await page.waitForSelector('header .connection.reconnecting', { timeout: 2000 });
+
+      await startServer();
+
+      await page.waitForSelector('header .connection.live', { timeout: 10000 });
+      const updated = await page.$eval('header .connection .updated', el => el.textContent);
+      expect(updated).toStartWith('Updated');
+
+      // Route and filter are resumed.
+      const transactions = await getTransactions();
+      expect(transactions.map(t => t.narration)).toEqual(['', 'Salary']);
+    }, 15000);
+
+    test('Stops at invalid settings', async () => {
+      const sseCapture = await captureSSEEvents('invalid_settings');
+      await goto('journal/Assets:Checking?filter=payee%3A%22REWE');
+
+      const events = await sseCapture.waitForEvents(1);
+      expect(events[0].data).toBe('Invalid settings: UnterminatedString');
+      await page.waitForSelector('header .connection.invalid', { timeout: 2000 });
+
+      // Longer than the first reconnect would take.
+      await Bun.sleep(1000);
+      const state = await page.$eval('header .connection', el => el.className);
+      expect(state).toContain('invalid');
+      expect(await page.$eval('header .connection .state', el => el.textContent))
+        .toBe('Invalid settings: UnterminatedString');
+    });
+  });
+
+  describe('Live Reload', () => {
+    test('Keeps scroll position and expanded rows', async () => {
+      await goto('journal/Assets:Checking');
+      await page.addStyleTag({ content: '.journal { max-height: 80px !important; }' });
+
+      await page.evaluate(() => {
+        window.findRow = (narration) => Array.from(document.querySelectorAll('.journal .row'))
+          .find(row => row.querySelector('.narration')?.textContent === narration);
+
+        const row = findRow('Salary');
+        row.__marker = true;
+        row.querySelector('.legs').click();
+        const journal = document.querySelector('.journal');
+        journal.scrollTop = journal.scrollHeight;
+      });
+      await Bun.sleep(50);
+
+      const scrollTop = await page.$eval('.journal', el => el.scrollTop);
+      expect(scrollTop).toBeGreaterThan(0);
+
+      const original = readFileSync(TEST_FILE, 'utf8');
+      try {
+        writeFileSync(TEST_FILE, `${original}
+2024-01-24 txn "Refund"
+  Assets:Checking        25.00 USD
+  Expenses:Groceries
+`);
+        await page.waitForFunction(() => findRow('Refund') !== undefined, { timeout: 5000 });
+
+        const after = await page.evaluate(() => {
+          const row = findRow('Salary');
+          return {
+            scrollTop: document.querySelector('.journal').scrollTop,
+            // The row was patched, not replaced.
+            sameNode: row.__marker === true,
+            postingsVisible: row.querySelector('.postings').offsetParent !== null,
+          };
+        });
+        expect(after).toEqual({ scrollTop, sameNode: true, postingsVisible: true });
+      } finally {
+        writeFileSync(TEST_FILE, original);
+        await page.waitForFunction(() => findRow('Refund') === undefined, { timeout: 5000 });
+        await page.evaluate(() => findRow('Salary').querySelector('.legs').click());
+      }
+    }, 15000);
+  });
+
   describe('Static Assets', () => {
     test('static endpoint responds', async () => {
       const response = await fetch(`${SERVER_URL}/static/style.css`);
@@ -223,6 +1189,31 @@ describe('TurboBean Server', () => {
   });
 });
 
+async function startServer() {
+  console.log('Starting turbobean server...');
+  await new Promise((resolve, reject) => {
+    server = spawn(BINARY_PATH, ['serve', TEST_FILE], {
+      stdio: 'pipe',
+      cwd: REPO_ROOT,
+    });
+
+    // Turbobean mostly outputs to stderr for now which is normal
+    server.stderr.on('data', (data) => {
+      const output = data.toString().trim();
+      if (!output.includes('[info]')) {
+        console.log('[server]', output);
+      }
+      if (output.includes('Listening on')) {
+        resolve();
+      }
+    });
+
+    server.on('error', (err) => {
+      reject(new Error(`Failed to start server: ${err.message}`));
+    });
+  });
+}
+
 async function goto(route) {
   await page.goto(`${SERVER_URL}/${route}`, { waitUntil: 'domcontentloaded' });
   await Bun.sleep(50);
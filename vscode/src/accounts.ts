@@ -0,0 +1,209 @@
+import * as vscode from 'vscode';
+import { LanguageClient } from 'vscode-languageclient/node';
+
+// An opened account, as returned by the `turbobean/accounts` request.
+export interface Account {
+    account: string;
+    // File and 0-based line of the `open` directive.
+    uri: string;
+    line: number;
+    open: string;
+    close?: string;
+    balance: { number: string, currency: string }[];
+    errors: number;
+    warnings: number;
+}
+
+// A segment of the account hierarchy. `info` is missing for parents that
+// were never opened themselves, e.g. `Assets` of `Assets:Checking`.
+export interface AccountNode {
+    name: string;
+    path: string;
+    info?: Account;
+    children: AccountNode[];
+}
+
+// Waits this long after diagnostics change before asking the server again,
+// as every changed file gets its own notification.
+const REFRESH_DELAY_MS = 200;
+
+// The account hierarchy in the sidebar, with balances, open and close dates
+// and markers for accounts with diagnostics.
+export class AccountTree implements vscode.TreeDataProvider<AccountNode>, vscode.Disposable {
+    private roots: AccountNode[] = [];
+    private refreshTimer: NodeJS.Timeout | undefined;
+    private readonly changed = new vscode.EventEmitter<void>();
+    private readonly highlight = vscode.window.createTextEditorDecorationType({
+        backgroundColor: new vscode.ThemeColor('editor.wordHighlightStrongBackground'),
+    });
+    private disposables: vscode.Disposable[];
+
+    readonly onDidChangeTreeData = this.changed.event;
+
+    constructor(private readonly client: () => LanguageClient | undefined) {
+        this.disposables = [
+            this.changed,
+            this.highlight,
+            vscode.window.registerTreeDataProvider('turbobean.accounts', this),
+            vscode.languages.onDidChangeDiagnostics(() => this.scheduleRefresh()),
+            vscode.window.onDidChangeTextEditorSelection((event) => event.textEditor.setDecorations(this.highlight, [])),
+            vscode.commands.registerCommand('turbobean.accounts.refresh', () => this.refresh()),
+            vscode.commands.registerCommand('turbobean.accounts.open', (node: AccountNode) => this.open(node)),
+            vscode.commands.registerCommand('turbobean.accounts.rename', (node: AccountNode) => this.rename(node)),
+            vscode.commands.registerCommand('turbobean.accounts.highlight', (node: AccountNode) => this.highlightIn(node)),
+        ];
+    }
+
+    dispose() {
+        clearTimeout(this.refreshTimer);
+        this.disposables.forEach(d => d.dispose());
+    }
+
+    async refresh() {
+        const client = this.client();
+        if (!client?.isRunning()) {
+            return;
+        }
+        try {
+            const accounts = await client.sendRequest<Account[] | null>('turbobean/accounts');
+            this.roots = accountTree(accounts ?? []);
+        } catch {
+            // Keep showing the last accounts, e.g. while the server restarts.
+            return;
+        }
+        this.changed.fire();
+    }
+
+    getChildren(node?: AccountNode): AccountNode[] {
+        return node ? node.children : this.roots;
+    }
+
+    getTreeItem(node: AccountNode): vscode.TreeItem {
+        const item = new vscode.TreeItem(
+            node.name,
+            node.children.length > 0 ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None,
+        );
+        // Keeps the expanded accounts expanded across refreshes.
+        item.id = node.path;
+        const info = node.info;
+        if (!info) {
+            return item;
+        }
+
+        item.description = formatBalance(info);
+        item.tooltip = tooltip(info);
+        item.contextValue = 'account';
+        item.iconPath = info.errors > 0 ? new vscode.ThemeIcon('error', new vscode.ThemeColor('list.errorForeground'))
+            : info.warnings > 0 ? new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'))
+                : info.close ? new vscode.ThemeIcon('archive')
+                    : undefined;
+        item.command = { command: 'turbobean.accounts.open', title: 'Go to Open Directive', arguments: [node] };
+        return item;
+    }
+
+    private scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS);
+    }
+
+    // Shows the `open` directive with the cursor on the account.
+    private async open(node: AccountNode): Promise<vscode.TextEditor | undefined> {
+        if (!node.info) {
+            return undefined;
+        }
+        const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(node.info.uri));
+        const character = Math.max(0, doc.lineAt(node.info.line).text.indexOf(node.path));
+        const position = new vscode.Position(node.info.line, character);
+        return vscode.window.showTextDocument(doc, { selection: new vscode.Range(position, position) });
+    }
+
+    // Renames through the language server, from the `open` directive.
+    private async rename(node: AccountNode) {
+        if (await this.open(node)) {
+            await vscode.commands.executeCommand('editor.action.rename');
+        }
+    }
+
+    // Highlights the account in the active editor, or else in the file of
+    // its `open` directive, through the language server.
+    private async highlightIn(node: AccountNode) {
+        let editor = vscode.window.activeTextEditor;
+        let position = editor && findAccount(editor.document, node.path);
+        if (!editor || !position) {
+            editor = await this.open(node);
+            position = editor?.selection.active;
+        }
+        if (!editor || !position) {
+            return;
+        }
+        const highlights = await vscode.commands.executeCommand<vscode.DocumentHighlight[]>(
+            'vscode.executeDocumentHighlights',
+            editor.document.uri,
+            position,
+        );
+        editor.setDecorations(this.highlight, (highlights ?? []).map(h => h.range));
+        editor.revealRange(new vscode.Range(position, position));
+    }
+}
+
+// The hierarchy of `accounts`, sorted by name. Accounts opened in several
+// projects are shown once.
+export function accountTree(accounts: Account[]): AccountNode[] {
+    const roots: AccountNode[] = [];
+    const nodes = new Map<string, AccountNode>();
+
+    for (const info of accounts) {
+        const parts = info.account.split(':');
+        let siblings = roots;
+        for (let i = 0; i < parts.length; i++) {
+            const path = parts.slice(0, i + 1).join(':');
+            let node = nodes.get(path);
+            if (!node) {
+                node = { name: parts[i], path, children: [] };
+                nodes.set(path, node);
+                siblings.push(node);
+            }
+            siblings = node.children;
+        }
+        nodes.get(info.account)!.info ??= info;
+    }
+
+    const sort = (nodes: AccountNode[]) => {
+        nodes.sort((a, b) => a.name.localeCompare(b.name));
+        nodes.forEach(node => sort(node.children));
+    };
+    sort(roots);
+    return roots;
+}
+
+function formatBalance(info: Account): string {
+    return info.balance.map(amount => `${amount.number} ${amount.currency}`).join(', ');
+}
+
+function tooltip(info: Account): vscode.MarkdownString {
+    const paragraphs = [`**${info.account}**`, `Opened ${info.open}`];
+    if (info.close) {
+        paragraphs.push(`Closed ${info.close}`);
+    }
+    if (info.balance.length > 0) {
+        paragraphs.push(info.balance.map(amount => `* ${amount.number} ${amount.currency}`).join('\n'));
+    }
+    if (info.errors > 0 || info.warnings > 0) {
+        paragraphs.push(`${info.errors} errors, ${info.warnings} warnings`);
+    }
+    return new vscode.MarkdownString(paragraphs.join('\n\n'));
+}
+
+// The first occurrence of `account` in `doc` that isn't part of a longer
+// account name.
+function findAccount(doc: vscode.TextDocument, account: string): vscode.Position | undefined {
+    const text = doc.getText();
+    for (let i = text.indexOf(account); i !== -1; i = text.indexOf(account, i + 1)) {
+        const before = text[i - 1];
+        const after = text[i + account.length];
+        if ((before === undefined || /\s/.test(before)) && (after === undefined || /[\s;,()"]/.test(after))) {
+            return doc.positionAt(i);
+        }
+    }
+    return undefined;
+}
@@ -1,21 +1,59 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
 import { LanguageClientOptions, ServerOptions, LanguageClient, Executable, TransportKind } from 'vscode-languageclient/node';
+import { rootFiles, turbobean } from './settings';
+import { WebPanel } from './webview';
+import { AccountTree } from './accounts';
+import { ServerStatus } from './status';
 
 let client: LanguageClient | undefined;
+let outputChannel: vscode.OutputChannel | undefined;
+let status: ServerStatus | undefined;
 
-export async function activate(context: vscode.ExtensionContext) {
-    const isTest = process.env.VSCODE_TURBOBEAN_TEST === 'true';
+// What `activate` returns to other extensions, and the tests.
+export interface Api {
+    client(): LanguageClient | undefined;
+    status(): ServerStatus | undefined;
+}
 
-    const exe: Executable = isTest ? {
-        command: 'bash',
-        args: ['-c', `${path.join(context.extensionPath, '../zig-out/bin/turbobean')} lsp 2> >(tee ${path.join(context.extensionPath, '../turbobean-vscode.log')} >&2)`],
-        transport: TransportKind.stdio,
-    } : {
-        command: 'turbobean',
-        args: ['lsp'],
-        transport: TransportKind.stdio,
-    };
+export async function activate(context: vscode.ExtensionContext): Promise<Api> {
+    outputChannel = vscode.window.createOutputChannel('TurboBean');
+    status = new ServerStatus();
+    context.subscriptions.push(outputChannel, status);
+
+    await startClient(context);
+
+    const webPanel = new WebPanel(context, outputChannel);
+
+    context.subscriptions.push(
+        webPanel,
+        new AccountTree(() => client),
+        vscode.commands.registerCommand('turbobean.openWebUI', () => webPanel.open()),
+        vscode.commands.registerCommand('turbobean.restartServer', async () => {
+            await restartClient(context);
+            vscode.window.showInformationMessage('TurboBean language server restarted.');
+        }),
+        // The servers only read their settings when they start.
+        vscode.workspace.onDidChangeConfiguration(async (event) => {
+            if (event.affectsConfiguration('turbobean')) {
+                await restartClient(context);
+                await webPanel.restart();
+            }
+        })
+    );
+
+    return { client: () => client, status: () => status };
+}
+
+export function deactivate(): Thenable<void> | undefined {
+    if (!client) {
+        return undefined;
+    }
+    return status ? status.stop(client) : client.stop();
+}
+
+async function startClient(context: vscode.ExtensionContext) {
+    const exe = serverExecutable(context);
 
     const serverOptions: ServerOptions = {
         run: exe,
@@ -27,7 +65,10 @@ export async function activate(context: vscode.ExtensionContext) {
         synchronize: {
             fileEvents: vscode.workspace.createFileSystemWatcher('**/.bean')
         },
-        outputChannel: vscode.window.createOutputChannel('TurboBean'),
+        initializationOptions: {
+            rootFiles: rootFiles(),
+        },
+        outputChannel,
     };
 
     client = new LanguageClient(
@@ -37,29 +78,49 @@ export async function activate(context: vscode.ExtensionContext) {
         clientOptions
     );
 
-    await client.start();
+    status?.watch(client);
+    try {
+        await client.start();
+    } catch (err) {
+        client = undefined;
+        status?.set('crashed');
+        const action = await vscode.window.showErrorMessage(
+            `Failed to start the TurboBean language server "${exe.command}": ${err}`,
+            'Open Settings'
+        );
+        if (action === 'Open Settings') {
+            vscode.commands.executeCommand('workbench.action.openSettings', 'turbobean.server');
+        }
+    }
+}
 
-    context.subscriptions.push(
-        vscode.commands.registerCommand('turbobean.restartServer', async () => {
-            if (client) {
-                await client.stop();
-                client = undefined;
-            }
-            client = new LanguageClient(
-                'turbobean',
-                'TurboBean VSCode extension',
-                serverOptions,
-                clientOptions
-            );
-            await client.start();
-            vscode.window.showInformationMessage('TurboBean language server restarted.');
-        })
-    );
+async function restartClient(context: vscode.ExtensionContext) {
+    if (client) {
+        await status?.stop(client);
+        client = undefined;
+    }
+    await startClient(context);
 }
 
-export function deactivate(): Thenable<void> | undefined {
-    if (!client) {
-        return undefined;
+function serverExecutable(context: vscode.ExtensionContext): Executable {
+    const config = vscode.workspace.getConfiguration('turbobean');
+    const args = ['lsp', ...config.get<string[]>('server.args', [])];
+    const { command, env } = turbobean(context);
+
+    if (process.env.VSCODE_TURBOBEAN_TEST === 'true') {
+        const log = path.join(context.extensionPath, '../turbobean-vscode.log');
+        return {
+            command: 'bash',
+            args: ['-c', `${command} ${args.join(' ')} 2> >(tee ${log} >&2)`],
+            transport: TransportKind.stdio,
+            options: { env },
+        };
     }
-    return client.stop();
+
+    return {
+        command,
+        args,
+        transport: TransportKind.stdio,
+        options: { env },
+    };
 }
@@ -0,0 +1,45 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs/promises';
+
+// The `turbobean` executable and the environment to run it in.
+export function turbobean(context: vscode.ExtensionContext): { command: string, env: NodeJS.ProcessEnv } {
+    const config = vscode.workspace.getConfiguration('turbobean');
+    const env = { ...process.env, ...config.get<Record<string, string>>('server.env', {}) };
+
+    const command = config.get<string>('server.path') || 'turbobean';
+    // The tests run the build of this repository, unless they set a path.
+    if (process.env.VSCODE_TURBOBEAN_TEST === 'true' && command === 'turbobean') {
+        return { command: path.join(context.extensionPath, '../zig-out/bin/turbobean'), env };
+    }
+    return { command, env };
+}
+
+// The `turbobean.rootFile` setting of each workspace folder that has one,
+// by folder URI. Folders without one use their `turbobean.config`.
+export function rootFiles(): Record<string, string> {
+    const result: Record<string, string> = {};
+    for (const folder of vscode.workspace.workspaceFolders ?? []) {
+        const rootFile = vscode.workspace.getConfiguration('turbobean', folder).get<string>('rootFile');
+        if (rootFile) {
+            result[folder.uri.toString()] = rootFile;
+        }
+    }
+    return result;
+}
+
+// Absolute path of the root file of `folder`, from the `turbobean.rootFile`
+// setting or else the folder's `turbobean.config`, like the language server
+// does.
+export async function rootFile(folder: vscode.WorkspaceFolder): Promise<string | undefined> {
+    let root = vscode.workspace.getConfiguration('turbobean', folder).get<string>('rootFile');
+    if (!root) {
+        try {
+            const config = await fs.readFile(path.join(folder.uri.fsPath, 'turbobean.config'), 'utf-8');
+            root = config.match(/^root = (.*)$/m)?.[1];
+        } catch {
+            return undefined;
+        }
+    }
+    return root ? path.resolve(folder.uri.fsPath, root) : undefined;
+}
@@ -0,0 +1,110 @@
+import * as vscode from 'vscode';
+import { LanguageClient, State } from 'vscode-languageclient/node';
+
+type ServerState = 'starting' | 'ready' | 'crashed';
+
+// The state of the language server and the number of errors and warnings in
+// the ledger, in the status bar. Clicking it opens the Problems view, or
+// restarts the server after a crash.
+export class ServerStatus implements vscode.Disposable {
+    private readonly item = vscode.window.createStatusBarItem('turbobean.status', vscode.StatusBarAlignment.Left);
+    private state: ServerState = 'starting';
+    private client: LanguageClient | undefined;
+    private clientListener: vscode.Disposable | undefined;
+    // Set while the extension itself stops the server, so that doesn't
+    // count as a crash.
+    private stopping = false;
+    private disposables: vscode.Disposable[];
+
+    constructor() {
+        this.item.name = 'TurboBean';
+        this.disposables = [
+            this.item,
+            vscode.languages.onDidChangeDiagnostics(() => this.update()),
+        ];
+        this.update();
+        this.item.show();
+    }
+
+    dispose() {
+        this.clientListener?.dispose();
+        this.disposables.forEach(d => d.dispose());
+    }
+
+    watch(client: LanguageClient) {
+        this.client = client;
+        this.stopping = false;
+        this.clientListener?.dispose();
+        this.clientListener = client.onDidChangeState(({ newState }) => {
+            switch (newState) {
+                case State.Starting:
+                    this.set('starting');
+                    break;
+                case State.Running:
+                    this.set('ready');
+                    break;
+                case State.Stopped:
+                    if (!this.stopping) {
+                        this.set('crashed');
+                    }
+                    break;
+            }
+        });
+        this.set('starting');
+    }
+
+    // Stops `client` without reporting a crash.
+    async stop(client: LanguageClient) {
+        this.stopping = true;
+        await client.stop();
+    }
+
+    // What the item shows and does when clicked.
+    shown(): { text: string, command: string | undefined } {
+        const command = this.item.command;
+        return { text: this.item.text, command: typeof command === 'string' ? command : command?.command };
+    }
+
+    set(state: ServerState) {
+        this.state = state;
+        this.update();
+    }
+
+    private update() {
+        const item = this.item;
+        if (this.state === 'crashed') {
+            item.text = '$(error) TurboBean crashed';
+            item.tooltip = 'The TurboBean language server stopped. Click to restart it.';
+            item.command = 'turbobean.restartServer';
+            item.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+            return;
+        }
+
+        item.backgroundColor = undefined;
+        item.command = 'workbench.actions.view.problems';
+        if (this.state === 'starting') {
+            item.text = '$(sync~spin) TurboBean';
+            item.tooltip = 'Starting the TurboBean language server';
+            return;
+        }
+
+        const { errors, warnings } = this.countDiagnostics();
+        item.text = `$(check) TurboBean $(error) ${errors} $(warning) ${warnings}`;
+        item.tooltip = `${errors} errors and ${warnings} warnings in the ledger`;
+    }
+
+    private countDiagnostics(): { errors: number, warnings: number } {
+        let errors = 0;
+        let warnings = 0;
+        this.client?.diagnostics?.forEach((_, diagnostics) => {
+            for (const diagnostic of diagnostics) {
+                if (diagnostic.severity === vscode.DiagnosticSeverity.Error) {
+                    errors++;
+                } else if (diagnostic.severity === vscode.DiagnosticSeverity.Warning) {
+                    warnings++;
+                }
+            }
+        });
+        return { errors, warnings };
+    }
+}
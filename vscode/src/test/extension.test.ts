@@ -2,7 +2,14 @@ import * as assert from 'assert';
 import * as vscode from 'vscode';
 import { Position, TextDocument, DiagnosticSeverity } from 'vscode';
 import * as fs from 'fs/promises';
+import * as os from 'os';
 import * as path from 'path';
+import { accountAt } from '../webview';
+import { Account, AccountNode, accountTree } from '../accounts';
+import { Api } from '../extension';
+
+// The build the tests run by default, see `turbobean` in settings.ts.
+const TURBOBEAN = path.resolve(__dirname, '../../../zig-out/bin/turbobean');
 
 
 suite('LSP', () => {
@@ -142,6 +149,14 @@ suite('LSP', () => {
         await assertGolden('inlay-hints', formatInlayHints(doc, hints));
     });
 
+    test('Balance CodeLens', async function() {
+        const lenses = await vscode.commands.executeCommand<vscode.CodeLens[]>(
+            'vscode.executeCodeLensProvider',
+            doc.uri
+        );
+        await assertGolden('codelens', formatCodeLenses(doc, lenses));
+    });
+
     test('Autocomplete accounts', async function() {
         const result = await vscode.commands.executeCommand<vscode.CompletionList>(
             'vscode.executeCompletionItemProvider',
@@ -162,6 +177,200 @@ suite('LSP', () => {
     });
 });
 
+suite('Settings', () => {
+    let doc: vscode.TextDocument;
+
+    suiteSetup(async function() {
+        doc = await openDoc('main.bean');
+    });
+
+    suiteTeardown(async function() {
+        this.timeout(10000);
+        const config = vscode.workspace.getConfiguration('turbobean');
+        await config.update('server.path', undefined, vscode.ConfigurationTarget.Global);
+        await config.update('server.args', undefined, vscode.ConfigurationTarget.Global);
+        await config.update('server.env', undefined, vscode.ConfigurationTarget.Global);
+        await config.update('rootFile', undefined, vscode.ConfigurationTarget.Global);
+    });
+
+    test('Defaults', function() {
+        const config = vscode.workspace.getConfiguration('turbobean');
+        assert.strictEqual(config.get('server.path'), 'turbobean');
+        assert.deepStrictEqual(config.get('server.args'), []);
+        assert.strictEqual(config.get('trace.server'), 'off');
+    });
+
+    test('Restarts the server when they change', async function() {
+        this.timeout(10000);
+        const before = extensionApi().client();
+        assert.ok(before);
+        const config = vscode.workspace.getConfiguration('turbobean');
+        await config.update('server.env', { TURBOBEAN_TEST: '1' }, vscode.ConfigurationTarget.Global);
+        await config.update('rootFile', 'main.bean', vscode.ConfigurationTarget.Global);
+
+        // A new client, and with it a new server process.
+        await waitFor(async () => {
+            const client = extensionApi().client();
+            return client !== undefined && client !== before && client.isRunning();
+        });
+        const pos = findInLine(doc, 10, 'Assets:Checking');
+        await waitFor(async () => {
+            const hovers = await vscode.commands.executeCommand<vscode.Hover[]>(
+                'vscode.executeHoverProvider',
+                doc.uri,
+                pos
+            );
+            return hovers.length === 1;
+        });
+    });
+
+    test('Runs the configured server with its arguments and environment', async function() {
+        this.timeout(20000);
+        // Records how it was started, then runs the usual build.
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'turbobean-'));
+        const record = path.join(dir, 'started.txt');
+        const wrapper = path.join(dir, 'turbobean.sh');
+        await fs.writeFile(
+            wrapper,
+            `#!/bin/sh\necho "$* $TURBOBEAN_WRAPPER" > '${record}'\nexec '${TURBOBEAN}' "$@"\n`,
+            { mode: 0o755 },
+        );
+
+        const config = vscode.workspace.getConfiguration('turbobean');
+        await config.update('server.path', wrapper, vscode.ConfigurationTarget.Global);
+        await config.update('server.args', ['--wrapped'], vscode.ConfigurationTarget.Global);
+        await config.update('server.env', { TURBOBEAN_WRAPPER: 'from-env' }, vscode.ConfigurationTarget.Global);
+
+        await waitFor(async () => {
+            const started = await fs.readFile(record, 'utf-8').catch(() => '');
+            return started.trim() === 'lsp --wrapped from-env';
+        }, 15000);
+        await waitFor(async () => extensionApi().client()?.isRunning() === true);
+
+        await config.update('server.path', undefined, vscode.ConfigurationTarget.Global);
+        await config.update('server.args', undefined, vscode.ConfigurationTarget.Global);
+        await fs.rm(dir, { recursive: true });
+    });
+
+    test('The root file decides which ledger is loaded', async function() {
+        this.timeout(20000);
+        // Only booking.bean opens Income:PnL, and no editor has it open.
+        // Undefined while the server restarts.
+        const hasPnL = async (): Promise<boolean | undefined> => {
+            const client = extensionApi().client();
+            if (!client?.isRunning()) {
+                return undefined;
+            }
+            const accounts = await client.sendRequest<Account[]>('turbobean/accounts').catch(() => undefined);
+            return accounts?.some(account => account.account === 'Income:PnL');
+        };
+
+        const config = vscode.workspace.getConfiguration('turbobean');
+        await config.update('rootFile', 'booking.bean', vscode.ConfigurationTarget.Global);
+        await waitFor(async () => await hasPnL() === true, 15000);
+
+        // Back to `root` of turbobean.config.
+        await config.update('rootFile', undefined, vscode.ConfigurationTarget.Global);
+        await waitFor(async () => await hasPnL() === false, 15000);
+    });
+});
+
+suite('Web UI', () => {
+    const webUITab = () => vscode.window.tabGroups.all
+        .flatMap(group => group.tabs)
+        .find(tab => tab.input instanceof vscode.TabInputWebview && tab.label === 'TurboBean');
+
+    suiteTeardown(async function() {
+        const tab = webUITab();
+        if (tab) {
+            await vscode.window.tabGroups.close(tab);
+        }
+    });
+
+    test('Account under the cursor', function() {
+        const line = '  Assets:Checking  -10.00 USD ; Expenses:Food';
+        assert.strictEqual(accountAt(line, 2), 'Assets:Checking');
+        assert.strictEqual(accountAt(line, 17), 'Assets:Checking');
+        assert.strictEqual(accountAt(line, 20), undefined);
+        assert.strictEqual(accountAt(line, 40), 'Expenses:Food');
+        assert.strictEqual(accountAt('2024-01-01 open Equity:Ope𝄞ning-Balances', 20), 'Equity:Ope𝄞ning-Balances');
+    });
+
+    test('Opens the panel', async function() {
+        this.timeout(30000);
+        await openDoc('main.bean');
+        await vscode.commands.executeCommand('turbobean.openWebUI');
+        assert.ok(webUITab());
+    });
+});
+
+suite('Accounts', () => {
+    const account = (name: string, line: number): Account => ({
+        account: name,
+        uri: vscode.Uri.joinPath(vscode.workspace.workspaceFolders![0].uri, 'open.bean').toString(),
+        line,
+        open: '2000-01-01',
+        balance: [],
+        errors: 0,
+        warnings: 0,
+    });
+
+    test('Hierarchy', function() {
+        const roots = accountTree([
+            account('Expenses:Food', 3),
+            account('Assets:Stocks', 1),
+            account('Assets:Checking', 0),
+        ]);
+        const format = (nodes: AccountNode[]): unknown[] => nodes.map(node =>
+            node.children.length > 0 ? { [node.name]: format(node.children) } : node.name
+        );
+        assert.deepStrictEqual(format(roots), [
+            { Assets: ['Checking', 'Stocks'] },
+            { Expenses: ['Food'] },
+        ]);
+        assert.strictEqual(roots[0].info, undefined);
+        assert.strictEqual(roots[0].children[0].info?.line, 0);
+    });
+
+    test('Goes to the open directive', async function() {
+        const [node] = accountTree([account('Assets:Stocks', 1)])[0].children;
+        await vscode.commands.executeCommand('turbobean.accounts.open', node);
+        const editor = vscode.window.activeTextEditor!;
+        assert.strictEqual(path.basename(editor.document.uri.fsPath), 'open.bean');
+        assert.deepStrictEqual(editor.selection.active, new Position(1, 16));
+    });
+});
+
+suite('Status bar', () => {
+    test('Counts errors and warnings', async function() {
+        await openDoc('main.bean');
+        // Like the Problems view, which the item opens.
+        const expected = () => {
+            const all = vscode.languages.getDiagnostics().flatMap(([, diagnostics]) => diagnostics);
+            const errors = all.filter(d => d.severity === DiagnosticSeverity.Error).length;
+            const warnings = all.filter(d => d.severity === DiagnosticSeverity.Warning).length;
+            return `$(check) TurboBean $(error) ${errors} $(warning) ${warnings}`;
+        };
+        await waitFor(async () => extensionApi().status()?.shown().text === expected());
+        assert.strictEqual(extensionApi().status()?.shown().command, 'workbench.actions.view.problems');
+    });
+
+    test('Offers a restart after a crash', async function() {
+        this.timeout(20000);
+        await extensionApi().client()?.stop();
+        await waitFor(async () => extensionApi().status()?.shown().text === '$(error) TurboBean crashed');
+        const shown = extensionApi().status()!.shown();
+        assert.strictEqual(shown.command, 'turbobean.restartServer');
+
+        await vscode.commands.executeCommand(shown.command);
+        await waitFor(async () => extensionApi().status()?.shown().text.startsWith('$(check) TurboBean') === true, 15000);
+        assert.ok(extensionApi().client()?.isRunning());
+    });
+});
+
+function extensionApi(): Api {
+    return vscode.extensions.all.find(extension => extension.packageJSON.name === 'vscode')!.exports;
+}
 
 async function sleep(ms: number = 10) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -184,6 +393,16 @@ async function waitForLSPReady(timeoutMs: number = 8000): Promise<void> {
     });
 }
 
+async function waitFor(condition: () => Promise<boolean>, timeoutMs: number = 8000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error(`Condition not met within ${timeoutMs} ms`);
+        }
+        await sleep(100);
+    }
+}
+
 async function openDoc(file: string): Promise<TextDocument> {
     const root = vscode.workspace.workspaceFolders![0].uri;
     const uri = vscode.Uri.joinPath(root, file);
@@ -287,6 +506,17 @@ function formatDiagnostics(doc: TextDocument, diagnostics: vscode.Diagnostic[]):
     return result.join('\n');
 }
 
+function formatCodeLenses(doc: TextDocument, lenses: vscode.CodeLens[]): string {
+    const result: string[] = [];
+    for (let lineNum = 0; lineNum < doc.lineCount; lineNum++) {
+        for (const lens of lenses.filter(l => l.range.start.line === lineNum)) {
+            result.push(`> ${lens.command?.title}`);
+        }
+        result.push(doc.lineAt(lineNum).text);
+    }
+    return result.join('\n');
+}
+
 function formatHover(hovers: vscode.Hover[]): string {
     assert.equal(hovers.length, 1);
     const contents = hovers[0].contents;
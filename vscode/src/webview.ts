@@ -0,0 +1,243 @@
+import * as vscode from 'vscode';
+import * as net from 'net';
+import { ChildProcess, spawn } from 'child_process';
+import { rootFile, turbobean } from './settings';
+
+// Accounts under the default root names, e.g. `Assets:Checking`.
+const ACCOUNT = /(?:Assets|Liabilities|Equity|Income|Expenses)(?::[^\s:;,()"]+)+/g;
+
+// How long `turbobean serve` may take to load the ledger.
+const SERVE_TIMEOUT_MS = 30000;
+// How often to check whether it listens meanwhile.
+const SERVE_POLL_MS = 100;
+
+// The web UI of `turbobean serve` in a webview panel. The panel shows the
+// journal of the account under the editor's cursor, and clicking the date
+// of a journal row shows the transaction in the editor, see the `editor`
+// store in src/assets/js/index.js.
+export class WebPanel implements vscode.Disposable {
+    private panel: vscode.WebviewPanel | undefined;
+    private server: ChildProcess | undefined;
+    private disposables: vscode.Disposable[] = [];
+
+    constructor(
+        private readonly context: vscode.ExtensionContext,
+        private readonly output: vscode.OutputChannel,
+    ) { }
+
+    async open() {
+        if (this.panel) {
+            this.panel.reveal(vscode.ViewColumn.Beside, true);
+            return;
+        }
+
+        const url = await this.start();
+        if (!url) {
+            return;
+        }
+        this.panel = vscode.window.createWebviewPanel(
+            'turbobean.webUI',
+            'TurboBean',
+            { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+            { enableScripts: true, retainContextWhenHidden: true },
+        );
+        this.panel.webview.html = webviewHtml(url);
+
+        this.disposables.push(
+            this.panel.webview.onDidReceiveMessage((message) => {
+                if (message?.type === 'reveal') {
+                    reveal(message.file, message.line);
+                }
+            }),
+            vscode.window.onDidChangeTextEditorSelection((event) => this.follow(event.textEditor)),
+            this.panel.onDidDispose(() => this.close()),
+        );
+    }
+
+    dispose() {
+        this.panel?.dispose();
+        this.close();
+    }
+
+    // Starts `turbobean serve` again if the panel is open, for changed
+    // settings. Closes the panel if that fails.
+    async restart() {
+        const panel = this.panel;
+        if (!panel) {
+            return;
+        }
+        this.stopServer();
+        const url = await this.start();
+        if (this.panel !== panel) {
+            // Closed in the meantime.
+            this.stopServer();
+        } else if (!url) {
+            panel.dispose();
+        } else {
+            panel.webview.html = webviewHtml(url);
+        }
+    }
+
+    // Starts `turbobean serve` for the root file of the active workspace
+    // folder. Returns the URL of the UI, or undefined after showing why not.
+    private async start(): Promise<vscode.Uri | undefined> {
+        const folder = activeFolder();
+        const root = folder && await rootFile(folder);
+        if (!root) {
+            vscode.window.showErrorMessage(
+                'No root ledger file found. Set "turbobean.rootFile" or add a turbobean.config to the workspace folder.'
+            );
+            return undefined;
+        }
+
+        const port = await freePort();
+        try {
+            this.server = await this.serve(root, port);
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to start the TurboBean web UI: ${err}`);
+            return undefined;
+        }
+
+        return vscode.env.asExternalUri(vscode.Uri.parse(`http://localhost:${port}/balance_sheet`));
+    }
+
+    private close() {
+        this.panel = undefined;
+        this.stopServer();
+        this.disposables.forEach(d => d.dispose());
+        this.disposables = [];
+    }
+
+    private stopServer() {
+        this.server?.kill();
+        this.server = undefined;
+    }
+
+    // Shows the journal of the account under the cursor, if any.
+    private follow(editor: vscode.TextEditor) {
+        if (!this.panel || editor.document.languageId !== 'beancount') {
+            return;
+        }
+        const position = editor.selection.active;
+        const account = accountAt(editor.document.lineAt(position.line).text, position.character);
+        if (account) {
+            this.panel.webview.postMessage({ type: 'navigate', path: `/journal/${account}` });
+        }
+    }
+
+    // Starts `turbobean serve` and waits until it accepts connections. Its
+    // log can't tell, release builds leave out the info messages.
+    private serve(root: string, port: number): Promise<ChildProcess> {
+        const { command, env } = turbobean(this.context);
+        // Loopback only, so the ledger isn't shown to the network.
+        const server = spawn(command, ['serve', '--host', '127.0.0.1', '--port', String(port), root], { env });
+        server.stderr.on('data', (data: Buffer) => this.output.append(data.toString()));
+
+        return new Promise((resolve, reject) => {
+            let done = false;
+            let retry: NodeJS.Timeout | undefined;
+            const finish = (err?: Error) => {
+                if (done) {
+                    return;
+                }
+                done = true;
+                clearTimeout(timeout);
+                clearTimeout(retry);
+                if (err) {
+                    server.kill();
+                    reject(err);
+                } else {
+                    resolve(server);
+                }
+            };
+            const timeout = setTimeout(
+                () => finish(new Error(`not listening after ${SERVE_TIMEOUT_MS / 1000} s`)),
+                SERVE_TIMEOUT_MS,
+            );
+
+            const poll = () => {
+                const socket = net.connect(port, '127.0.0.1');
+                socket.once('connect', () => {
+                    socket.destroy();
+                    finish();
+                });
+                socket.once('error', () => {
+                    socket.destroy();
+                    if (!done) {
+                        retry = setTimeout(poll, SERVE_POLL_MS);
+                    }
+                });
+            };
+            poll();
+
+            server.on('error', (err) => finish(err));
+            server.on('exit', (code) => finish(new Error(`"${command} serve" exited with code ${code}`)));
+        });
+    }
+}
+
+// The account in `line` that `character` is on.
+export function accountAt(line: string, character: number): string | undefined {
+    for (const match of line.matchAll(ACCOUNT)) {
+        if (match.index <= character && character <= match.index + match[0].length) {
+            return match[0];
+        }
+    }
+    return undefined;
+}
+
+// The workspace folder of the active editor, or else the first one.
+function activeFolder(): vscode.WorkspaceFolder | undefined {
+    const uri = vscode.window.activeTextEditor?.document.uri;
+    return (uri && vscode.workspace.getWorkspaceFolder(uri)) || vscode.workspace.workspaceFolders?.[0];
+}
+
+async function reveal(file: string, line: number) {
+    const doc = await vscode.workspace.openTextDocument(vscode.Uri.file(file));
+    const position = new vscode.Position(Math.max(0, line - 1), 0);
+    await vscode.window.showTextDocument(doc, {
+        viewColumn: vscode.ViewColumn.One,
+        selection: new vscode.Range(position, position),
+    });
+}
+
+function freePort(): Promise<number> {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const port = (server.address() as net.AddressInfo).port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// The UI in a frame. Messages from the frame go to the extension and the
+// other way round.
+function webviewHtml(url: vscode.Uri): string {
+    const origin = `${url.scheme}://${url.authority}`;
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta http-equiv="Content-Security-Policy"
+        content="default-src 'none'; frame-src ${origin}; script-src 'unsafe-inline'; style-src 'unsafe-inline';">
+    <style>
+        html, body, iframe { margin: 0; padding: 0; width: 100%; height: 100%; border: none; overflow: hidden; }
+    </style>
+</head>
+<body>
+    <iframe src="${url.toString(true)}"></iframe>
+    <script>
+        const vscode = acquireVsCodeApi();
+        const frame = document.querySelector('iframe');
+        window.addEventListener('message', (event) => {
+            if (event.source === frame.contentWindow) {
+                vscode.postMessage(event.data);
+            } else {
+                frame.contentWindow.postMessage(event.data, '*');
+            }
+        });
+    </script>
+</body>
+</html>`;
+}